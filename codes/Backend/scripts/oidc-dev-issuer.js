@@ -0,0 +1,134 @@
+/**
+ * Local stand-in OpenID Connect issuer for development and manual testing.
+ *
+ * Serves discovery and JWKS documents, signs ID tokens with a key generated at start-up,
+ * and supports the browser redirect sign-in used by the login page. Never expose it publicly:
+ * it signs a token for whatever email address it is given.
+ *
+ *   npm run oidc-dev-issuer
+ *   OIDC_PROVIDERS='[{"id":"local","name":"Local SSO","issuer":"http://127.0.0.1:4010","clientId":"orthoflow-local"}]'
+ *   curl "http://127.0.0.1:4010/token?email=admin@orthoflow.edu"
+ */
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const port = Number.parseInt(process.env.OIDC_DEV_ISSUER_PORT, 10) || 4010;
+const issuer = `http://127.0.0.1:${port}`;
+const defaultClientId = process.env.OIDC_DEV_CLIENT_ID || 'orthoflow-local';
+const defaultDepartment = process.env.OIDC_DEV_DEPARTMENT || '';
+
+const kid = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const signIdToken = ({ email, audience, nonce, department }) => {
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const claims = {
+    sub: crypto.createHash('sha256').update(normalizedEmail).digest('hex').slice(0, 24),
+    email: normalizedEmail,
+    email_verified: true,
+    name: normalizedEmail.split('@')[0]
+  };
+  if (nonce) claims.nonce = nonce;
+  if (department) claims.department = department;
+
+  return jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer,
+    audience: audience || defaultClientId,
+    expiresIn: '10m'
+  });
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+const renderSignInForm = (res, params) => {
+  const hidden = ['client_id', 'redirect_uri', 'nonce', 'state', 'response_type', 'scope']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('');
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html><title>Local SSO</title>
+<form method="get" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:80px auto">
+  <h2>Local SSO (development)</h2>
+  ${hidden}
+  <p><label>Email<br><input name="login_hint" type="email" required autofocus style="width:100%"></label></p>
+  <p><label>Department claim (optional)<br><input name="department" value="${escapeHtml(defaultDepartment)}" style="width:100%"></label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, issuer);
+  const params = url.searchParams;
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['id_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      claims_supported: ['sub', 'email', 'email_verified', 'name', 'department', 'nonce']
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [publicJwk] });
+  }
+
+  // Direct token minting for curl and scripted checks
+  if (url.pathname === '/token') {
+    if (!params.get('email')) {
+      return sendJson(res, 400, { error: 'email query parameter is required' });
+    }
+    return sendJson(res, 200, {
+      id_token: signIdToken({
+        email: params.get('email'),
+        audience: params.get('aud'),
+        nonce: params.get('nonce'),
+        department: params.get('department') || defaultDepartment
+      })
+    });
+  }
+
+  if (url.pathname === '/authorize') {
+    const redirectUri = params.get('redirect_uri');
+    if (!redirectUri) {
+      return sendJson(res, 400, { error: 'redirect_uri is required' });
+    }
+    if (!params.get('login_hint')) {
+      return renderSignInForm(res, params);
+    }
+
+    const fragment = new URLSearchParams({
+      id_token: signIdToken({
+        email: params.get('login_hint'),
+        audience: params.get('client_id'),
+        nonce: params.get('nonce'),
+        department: params.get('department')
+      }),
+      state: params.get('state') || ''
+    });
+    res.writeHead(302, { Location: `${redirectUri}#${fragment.toString()}` });
+    return res.end();
+  }
+
+  return sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🔑 Local OIDC issuer running at ${issuer} (client id ${defaultClientId}, kid ${kid})`);
+  console.log('   Tokens are signed for any email entered. Use for local development only.');
+});
@@ -42,6 +42,13 @@ async function seedDatabase() {
     console.log('⚙️ Creating default system settings...');
     await query(
       `INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+        (?, ?, ?),
+        (?, ?, ?),
+        (?, ?, ?),
+        (?, ?, ?),
+        (?, ?, ?),
+        (?, ?, ?),
+        (?, ?, ?),
         (?, ?, ?),
         (?, ?, ?),
         (?, ?, ?),
@@ -52,7 +59,15 @@ async function seedDatabase() {
         'max_file_size', '10485760', 'Maximum file upload size in bytes (10MB)',
         'allowed_file_types', 'jpg,jpeg,png,pdf,doc,docx', 'Allowed file extensions for uploads',
         'session_timeout', '3600', 'Session timeout in seconds',
-        'auto_logout', 'true', 'Enable automatic logout'
+        'auto_logout', 'true', 'Enable automatic logout',
+        'password_min_length', '8', 'Minimum password length',
+        'password_require_uppercase', 'true', 'Passwords must contain an uppercase letter',
+        'password_require_lowercase', 'true', 'Passwords must contain a lowercase letter',
+        'password_require_number', 'true', 'Passwords must contain a number',
+        'password_require_symbol', 'false', 'Passwords must contain a symbol',
+        'password_block_common', 'true', 'Reject common and breached passwords',
+        'password_history_count', '5', 'Number of previous passwords that cannot be reused (0 disables)',
+        'password_max_age_days', '0', 'Days before a password must be changed (0 disables expiry)'
       ]
     );
 
@@ -8,6 +8,8 @@ const path = require('path');
 
 // Import middleware
 const { testConnection, ensureAccessControlSchema } = require('./src/config/database');
+const { initializePermissionMatrix } = require('./src/services/permissionMatrixService');
+const { initializeConsentTemplates } = require('./src/services/consentService');
 const { errorHandler, notFound, requestLogger } = require('./src/middleware/errorHandler');
 const {
   startAuditLogRetentionJob,
@@ -17,6 +19,14 @@ const {
   startAutoReminderJob,
   stopAutoReminderJob
 } = require('./src/services/reminderService');
+const {
+  startAssignmentExpiryJob,
+  stopAssignmentExpiryJob
+} = require('./src/services/assignmentWindowService');
+const {
+  startPatientExportJob,
+  stopPatientExportJob
+} = require('./src/services/patientDataExportService');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -31,6 +41,19 @@ const caseRoutes = require('./src/routes/cases');
 const inventoryRoutes = require('./src/routes/inventory');
 const userRoutes = require('./src/routes/users');
 const reportRoutes = require('./src/routes/reports');
+const apiKeyRoutes = require('./src/routes/apiKeys');
+const breakGlassRoutes = require('./src/routes/breakGlass');
+const impersonationRoutes = require('./src/routes/impersonation');
+const permissionRoutes = require('./src/routes/permissions');
+const delegationRoutes = require('./src/routes/delegations');
+const consentRoutes = require('./src/routes/consents');
+const patientMergeRoutes = require('./src/routes/patientMerges');
+const patientImportRoutes = require('./src/routes/patientImports');
+const guardianRoutes = require('./src/routes/guardians');
+const waitingListRoutes = require('./src/routes/waitingList');
+const patientExportRoutes = require('./src/routes/patientExports');
+const teachingLibraryRoutes = require('./src/routes/teachingLibrary');
+const dataRetentionRoutes = require('./src/routes/dataRetention');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,7 +75,7 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Impersonate-Token']
 }));
 
 // Compression middleware
@@ -108,6 +131,19 @@ app.use('/api/cases', caseRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/break-glass', breakGlassRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/delegations', delegationRoutes);
+app.use('/api/consents', consentRoutes);
+app.use('/api/patient-merges', patientMergeRoutes);
+app.use('/api/patient-imports', patientImportRoutes);
+app.use('/api/guardians', guardianRoutes);
+app.use('/api/waiting-list', waitingListRoutes);
+app.use('/api/patient-exports', patientExportRoutes);
+app.use('/api/teaching-library', teachingLibraryRoutes);
+app.use('/api/retention', dataRetentionRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -161,6 +197,8 @@ process.on('uncaughtException', (err) => {
 const shutdown = (signal) => {
   stopAuditLogRetentionJob();
   stopAutoReminderJob();
+  stopAssignmentExpiryJob();
+  stopPatientExportJob();
   console.log(`${signal} received. Shutting down gracefully...`);
 
   if (!server) {
@@ -186,9 +224,13 @@ async function startServer() {
   try {
     await testConnection();
     await ensureAccessControlSchema();
+    await initializePermissionMatrix();
+    await initializeConsentTemplates();
     console.log('✅ Database connected successfully');
     startAuditLogRetentionJob();
     startAutoReminderJob();
+    startAssignmentExpiryJob();
+    startPatientExportJob();
     
     const PORT = process.env.PORT || 3000;
     
@@ -5,6 +5,7 @@ const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_key';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'fallback_refresh_secret';
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '24h';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
+const MFA_CHALLENGE_EXPIRE = process.env.MFA_CHALLENGE_EXPIRE || '5m';
 
 // Generate JWT Access Token
 const generateAccessToken = (payload) => {
@@ -48,6 +49,56 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate short-lived token proving the first factor passed, exchanged for a session after TOTP
+const generateMfaChallengeToken = (payload) => {
+  return jwt.sign({ ...payload, purpose: 'mfa_challenge' }, JWT_SECRET, {
+    expiresIn: MFA_CHALLENGE_EXPIRE,
+    issuer: 'orthoflow',
+    audience: 'orthoflow-mfa'
+  });
+};
+
+// Verify MFA challenge token
+const verifyMfaChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'orthoflow',
+      audience: 'orthoflow-mfa'
+    });
+    if (decoded.purpose !== 'mfa_challenge') {
+      throw new Error('Unexpected token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired MFA challenge');
+  }
+};
+
+// Generate token for a read-only "view as user" session; it rides alongside the admin's own access token
+const generateImpersonationToken = (payload, expiresInMinutes) => {
+  return jwt.sign({ ...payload, purpose: 'impersonation' }, JWT_SECRET, {
+    expiresIn: `${expiresInMinutes}m`,
+    issuer: 'orthoflow',
+    audience: 'orthoflow-impersonation'
+  });
+};
+
+// Verify impersonation token
+const verifyImpersonationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'orthoflow',
+      audience: 'orthoflow-impersonation'
+    });
+    if (decoded.purpose !== 'impersonation') {
+      throw new Error('Unexpected token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired impersonation session');
+  }
+};
+
 // Extract token from Authorization header
 const extractTokenFromHeader = (authHeader) => {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -61,5 +112,9 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateImpersonationToken,
+  verifyImpersonationToken,
   extractTokenFromHeader
 };
@@ -59,6 +59,141 @@ const ensureAccessControlSchema = async () => {
   if (!userColumnSet.has('last_activity_at')) {
     await query('ALTER TABLE users ADD COLUMN last_activity_at TIMESTAMP NULL DEFAULT NULL AFTER last_login');
   }
+  if (!userColumnSet.has('mfa_enabled')) {
+    await query('ALTER TABLE users ADD COLUMN mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE AFTER last_activity_at');
+  }
+  if (!userColumnSet.has('mfa_secret')) {
+    await query('ALTER TABLE users ADD COLUMN mfa_secret VARCHAR(255) NULL DEFAULT NULL AFTER mfa_enabled');
+  }
+  if (!userColumnSet.has('mfa_enrolled_at')) {
+    await query('ALTER TABLE users ADD COLUMN mfa_enrolled_at TIMESTAMP NULL DEFAULT NULL AFTER mfa_secret');
+  }
+  if (!userColumnSet.has('mfa_last_used_step')) {
+    await query('ALTER TABLE users ADD COLUMN mfa_last_used_step BIGINT NULL DEFAULT NULL AFTER mfa_enrolled_at');
+  }
+  if (!userColumnSet.has('failed_login_attempts')) {
+    await query('ALTER TABLE users ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0 AFTER mfa_enrolled_at');
+  }
+  if (!userColumnSet.has('last_failed_login_at')) {
+    await query('ALTER TABLE users ADD COLUMN last_failed_login_at TIMESTAMP NULL DEFAULT NULL AFTER failed_login_attempts');
+  }
+  if (!userColumnSet.has('lockout_count')) {
+    await query('ALTER TABLE users ADD COLUMN lockout_count INT NOT NULL DEFAULT 0 AFTER last_failed_login_at');
+  }
+  if (!userColumnSet.has('locked_until')) {
+    await query('ALTER TABLE users ADD COLUMN locked_until TIMESTAMP NULL DEFAULT NULL AFTER lockout_count');
+  }
+  if (!userColumnSet.has('is_service_account')) {
+    await query('ALTER TABLE users ADD COLUMN is_service_account BOOLEAN NOT NULL DEFAULT FALSE AFTER locked_until');
+  }
+
+  // Single-use TOTP recovery codes (SHA-256 hashes only)
+  await query(`
+    CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_mfa_recovery_user (user_id, used_at)
+    )
+  `);
+
+  // Previous password hashes, checked so recent passwords cannot be reused
+  await query(`
+    CREATE TABLE IF NOT EXISTS password_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_password_history_user (user_id, id)
+    )
+  `);
+
+  // Password policy defaults; existing values are left untouched
+  await query(`
+    INSERT IGNORE INTO system_settings (setting_key, setting_value, description) VALUES
+      ('password_min_length', '8', 'Minimum password length'),
+      ('password_require_uppercase', 'true', 'Passwords must contain an uppercase letter'),
+      ('password_require_lowercase', 'true', 'Passwords must contain a lowercase letter'),
+      ('password_require_number', 'true', 'Passwords must contain a number'),
+      ('password_require_symbol', 'false', 'Passwords must contain a symbol'),
+      ('password_block_common', 'true', 'Reject common and breached passwords'),
+      ('password_history_count', '5', 'Number of previous passwords that cannot be reused (0 disables)'),
+      ('password_max_age_days', '0', 'Days before a password must be changed (0 disables expiry)')
+  `);
+
+  // Self-service password reset links (SHA-256 hashes only, single use)
+  await query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL DEFAULT NULL,
+      requested_ip VARCHAR(45) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE INDEX uniq_password_reset_token (token_hash),
+      INDEX idx_password_reset_user (user_id, used_at)
+    )
+  `);
+
+  // Scoped API keys for service accounts (SHA-256 hashes only)
+  await query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      service_account_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      key_hash CHAR(64) NOT NULL,
+      scopes JSON NOT NULL,
+      expires_at TIMESTAMP NULL DEFAULT NULL,
+      last_used_at TIMESTAMP NULL DEFAULT NULL,
+      last_used_ip VARCHAR(45) NULL,
+      rotated_from_id INT NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP NULL DEFAULT NULL,
+      revoked_by INT NULL,
+      FOREIGN KEY (service_account_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE INDEX uniq_api_key_hash (key_hash),
+      INDEX idx_api_keys_account (service_account_id, revoked_at)
+    )
+  `);
+
+  // Per-device session metadata on refresh tokens
+  const refreshTokenColumns = await query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'refresh_tokens'
+  `);
+  const refreshTokenColumnSet = new Set(refreshTokenColumns.map((row) => row.COLUMN_NAME));
+
+  if (!refreshTokenColumnSet.has('session_id')) {
+    await query('ALTER TABLE refresh_tokens ADD COLUMN session_id CHAR(36) NULL DEFAULT NULL AFTER user_id, ADD INDEX idx_refresh_session (session_id)');
+  }
+  if (!refreshTokenColumnSet.has('user_agent')) {
+    await query('ALTER TABLE refresh_tokens ADD COLUMN user_agent VARCHAR(512) NULL DEFAULT NULL AFTER is_revoked');
+  }
+  if (!refreshTokenColumnSet.has('ip_address')) {
+    await query('ALTER TABLE refresh_tokens ADD COLUMN ip_address VARCHAR(45) NULL DEFAULT NULL AFTER user_agent');
+  }
+  if (!refreshTokenColumnSet.has('last_used_at')) {
+    await query('ALTER TABLE refresh_tokens ADD COLUMN last_used_at TIMESTAMP NULL DEFAULT NULL AFTER ip_address');
+  }
+  // Rotation bookkeeping: token_jti locates a token, rotated_at marks it retired by its successor
+  if (!refreshTokenColumnSet.has('token_jti')) {
+    await query('ALTER TABLE refresh_tokens ADD COLUMN token_jti CHAR(36) NULL DEFAULT NULL AFTER session_id, ADD UNIQUE INDEX uniq_refresh_jti (token_jti)');
+  }
+  if (!refreshTokenColumnSet.has('rotated_at')) {
+    await query('ALTER TABLE refresh_tokens ADD COLUMN rotated_at TIMESTAMP NULL DEFAULT NULL AFTER is_revoked');
+  }
 
   // Patient-level assignment relation used for instance access control
   await query(`
@@ -69,6 +204,8 @@ const ensureAccessControlSchema = async () => {
       assignment_role ENUM('ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT') NOT NULL,
       assigned_by INT NOT NULL,
       active BOOLEAN DEFAULT TRUE,
+      starts_at DATETIME NULL DEFAULT NULL,
+      ends_at DATETIME NULL DEFAULT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
@@ -78,10 +215,26 @@ const ensureAccessControlSchema = async () => {
       INDEX idx_assignment_user (user_id),
       INDEX idx_assignment_role (assignment_role),
       INDEX idx_assignment_active (active),
+      INDEX idx_assignment_window (active, ends_at),
       UNIQUE KEY uniq_active_assignment (patient_id, user_id, assignment_role, active)
     )
   `);
 
+  // Optional access window; rows past ends_at are deactivated by the assignment expiry job
+  const assignmentColumns = await query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'patient_assignments'
+  `);
+  const assignmentColumnSet = new Set(assignmentColumns.map((row) => row.COLUMN_NAME));
+  if (!assignmentColumnSet.has('starts_at')) {
+    await query('ALTER TABLE patient_assignments ADD COLUMN starts_at DATETIME NULL DEFAULT NULL AFTER active');
+  }
+  if (!assignmentColumnSet.has('ends_at')) {
+    await query('ALTER TABLE patient_assignments ADD COLUMN ends_at DATETIME NULL DEFAULT NULL AFTER starts_at, ADD INDEX idx_assignment_window (active, ends_at)');
+  }
+
   // Assignment approvals for receptionist-initiated ortho/surgeon assignment changes
   await query(`
     CREATE TABLE IF NOT EXISTS patient_assignment_requests (
@@ -90,6 +243,8 @@ const ensureAccessControlSchema = async () => {
       target_user_id INT NOT NULL,
       target_role ENUM('ORTHODONTIST', 'DENTAL_SURGEON') NOT NULL,
       action_type ENUM('ASSIGN', 'REMOVE') NOT NULL,
+      starts_at DATETIME NULL DEFAULT NULL,
+      ends_at DATETIME NULL DEFAULT NULL,
       requested_by INT NOT NULL,
       status ENUM('PENDING', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'PENDING',
       reviewed_by INT NULL,
@@ -106,6 +261,405 @@ const ensureAccessControlSchema = async () => {
     )
   `);
 
+  // Requested access window, applied to the assignment when the request is approved
+  const assignmentRequestColumns = await query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'patient_assignment_requests'
+  `);
+  const assignmentRequestColumnSet = new Set(assignmentRequestColumns.map((row) => row.COLUMN_NAME));
+  if (!assignmentRequestColumnSet.has('starts_at')) {
+    await query('ALTER TABLE patient_assignment_requests ADD COLUMN starts_at DATETIME NULL DEFAULT NULL AFTER action_type');
+  }
+  if (!assignmentRequestColumnSet.has('ends_at')) {
+    await query('ALTER TABLE patient_assignment_requests ADD COLUMN ends_at DATETIME NULL DEFAULT NULL AFTER starts_at');
+  }
+
+  // Time-limited emergency access to unassigned patients, reviewed afterwards by an admin
+  await query(`
+    CREATE TABLE IF NOT EXISTS break_glass_access (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      user_id INT NOT NULL,
+      access_level ENUM('READ', 'WRITE') NOT NULL DEFAULT 'READ',
+      reason TEXT NOT NULL,
+      ip_address VARCHAR(45) NULL,
+      granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      ended_at TIMESTAMP NULL DEFAULT NULL,
+      reviewed_by INT NULL,
+      reviewed_at TIMESTAMP NULL DEFAULT NULL,
+      review_note TEXT NULL,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_break_glass_user_patient (user_id, patient_id, expires_at),
+      INDEX idx_break_glass_review (reviewed_at, granted_at)
+    )
+  `);
+
+  // Read-only "view as user" sessions started by administrators for support
+  await query(`
+    CREATE TABLE IF NOT EXISTS impersonation_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT NOT NULL,
+      target_user_id INT NOT NULL,
+      reason VARCHAR(500) NOT NULL,
+      ip_address VARCHAR(45) NULL,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      ended_at TIMESTAMP NULL DEFAULT NULL,
+      FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_impersonation_admin (admin_id, ended_at),
+      INDEX idx_impersonation_target (target_user_id)
+    )
+  `);
+
+  // Role permission matrix; every edit adds a version and the highest version is live
+  await query(`
+    CREATE TABLE IF NOT EXISTS permission_matrix_versions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      version INT NOT NULL,
+      matrix JSON NOT NULL,
+      note VARCHAR(500) NULL,
+      changed_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_permission_matrix_version (version)
+    )
+  `);
+
+  // A clinician's caseload handed to a colleague for a date range, e.g. during leave.
+  // assignment_id is the delegate's time-bounded assignment, NULL if they were already assigned.
+  await query(`
+    CREATE TABLE IF NOT EXISTS caseload_delegations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      delegator_id INT NOT NULL,
+      delegate_id INT NOT NULL,
+      assignment_role ENUM('ORTHODONTIST', 'DENTAL_SURGEON') NOT NULL,
+      all_patients BOOLEAN NOT NULL DEFAULT TRUE,
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      reason VARCHAR(500) NULL,
+      created_by INT NULL,
+      cancelled_at TIMESTAMP NULL DEFAULT NULL,
+      cancelled_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (delegator_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (delegate_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_delegation_delegator (delegator_id, ends_at),
+      INDEX idx_delegation_delegate (delegate_id, ends_at)
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS caseload_delegation_patients (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      delegation_id INT NOT NULL,
+      patient_id INT NOT NULL,
+      assignment_id INT NULL,
+      window_extended BOOLEAN NOT NULL DEFAULT FALSE,
+      original_starts_at DATETIME NULL DEFAULT NULL,
+      original_ends_at DATETIME NULL DEFAULT NULL,
+      FOREIGN KEY (delegation_id) REFERENCES caseload_delegations(id) ON DELETE CASCADE,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (assignment_id) REFERENCES patient_assignments(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_delegation_patient (delegation_id, patient_id)
+    )
+  `);
+
+  // Versioned consent wording; a patient's consent records the version that was signed
+  await query(`
+    CREATE TABLE IF NOT EXISTS consent_templates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      consent_type ENUM('PHOTOGRAPHY', 'TEACHING', 'STUDENT_CARE') NOT NULL,
+      version INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_consent_template_version (consent_type, version)
+    )
+  `);
+
+  // Parents and guardians of a patient. Reminders for minors go to the responsible guardian.
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_guardians (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      full_name VARCHAR(255) NOT NULL,
+      relationship ENUM('MOTHER', 'FATHER', 'LEGAL_GUARDIAN', 'GRANDPARENT', 'SIBLING', 'OTHER') NOT NULL,
+      phone VARCHAR(20) NULL,
+      email VARCHAR(255) NULL,
+      address TEXT NULL,
+      is_consent_giver BOOLEAN NOT NULL DEFAULT FALSE,
+      is_responsible BOOLEAN NOT NULL DEFAULT FALSE,
+      communication_preference ENUM('EMAIL', 'PHONE', 'SMS', 'NONE') NOT NULL DEFAULT 'EMAIL',
+      notes VARCHAR(500) NULL,
+      created_by INT NULL,
+      updated_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_patient_guardians_patient (patient_id)
+    )
+  `);
+
+  // One row per signature; the newest row per patient and type is the current consent
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_consents (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      consent_type ENUM('PHOTOGRAPHY', 'TEACHING', 'STUDENT_CARE') NOT NULL,
+      template_id INT NOT NULL,
+      status ENUM('SIGNED', 'WITHDRAWN') NOT NULL DEFAULT 'SIGNED',
+      signed_at DATE NOT NULL,
+      signed_by_name VARCHAR(255) NOT NULL,
+      signed_by_relationship ENUM('SELF', 'PARENT', 'GUARDIAN', 'OTHER') NOT NULL DEFAULT 'SELF',
+      guardian_id INT NULL,
+      recorded_by INT NULL,
+      withdrawn_at DATE NULL,
+      withdrawal_reason VARCHAR(500) NULL,
+      withdrawn_recorded_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (template_id) REFERENCES consent_templates(id),
+      FOREIGN KEY (guardian_id) REFERENCES patient_guardians(id) ON DELETE SET NULL,
+      FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (withdrawn_recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_patient_consent_type (patient_id, consent_type)
+    )
+  `);
+
+  const consentColumns = await query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'patient_consents'
+      AND COLUMN_NAME = 'guardian_id'
+    LIMIT 1
+  `);
+  if (!consentColumns.length) {
+    await query('ALTER TABLE patient_consents ADD COLUMN guardian_id INT NULL AFTER signed_by_relationship');
+    await query(`
+      ALTER TABLE patient_consents
+      ADD CONSTRAINT fk_patient_consents_guardian FOREIGN KEY (guardian_id) REFERENCES patient_guardians(id) ON DELETE SET NULL
+    `);
+  }
+
+  // One row per merged duplicate. Codes and the duplicate's row are copied so the record
+  // stays readable after either patient is permanently deleted.
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_merges (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      survivor_patient_id INT NULL,
+      duplicate_patient_id INT NULL,
+      survivor_patient_code VARCHAR(20) NOT NULL,
+      duplicate_patient_code VARCHAR(20) NOT NULL,
+      reason VARCHAR(500) NULL,
+      moved_rows JSON NOT NULL,
+      retained_rows JSON NULL,
+      duplicate_snapshot JSON NOT NULL,
+      merged_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (survivor_patient_id) REFERENCES patients(id) ON DELETE SET NULL,
+      FOREIGN KEY (duplicate_patient_id) REFERENCES patients(id) ON DELETE SET NULL,
+      FOREIGN KEY (merged_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_patient_merges_survivor (survivor_patient_id),
+      INDEX idx_patient_merges_duplicate (duplicate_patient_id)
+    )
+  `);
+
+  // Bulk patient imports: the dry-run report is kept so the import can be committed
+  // without a second upload and reviewed afterwards
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_imports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      file_name VARCHAR(255) NOT NULL,
+      file_type ENUM('CSV', 'XLSX') NOT NULL,
+      status ENUM('VALIDATED', 'PARTIAL', 'COMMITTED', 'ROLLED_BACK') NOT NULL DEFAULT 'VALIDATED',
+      headers JSON NOT NULL,
+      column_map JSON NOT NULL,
+      total_rows INT NOT NULL DEFAULT 0,
+      valid_rows INT NOT NULL DEFAULT 0,
+      invalid_rows INT NOT NULL DEFAULT 0,
+      duplicate_rows INT NOT NULL DEFAULT 0,
+      imported_rows INT NOT NULL DEFAULT 0,
+      report JSON NOT NULL,
+      error_message VARCHAR(500) NULL,
+      created_by INT NULL,
+      committed_by INT NULL,
+      committed_at TIMESTAMP NULL DEFAULT NULL,
+      rolled_back_by INT NULL,
+      rolled_back_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (committed_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (rolled_back_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_patient_imports_created (created_at)
+    )
+  `);
+
+  // Patients created by each import, so a rollback removes exactly those
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_import_rows (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      import_id INT NOT NULL,
+      source_row INT NOT NULL,
+      patient_id INT NULL,
+      patient_code VARCHAR(20) NOT NULL,
+      status ENUM('IMPORTED', 'ROLLED_BACK', 'KEPT') NOT NULL DEFAULT 'IMPORTED',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (import_id) REFERENCES patient_imports(id) ON DELETE CASCADE,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_patient_import_row (import_id, source_row)
+    )
+  `);
+
+  // Machine-readable patient data exports, built in the background and kept until they expire
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_data_exports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      purpose ENUM('ACCESS_REQUEST', 'TRANSFER', 'OTHER') NOT NULL,
+      notes VARCHAR(500) NULL,
+      status ENUM('QUEUED', 'RUNNING', 'READY', 'FAILED', 'EXPIRED') NOT NULL DEFAULT 'QUEUED',
+      file_name VARCHAR(255) NULL,
+      file_path VARCHAR(500) NULL,
+      storage_provider ENUM('local', 's3') NOT NULL DEFAULT 'local',
+      storage_bucket VARCHAR(255) NULL,
+      storage_key VARCHAR(700) NULL,
+      file_size BIGINT NULL,
+      sha256 CHAR(64) NULL,
+      manifest JSON NULL,
+      error_message VARCHAR(500) NULL,
+      requested_by INT NULL,
+      started_at TIMESTAMP NULL DEFAULT NULL,
+      completed_at TIMESTAMP NULL DEFAULT NULL,
+      expires_at TIMESTAMP NULL DEFAULT NULL,
+      download_count INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_patient_data_exports_patient (patient_id, created_at),
+      INDEX idx_patient_data_exports_status (status, expires_at)
+    )
+  `);
+
+  // Anonymised teaching cases. source_patient_id is kept only so the case can be removed
+  // when teaching consent is withdrawn, and is never returned to readers.
+  await query(`
+    CREATE TABLE IF NOT EXISTS teaching_cases (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      pseudonym VARCHAR(40) NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      description TEXT NULL,
+      content LONGTEXT NOT NULL,
+      content_sha256 CHAR(64) NOT NULL,
+      source ENUM('PATIENT', 'IMPORT') NOT NULL,
+      source_patient_id INT NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (source_patient_id) REFERENCES patients(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE KEY uniq_teaching_cases_content (content_sha256),
+      INDEX idx_teaching_cases_pseudonym (pseudonym),
+      INDEX idx_teaching_cases_source_patient (source_patient_id),
+      INDEX idx_teaching_cases_created_at (created_at)
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS teaching_case_files (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      teaching_case_id INT NOT NULL,
+      archive_path VARCHAR(255) NOT NULL,
+      document_type VARCHAR(20) NOT NULL DEFAULT 'RADIOGRAPH',
+      mime_type VARCHAR(100) NOT NULL,
+      file_size BIGINT NOT NULL,
+      sha256 CHAR(64) NOT NULL,
+      description TEXT NULL,
+      taken_at DATETIME NULL,
+      file_path VARCHAR(500) NOT NULL,
+      storage_provider ENUM('local', 's3') NOT NULL DEFAULT 'local',
+      storage_bucket VARCHAR(255) NULL,
+      storage_key VARCHAR(700) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (teaching_case_id) REFERENCES teaching_cases(id) ON DELETE CASCADE,
+      INDEX idx_teaching_case_files_case (teaching_case_id)
+    )
+  `);
+
+  // Purge requests for records past their retention period. Patient and record ids are kept
+  // without foreign keys so the row stays behind as a tombstone once the record is deleted.
+  await query(`
+    CREATE TABLE IF NOT EXISTS retention_purges (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      record_type ENUM('INACTIVE_PATIENT', 'TRASHED_DOCUMENT') NOT NULL,
+      record_id INT NOT NULL,
+      patient_id INT NOT NULL,
+      patient_code VARCHAR(20) NOT NULL,
+      due_on DATE NOT NULL,
+      reason VARCHAR(500) NULL,
+      status ENUM('PENDING', 'RUNNING', 'PURGED', 'REJECTED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+      requested_by INT NULL,
+      reviewed_by INT NULL,
+      reviewed_at TIMESTAMP NULL DEFAULT NULL,
+      review_note VARCHAR(500) NULL,
+      summary JSON NULL,
+      error_message VARCHAR(500) NULL,
+      purged_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_retention_purges_record (record_type, record_id),
+      INDEX idx_retention_purges_status (status, created_at)
+    )
+  `);
+
+  // Clinical data retention defaults (years; 0 turns purging off); existing values are left untouched
+  await query(`
+    INSERT IGNORE INTO system_settings (setting_key, setting_value, description) VALUES
+      ('retention_inactive_patient_years', '8', 'Years an inactive patient record is kept before it can be purged (0 disables)'),
+      ('retention_inactive_patient_from', 'ADULTHOOD', 'Count inactive patient retention from LAST_ACTIVITY or ADULTHOOD'),
+      ('retention_trashed_document_years', '1', 'Years a document in the trash is kept before it can be purged (0 disables)'),
+      ('retention_trashed_document_from', 'LAST_ACTIVITY', 'Count trashed document retention from LAST_ACTIVITY or ADULTHOOD')
+  `);
+
+  // Every change of patients.status, with the reason for transitions that need one
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_status_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      from_status ENUM('ACTIVE', 'COMPLETED', 'CONSULTATION', 'MAINTENANCE') NULL,
+      to_status ENUM('ACTIVE', 'COMPLETED', 'CONSULTATION', 'MAINTENANCE') NOT NULL,
+      reason VARCHAR(500) NULL,
+      changed_by INT NULL,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_patient_status_history_patient (patient_id, changed_at)
+    )
+  `);
+
+  // Patients registered before the history existed start from their current status
+  await query(`
+    INSERT INTO patient_status_history (patient_id, from_status, to_status, reason, changed_at)
+    SELECT p.id, NULL, p.status, 'Status before history was recorded', p.created_at
+    FROM patients p
+    WHERE p.status IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM patient_status_history h WHERE h.patient_id = p.id)
+  `);
+
   // Per-patient dental chart entries (one row per tooth with non-default state)
   await query(`
     CREATE TABLE IF NOT EXISTS dental_chart_entries (
@@ -281,6 +835,32 @@ const ensureAccessControlSchema = async () => {
     )
   `);
 
+  // Every save of the history form, never changed afterwards; patient_histories holds the latest
+  await query(`
+    CREATE TABLE IF NOT EXISTS patient_history_revisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      revision_number INT NOT NULL,
+      form_data JSON NULL,
+      restored_from_revision INT NULL,
+      created_by INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT,
+      UNIQUE KEY uniq_patient_history_revision (patient_id, revision_number)
+    )
+  `);
+
+  // Histories saved before revisions existed become revision 1
+  await query(`
+    INSERT INTO patient_history_revisions (patient_id, revision_number, form_data, created_by, created_at)
+    SELECT ph.patient_id, 1, ph.form_data, ph.updated_by, ph.updated_at
+    FROM patient_histories ph
+    WHERE NOT EXISTS (
+      SELECT 1 FROM patient_history_revisions r WHERE r.patient_id = ph.patient_id
+    )
+  `);
+
   await query(`
     CREATE TABLE IF NOT EXISTS payment_records (
       id INT AUTO_INCREMENT PRIMARY KEY,
@@ -558,6 +1138,34 @@ const ensureAccessControlSchema = async () => {
     await query('ALTER TABLE cases ADD COLUMN verified_at TIMESTAMP NULL DEFAULT NULL AFTER verified_by');
   }
 
+  // Treatment waiting list, filled from the consultant decision on the history form.
+  // An entry stays WAITING until an orthodontist takes the patient or it is removed.
+  await query(`
+    CREATE TABLE IF NOT EXISTS waiting_list_entries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      patient_id INT NOT NULL,
+      treatment_type ENUM('REMOVABLE', 'FUNCTIONAL', 'FIXED') NOT NULL,
+      priority ENUM('URGENT', 'SEVERE_MALOCCLUSION', 'ROUTINE') NOT NULL DEFAULT 'ROUTINE',
+      status ENUM('WAITING', 'TAKEN_OFF', 'REMOVED') NOT NULL DEFAULT 'WAITING',
+      added_on DATE NOT NULL,
+      added_by INT NULL,
+      closed_at TIMESTAMP NULL DEFAULT NULL,
+      closed_by INT NULL,
+      close_reason VARCHAR(500) NULL,
+      orthodontist_id INT NULL,
+      case_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+      FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (orthodontist_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE SET NULL,
+      INDEX idx_waiting_list_rank (status, priority, added_on),
+      INDEX idx_waiting_list_patient (patient_id)
+    )
+  `);
+
   await query(`
     CREATE TABLE IF NOT EXISTS case_progress_logs (
       id INT AUTO_INCREMENT PRIMARY KEY,
@@ -0,0 +1,225 @@
+const { findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { OBJECT_TYPES, PERMISSIONS, getRolePermissions } = require('../middleware/accessControl');
+const {
+  normalizeScopes,
+  listApiKeys,
+  getApiKeyById,
+  listServiceAccounts,
+  createServiceAccount,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../services/apiKeyService');
+
+// Object types and permissions a key can be scoped to, per service-account role
+const getScopeOptions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        object_types: Object.values(OBJECT_TYPES),
+        permissions: PERMISSIONS,
+        role_permissions: getRolePermissions()
+      }
+    });
+  } catch (error) {
+    console.error('Get API key scope options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getServiceAccounts = async (req, res) => {
+  try {
+    const serviceAccounts = await listServiceAccounts();
+    res.json({
+      success: true,
+      data: serviceAccounts.map((account) => ({ ...account, active_keys: Number(account.active_keys) }))
+    });
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const addServiceAccount = async (req, res) => {
+  try {
+    const { name, role, department } = req.body;
+    const account = await createServiceAccount({ name: name.trim(), role, department: department || null });
+
+    await logAuditEvent(req.user.id, 'SERVICE_ACCOUNT_CREATE', 'USER', account.id, null, {
+      name: account.name,
+      role: account.role,
+      department: account.department
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Service account created',
+      data: account
+    });
+  } catch (error) {
+    console.error('Create service account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys({ includeRevoked: req.query.include_revoked === 'true' });
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const addApiKey = async (req, res) => {
+  try {
+    const { service_account_id: serviceAccountId, name, scopes, expires_at: expiresAt } = req.body;
+
+    const serviceAccount = await findOne('users', { id: serviceAccountId, is_service_account: true, deleted_at: null });
+    if (!serviceAccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found'
+      });
+    }
+
+    const { scopes: normalizedScopes, errors } = normalizeScopes(scopes, serviceAccount.role);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'API_KEY_SCOPE',
+        message: errors[0],
+        errors
+      });
+    }
+
+    const { id, key } = await createApiKey({
+      serviceAccountId: serviceAccount.id,
+      name: name.trim(),
+      scopes: normalizedScopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy: req.user.id
+    });
+
+    await logAuditEvent(req.user.id, 'API_KEY_CREATE', 'API_KEY', id, null, {
+      name: name.trim(),
+      service_account_id: serviceAccount.id,
+      scopes: normalizedScopes,
+      expires_at: expiresAt || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        api_key: await getApiKeyById(id),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const rotateApiKeyById = async (req, res) => {
+  try {
+    const existing = await getApiKeyById(req.params.id);
+    if (!existing || existing.status !== 'ACTIVE') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+
+    const graceMinutes = Number(req.body.grace_minutes || 0);
+    const { id, key } = await rotateApiKey(existing, { rotatedBy: req.user.id, graceMinutes });
+
+    await logAuditEvent(req.user.id, 'API_KEY_ROTATE', 'API_KEY', existing.id, {
+      key_prefix: existing.key_prefix
+    }, {
+      replacement_id: id,
+      grace_minutes: graceMinutes
+    });
+
+    res.json({
+      success: true,
+      message: graceMinutes > 0
+        ? `API key rotated. The old key keeps working for ${graceMinutes} minute${graceMinutes === 1 ? '' : 's'}.`
+        : 'API key rotated. The old key no longer works.',
+      data: {
+        api_key: await getApiKeyById(id),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const revokeApiKeyById = async (req, res) => {
+  try {
+    const existing = await getApiKeyById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const revoked = await revokeApiKey(existing.id, req.user.id);
+    if (revoked) {
+      await logAuditEvent(req.user.id, 'API_KEY_REVOKE', 'API_KEY', existing.id, null, {
+        name: existing.name,
+        key_prefix: existing.key_prefix,
+        service_account_id: existing.service_account.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: revoked ? 'API key revoked' : 'API key was already revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getScopeOptions,
+  getServiceAccounts,
+  addServiceAccount,
+  getApiKeys,
+  addApiKey,
+  rotateApiKeyById,
+  revokeApiKeyById
+};
@@ -1,35 +1,101 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { 
   generateAccessToken, 
   generateRefreshToken, 
-  verifyRefreshToken 
+  verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken
 } = require('../config/auth');
-const { findOne, findMany, insert, update, remove } = require('../config/database');
+const { findOne, findMany, insert, update, remove, transaction } = require('../config/database');
 const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  isMfaRequiredForRole,
+  isMfaSetupRequired,
+  getMfaStatus,
+  beginEnrollment,
+  verifyUserTotp,
+  replaceRecoveryCodes,
+  completeEnrollment,
+  consumeRecoveryCode,
+  clearMfa
+} = require('../services/mfaService');
+const {
+  getClientInfo,
+  listActiveSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../services/sessionService');
+const {
+  getActiveLock,
+  recordFailedLogin,
+  recordUnknownAccountLogin,
+  clearFailedLogins
+} = require('../services/accountLockoutService');
+const {
+  createResetToken,
+  findValidResetToken,
+  consumeResetToken
+} = require('../services/passwordResetService');
+const { sendPasswordResetLinkEmail } = require('../services/emailService');
+const {
+  getOidcProviders,
+  getOidcProvider,
+  verifyOidcIdToken,
+  getPublicProviderInfo
+} = require('../services/oidcService');
+const {
+  getPasswordPolicy,
+  checkNewPassword,
+  recordPasswordHistory,
+  enforcePasswordMaxAge
+} = require('../services/passwordPolicyService');
 const SESSION_TIMEOUT_SECONDS = Number(process.env.SESSION_TIMEOUT_SECONDS || 3600);
+// Tolerates two tabs refreshing with the same token at once without treating it as theft
+const REFRESH_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 10);
 
 const isRefreshTokenVerificationError = (error) => {
   return error?.message === 'Invalid or expired refresh token';
 };
 
-const issueSessionTokens = async (user) => {
+// Signs an access/refresh pair for a session; `jti` identifies the refresh token row
+const signSessionTokens = (user, sessionId) => {
   const payload = {
     userId: user.id,
     role: user.role,
-    department: user.department
+    department: user.department,
+    sid: sessionId
   };
+  const jti = crypto.randomUUID();
 
   const accessToken = generateAccessToken(payload);
-  const refreshToken = generateRefreshToken(payload);
+  const refreshToken = generateRefreshToken({ ...payload, jti });
 
-  const refreshTokenHash = bcrypt.hashSync(refreshToken, 10);
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + 7);
 
+  return {
+    accessToken,
+    refreshToken,
+    jti,
+    tokenHash: bcrypt.hashSync(refreshToken, 10),
+    expiresAt
+  };
+};
+
+// Starts a new device session; the session id is also the refresh token family
+const issueSessionTokens = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const { accessToken, refreshToken, jti, tokenHash, expiresAt } = signSessionTokens(user, sessionId);
+
   await insert('refresh_tokens', {
     user_id: user.id,
-    token_hash: refreshTokenHash,
-    expires_at: expiresAt
+    session_id: sessionId,
+    token_jti: jti,
+    token_hash: tokenHash,
+    expires_at: expiresAt,
+    ...getClientInfo(req),
+    last_used_at: new Date()
   });
 
   return {
@@ -38,57 +104,58 @@ const issueSessionTokens = async (user) => {
   };
 };
 
-const verifyGoogleIdToken = async (idToken) => {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 10000);
-  try {
-    const response = await fetch(
-      `https://oauth2.googleapis.com/tokeninfo?id_token=${encodeURIComponent(idToken)}`,
-      { signal: controller.signal }
-    );
-
-    if (!response.ok) {
-      return null;
-    }
-
-    const payload = await response.json();
-    if (!payload || typeof payload !== 'object') {
-      return null;
+const buildSessionUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  must_change_password: Boolean(user.must_change_password),
+  mfa_enabled: Boolean(user.mfa_enabled),
+  mfa_setup_required: isMfaSetupRequired(user)
+});
+
+// First factor passed for an MFA-enrolled account: hand back a challenge instead of tokens
+const sendMfaChallenge = (res, user, method) => {
+  return res.json({
+    success: true,
+    message: 'Multi-factor verification required',
+    data: {
+      mfa_required: true,
+      mfa_token: generateMfaChallengeToken({ userId: user.id, method })
     }
+  });
+};
 
-    const issuer = payload.iss;
-    if (issuer !== 'https://accounts.google.com' && issuer !== 'accounts.google.com') {
-      return null;
-    }
-
-    if (payload.email_verified !== 'true' && payload.email_verified !== true) {
-      return null;
-    }
-
-    const exp = Number(payload.exp || 0);
-    const now = Math.floor(Date.now() / 1000);
-    if (!exp || exp <= now) {
-      return null;
-    }
-
-    const allowedClientIds = String(process.env.GOOGLE_CLIENT_ID || '')
-      .split(',')
-      .map((v) => v.trim())
-      .filter(Boolean);
-
-    if (allowedClientIds.length === 0) {
-      return null;
+const sendAccountLocked = (res, lock) => {
+  const minutes = Math.max(1, Math.ceil(lock.retry_after_seconds / 60));
+  res.set('Retry-After', String(lock.retry_after_seconds));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Account locked after too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or contact an administrator.`,
+    data: {
+      locked_until: lock.locked_until,
+      retry_after_seconds: lock.retry_after_seconds
     }
+  });
+};
 
-    if (!allowedClientIds.includes(payload.aud)) {
-      return null;
-    }
+const sendPasswordPolicyErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    code: 'PASSWORD_POLICY',
+    message: errors[0],
+    errors
+  });
+};
 
-    return payload;
-  } catch (error) {
-    return null;
-  } finally {
-    clearTimeout(timeout);
+// An over-age password turns into a forced change at sign-in
+const applyPasswordMaxAge = async (user) => {
+  if (await enforcePasswordMaxAge(user)) {
+    await logAuditEvent(user.id, 'PASSWORD_EXPIRED', 'USER', user.id, null, {
+      password_changed_at: user.password_changed_at || null
+    });
   }
 };
 
@@ -100,7 +167,9 @@ const login = async (req, res) => {
     // Find user by email
     const user = await findOne('users', { email });
     
-    if (!user) {
+    // Service accounts authenticate with API keys only
+    if (!user || user.is_service_account) {
+      await recordUnknownAccountLogin(email, { ipAddress: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -115,18 +184,33 @@ const login = async (req, res) => {
       });
     }
 
+    const activeLock = await getActiveLock(user.id);
+    if (activeLock) {
+      return sendAccountLocked(res, activeLock);
+    }
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     
     if (!isPasswordValid) {
+      const lock = await recordFailedLogin(user, { reason: 'invalid_password', ipAddress: req.ip });
+      if (lock) {
+        return sendAccountLocked(res, lock);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (user.mfa_enabled) {
+      return sendMfaChallenge(res, user, 'password');
+    }
+
     // Generate and store tokens
-    const { accessToken, refreshToken } = await issueSessionTokens(user);
+    const { accessToken, refreshToken } = await issueSessionTokens(user, req);
+    await clearFailedLogins(user.id);
+    await applyPasswordMaxAge(user);
 
     // Log successful login
     await logAuditEvent(user.id, 'LOGIN', 'USER', user.id, null, {
@@ -141,14 +225,7 @@ const login = async (req, res) => {
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          must_change_password: Boolean(user.must_change_password)
-        },
+        user: buildSessionUser(user),
         tokens: {
           accessToken,
           refreshToken,
@@ -165,41 +242,219 @@ const login = async (req, res) => {
   }
 };
 
+// Audit action for a completed sign-in; Google keeps its own action so existing reports still match
+const getLoginAuditAction = (method) => {
+  if (method === 'google') return 'LOGIN_GOOGLE';
+  if (method && method !== 'password') return 'LOGIN_OIDC';
+  return 'LOGIN';
+};
+
+// Keeps the user's department in step with the identity provider when a department claim is mapped
+const syncDepartmentFromClaims = async (user, department, provider) => {
+  if (!department || department === user.department) {
+    return;
+  }
+
+  await update('users', { department }, { id: user.id });
+  await logAuditEvent(user.id, 'USER_UPDATE', 'USER', user.id, { department: user.department }, {
+    department,
+    source: `oidc:${provider.id}`
+  });
+  user.department = department;
+};
+
+// Single sign-on through any configured OpenID Connect provider (ID token verified locally)
+const signInWithOidcProvider = async (req, res, providerId) => {
+  const provider = getOidcProvider(providerId);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: providerId === 'google' ? 'Google sign-in is not configured' : 'Sign-in provider not found'
+    });
+  }
+
+  const { idToken, nonce } = req.body;
+
+  let identity;
+  try {
+    identity = await verifyOidcIdToken(provider, idToken, { nonce });
+  } catch (error) {
+    if (!error.reason) {
+      throw error;
+    }
+    console.warn(`OIDC token rejected for ${provider.id} (${error.reason}): ${error.message}`);
+    if (error.reason === 'domain_not_allowed') {
+      return res.status(403).json({
+        success: false,
+        message: `This email domain is not allowed for ${provider.name} sign-in`
+      });
+    }
+    return res.status(401).json({
+      success: false,
+      message: `Invalid ${provider.name} token`
+    });
+  }
+
+  const user = await findOne('users', { email: identity.email });
+
+  if (!user || user.is_service_account) {
+    await recordUnknownAccountLogin(identity.email, { ipAddress: req.ip, method: provider.id });
+    return res.status(403).json({
+      success: false,
+      message: `No OrthoFlow account found for this ${provider.name} email`
+    });
+  }
+
+  if (user.status !== 'ACTIVE') {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is inactive. Please contact administrator.'
+    });
+  }
+
+  const activeLock = await getActiveLock(user.id);
+  if (activeLock) {
+    return sendAccountLocked(res, activeLock);
+  }
+
+  await syncDepartmentFromClaims(user, identity.department, provider);
+
+  if (user.mfa_enabled) {
+    return sendMfaChallenge(res, user, provider.id);
+  }
+
+  const { accessToken, refreshToken } = await issueSessionTokens(user, req);
+  await clearFailedLogins(user.id);
+  await applyPasswordMaxAge(user);
+
+  await logAuditEvent(user.id, getLoginAuditAction(provider.id), 'USER', user.id, null, {
+    login_time: new Date(),
+    provider: provider.id,
+    subject: identity.subject,
+    ip_address: req.ip
+  });
+
+  await update('users', { last_login: new Date(), last_activity_at: new Date() }, { id: user.id });
+
+  return res.json({
+    success: true,
+    message: `${provider.name} login successful`,
+    data: {
+      user: buildSessionUser(user),
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn: '24h'
+      }
+    }
+  });
+};
+
 // Google Sign-In controller (ID token verification)
 const googleLogin = async (req, res) => {
   try {
-    const { idToken } = req.body;
+    return await signInWithOidcProvider(req, res, 'google');
+  } catch (error) {
+    console.error('Google login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Generic OIDC sign-in controller
+const oidcLogin = async (req, res) => {
+  try {
+    return await signInWithOidcProvider(req, res, req.params.provider);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign-in providers shown on the login page
+const getOidcProviderList = async (req, res) => {
+  try {
+    const providers = await Promise.all(getOidcProviders().map(getPublicProviderInfo));
+    return res.json({
+      success: true,
+      data: providers
+    });
+  } catch (error) {
+    console.error('Get OIDC providers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Second login step: exchange an MFA challenge plus TOTP or recovery code for session tokens
+const verifyMfaLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
 
-    const googlePayload = await verifyGoogleIdToken(idToken);
-    if (!googlePayload || !googlePayload.email) {
+    let challenge;
+    try {
+      challenge = verifyMfaChallengeToken(mfaToken);
+    } catch (error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid Google token'
+        code: 'MFA_CHALLENGE_EXPIRED',
+        message: 'Verification expired. Please sign in again.'
       });
     }
 
-    const email = String(googlePayload.email).toLowerCase();
-    const user = await findOne('users', { email });
-
-    if (!user) {
-      return res.status(403).json({
+    const user = await findOne('users', { id: challenge.userId, status: 'ACTIVE' });
+    if (!user || !user.mfa_enabled) {
+      return res.status(401).json({
         success: false,
-        message: 'No OrthoFlow account found for this Google email'
+        message: 'User not found or inactive'
       });
     }
 
-    if (user.status !== 'ACTIVE') {
+    // Failed second factors count toward the same lock, otherwise codes could be guessed freely
+    const activeLock = await getActiveLock(user.id);
+    if (activeLock) {
+      return sendAccountLocked(res, activeLock);
+    }
+
+    const usedRecoveryCode = Boolean(recoveryCode);
+    const isValid = usedRecoveryCode
+      ? await consumeRecoveryCode(user.id, recoveryCode)
+      : await verifyUserTotp(user, code);
+
+    if (!isValid) {
+      const lock = await recordFailedLogin(user, {
+        reason: usedRecoveryCode ? 'invalid_recovery_code' : 'invalid_mfa_code',
+        method: challenge.method,
+        ipAddress: req.ip
+      });
+      if (lock) {
+        return sendAccountLocked(res, lock);
+      }
       return res.status(401).json({
         success: false,
-        message: 'Account is inactive. Please contact administrator.'
+        message: 'Invalid verification code'
       });
     }
 
-    const { accessToken, refreshToken } = await issueSessionTokens(user);
+    const { accessToken, refreshToken } = await issueSessionTokens(user, req);
+    await clearFailedLogins(user.id);
+    await applyPasswordMaxAge(user);
 
-    await logAuditEvent(user.id, 'LOGIN_GOOGLE', 'USER', user.id, null, {
+    await logAuditEvent(user.id, usedRecoveryCode ? 'MFA_RECOVERY_CODE_USED' : 'MFA_VERIFY', 'USER', user.id, null, {
+      verified_at: new Date(),
+      ip_address: req.ip
+    });
+    await logAuditEvent(user.id, getLoginAuditAction(challenge.method), 'USER', user.id, null, {
       login_time: new Date(),
-      google_sub: googlePayload.sub || null,
+      method: challenge.method,
+      mfa: true,
       ip_address: req.ip
     });
 
@@ -207,16 +462,9 @@ const googleLogin = async (req, res) => {
 
     return res.json({
       success: true,
-      message: 'Google login successful',
+      message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          must_change_password: Boolean(user.must_change_password)
-        },
+        user: buildSessionUser(user),
         tokens: {
           accessToken,
           refreshToken,
@@ -225,7 +473,7 @@ const googleLogin = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Google login error:', error);
+    console.error('MFA verify error:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -233,6 +481,27 @@ const googleLogin = async (req, res) => {
   }
 };
 
+// Replay of a retired refresh token: end the whole family so neither holder keeps access
+const rejectRefreshTokenReuse = async (req, res, user, tokenRecord) => {
+  const revokedCount = tokenRecord.session_id
+    ? await revokeSession(user.id, tokenRecord.session_id)
+    : 0;
+
+  await logAuditEvent(user.id, 'REFRESH_TOKEN_REUSE', 'SECURITY', user.id, null, {
+    session_id: tokenRecord.session_id,
+    token_id: tokenRecord.id,
+    rotated_at: tokenRecord.rotated_at,
+    revoked_tokens: revokedCount,
+    ...getClientInfo(req)
+  });
+
+  return res.status(401).json({
+    success: false,
+    code: 'REFRESH_TOKEN_REUSED',
+    message: 'This session was ended for security reasons. Please log in again.'
+  });
+};
+
 // Refresh token controller
 const refreshToken = async (req, res) => {
   try {
@@ -281,62 +550,103 @@ const refreshToken = async (req, res) => {
       }
     }
 
-    // Check if refresh token exists and is not revoked
-    const storedTokens = await findMany('refresh_tokens', { 
-      user_id: user.id, 
-      is_revoked: false 
-    });
-
-    let validTokenFound = false;
-    for (const tokenRecord of storedTokens) {
-      if (bcrypt.compareSync(refreshToken, tokenRecord.token_hash)) {
-        validTokenFound = true;
-        
-        // Check if token is expired
-        if (new Date() > tokenRecord.expires_at) {
-          // Remove expired token
-          await remove('refresh_tokens', { id: tokenRecord.id }, false);
-          return res.status(401).json({
-            success: false,
-            message: 'Refresh token expired'
-          });
-        }
-        break;
+    // Locate the presented token by its jti. Tokens issued before rotation carry
+    // no jti and are matched against the user's active rows instead.
+    let matchedToken = null;
+    if (decoded.jti) {
+      const candidate = await findOne('refresh_tokens', { user_id: user.id, token_jti: decoded.jti });
+      if (candidate && bcrypt.compareSync(refreshToken, candidate.token_hash)) {
+        matchedToken = candidate;
       }
+    } else {
+      const storedTokens = await findMany('refresh_tokens', { 
+        user_id: user.id, 
+        is_revoked: false,
+        ...(decoded.sid ? { session_id: decoded.sid } : {})
+      });
+      matchedToken = storedTokens.find((tokenRecord) => bcrypt.compareSync(refreshToken, tokenRecord.token_hash)) || null;
     }
 
-    if (!validTokenFound) {
+    if (!matchedToken) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new tokens
-    const payload = {
-      userId: user.id,
-      role: user.role,
-      department: user.department
-    };
+    // A rotated token presented again means two parties hold the same family
+    if (matchedToken.rotated_at) {
+      const rotatedSecondsAgo = (now.getTime() - new Date(matchedToken.rotated_at).getTime()) / 1000;
+      if (rotatedSecondsAgo <= REFRESH_REUSE_GRACE_SECONDS) {
+        return res.status(401).json({
+          success: false,
+          code: 'REFRESH_TOKEN_ALREADY_ROTATED',
+          message: 'Refresh token was already used'
+        });
+      }
+      return rejectRefreshTokenReuse(req, res, user, matchedToken);
+    }
 
-    const newAccessToken = generateAccessToken(payload);
-    const newRefreshToken = generateRefreshToken(payload);
+    if (matchedToken.is_revoked) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'This session has been signed out. Please log in again.'
+      });
+    }
 
-    // Store new refresh token and revoke old ones
-    const refreshTokenHash = bcrypt.hashSync(newRefreshToken, 10);
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    if (now > new Date(matchedToken.expires_at)) {
+      await remove('refresh_tokens', { id: matchedToken.id }, false);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token expired'
+      });
+    }
 
-    // Revoke all old tokens for this user
-    await update('refresh_tokens', { is_revoked: true }, { user_id: user.id });
+    // Rotate within the family: retire the presented token and issue its successor
+    const sessionId = matchedToken.session_id || crypto.randomUUID();
+    const {
+      accessToken: newAccessToken,
+      refreshToken: newRefreshToken,
+      jti,
+      tokenHash,
+      expiresAt
+    } = signSessionTokens(user, sessionId);
+    const clientInfo = getClientInfo(req);
+
+    const rotated = await transaction(async (connection) => {
+      const [retired] = await connection.execute(
+        'UPDATE refresh_tokens SET is_revoked = TRUE, rotated_at = ? WHERE id = ? AND is_revoked = FALSE',
+        [now, matchedToken.id]
+      );
+      if (retired.affectedRows === 0) {
+        return false;
+      }
 
-    // Insert new refresh token
-    await insert('refresh_tokens', {
-      user_id: user.id,
-      token_hash: refreshTokenHash,
-      expires_at: expiresAt
+      await connection.execute(
+        `INSERT INTO refresh_tokens
+          (user_id, session_id, token_jti, token_hash, expires_at, user_agent, ip_address, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [user.id, sessionId, jti, tokenHash, expiresAt, clientInfo.user_agent, clientInfo.ip_address, now]
+      );
+
+      // Retired tokens past their expiry can no longer be replayed; drop them
+      await connection.execute(
+        'DELETE FROM refresh_tokens WHERE session_id = ? AND rotated_at IS NOT NULL AND expires_at < ?',
+        [sessionId, now]
+      );
+      return true;
     });
 
+    if (!rotated) {
+      // Another request rotated this token between our read and write
+      return res.status(401).json({
+        success: false,
+        code: 'REFRESH_TOKEN_ALREADY_ROTATED',
+        message: 'Refresh token was already used'
+      });
+    }
+
     await update('users', { last_activity_at: now }, { id: user.id });
 
     await logAuditEvent(user.id, 'TOKEN_REFRESH', 'USER', user.id, null, {
@@ -375,7 +685,9 @@ const logout = async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    if (refreshToken) {
+    if (req.user.session_id) {
+      await revokeSession(req.user.id, req.user.session_id);
+    } else if (refreshToken) {
       // Find and revoke the refresh token
       const storedTokens = await findMany('refresh_tokens', { 
         user_id: req.user.id, 
@@ -432,8 +744,16 @@ const getProfile = async (req, res) => {
         department: user.department,
         status: user.status,
         must_change_password: Boolean(user.must_change_password),
+        mfa_enabled: Boolean(user.mfa_enabled),
+        mfa_setup_required: isMfaSetupRequired(user),
         created_at: user.created_at,
-        updated_at: user.updated_at
+        updated_at: user.updated_at,
+        // An administrator viewing as this user sees the app without the user's own sign-in prompts
+        ...(req.user.impersonated_by && {
+          must_change_password: false,
+          mfa_setup_required: false,
+          impersonated_by: req.user.impersonated_by
+        })
       }
     });
   } catch (error) {
@@ -510,6 +830,11 @@ const changePassword = async (req, res) => {
       });
     }
 
+    const policyErrors = await checkNewPassword(newPassword, user);
+    if (policyErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, policyErrors);
+    }
+
     // Hash new password
     const newPasswordHash = bcrypt.hashSync(newPassword, 10);
 
@@ -519,6 +844,7 @@ const changePassword = async (req, res) => {
       must_change_password: false,
       password_changed_at: new Date()
     }, { id: req.user.id });
+    await recordPasswordHistory(req.user.id, newPasswordHash);
 
     // Revoke all refresh tokens (force re-login)
     await update('refresh_tokens', { is_revoked: true }, { user_id: req.user.id });
@@ -540,12 +866,399 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Looks up the account and sends its reset link. Runs after the reply has gone out, so neither
+// the time taken nor a failure here shows whether the email is registered
+const sendPasswordResetLink = async (email, ipAddress) => {
+  const user = await findOne('users', { email });
+  if (!user || user.status !== 'ACTIVE' || user.is_service_account) {
+    return;
+  }
+
+  const { resetUrl, expiresInMinutes } = await createResetToken(user.id, ipAddress);
+
+  sendPasswordResetLinkEmail({
+    to: user.email,
+    name: user.name,
+    resetUrl,
+    expiresInMinutes
+  }).catch((error) => {
+    console.error('Password reset email error:', error);
+  });
+
+  await logAuditEvent(user.id, 'PASSWORD_RESET_REQUEST', 'USER', user.id, null, {
+    expires_in_minutes: expiresInMinutes,
+    ip_address: ipAddress
+  });
+};
+
+// Forgot password: email a single-use reset link. The reply is the same whether or not the email is registered
+const forgotPassword = async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+
+  sendPasswordResetLink(email, req.ip).catch((error) => {
+    console.error('Forgot password error:', error);
+  });
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  });
+};
+
+// Complete a forgot-password reset with the emailed token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const invalidLinkResponse = {
+      success: false,
+      code: 'RESET_TOKEN_INVALID',
+      message: 'This reset link is invalid or has expired. Please request a new one.'
+    };
+
+    const resetToken = await findValidResetToken(token);
+    if (!resetToken) {
+      return res.status(400).json(invalidLinkResponse);
+    }
+
+    const user = await findOne('users', { id: resetToken.user_id });
+    if (!user || user.status !== 'ACTIVE') {
+      return res.status(400).json(invalidLinkResponse);
+    }
+
+    const policyErrors = await checkNewPassword(newPassword, user);
+    if (policyErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, policyErrors);
+    }
+
+    const passwordHash = bcrypt.hashSync(newPassword, 10);
+    const consumed = await consumeResetToken(resetToken.id, user.id, passwordHash);
+    if (!consumed) {
+      return res.status(400).json(invalidLinkResponse);
+    }
+
+    await logAuditEvent(user.id, 'PASSWORD_RESET_COMPLETE', 'USER', user.id, null, {
+      password_changed_at: new Date(),
+      sessions_revoked: true,
+      ip_address: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Password rules for client-side checks (public: the reset page has no session)
+const getPasswordRules = async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// List the current user's signed-in devices
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id, req.user.session_id);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out one of the current user's devices
+const deleteSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await logAuditEvent(req.user.id, 'SESSION_REVOKE', 'USER', req.user.id, null, {
+      session_id: sessionId,
+      current_session: sessionId === req.user.session_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out every device except the one making the request
+const deleteOtherSessions = async (req, res) => {
+  try {
+    if (!req.user.session_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current session cannot be identified. Please sign in again.'
+      });
+    }
+
+    const revokedCount = await revokeOtherSessions(req.user.id, req.user.session_id);
+
+    await logAuditEvent(req.user.id, 'SESSION_REVOKE_OTHERS', 'USER', req.user.id, null, {
+      kept_session_id: req.user.session_id,
+      revoked_count: revokedCount
+    });
+
+    res.json({
+      success: true,
+      message: revokedCount
+        ? `Signed out ${revokedCount} other session${revokedCount === 1 ? '' : 's'}`
+        : 'No other active sessions',
+      data: { revoked_count: revokedCount }
+    });
+  } catch (error) {
+    console.error('Delete other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get MFA status for the current user
+const getMfa = async (req, res) => {
+  try {
+    const user = await findOne('users', { id: req.user.id });
+
+    res.json({
+      success: true,
+      data: await getMfaStatus(user)
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Start TOTP enrollment: returns the secret and QR code for an authenticator app
+const setupMfa = async (req, res) => {
+  try {
+    const user = await findOne('users', { id: req.user.id });
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'MFA is already enabled. Disable it before enrolling a new authenticator.'
+      });
+    }
+
+    const enrollment = await beginEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from your authenticator app',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Confirm enrollment with a first TOTP code; returns one-time recovery codes
+const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findOne('users', { id: req.user.id });
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'MFA is already enabled'
+      });
+    }
+
+    if (!user.mfa_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start MFA setup before confirming a code'
+      });
+    }
+
+    if (!(await verifyUserTotp(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await completeEnrollment(user.id);
+
+    await logAuditEvent(user.id, 'MFA_ENROLL', 'USER', user.id, null, {
+      enrolled_at: new Date(),
+      recovery_codes_issued: recoveryCodes.length
+    });
+
+    res.json({
+      success: true,
+      message: 'MFA enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Turn MFA off (not allowed for roles where it is mandatory)
+const disableMfa = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await findOne('users', { id: req.user.id });
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    if (isMfaRequiredForRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'MFA is mandatory for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    if (!isPasswordValid || !(await verifyUserTotp(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    await clearMfa(user.id);
+
+    await logAuditEvent(user.id, 'MFA_DISABLE', 'USER', user.id, { mfa_enabled: true }, { mfa_enabled: false });
+
+    res.json({
+      success: true,
+      message: 'MFA disabled'
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Replace all recovery codes after confirming a current TOTP code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findOne('users', { id: req.user.id });
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    if (!(await verifyUserTotp(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await logAuditEvent(user.id, 'MFA_RECOVERY_CODES_REGENERATED', 'USER', user.id, null, {
+      regenerated_at: new Date(),
+      recovery_codes_issued: recoveryCodes.length
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('MFA recovery code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   login,
   googleLogin,
+  oidcLogin,
+  getOidcProviderList,
+  verifyMfaLogin,
   refreshToken,
   logout,
   getProfile,
   updateProfile,
-  changePassword
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getPasswordRules,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  getMfa,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes
 };
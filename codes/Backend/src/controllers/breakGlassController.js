@@ -0,0 +1,262 @@
+const { findOne, query } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { effectiveAssignmentCondition } = require('../services/assignmentWindowService');
+const {
+  getBreakGlassPolicy,
+  canBreakGlass,
+  findActiveGrant,
+  listActiveGrantsForUser,
+  createGrant,
+  endGrant,
+  listBreakGlassEvents,
+  countPendingReviews,
+  acknowledgeGrant,
+  notifyAdmins
+} = require('../services/breakGlassService');
+
+const findPatient = async ({ patient_id: patientId, patient_code: patientCode }) => {
+  const rows = await query(
+    `SELECT id, patient_code, first_name, last_name
+     FROM patients
+     WHERE ${patientId ? 'id = ?' : 'patient_code = ?'}
+       AND deleted_at IS NULL
+     LIMIT 1`,
+    [patientId || String(patientCode).trim()]
+  );
+  return rows[0] || null;
+};
+
+// Current grant for one patient plus the duration limits, used by the patient profile banner
+const getPatientBreakGlassStatus = async (req, res) => {
+  try {
+    const grant = await findActiveGrant(req.user.id, req.params.patientId);
+    res.json({
+      success: true,
+      data: {
+        available: canBreakGlass(req.user),
+        active_grant: grant,
+        policy: getBreakGlassPolicy()
+      }
+    });
+  } catch (error) {
+    console.error('Get break-glass status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getMyBreakGlassGrants = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        grants: await listActiveGrantsForUser(req.user.id),
+        policy: getBreakGlassPolicy()
+      }
+    });
+  } catch (error) {
+    console.error('Get break-glass grants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const requestBreakGlass = async (req, res) => {
+  try {
+    const { reason, access_level: accessLevel = 'READ', duration_minutes: durationMinutes } = req.body;
+    const policy = getBreakGlassPolicy();
+    const minutes = durationMinutes || policy.defaultMinutes;
+
+    if (minutes > policy.maxMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Emergency access can last at most ${policy.maxMinutes} minutes`
+      });
+    }
+
+    const patient = await findPatient(req.body);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const assignments = await query(
+      `SELECT id
+       FROM patient_assignments pa
+       WHERE patient_id = ?
+         AND user_id = ?
+         AND assignment_role = ?
+         AND ${effectiveAssignmentCondition('pa')}
+       LIMIT 1`,
+      [patient.id, req.user.id, req.user.role]
+    );
+    if (assignments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already assigned to this patient'
+      });
+    }
+
+    const grant = await createGrant({
+      patientId: patient.id,
+      userId: req.user.id,
+      accessLevel,
+      reason: reason.trim(),
+      minutes,
+      ipAddress: req.ip
+    });
+
+    await logAuditEvent(req.user.id, 'BREAK_GLASS_GRANT', 'PATIENT', patient.id, null, {
+      break_glass_id: grant.id,
+      access_level: accessLevel,
+      reason: grant.reason,
+      expires_at: grant.expires_at,
+      ip_address: req.ip
+    });
+
+    // Not awaited so a slow mail server does not hold up emergency care
+    notifyAdmins({ user: req.user, patient, grant });
+
+    res.status(201).json({
+      success: true,
+      message: `Emergency access granted until ${grant.expires_at}. This access is logged and will be reviewed.`,
+      data: {
+        ...grant,
+        patient
+      }
+    });
+  } catch (error) {
+    console.error('Request break-glass access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const endBreakGlass = async (req, res) => {
+  try {
+    const grant = await findOne('break_glass_access', { id: req.params.id, user_id: req.user.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency access not found'
+      });
+    }
+
+    const ended = await endGrant(grant.id, req.user.id);
+    if (ended) {
+      await logAuditEvent(req.user.id, 'BREAK_GLASS_END', 'PATIENT', grant.patient_id, null, {
+        break_glass_id: grant.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: ended ? 'Emergency access ended' : 'Emergency access had already ended'
+    });
+  } catch (error) {
+    console.error('End break-glass access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getBreakGlassReviews = async (req, res) => {
+  try {
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { events, total } = await listBreakGlassEvents({ status, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get break-glass reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getPendingBreakGlassCount = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { pending: await countPendingReviews() }
+    });
+  } catch (error) {
+    console.error('Get pending break-glass count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const acknowledgeBreakGlass = async (req, res) => {
+  try {
+    const grant = await findOne('break_glass_access', { id: req.params.id });
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency access record not found'
+      });
+    }
+
+    const note = req.body.note ? req.body.note.trim() : null;
+    const acknowledged = await acknowledgeGrant(grant.id, req.user.id, note);
+    if (!acknowledged) {
+      return res.status(409).json({
+        success: false,
+        message: 'This emergency access has already been reviewed'
+      });
+    }
+
+    await logAuditEvent(req.user.id, 'BREAK_GLASS_REVIEW', 'PATIENT', grant.patient_id, null, {
+      break_glass_id: grant.id,
+      clinician_id: grant.user_id,
+      note
+    });
+
+    res.json({
+      success: true,
+      message: 'Emergency access acknowledged'
+    });
+  } catch (error) {
+    console.error('Acknowledge break-glass access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPatientBreakGlassStatus,
+  getMyBreakGlassGrants,
+  requestBreakGlass,
+  endBreakGlass,
+  getBreakGlassReviews,
+  getPendingBreakGlassCount,
+  acknowledgeBreakGlass
+};
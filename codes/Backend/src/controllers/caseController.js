@@ -1,5 +1,6 @@
 const { findOne, insert, query, update, remove } = require('../config/database');
 const { logAuditEvent } = require('../middleware/errorHandler');
+const { effectiveAssignmentCondition } = require('../services/assignmentWindowService');
 const {
   CASE_STATUSES,
   TASK_STATUSES,
@@ -12,6 +13,7 @@ const {
   getTaskSummaryJoin,
   getCaseTasks
 } = require('../services/studentCaseService');
+const { CONSENT_TYPES, hasConsent } = require('../services/consentService');
 
 const parseRequirements = (value) => {
   if (!value) return null;
@@ -49,7 +51,7 @@ const buildScopedCaseFilter = (user) => {
       WHERE pa_student.patient_id = c.patient_id
         AND pa_student.user_id = c.student_id
         AND pa_student.assignment_role = 'STUDENT'
-        AND pa_student.active = TRUE
+        AND ${effectiveAssignmentCondition('pa_student')}
     )
   `;
 
@@ -67,7 +69,7 @@ const buildScopedCaseFilter = (user) => {
           WHERE pa.patient_id = c.patient_id
             AND pa.user_id = ?
             AND pa.assignment_role = ?
-            AND pa.active = TRUE
+            AND ${effectiveAssignmentCondition('pa')}
         )
       `,
       params: [user.id, user.id, user.role]
@@ -86,7 +88,7 @@ const buildScopedCaseFilter = (user) => {
           WHERE pa.patient_id = c.patient_id
             AND pa.user_id = ?
             AND pa.assignment_role = 'STUDENT'
-            AND pa.active = TRUE
+            AND ${effectiveAssignmentCondition('pa')}
         )
       `,
       params: [user.id, user.id]
@@ -106,7 +108,7 @@ const loadCaseOrThrow = async (req, res) => {
          WHERE pa_student.patient_id = c.patient_id
            AND pa_student.user_id = c.student_id
            AND pa_student.assignment_role = 'STUDENT'
-           AND pa_student.active = TRUE
+           AND ${effectiveAssignmentCondition('pa_student')}
        ) AS student_assignment_active,
        ${getTaskSummarySelect()}
      FROM cases c
@@ -235,7 +237,7 @@ const getCases = async (req, res) => {
            WHERE pa_student.patient_id = c.patient_id
              AND pa_student.user_id = c.student_id
              AND pa_student.assignment_role = 'STUDENT'
-             AND pa_student.active = TRUE
+             AND ${effectiveAssignmentCondition('pa_student')}
          ) AS student_assignment_active,
          ${getTaskSummarySelect()},
          p.patient_code,
@@ -412,6 +414,15 @@ const createCase = async (req, res) => {
       });
     }
 
+    if (!(await hasConsent(patient.id, CONSENT_TYPES.STUDENT_CARE))) {
+      return res.status(409).json({
+        success: false,
+        code: 'CONSENT_REQUIRED',
+        consent_type: CONSENT_TYPES.STUDENT_CARE,
+        message: 'The patient has not consented to treatment by students'
+      });
+    }
+
     const result = await ensureStudentCaseForAssignment({
       patientId: Number(req.body.patient_id),
       studentId: Number(req.body.student_id),
@@ -0,0 +1,314 @@
+const { findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  CONSENT_TYPES,
+  ADULT_AGE,
+  listCurrentTemplates,
+  listTemplateVersions,
+  getCurrentTemplate,
+  publishTemplate,
+  getConsent,
+  getPatientConsents: loadPatientConsents,
+  recordConsent,
+  withdrawConsent
+} = require('../services/consentService');
+const { getGuardian, signerRelationshipFor } = require('../services/guardianService');
+const { deleteTeachingCasesForPatient } = require('../services/teachingLibraryService');
+
+const todayDate = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const ageOn = (dateOfBirth, day) => {
+  const birth = new Date(`${String(dateOfBirth).slice(0, 10)}T00:00:00`);
+  const on = new Date(`${day}T00:00:00`);
+  let age = on.getFullYear() - birth.getFullYear();
+  if (on.getMonth() < birth.getMonth() || (on.getMonth() === birth.getMonth() && on.getDate() < birth.getDate())) {
+    age -= 1;
+  }
+  return age;
+};
+
+const formatConsentType = (consentType) => consentType.replace('_', ' ').toLowerCase();
+
+// Current wording of every consent type, shown when recording a signature
+const getConsentTemplates = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listCurrentTemplates()
+    });
+  } catch (error) {
+    console.error('Get consent templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getConsentTemplateVersions = async (req, res) => {
+  try {
+    const consentType = String(req.params.consentType || '').toUpperCase();
+    if (!CONSENT_TYPES[consentType]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent type not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await listTemplateVersions(consentType)
+    });
+  } catch (error) {
+    console.error('Get consent template versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const publishConsentTemplate = async (req, res) => {
+  try {
+    const { consent_type: consentType, title, body } = req.body;
+    const result = await publishTemplate({
+      consentType,
+      title: title.trim(),
+      body: body.trim(),
+      createdBy: req.user.id
+    });
+
+    await logAuditEvent(req.user.id, 'CONSENT_TEMPLATE_PUBLISH', 'CONSENT_TEMPLATE', result.id, null, {
+      consent_type: consentType,
+      version: result.version,
+      title: title.trim()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${result.version} of the ${formatConsentType(consentType)} consent published`,
+      data: await getCurrentTemplate(consentType)
+    });
+  } catch (error) {
+    console.error('Publish consent template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getPatientConsents = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const patient = await findOne('patients', { id: patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await loadPatientConsents(patientId)
+    });
+  } catch (error) {
+    console.error('Get patient consents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Records a signature against the current wording of the consent
+const recordPatientConsent = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const {
+      consent_type: consentType,
+      signed_at: signedAt = todayDate(),
+      guardian_id: guardianId = null
+    } = req.body;
+
+    const patient = await findOne('patients', { id: patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    // A guardian on file signs under their own name and relationship
+    const guardian = guardianId ? await getGuardian(guardianId) : null;
+    if (guardianId && (!guardian || guardian.patient_id !== Number(patientId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian not found for this patient'
+      });
+    }
+    if (guardian && !guardian.is_consent_giver) {
+      return res.status(400).json({
+        success: false,
+        message: `${guardian.full_name} is not recorded as able to give consent for this patient`
+      });
+    }
+    const relationship = guardian
+      ? signerRelationshipFor(guardian.relationship)
+      : req.body.signed_by_relationship || 'SELF';
+
+    if (signedAt > todayDate()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The signature date cannot be in the future'
+      });
+    }
+
+    if (relationship === 'SELF' && patient.date_of_birth && ageOn(patient.date_of_birth, signedAt) < ADULT_AGE) {
+      return res.status(400).json({
+        success: false,
+        message: `The patient was under ${ADULT_AGE} on ${signedAt}; a parent or guardian must sign`
+      });
+    }
+
+    let signedByName = (req.body.signed_by_name || '').trim();
+    if (guardian) {
+      signedByName = guardian.full_name;
+    } else if (relationship === 'SELF') {
+      signedByName = signedByName || `${patient.first_name} ${patient.last_name}`.trim();
+    }
+    if (!signedByName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter the name of the person who signed on the patient\'s behalf'
+      });
+    }
+
+    const template = await getCurrentTemplate(consentType);
+    const { summary } = await loadPatientConsents(patientId);
+    const current = summary.find((entry) => entry.consent_type === consentType);
+    if (current && current.status === 'SIGNED' && !current.outdated) {
+      return res.status(409).json({
+        success: false,
+        code: 'CONSENT_ALREADY_SIGNED',
+        message: `The patient has already signed the current ${formatConsentType(consentType)} consent`
+      });
+    }
+
+    const consentId = await recordConsent({
+      patientId: Number(patientId),
+      consentType,
+      template,
+      signedAt,
+      signedByName,
+      signedByRelationship: relationship,
+      guardianId: guardian ? guardian.id : null,
+      recordedBy: req.user.id
+    });
+
+    await logAuditEvent(req.user.id, 'CONSENT_SIGN', 'PATIENT_CONSENT', consentId,
+      current?.consent ? { status: current.status, template_version: current.consent.template_version } : null,
+      {
+        patient_id: Number(patientId),
+        consent_type: consentType,
+        template_version: template.version,
+        signed_at: signedAt,
+        signed_by_name: signedByName,
+        signed_by_relationship: relationship,
+        guardian_id: guardian ? guardian.id : null
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent recorded',
+      data: await getConsent(consentId)
+    });
+  } catch (error) {
+    console.error('Record patient consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const withdrawPatientConsent = async (req, res) => {
+  try {
+    const consent = await getConsent(req.params.id);
+    if (!consent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent not found'
+      });
+    }
+    if (consent.status !== 'SIGNED') {
+      return res.status(400).json({
+        success: false,
+        message: 'This consent has already been withdrawn'
+      });
+    }
+
+    const withdrawnAt = req.body.withdrawn_at || todayDate();
+    const signedOn = String(consent.signed_at).slice(0, 10);
+    if (withdrawnAt > todayDate() || withdrawnAt < signedOn) {
+      return res.status(400).json({
+        success: false,
+        message: `The withdrawal date must be between ${signedOn} and today`
+      });
+    }
+
+    const reason = req.body.reason ? req.body.reason.trim() : null;
+    await withdrawConsent({ id: consent.id, withdrawnAt, reason, recordedBy: req.user.id });
+
+    await logAuditEvent(req.user.id, 'CONSENT_WITHDRAW', 'PATIENT_CONSENT', consent.id,
+      { status: 'SIGNED' },
+      {
+        status: 'WITHDRAWN',
+        patient_id: consent.patient_id,
+        consent_type: consent.consent_type,
+        withdrawn_at: withdrawnAt,
+        reason
+      }
+    );
+
+    // Teaching cases made from the patient leave the library with the consent
+    let removedTeachingCases = [];
+    if (consent.consent_type === CONSENT_TYPES.TEACHING) {
+      removedTeachingCases = await deleteTeachingCasesForPatient(consent.patient_id);
+      for (const teachingCaseId of removedTeachingCases) {
+        await logAuditEvent(req.user.id, 'TEACHING_CASE_DELETE', 'TEACHING_CASE', teachingCaseId, null, {
+          reason: 'Teaching consent withdrawn',
+          patient_consent_id: consent.id
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: removedTeachingCases.length
+        ? `Consent withdrawn; ${removedTeachingCases.length} teaching case(s) removed from the library`
+        : 'Consent withdrawn',
+      data: await getConsent(consent.id)
+    });
+  } catch (error) {
+    console.error('Withdraw patient consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getConsentTemplates,
+  getConsentTemplateVersions,
+  publishConsentTemplate,
+  getPatientConsents,
+  recordPatientConsent,
+  withdrawPatientConsent
+};
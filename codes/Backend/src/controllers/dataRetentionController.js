@@ -0,0 +1,229 @@
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  RECORD_TYPES,
+  OPEN_STATUSES,
+  getRetentionPolicies: loadRetentionPolicies,
+  saveRetentionPolicies,
+  listDueRecords,
+  listPurges,
+  getPurge,
+  requestPurge,
+  approvePurge,
+  rejectPurge
+} = require('../services/dataRetentionService');
+
+const AUDIT_ENTITY_TYPES = {
+  [RECORD_TYPES.INACTIVE_PATIENT]: 'PATIENT',
+  [RECORD_TYPES.TRASHED_DOCUMENT]: 'MEDICAL_DOCUMENT'
+};
+
+const getRetentionPolicies = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await loadRetentionPolicies()
+    });
+  } catch (error) {
+    console.error('Get retention policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const updateRetentionPolicies = async (req, res) => {
+  try {
+    const previous = await loadRetentionPolicies();
+    const policies = await saveRetentionPolicies(req.body.policies, req.user.id);
+
+    await logAuditEvent(req.user.id, 'RETENTION_POLICY_UPDATE', 'SYSTEM_SETTINGS', null, { policies: previous }, { policies });
+
+    res.json({
+      success: true,
+      message: 'Retention policies updated',
+      data: policies
+    });
+  } catch (error) {
+    console.error('Update retention policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Records past their retention period, for review before anyone asks to purge them
+const getDueRecords = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listDueRecords()
+    });
+  } catch (error) {
+    console.error('Get records due for purge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getRetentionPurges = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listPurges({ status: req.query.status })
+    });
+  } catch (error) {
+    console.error('Get retention purges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// First administrator: asks for a due record to be purged
+const requestRetentionPurge = async (req, res) => {
+  try {
+    const { record_type: recordType, record_id: recordId, reason } = req.body;
+    const result = await requestPurge({
+      recordType,
+      recordId,
+      reason: reason || null,
+      requestedBy: req.user.id
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const purge = await getPurge(result.id);
+    await logAuditEvent(req.user.id, 'RETENTION_PURGE_REQUEST', AUDIT_ENTITY_TYPES[recordType], recordId, null, {
+      purge_id: purge.id,
+      record_type: recordType,
+      patient_code: purge.patient_code,
+      due_on: purge.due_on,
+      reason: purge.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Purge requested; another administrator must approve it',
+      data: purge
+    });
+  } catch (error) {
+    console.error('Request retention purge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Checks shared by approval and rejection; returns the purge or sends the error response
+const findOpenPurge = async (req, res) => {
+  const purge = await getPurge(req.params.id);
+  if (!purge) {
+    res.status(404).json({
+      success: false,
+      message: 'Purge request not found'
+    });
+    return null;
+  }
+  if (!OPEN_STATUSES.includes(purge.status)) {
+    res.status(409).json({
+      success: false,
+      message: 'This purge has already been handled'
+    });
+    return null;
+  }
+  return purge;
+};
+
+// Second administrator: approves, and the record is deleted for good
+const approveRetentionPurge = async (req, res) => {
+  try {
+    const purge = await findOpenPurge(req, res);
+    if (!purge) return;
+    if (purge.requested_by === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'A different administrator must approve this purge'
+      });
+    }
+
+    const note = req.body.note || null;
+    const result = await approvePurge({ purge, approvedBy: req.user.id, note });
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // The tombstone: what was purged and on whose authority, without any patient details
+    await logAuditEvent(req.user.id, 'RETENTION_PURGE', AUDIT_ENTITY_TYPES[purge.record_type], purge.record_id, {
+      purge_id: purge.id,
+      record_type: purge.record_type,
+      patient_code: purge.patient_code,
+      due_on: purge.due_on,
+      requested_by: purge.requested_by,
+      approved_by: req.user.id,
+      ...result.summary
+    }, null);
+
+    res.json({
+      success: true,
+      message: 'Record purged',
+      data: await getPurge(purge.id)
+    });
+  } catch (error) {
+    console.error('Approve retention purge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'The purge failed and can be approved again once the problem is fixed'
+    });
+  }
+};
+
+const rejectRetentionPurge = async (req, res) => {
+  try {
+    const purge = await findOpenPurge(req, res);
+    if (!purge) return;
+
+    await rejectPurge({ purge, rejectedBy: req.user.id, note: req.body.note });
+    await logAuditEvent(req.user.id, 'RETENTION_PURGE_REJECT', AUDIT_ENTITY_TYPES[purge.record_type], purge.record_id, {
+      purge_id: purge.id,
+      status: purge.status
+    }, {
+      status: 'REJECTED',
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Purge request rejected',
+      data: await getPurge(purge.id)
+    });
+  } catch (error) {
+    console.error('Reject retention purge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRetentionPolicies,
+  updateRetentionPolicies,
+  getDueRecords,
+  getRetentionPurges,
+  requestRetentionPurge,
+  approveRetentionPurge,
+  rejectRetentionPurge
+};
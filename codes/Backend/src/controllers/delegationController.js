@@ -0,0 +1,268 @@
+const { findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  toWindowStart,
+  toWindowEnd,
+  getWindowError
+} = require('../services/assignmentWindowService');
+const {
+  DELEGATING_ROLES,
+  listDelegatorPatients,
+  listDelegateCandidates,
+  listDelegatingClinicians,
+  findOverlappingDelegation,
+  createDelegation: saveDelegation,
+  listDelegations,
+  getDelegation,
+  cancelDelegation: endDelegation
+} = require('../services/delegationService');
+
+const todayDate = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const findActiveClinician = async (id) => {
+  const user = await findOne('users', { id, status: 'ACTIVE' });
+  return user && DELEGATING_ROLES.has(user.role) && !user.is_service_account ? user : null;
+};
+
+// Clinicians delegate their own caseload; administrators pick whose caseload to delegate
+const resolveDelegator = async (req, delegatorId) => {
+  if (req.user.role !== 'ADMIN') {
+    return DELEGATING_ROLES.has(req.user.role) ? req.user : null;
+  }
+  return delegatorId ? findActiveClinician(delegatorId) : null;
+};
+
+const canManageDelegation = (user, delegation) => (
+  user.role === 'ADMIN'
+  || Number(delegation.delegator_id) === Number(user.id)
+  || Number(delegation.created_by) === Number(user.id)
+);
+
+// Colleagues and patients to choose from on the delegation form
+const getDelegationOptions = async (req, res) => {
+  try {
+    const delegator = await resolveDelegator(req, req.query.delegator_id);
+    res.json({
+      success: true,
+      data: {
+        clinicians: req.user.role === 'ADMIN' ? await listDelegatingClinicians() : [],
+        delegates: delegator ? await listDelegateCandidates(delegator) : [],
+        patients: delegator ? await listDelegatorPatients(delegator.id, delegator.role) : []
+      }
+    });
+  } catch (error) {
+    console.error('Get delegation options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getDelegations = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listDelegations(req.user)
+    });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getDelegationById = async (req, res) => {
+  try {
+    const delegation = await getDelegation(req.params.id);
+    const involved = delegation && (
+      canManageDelegation(req.user, delegation) || Number(delegation.delegate_id) === Number(req.user.id)
+    );
+    if (!involved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delegation
+    });
+  } catch (error) {
+    console.error('Get delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const createDelegation = async (req, res) => {
+  try {
+    const {
+      delegator_id: delegatorId,
+      delegate_id: delegateId,
+      starts_at: startDate = todayDate(),
+      ends_at: endDate,
+      patient_ids: patientIds,
+      reason
+    } = req.body;
+
+    const delegator = await resolveDelegator(req, delegatorId);
+    if (!delegator) {
+      return res.status(400).json({
+        success: false,
+        message: req.user.role === 'ADMIN'
+          ? 'Choose an active orthodontist or dental surgeon whose patients are delegated'
+          : 'Only orthodontists and dental surgeons can delegate their patients'
+      });
+    }
+
+    const delegate = await findOne('users', { id: delegateId, status: 'ACTIVE' });
+    if (!delegate || delegate.is_service_account || Number(delegate.id) === Number(delegator.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose an active colleague other than the clinician going on leave'
+      });
+    }
+    if (delegate.role !== delegator.role) {
+      return res.status(400).json({
+        success: false,
+        message: `Patients can only be delegated to another ${delegator.role.replace('_', ' ').toLowerCase()}`
+      });
+    }
+
+    const windowError = getWindowError(startDate, endDate);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError
+      });
+    }
+    const startsAt = toWindowStart(startDate);
+    const endsAt = toWindowEnd(endDate);
+
+    const overlapping = await findOverlappingDelegation(delegator.id, startsAt, endsAt);
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        code: 'DELEGATION_OVERLAP',
+        message: `${delegator.name} already has a delegation from ${overlapping.starts_at.slice(0, 10)} to ${overlapping.ends_at.slice(0, 10)}. Cancel it first or choose other dates.`
+      });
+    }
+
+    const assignedPatients = await listDelegatorPatients(delegator.id, delegator.role);
+    const allPatients = !Array.isArray(patientIds);
+    let patients = assignedPatients;
+    if (!allPatients) {
+      const requested = new Set(patientIds.map(Number));
+      patients = assignedPatients.filter((patient) => requested.has(Number(patient.id)));
+      if (patients.length !== requested.size) {
+        return res.status(400).json({
+          success: false,
+          message: `Only patients currently assigned to ${delegator.name} can be delegated`
+        });
+      }
+    }
+    if (patients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${delegator.name} has no assigned patients to delegate`
+      });
+    }
+
+    const result = await saveDelegation({
+      delegator,
+      delegate,
+      startsAt,
+      endsAt,
+      patients,
+      allPatients,
+      reason: reason ? reason.trim() : null,
+      createdBy: req.user.id
+    });
+
+    await logAuditEvent(req.user.id, 'DELEGATION_CREATE', 'CASELOAD_DELEGATION', result.id, null, {
+      delegator_id: delegator.id,
+      delegate_id: delegate.id,
+      assignment_role: delegator.role,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      all_patients: allPatients,
+      patient_ids: patients.map((patient) => patient.id),
+      assigned_patient_ids: result.assigned,
+      extended_patient_ids: result.extended,
+      already_assigned_patient_ids: result.alreadyAssigned,
+      reason: reason ? reason.trim() : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${patients.length} patient${patients.length === 1 ? '' : 's'} delegated to ${delegate.name} until ${endDate}`,
+      data: await getDelegation(result.id)
+    });
+  } catch (error) {
+    console.error('Create delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const cancelDelegation = async (req, res) => {
+  try {
+    const delegation = await getDelegation(req.params.id);
+    if (!delegation || !canManageDelegation(req.user, delegation)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+    if (!['SCHEDULED', 'ACTIVE'].includes(delegation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This delegation has already ${delegation.status === 'CANCELLED' ? 'been cancelled' : 'ended'}`
+      });
+    }
+
+    const { removed, restored } = await endDelegation(delegation, req.user.id);
+
+    await logAuditEvent(req.user.id, 'DELEGATION_CANCEL', 'CASELOAD_DELEGATION', delegation.id,
+      { status: delegation.status },
+      {
+        status: 'CANCELLED',
+        delegator_id: delegation.delegator_id,
+        delegate_id: delegation.delegate_id,
+        removed_assignment_ids: removed.map((row) => row.id),
+        restored_assignment_ids: restored.map((row) => row.id)
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `Delegation to ${delegation.delegate_name} cancelled`,
+      data: await getDelegation(delegation.id)
+    });
+  } catch (error) {
+    console.error('Cancel delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getDelegationOptions,
+  getDelegations,
+  getDelegationById,
+  createDelegation,
+  cancelDelegation
+};
@@ -16,6 +16,7 @@ const {
   deleteStoredObject,
   cleanupLocalFile
 } = require('../services/fileStorageService');
+const { CONSENT_TYPES, hasConsent } = require('../services/consentService');
 
 // Get documents for a patient
 const getPatientDocuments = async (req, res) => {
@@ -139,6 +140,16 @@ const uploadDocument = async (req, res) => {
       });
     }
 
+    if (type === 'PHOTO' && !(await hasConsent(patientId, CONSENT_TYPES.PHOTOGRAPHY))) {
+      await cleanupLocalFile(req.file.path);
+      return res.status(409).json({
+        success: false,
+        code: 'CONSENT_REQUIRED',
+        consent_type: CONSENT_TYPES.PHOTOGRAPHY,
+        message: 'The patient has not consented to clinical photography. Record the consent before uploading photos.'
+      });
+    }
+
     // Prepare document data
     const fileInfo = getFileInfo(req.file);
     if (isObjectStorageEnabled()) {
@@ -327,6 +338,17 @@ const updateDocument = async (req, res) => {
       });
     }
 
+    // Retyping a document as a photo needs the same consent as uploading one
+    if (type === 'PHOTO' && existingDocument.type !== 'PHOTO'
+      && !(await hasConsent(existingDocument.patient_id, CONSENT_TYPES.PHOTOGRAPHY))) {
+      return res.status(409).json({
+        success: false,
+        code: 'CONSENT_REQUIRED',
+        consent_type: CONSENT_TYPES.PHOTOGRAPHY,
+        message: 'The patient has not consented to clinical photography. Record the consent before filing documents as photos.'
+      });
+    }
+
     const updateData = {};
     if (type) updateData.type = type;
     if (description !== undefined) updateData.description = description;
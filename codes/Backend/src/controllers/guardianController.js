@@ -0,0 +1,140 @@
+const { findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { OBJECT_TYPES } = require('../middleware/accessControl');
+const { redactRows } = require('../services/fieldRedactionService');
+const {
+  GUARDIAN_FIELD_ALIASES,
+  listGuardians,
+  getGuardian,
+  createGuardian,
+  updateGuardian,
+  deleteGuardian
+} = require('../services/guardianService');
+
+const getPatientGuardians = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const patient = await findOne('patients', { id: patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const guardians = await listGuardians(patientId);
+    res.json({
+      success: true,
+      data: redactRows(guardians, req.user.role, OBJECT_TYPES.PATIENT_GENERAL, GUARDIAN_FIELD_ALIASES)
+    });
+  } catch (error) {
+    console.error('Get patient guardians error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const addPatientGuardian = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const patient = await findOne('patients', { id: patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const guardianId = await createGuardian({
+      patientId: Number(patientId),
+      fields: req.body,
+      createdBy: req.user.id
+    });
+    const guardian = await getGuardian(guardianId);
+
+    await logAuditEvent(req.user.id, 'CREATE', 'PATIENT_GUARDIAN', guardianId, null, {
+      patient_id: Number(patientId),
+      full_name: guardian.full_name,
+      relationship: guardian.relationship,
+      is_consent_giver: guardian.is_consent_giver,
+      is_responsible: guardian.is_responsible
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Guardian added',
+      data: guardian
+    });
+  } catch (error) {
+    console.error('Add patient guardian error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const updatePatientGuardian = async (req, res) => {
+  try {
+    const guardian = await getGuardian(req.params.id);
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian not found'
+      });
+    }
+
+    await updateGuardian({ guardian, fields: req.body, updatedBy: req.user.id });
+    const updated = await getGuardian(guardian.id);
+
+    await logAuditEvent(req.user.id, 'UPDATE', 'PATIENT_GUARDIAN', guardian.id, guardian, req.body);
+
+    res.json({
+      success: true,
+      message: 'Guardian updated',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update patient guardian error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Consents the guardian signed keep the signer's name after the guardian is removed
+const removePatientGuardian = async (req, res) => {
+  try {
+    const guardian = await getGuardian(req.params.id);
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian not found'
+      });
+    }
+
+    await deleteGuardian(guardian.id);
+    await logAuditEvent(req.user.id, 'DELETE', 'PATIENT_GUARDIAN', guardian.id, guardian, null);
+
+    res.json({
+      success: true,
+      message: 'Guardian removed'
+    });
+  } catch (error) {
+    console.error('Remove patient guardian error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPatientGuardians,
+  addPatientGuardian,
+  updatePatientGuardian,
+  removePatientGuardian
+};
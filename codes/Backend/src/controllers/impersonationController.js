@@ -0,0 +1,104 @@
+const { findOne } = require('../config/database');
+const { generateImpersonationToken } = require('../config/auth');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  getImpersonationBlocker,
+  startImpersonation,
+  endImpersonation
+} = require('../services/impersonationService');
+
+// Start a read-only "view as user" session. The returned token is sent alongside the
+// administrator's own access token in the X-Impersonate-Token header.
+const startImpersonationSession = async (req, res) => {
+  try {
+    const { user_id: targetUserId, reason } = req.body;
+    const target = await findOne('users', { id: targetUserId });
+
+    const blocker = getImpersonationBlocker(req.user, target);
+    if (blocker) {
+      return res.status(target ? 400 : 404).json({
+        success: false,
+        message: target ? blocker : 'User not found'
+      });
+    }
+
+    const { session, minutes } = await startImpersonation({
+      adminId: req.user.id,
+      targetUserId: target.id,
+      reason: reason.trim(),
+      ipAddress: req.ip
+    });
+
+    const token = generateImpersonationToken({
+      impersonationId: session.id,
+      adminId: req.user.id,
+      userId: target.id
+    }, minutes);
+
+    await logAuditEvent(req.user.id, 'IMPERSONATION_START', 'USER', target.id, null, {
+      impersonation_id: session.id,
+      target_role: target.role,
+      reason: session.reason,
+      expires_at: session.expires_at,
+      ip_address: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${target.name} (read-only) for ${minutes} minutes`,
+      data: {
+        token,
+        session: {
+          id: session.id,
+          expires_at: session.expires_at
+        },
+        user: {
+          id: target.id,
+          name: target.name,
+          role: target.role
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const endImpersonationSession = async (req, res) => {
+  try {
+    const session = await findOne('impersonation_sessions', { id: req.params.id, admin_id: req.user.id });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'View-as-user session not found'
+      });
+    }
+
+    const ended = await endImpersonation(session.id, req.user.id);
+    if (ended) {
+      await logAuditEvent(req.user.id, 'IMPERSONATION_END', 'USER', session.target_user_id, null, {
+        impersonation_id: session.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: ended ? 'Stopped viewing as user' : 'View-as-user session had already ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  startImpersonationSession,
+  endImpersonationSession
+};
@@ -6,8 +6,51 @@ const {
   query
 } = require('../config/database');
 const { logAuditEvent } = require('../middleware/errorHandler');
-const { hasPermission, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+const { userHasPermission, hasInstanceAccess, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
 const { ensureStudentCaseForAssignment } = require('../services/studentCaseService');
+const {
+  effectiveAssignmentCondition,
+  toWindowStart,
+  toWindowEnd,
+  getWindowError,
+  listUpcomingExpiries,
+  EXPIRY_WARNING_DAYS
+} = require('../services/assignmentWindowService');
+const { delegatedRequestCondition } = require('../services/delegationService');
+const { CONSENT_TYPES, hasConsent } = require('../services/consentService');
+const {
+  getRedactedFields,
+  redactRecord,
+  redactRows
+} = require('../services/fieldRedactionService');
+const { findPossibleDuplicates } = require('../services/patientDuplicateService');
+const { GUARDIAN_FIELD_ALIASES, listGuardians } = require('../services/guardianService');
+const {
+  checkStatusTransition,
+  allowedTransitionsFor,
+  recordStatusChange,
+  recordInitialStatus,
+  getStatusTimeline
+} = require('../services/patientStatusService');
+const { syncFromConsultantDecision } = require('../services/waitingListService');
+const {
+  parseForm,
+  keepConsultantOnlyKeys,
+  getCurrentHistoryForm,
+  saveHistoryRevision,
+  diffHistoryForms,
+  listHistoryRevisions,
+  getHistoryRevision,
+  getLatestRevisionNumber
+} = require('../services/patientHistoryService');
+const { TIMELINE_TYPES, getReadableTimelineTypes, listTimelineItems } = require('../services/patientTimelineService');
+const {
+  generatePatientCode,
+  dateOfBirthFromAge,
+  normalizeRegistrationDateTime,
+  normalizeDateOnlyInput,
+  preparePatientFields
+} = require('../utils/patientFields');
 
 const ASSIGNMENT_SCOPED_ROLES = new Set(['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT']);
 const APPROVAL_REQUIRED_ASSIGNMENT_ROLES = new Set(['ORTHODONTIST', 'DENTAL_SURGEON']);
@@ -25,7 +68,7 @@ const buildPatientAssignmentScope = (user, alias = 'p') => {
         WHERE pa_scope.patient_id = ${alias}.id
           AND pa_scope.user_id = ?
           AND pa_scope.assignment_role = ?
-          AND pa_scope.active = TRUE
+          AND ${effectiveAssignmentCondition('pa_scope')}
       )
     `,
     params: [user.id, user.role]
@@ -42,6 +85,31 @@ const SORT_FIELD_MAP = {
   status: 'p.status'
 };
 
+// The history form shows the patient's contact details under its own field names
+const HISTORY_FIELD_ALIASES = { telephone: 'phone' };
+
+// Changing any of these re-runs the duplicate check on update
+const DUPLICATE_CHECK_FIELDS = ['first_name', 'last_name', 'date_of_birth', 'phone', 'email'];
+
+const changesDuplicateCheckFields = (existing, updates) => DUPLICATE_CHECK_FIELDS.some((field) => {
+  if (updates[field] === undefined) return false;
+  const current = String(existing[field] || '');
+  return String(updates[field] || '').trim().toLowerCase()
+    !== (field === 'date_of_birth' ? current.slice(0, 10) : current).trim().toLowerCase();
+});
+
+// The client warns with the candidates and may save again with confirm_not_duplicate
+const possibleDuplicateResponse = (res, duplicates, role) => res.status(409).json({
+  success: false,
+  code: 'POSSIBLE_DUPLICATE',
+  message: duplicates.length === 1
+    ? `This patient may already be registered as ${duplicates[0].patient_code}`
+    : `This patient may already be registered; ${duplicates.length} similar records found`,
+  data: {
+    candidates: redactRows(duplicates, role)
+  }
+});
+
 const SRI_LANKA_TIME_ZONE = 'Asia/Colombo';
 
 const parseDateTimeForSriLanka = (value) => {
@@ -93,73 +161,6 @@ const formatDentalChartEntryAnnotatedAt = (row) => {
   return '-';
 };
 
-// Generate unique patient code
-const generatePatientCode = async () => {
-  const prefix = 'P';
-  const timestamp = Date.now().toString().slice(-6);
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `${prefix}-${timestamp}-${random}`;
-};
-
-const dateOfBirthFromAge = (ageValue) => {
-  const age = Number(ageValue);
-  if (!Number.isFinite(age) || age < 0) return null;
-  const dob = new Date();
-  dob.setFullYear(dob.getFullYear() - Math.floor(age));
-  return dob.toISOString().slice(0, 10);
-};
-
-const normalizeRegistrationDateTime = (value) => {
-  if (value === undefined || value === null) return null;
-  const raw = String(value).trim();
-  if (!raw) return null;
-
-  const direct = raw.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
-  if (direct) {
-    const [, datePart, hh, mm, ss] = direct;
-    return `${datePart} ${hh}:${mm}:${ss || '00'}`;
-  }
-
-  const dateOnly = raw.match(/^(\d{4}-\d{2}-\d{2})$/);
-  if (dateOnly) {
-    return `${dateOnly[1]} 00:00:00`;
-  }
-
-  const slashDateOnly = raw.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-  if (slashDateOnly) {
-    const [, day, month, year] = slashDateOnly;
-    return `${year}-${month}-${day} 00:00:00`;
-  }
-
-  const parsed = new Date(raw);
-  if (Number.isNaN(parsed.getTime())) return null;
-  const year = parsed.getFullYear();
-  const month = String(parsed.getMonth() + 1).padStart(2, '0');
-  const day = String(parsed.getDate()).padStart(2, '0');
-  const hour = String(parsed.getHours()).padStart(2, '0');
-  const minute = String(parsed.getMinutes()).padStart(2, '0');
-  const second = String(parsed.getSeconds()).padStart(2, '0');
-  return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
-};
-
-const normalizeDateOnlyInput = (value) => {
-  if (value === undefined || value === null) return null;
-  const raw = String(value).trim();
-  if (!raw) return null;
-
-  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
-    return raw;
-  }
-
-  const slash = raw.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-  if (slash) {
-    const [, day, month, year] = slash;
-    return `${year}-${month}-${day}`;
-  }
-
-  return null;
-};
-
 const normalizeDentalChartVersionRow = (row) => {
   if (!row) return null;
   let snapshotData = [];
@@ -186,11 +187,11 @@ const normalizeDentalChartVersionRow = (row) => {
 const ensureAssignedOrthodontist = async (patientId, userId) => {
   const rows = await query(
     `SELECT id
-     FROM patient_assignments
+     FROM patient_assignments pa
      WHERE patient_id = ?
        AND user_id = ?
        AND assignment_role = 'ORTHODONTIST'
-       AND active = TRUE
+       AND ${effectiveAssignmentCondition('pa')}
      LIMIT 1`,
     [patientId, userId]
   );
@@ -543,7 +544,15 @@ const stringifyRecordValue = (value) => {
   return normalized || 'N/A';
 };
 
-const buildPatientRecordExportPdf = ({ patient, history, dentalVersions, diagnosisNotes, treatmentNotes }) => {
+const describeGuardianRoles = (guardian) => {
+  const roles = [
+    guardian.is_responsible ? 'responsible guardian' : null,
+    guardian.is_consent_giver ? 'gives consent' : null
+  ].filter(Boolean);
+  return roles.length ? ` - ${roles.join(', ')}` : '';
+};
+
+const buildPatientRecordExportPdf = ({ patient, history, guardians, dentalVersions, diagnosisNotes, treatmentNotes }) => {
   const patientName = `${patient.first_name || ''} ${patient.last_name || ''}`.trim() || 'Unknown';
   const lines = [];
   lines.push('Orthodontics Workflow System - Patient Record Export');
@@ -561,7 +570,20 @@ const buildPatientRecordExportPdf = ({ patient, history, dentalVersions, diagnos
     lines.push(`${humanizeKey(key)}: ${stringifyRecordValue(value)}`);
   });
   lines.push('');
-  lines.push('2. All Dental Chart Versions');
+  lines.push('2. Parents and Guardians');
+  lines.push('----------------------------------------------------------------------------------------------------');
+  if (!guardians.length) {
+    lines.push('No parents or guardians recorded.');
+  } else {
+    guardians.forEach((guardian, index) => {
+      lines.push(`${index + 1}. ${guardian.full_name || '[restricted]'} (${humanizeKey(String(guardian.relationship).toLowerCase())})${describeGuardianRoles(guardian)}`);
+      lines.push(`   Phone: ${stringifyRecordValue(guardian.phone)} | Email: ${stringifyRecordValue(guardian.email)}`);
+      lines.push(`   Address: ${stringifyRecordValue(guardian.address)}`);
+      lines.push(`   Preferred Contact: ${humanizeKey(String(guardian.communication_preference).toLowerCase())}`);
+    });
+  }
+  lines.push('');
+  lines.push('3. All Dental Chart Versions');
   lines.push('----------------------------------------------------------------------------------------------------');
   if (!dentalVersions.length) {
     lines.push('No dental chart versions available.');
@@ -591,7 +613,7 @@ const buildPatientRecordExportPdf = ({ patient, history, dentalVersions, diagnos
       lines.push('');
     });
   }
-  lines.push('3. Diagnosis Details');
+  lines.push('4. Diagnosis Details');
   lines.push('----------------------------------------------------------------------------------------------------');
   if (!diagnosisNotes.length) {
     lines.push('No diagnosis details recorded.');
@@ -604,7 +626,7 @@ const buildPatientRecordExportPdf = ({ patient, history, dentalVersions, diagnos
       lines.push('');
     });
   }
-  lines.push('4. Treatment Plans and Notes');
+  lines.push('5. Treatment Plans and Notes');
   lines.push('----------------------------------------------------------------------------------------------------');
   if (!treatmentNotes.length) {
     lines.push('No treatment plans or notes recorded.');
@@ -627,7 +649,7 @@ const buildPatientRecordExportPdf = ({ patient, history, dentalVersions, diagnos
   return buildPdfFromLines(wrapped);
 };
 
-const buildPatientRecordExportHtml = ({ patient, history, dentalVersions, diagnosisNotes, treatmentNotes }) => {
+const buildPatientRecordExportHtml = ({ patient, history, guardians, dentalVersions, diagnosisNotes, treatmentNotes }) => {
   const patientName = `${patient.first_name || ''} ${patient.last_name || ''}`.trim() || 'Unknown';
   const historyEntries = Object.entries({ ...(history.auto || {}), ...(history.history || {}) });
 
@@ -640,6 +662,18 @@ const buildPatientRecordExportHtml = ({ patient, history, dentalVersions, diagno
       `).join('')
     : '<p class="empty">No patient history recorded.</p>';
 
+  const guardianCards = guardians.length
+    ? guardians.map((guardian) => `
+        <div class="history-card">
+          <div class="history-label">${escapeHtml(humanizeKey(String(guardian.relationship).toLowerCase()))}${escapeHtml(describeGuardianRoles(guardian))}</div>
+          <div class="history-value">${escapeHtml(guardian.full_name || '[restricted]')}</div>
+          <div class="note-meta">Phone: ${escapeHtml(stringifyRecordValue(guardian.phone))} · Email: ${escapeHtml(stringifyRecordValue(guardian.email))}</div>
+          <div class="note-meta">Address: ${escapeHtml(stringifyRecordValue(guardian.address))}</div>
+          <div class="note-meta">Preferred contact: ${escapeHtml(humanizeKey(String(guardian.communication_preference).toLowerCase()))}</div>
+        </div>
+      `).join('')
+    : '<p class="empty">No parents or guardians recorded.</p>';
+
   const dentalSections = dentalVersions.length
     ? dentalVersions.map((version, versionIndex) => {
       const entries = Array.isArray(version.snapshot_data)
@@ -753,7 +787,7 @@ const buildPatientRecordExportHtml = ({ patient, history, dentalVersions, diagno
       <h1>Patient Record Export</h1>
       <p>Patient: ${escapeHtml(patientName)} (${escapeHtml(patient.patient_code || 'N/A')})</p>
       <p>Exported At: ${escapeHtml(formatDateTime(new Date().toISOString()))}</p>
-      <p>Includes latest patient history, all dental chart versions, diagnosis details, and treatment plans and notes.</p>
+      <p>Includes latest patient history, parents and guardians, all dental chart versions, diagnosis details, and treatment plans and notes.</p>
     </section>
 
     <section class="section">
@@ -766,7 +800,15 @@ const buildPatientRecordExportHtml = ({ patient, history, dentalVersions, diagno
 
     <section class="section">
       <div class="section-header">
-        <h2>2. All Dental Chart Versions</h2>
+        <h2>2. Parents and Guardians</h2>
+        <p>People recorded as responsible for the patient or able to consent on their behalf.</p>
+      </div>
+      <div class="history-grid">${guardianCards}</div>
+    </section>
+
+    <section class="section">
+      <div class="section-header">
+        <h2>3. All Dental Chart Versions</h2>
         <p>Annotated chart versions saved for this patient.</p>
       </div>
       ${dentalSections}
@@ -774,7 +816,7 @@ const buildPatientRecordExportHtml = ({ patient, history, dentalVersions, diagno
 
     <section class="section">
       <div class="section-header">
-        <h2>3. Diagnosis Details</h2>
+        <h2>4. Diagnosis Details</h2>
         <p>Diagnosis entries recorded against the patient.</p>
       </div>
       ${renderNoteCards(diagnosisNotes, 'No diagnosis details recorded.')}
@@ -782,7 +824,7 @@ const buildPatientRecordExportHtml = ({ patient, history, dentalVersions, diagno
 
     <section class="section">
       <div class="section-header">
-        <h2>4. Treatment Plans and Notes</h2>
+        <h2>5. Treatment Plans and Notes</h2>
         <p>Treatment-plan entries and clinical notes recorded against the patient.</p>
       </div>
       ${renderNoteCards(treatmentNotes, 'No treatment plans or notes recorded.')}
@@ -891,7 +933,7 @@ const getPatients = async (req, res) => {
             FROM patient_assignments pa_ortho_none
             WHERE pa_ortho_none.patient_id = p.id
               AND pa_ortho_none.assignment_role = 'ORTHODONTIST'
-              AND pa_ortho_none.active = TRUE
+              AND ${effectiveAssignmentCondition('pa_ortho_none')}
             LIMIT 1
           )
         `);
@@ -902,7 +944,7 @@ const getPatients = async (req, res) => {
             FROM patient_assignments pa_ortho
             WHERE pa_ortho.patient_id = p.id
               AND pa_ortho.assignment_role = 'ORTHODONTIST'
-              AND pa_ortho.active = TRUE
+              AND ${effectiveAssignmentCondition('pa_ortho')}
               AND pa_ortho.user_id = ?
             LIMIT 1
           )
@@ -975,7 +1017,7 @@ const getPatients = async (req, res) => {
         FROM patient_assignments pa
         JOIN users u ON u.id = pa.user_id
         WHERE pa.assignment_role = 'ORTHODONTIST'
-          AND pa.active = TRUE
+          AND ${effectiveAssignmentCondition('pa')}
           AND u.status = 'ACTIVE'
           AND u.role = 'ORTHODONTIST'
         GROUP BY pa.patient_id
@@ -985,7 +1027,7 @@ const getPatients = async (req, res) => {
         FROM patient_assignments pa
         JOIN users u ON u.id = pa.user_id
         WHERE pa.assignment_role = 'DENTAL_SURGEON'
-          AND pa.active = TRUE
+          AND ${effectiveAssignmentCondition('pa')}
           AND u.status = 'ACTIVE'
           AND u.role = 'DENTAL_SURGEON'
         GROUP BY pa.patient_id
@@ -995,7 +1037,7 @@ const getPatients = async (req, res) => {
         FROM patient_assignments pa
         JOIN users u ON u.id = pa.user_id
         WHERE pa.assignment_role = 'STUDENT'
-          AND pa.active = TRUE
+          AND ${effectiveAssignmentCondition('pa')}
           AND u.status = 'ACTIVE'
           AND u.role = 'STUDENT'
         GROUP BY pa.patient_id
@@ -1040,7 +1082,7 @@ const getPatients = async (req, res) => {
     res.json({
       success: true,
       data: {
-        patients: patientsWithStats,
+        patients: redactRows(patientsWithStats, req.user.role),
         pagination: {
           current_page: parsedPage,
           total_pages: Math.ceil(total / parsedLimit),
@@ -1073,8 +1115,8 @@ const getPatientById = async (req, res) => {
     }
 
     // Get additional patient data
-    const canReadDocuments = hasPermission(req.user.role, OBJECT_TYPES.PATIENT_RADIOGRAPHS, PERMISSIONS.READ);
-    const canReadNotes = hasPermission(req.user.role, OBJECT_TYPES.PATIENT_NOTES, PERMISSIONS.READ);
+    const canReadDocuments = userHasPermission(req.user, OBJECT_TYPES.PATIENT_RADIOGRAPHS, PERMISSIONS.READ);
+    const canReadNotes = userHasPermission(req.user, OBJECT_TYPES.PATIENT_NOTES, PERMISSIONS.READ);
 
       const canReadPrivateCases = req.user.role === 'ADMIN';
 
@@ -1118,7 +1160,7 @@ const getPatientById = async (req, res) => {
             `, [id])
           : Promise.resolve([]),
       query(
-        `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role, pa.active, pa.created_at,
+        `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role, pa.active, pa.starts_at, pa.ends_at, pa.created_at,
                 u.name AS user_name, u.email AS user_email
          FROM patient_assignments pa
          JOIN users u ON u.id = pa.user_id
@@ -1134,10 +1176,10 @@ const getPatientById = async (req, res) => {
     res.json({
       success: true,
       data: {
-        patient: {
+        patient: redactRecord({
           ...patient,
           age: Math.floor((new Date() - new Date(patient.date_of_birth)) / (365.25 * 24 * 60 * 60 * 1000))
-        },
+        }, req.user.role),
         visits,
         documents,
         clinical_notes: clinicalNotes,
@@ -1146,7 +1188,8 @@ const getPatientById = async (req, res) => {
         access: {
           can_read_documents: canReadDocuments,
           can_read_notes: canReadNotes,
-          can_read_dental_chart: hasPermission(req.user.role, OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.READ)
+          can_read_dental_chart: userHasPermission(req.user, OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.READ),
+          redacted_fields: getRedactedFields(req.user.role)
         }
       }
     });
@@ -1162,40 +1205,21 @@ const getPatientById = async (req, res) => {
 // Create new patient
 const createPatient = async (req, res) => {
   try {
-    const patientData = { ...req.body };
+    const { confirm_not_duplicate: confirmNotDuplicate, ...fields } = req.body;
 
-    if (!patientData.date_of_birth && patientData.age !== undefined) {
-      const derivedDob = dateOfBirthFromAge(patientData.age);
-      if (!derivedDob) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid age provided'
-        });
-      }
-      patientData.date_of_birth = derivedDob;
-    }
-    if (patientData.date_of_birth) {
-      const normalizedDob = normalizeDateOnlyInput(patientData.date_of_birth);
-      if (!normalizedDob) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid date_of_birth provided. Use DD/MM/YYYY or YYYY-MM-DD.'
-        });
-      }
-      patientData.date_of_birth = normalizedDob;
+    const { data: patientData, error: fieldError } = preparePatientFields(fields);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
     }
-    delete patientData.age;
 
-    if (patientData.registration_date) {
-      const normalizedRegDateTime = normalizeRegistrationDateTime(patientData.registration_date);
-      if (!normalizedRegDateTime) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid registration_date provided'
-        });
+    if (!confirmNotDuplicate) {
+      const duplicates = await findPossibleDuplicates(patientData);
+      if (duplicates.length > 0) {
+        return possibleDuplicateResponse(res, duplicates, req.user.role);
       }
-      patientData.created_at = normalizedRegDateTime;
-      delete patientData.registration_date;
     }
 
     // Generate unique patient code if not provided
@@ -1214,6 +1238,7 @@ const createPatient = async (req, res) => {
 
     // Create patient
     const patientId = await insert('patients', patientData);
+    await recordInitialStatus(patientId, req.user.id);
 
     // Record registration as first visit entry.
     const registrationVisitDate = patientData.created_at || new Date().toISOString().slice(0, 19).replace('T', ' ');
@@ -1249,7 +1274,16 @@ const createPatient = async (req, res) => {
 const updatePatient = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = { ...req.body };
+    const { confirm_not_duplicate: confirmNotDuplicate, status_reason: statusReason, ...updateData } = req.body;
+
+    // Roles that only see a masked or hidden value cannot overwrite it
+    const restrictedFields = getRedactedFields(req.user.role).filter((field) => field in updateData);
+    if (restrictedFields.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role cannot change ${restrictedFields.join(', ')}`
+      });
+    }
 
     if (updateData.registration_date) {
       const normalizedRegDateTime = normalizeRegistrationDateTime(updateData.registration_date);
@@ -1294,6 +1328,23 @@ const updatePatient = async (req, res) => {
       });
     }
 
+    // Status changes follow the lifecycle in patientStatusService
+    const statusChanged = updateData.status !== undefined && updateData.status !== existingPatient.status;
+    if (statusChanged) {
+      const { error: transitionError, statusCode } = checkStatusTransition({
+        fromStatus: existingPatient.status,
+        toStatus: updateData.status,
+        role: req.user.role,
+        reason: statusReason
+      });
+      if (transitionError) {
+        return res.status(statusCode).json({
+          success: false,
+          message: transitionError
+        });
+      }
+    }
+
     // If updating patient code, check for duplicates
     if (updateData.patient_code && updateData.patient_code !== existingPatient.patient_code) {
       const duplicatePatient = await findOne('patients', { patient_code: updateData.patient_code });
@@ -1305,6 +1356,13 @@ const updatePatient = async (req, res) => {
       }
     }
 
+    if (!confirmNotDuplicate && changesDuplicateCheckFields(existingPatient, updateData)) {
+      const duplicates = await findPossibleDuplicates({ ...existingPatient, ...updateData }, { excludeId: existingPatient.id });
+      if (duplicates.length > 0) {
+        return possibleDuplicateResponse(res, duplicates, req.user.role);
+      }
+    }
+
     const hasRegistrationDateUpdate = Boolean(updateData.created_at);
 
     // Update patient
@@ -1321,7 +1379,24 @@ const updatePatient = async (req, res) => {
       );
     }
 
-    await logAuditEvent(req.user.id, 'UPDATE', 'PATIENT', id, existingPatient, updateData);
+    if (statusChanged) {
+      await recordStatusChange({
+        patientId: id,
+        fromStatus: existingPatient.status,
+        toStatus: updateData.status,
+        reason: statusReason,
+        changedBy: req.user.id
+      });
+    }
+
+    await logAuditEvent(
+      req.user.id,
+      'UPDATE',
+      'PATIENT',
+      id,
+      existingPatient,
+      statusChanged ? { ...updateData, status_reason: statusReason || null } : updateData
+    );
 
     // Return updated patient
     const updatedPatient = await findOne('patients', { id });
@@ -1329,7 +1404,7 @@ const updatePatient = async (req, res) => {
     res.json({
       success: true,
       message: 'Patient updated successfully',
-      data: updatedPatient
+      data: redactRecord(updatedPatient, req.user.role)
     });
   } catch (error) {
     console.error('Update patient error:', error);
@@ -1416,6 +1491,96 @@ const deletePatient = async (req, res) => {
   }
 };
 
+// Get patient status timeline and the moves the requester can make next
+const getPatientStatusHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const patient = await findOne('patients', { id });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const canUpdate = !patient.deleted_at
+      && await hasInstanceAccess(req.user, id, OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.UPDATE);
+
+    res.json({
+      success: true,
+      data: {
+        current_status: patient.status,
+        allowed_transitions: canUpdate ? allowedTransitionsFor(patient.status, req.user.role) : [],
+        timeline: await getStatusTimeline(id)
+      }
+    });
+  } catch (error) {
+    console.error('Get patient status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get visits, notes, documents, chart versions, payments, materials, case progress, assignment
+// and status changes as one stream, limited to the item types the requester may read
+const getPatientTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const patient = await findOne('patients', { id });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const requestedTypes = req.query.types
+      ? String(req.query.types).split(',').map((type) => type.trim().toUpperCase()).filter(Boolean)
+      : TIMELINE_TYPES;
+    const unknownTypes = requestedTypes.filter((type) => !TIMELINE_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timeline types: ${unknownTypes.join(', ')}. Use ${TIMELINE_TYPES.join(', ')}`
+      });
+    }
+
+    const readableTypes = await getReadableTimelineTypes(req.user, id);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { items, total } = await listTimelineItems({
+      patientId: id,
+      types: requestedTypes.filter((type) => readableTypes.includes(type)),
+      from: req.query.start_date ? `${req.query.start_date} 00:00:00` : null,
+      to: req.query.end_date ? `${req.query.end_date} 23:59:59` : null,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        available_types: readableTypes,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_records: total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get patient timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Reactivate patient (clear inactive/deleted marker)
 const reactivatePatient = async (req, res) => {
   try {
@@ -1510,7 +1675,7 @@ const getActiveOrthodontists = async (req, res) => {
     const orthodontists = await query(
       `SELECT id, name, email
        FROM users
-       WHERE role = 'ORTHODONTIST' AND status = 'ACTIVE'
+       WHERE role = 'ORTHODONTIST' AND status = 'ACTIVE' AND is_service_account = FALSE
        ORDER BY name ASC`
     );
 
@@ -1552,6 +1717,7 @@ const getAssignableStaff = async (req, res) => {
         `SELECT id, name, email, role
          FROM users
          WHERE status = 'ACTIVE'
+           AND is_service_account = FALSE
            AND role IN (${placeholders})
          ORDER BY role ASC, name ASC`,
         effectiveRoles
@@ -1578,6 +1744,7 @@ const getAssignableStaff = async (req, res) => {
       `SELECT id, name, email, role
        FROM users
        WHERE status = 'ACTIVE'
+         AND is_service_account = FALSE
          AND role IN (${placeholders})
        ORDER BY role ASC, name ASC`,
       effectiveRoles
@@ -1603,7 +1770,12 @@ const assignPatientMember = async (req, res) => {
     const syncMode = Boolean(req.body.sync);
     const assignmentsPayload = Array.isArray(req.body.assignments)
       ? req.body.assignments
-      : [{ user_id: req.body.user_id, assignment_role: req.body.assignment_role }];
+      : [{
+          user_id: req.body.user_id,
+          assignment_role: req.body.assignment_role,
+          starts_at: req.body.starts_at,
+          ends_at: req.body.ends_at
+        }];
 
     const patient = await findOne('patients', { id: patientId, deleted_at: null });
     if (!patient) {
@@ -1633,11 +1805,11 @@ const assignPatientMember = async (req, res) => {
 
       const scopeRows = await query(
         `SELECT 1
-         FROM patient_assignments
+         FROM patient_assignments pa
          WHERE patient_id = ?
            AND user_id = ?
            AND assignment_role = ?
-           AND active = TRUE
+           AND ${effectiveAssignmentCondition('pa')}
          LIMIT 1`,
         [patientId, req.user.id, ownAssignmentRole]
       );
@@ -1660,6 +1832,30 @@ const assignPatientMember = async (req, res) => {
       }
     }
 
+    // Students already on the care team stay; adding one needs the patient's consent
+    const requestedStudentIds = assignmentsPayload
+      .filter((entry) => String(entry.assignment_role || '').toUpperCase() === 'STUDENT')
+      .map((entry) => Number(entry.user_id));
+    if (requestedStudentIds.length && !(await hasConsent(patientId, CONSENT_TYPES.STUDENT_CARE))) {
+      const currentStudents = await query(
+        `SELECT user_id
+         FROM patient_assignments
+         WHERE patient_id = ?
+           AND assignment_role = 'STUDENT'
+           AND active = TRUE`,
+        [patientId]
+      );
+      const currentStudentIds = new Set(currentStudents.map((row) => Number(row.user_id)));
+      if (requestedStudentIds.some((studentId) => !currentStudentIds.has(studentId))) {
+        return res.status(409).json({
+          success: false,
+          code: 'CONSENT_REQUIRED',
+          consent_type: CONSENT_TYPES.STUDENT_CARE,
+          message: 'The patient has not consented to treatment by students. Record the consent before assigning a student.'
+        });
+      }
+    }
+
     if (req.user.role === 'RECEPTION' && syncMode) {
       const pendingRoles = Array.from(manageableRoles).filter((role) => APPROVAL_REQUIRED_ASSIGNMENT_ROLES.has(role));
       if (pendingRoles.length) {
@@ -1675,6 +1871,7 @@ const assignPatientMember = async (req, res) => {
     }
 
     const created = [];
+    const updated = [];
     const skipped = [];
     const removed = [];
     const pending = [];
@@ -1683,6 +1880,10 @@ const assignPatientMember = async (req, res) => {
     for (const rawEntry of assignmentsPayload) {
       const user_id = Number(rawEntry.user_id);
       const assignment_role = String(rawEntry.assignment_role || '').toUpperCase();
+      // Window keys left out keep an existing assignment's window as it is
+      const windowProvided = rawEntry.starts_at !== undefined || rawEntry.ends_at !== undefined;
+      const starts_at = toWindowStart(rawEntry.starts_at || null);
+      const ends_at = toWindowEnd(rawEntry.ends_at || null);
 
       if (!Number.isInteger(user_id) || !allowedRoles.includes(assignment_role)) {
         return res.status(400).json({
@@ -1714,7 +1915,7 @@ const assignPatientMember = async (req, res) => {
       }
 
       const alreadyAssigned = await query(
-        `SELECT id
+        `SELECT id, starts_at, ends_at
          FROM patient_assignments
          WHERE patient_id = ?
            AND user_id = ?
@@ -1724,8 +1925,47 @@ const assignPatientMember = async (req, res) => {
         [patientId, user_id, assignment_role]
       );
 
+      const windowChanged = alreadyAssigned.length > 0 && windowProvided && (
+        (alreadyAssigned[0].starts_at || null) !== starts_at
+        || (alreadyAssigned[0].ends_at || null) !== ends_at
+      );
+      if (!alreadyAssigned.length || windowChanged) {
+        const windowError = getWindowError(rawEntry.starts_at || null, rawEntry.ends_at || null);
+        if (windowError) {
+          return res.status(400).json({
+            success: false,
+            message: `${windowError} (user_id=${user_id})`
+          });
+        }
+      }
+
+      if (windowChanged && req.user.role === 'RECEPTION' && APPROVAL_REQUIRED_ASSIGNMENT_ROLES.has(assignment_role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Dates of an existing ${assignment_role.replace('_', ' ').toLowerCase()} assignment cannot be changed from reception; remove and re-add the assignment instead`
+        });
+      }
+
+      if (windowChanged) {
+        const existing = alreadyAssigned[0];
+        await update('patient_assignments', { starts_at, ends_at }, { id: existing.id });
+        updated.push({ id: Number(existing.id), user_id, assignment_role, starts_at, ends_at });
+        await logAuditEvent(req.user.id, 'ASSIGNMENT_WINDOW_UPDATE', 'PATIENT_ASSIGNMENT', Number(existing.id), {
+          starts_at: existing.starts_at,
+          ends_at: existing.ends_at
+        }, {
+          patient_id: Number(patientId),
+          user_id,
+          assignment_role,
+          starts_at,
+          ends_at
+        });
+      }
+
       if (alreadyAssigned.length) {
-        skipped.push({ user_id, assignment_role, reason: 'already_assigned' });
+        if (!windowChanged) {
+          skipped.push({ user_id, assignment_role, reason: 'already_assigned' });
+        }
         if (!desiredByRole.has(assignment_role)) desiredByRole.set(assignment_role, new Set());
         desiredByRole.get(assignment_role).add(user_id);
         if (assignment_role === 'STUDENT' && ['ORTHODONTIST', 'DENTAL_SURGEON'].includes(req.user.role)) {
@@ -1761,6 +2001,8 @@ const assignPatientMember = async (req, res) => {
             target_user_id: user_id,
             target_role: assignment_role,
             action_type: 'ASSIGN',
+            starts_at,
+            ends_at,
             requested_by: Number(req.user.id),
             status: 'PENDING'
           });
@@ -1768,7 +2010,9 @@ const assignPatientMember = async (req, res) => {
           await logAuditEvent(req.user.id, 'ASSIGN_REQUEST', 'PATIENT_ASSIGNMENT', requestId, null, {
             patient_id: Number(patientId),
             user_id,
-            assignment_role
+            assignment_role,
+            starts_at,
+            ends_at
           });
         } else {
           skipped.push({ user_id, assignment_role, reason: 'already_pending_approval' });
@@ -1779,10 +2023,12 @@ const assignPatientMember = async (req, res) => {
           user_id,
           assignment_role,
           assigned_by: req.user.id,
-          active: true
+          active: true,
+          starts_at,
+          ends_at
         });
 
-        created.push({ id: assignmentId, user_id, assignment_role });
+        created.push({ id: assignmentId, user_id, assignment_role, starts_at, ends_at });
         if (assignment_role === 'STUDENT' && ['ORTHODONTIST', 'DENTAL_SURGEON'].includes(req.user.role)) {
           await ensureStudentCaseForAssignment({
             patientId: Number(patientId),
@@ -1795,7 +2041,9 @@ const assignPatientMember = async (req, res) => {
         await logAuditEvent(req.user.id, 'ASSIGN', 'PATIENT_ASSIGNMENT', assignmentId, null, {
           patient_id: Number(patientId),
           user_id,
-          assignment_role
+          assignment_role,
+          starts_at,
+          ends_at
         });
       }
     }
@@ -1894,13 +2142,14 @@ const assignPatientMember = async (req, res) => {
       success: true,
       message: syncMode
         ? req.user.role === 'RECEPTION'
-          ? `Assignment update submitted (${created.length} immediate, ${removed.length} immediate removals, ${pending.length} pending confirmation, ${skipped.length} unchanged).`
-          : `Patient assignments synchronized (${created.length} created, ${removed.length} removed, ${skipped.length} unchanged)`
-        : created.length > 0
-          ? `Patient assignments updated (${created.length} created, ${skipped.length} skipped)`
+          ? `Assignment update submitted (${created.length} immediate, ${removed.length} immediate removals, ${updated.length} dates changed, ${pending.length} pending confirmation, ${skipped.length} unchanged).`
+          : `Patient assignments synchronized (${created.length} created, ${removed.length} removed, ${updated.length} dates changed, ${skipped.length} unchanged)`
+        : created.length > 0 || updated.length > 0
+          ? `Patient assignments updated (${created.length} created, ${updated.length} dates changed, ${skipped.length} skipped)`
           : 'No new assignments were created',
       data: {
         created,
+        updated,
         skipped,
         removed,
         pending
@@ -1926,17 +2175,19 @@ const getPendingAssignmentRequests = async (req, res) => {
 
     const requests = await query(
       `SELECT par.id, par.patient_id, par.target_user_id, par.target_role, par.action_type, par.requested_by,
-              par.status, par.created_at,
+              par.starts_at, par.ends_at, par.status, par.created_at,
               p.patient_code, p.first_name, p.last_name,
-              u_req.name AS requested_by_name
+              u_req.name AS requested_by_name,
+              IF(par.target_user_id = ?, NULL, u_target.name) AS on_behalf_of_name
        FROM patient_assignment_requests par
        JOIN patients p ON p.id = par.patient_id
        JOIN users u_req ON u_req.id = par.requested_by
-       WHERE par.target_user_id = ?
+       JOIN users u_target ON u_target.id = par.target_user_id
+       WHERE (par.target_user_id = ? OR ${delegatedRequestCondition('par')})
          AND par.status = 'PENDING'
          AND p.deleted_at IS NULL
        ORDER BY par.created_at ASC`,
-      [req.user.id]
+      [req.user.id, req.user.id, req.user.id]
     );
 
     res.json({
@@ -1976,14 +2227,15 @@ const respondToAssignmentRequest = async (req, res) => {
       });
     }
 
+    // Delegates answer requests addressed to the clinician whose patients they cover
     const rows = await query(
-      `SELECT *
-       FROM patient_assignment_requests
-       WHERE id = ?
-         AND target_user_id = ?
-         AND status = 'PENDING'
+      `SELECT par.*
+       FROM patient_assignment_requests par
+       WHERE par.id = ?
+         AND (par.target_user_id = ? OR ${delegatedRequestCondition('par')})
+         AND par.status = 'PENDING'
        LIMIT 1`,
-      [requestId, req.user.id]
+      [requestId, req.user.id, req.user.id]
     );
     const request = rows[0];
     if (!request) {
@@ -1993,6 +2245,8 @@ const respondToAssignmentRequest = async (req, res) => {
       });
     }
 
+    const onBehalfOf = Number(request.target_user_id) === Number(req.user.id) ? null : Number(request.target_user_id);
+
     if (decision === 'APPROVE') {
       if (String(request.action_type).toUpperCase() === 'ASSIGN') {
         const existing = await query(
@@ -2011,7 +2265,9 @@ const respondToAssignmentRequest = async (req, res) => {
             user_id: Number(request.target_user_id),
             assignment_role: String(request.target_role).toUpperCase(),
             assigned_by: Number(request.requested_by),
-            active: true
+            active: true,
+            starts_at: request.starts_at || null,
+            ends_at: request.ends_at || null
           });
           if (String(request.target_role).toUpperCase() === 'STUDENT') {
             const supervisors = await query(
@@ -2035,6 +2291,7 @@ const respondToAssignmentRequest = async (req, res) => {
           }
           await logAuditEvent(req.user.id, 'ASSIGN_APPROVED', 'PATIENT_ASSIGNMENT', assignmentId, null, {
             request_id: Number(request.id),
+            on_behalf_of: onBehalfOf,
             patient_id: Number(request.patient_id),
             user_id: Number(request.target_user_id),
             assignment_role: String(request.target_role).toUpperCase()
@@ -2076,6 +2333,7 @@ const respondToAssignmentRequest = async (req, res) => {
 
         await logAuditEvent(req.user.id, 'UNASSIGN_APPROVED', 'PATIENT_ASSIGNMENT', null, null, {
           request_id: Number(request.id),
+          on_behalf_of: onBehalfOf,
           patient_id: Number(request.patient_id),
           user_id: Number(request.target_user_id),
           assignment_role: String(request.target_role).toUpperCase()
@@ -2084,6 +2342,7 @@ const respondToAssignmentRequest = async (req, res) => {
     } else {
       await logAuditEvent(req.user.id, 'ASSIGNMENT_CHANGE_REJECTED', 'PATIENT_ASSIGNMENT', null, null, {
         request_id: Number(request.id),
+        on_behalf_of: onBehalfOf,
         patient_id: Number(request.patient_id),
         user_id: Number(request.target_user_id),
         assignment_role: String(request.target_role).toUpperCase(),
@@ -2125,7 +2384,7 @@ const getPatientAssignments = async (req, res) => {
     }
 
     const assignments = await query(
-      `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role, pa.active, pa.created_at,
+      `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role, pa.active, pa.starts_at, pa.ends_at, pa.created_at,
               u.name AS user_name, u.email AS user_email
        FROM patient_assignments pa
        JOIN users u ON u.id = pa.user_id
@@ -2150,6 +2409,26 @@ const getPatientAssignments = async (req, res) => {
   }
 };
 
+// Assignments ending within the next days on patients the user can see
+const getUpcomingAssignmentExpiries = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(Number.parseInt(req.query.days, 10) || EXPIRY_WARNING_DAYS, 1), 90);
+    const expiries = await listUpcomingExpiries(req.user, days);
+
+    res.json({
+      success: true,
+      data: expiries,
+      meta: { days }
+    });
+  } catch (error) {
+    console.error('Get upcoming assignment expiries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 const getDentalChart = async (req, res) => {
   try {
     const { id: patientId } = req.params;
@@ -2789,7 +3068,7 @@ const exportPatientRecordPdf = async (req, res) => {
       });
     }
 
-    const [historyRows, dentalVersionRows, noteRows] = await Promise.all([
+    const [historyRows, dentalVersionRows, noteRows, guardianRows] = await Promise.all([
       query(
         `SELECT ph.id, ph.patient_id, ph.form_data, ph.updated_by, ph.created_at, ph.updated_at, u.name AS updated_by_name
          FROM patient_histories ph
@@ -2820,7 +3099,8 @@ const exportPatientRecordPdf = async (req, res) => {
            AND cn.deleted_at IS NULL
          ORDER BY cn.created_at DESC, cn.id DESC`,
         [patientId]
-      )
+      ),
+      listGuardians(patientId)
     ]);
 
     const historyRow = historyRows[0] || null;
@@ -2836,7 +3116,7 @@ const exportPatientRecordPdf = async (req, res) => {
     }
 
     const history = {
-      auto: {
+      auto: redactRecord({
         name: `${patient.first_name || ''} ${patient.last_name || ''}`.trim(),
         address: patient.address || '',
         age: patient.date_of_birth
@@ -2847,7 +3127,7 @@ const exportPatientRecordPdf = async (req, res) => {
         sex: patient.gender === 'MALE' ? 'M' : patient.gender === 'FEMALE' ? 'F' : 'O',
         province: patient.province || '',
         date_of_examination: patient.created_at ? String(patient.created_at).slice(0, 10) : ''
-      },
+      }, req.user.role, OBJECT_TYPES.PATIENT_GENERAL, HISTORY_FIELD_ALIASES),
       history: historyData,
       metadata: historyRow
         ? {
@@ -2870,8 +3150,9 @@ const exportPatientRecordPdf = async (req, res) => {
       .slice(0, 80);
 
     const payload = {
-      patient,
+      patient: redactRecord(patient, req.user.role),
       history,
+      guardians: redactRows(guardianRows, req.user.role, OBJECT_TYPES.PATIENT_GENERAL, GUARDIAN_FIELD_ALIASES),
       dentalVersions,
       diagnosisNotes,
       treatmentNotes
@@ -3059,7 +3340,7 @@ const getPatientHistory = async (req, res) => {
     );
 
     const sex = patient.gender === 'MALE' ? 'M' : patient.gender === 'FEMALE' ? 'F' : 'O';
-    const auto = {
+    const auto = redactRecord({
       name: `${patient.first_name || ''} ${patient.last_name || ''}`.trim(),
       address: patient.address || '',
       age: Math.floor((new Date() - new Date(patient.date_of_birth)) / (365.25 * 24 * 60 * 60 * 1000)),
@@ -3068,7 +3349,7 @@ const getPatientHistory = async (req, res) => {
       sex,
       province: patient.province || '',
       date_of_examination: patient.created_at ? String(patient.created_at).slice(0, 10) : new Date().toISOString().slice(0, 10)
-    };
+    }, req.user.role, OBJECT_TYPES.PATIENT_GENERAL, HISTORY_FIELD_ALIASES);
 
     const row = historyRows[0] || null;
     let normalizedHistory = {};
@@ -3093,7 +3374,8 @@ const getPatientHistory = async (req, res) => {
               updated_by: row.updated_by,
               updated_by_name: row.updated_by_name,
               created_at: row.created_at,
-              updated_at: row.updated_at
+              updated_at: row.updated_at,
+              revision_number: await getLatestRevisionNumber(patientId)
             }
           : null
       }
@@ -3107,6 +3389,60 @@ const getPatientHistory = async (req, res) => {
   }
 };
 
+// Saves the form as a new revision, keeping consultant-only fields for other roles,
+// and updates the waiting list from the consultant decision
+const saveHistoryForm = async ({ patientId, form, user, restoredFrom = null }) => {
+  const existingForm = await getCurrentHistoryForm(patientId);
+  const historyPayload = keepConsultantOnlyKeys(form, existingForm, user.role);
+
+  const revision = await saveHistoryRevision({
+    patientId: Number(patientId),
+    form: historyPayload,
+    userId: user.id,
+    restoredFrom
+  });
+
+  await logAuditEvent(user.id, restoredFrom ? 'RESTORE' : 'UPSERT', 'PATIENT_HISTORY', revision.id, null, {
+    patient_id: Number(patientId),
+    revision: revision.revisionNumber,
+    ...(restoredFrom && { restored_from_revision: restoredFrom }),
+    changes: diffHistoryForms(existingForm, historyPayload)
+  });
+
+  // The consultant's waiting-list decision adds, updates, or removes the waiting list entry
+  const waitingListChange = await syncFromConsultantDecision({
+    patientId: Number(patientId),
+    previousForm: existingForm,
+    form: historyPayload,
+    userId: user.id
+  });
+  if (waitingListChange) {
+    await logAuditEvent(user.id, `WAITING_LIST_${waitingListChange.action}`, 'WAITING_LIST_ENTRY', waitingListChange.entryId, null, {
+      patient_id: Number(patientId),
+      treatment_type: historyPayload.consultant_waiting_list_mode || null,
+      priority: historyPayload.consultant_priority || null
+    });
+  }
+
+  const rows = await query(
+    `SELECT ph.id, ph.patient_id, ph.form_data, ph.updated_by, ph.created_at, ph.updated_at, u.name AS updated_by_name
+     FROM patient_histories ph
+     LEFT JOIN users u ON u.id = ph.updated_by
+     WHERE ph.patient_id = ?
+     LIMIT 1`,
+    [patientId]
+  );
+
+  const saved = rows[0] || null;
+  return saved
+    ? {
+        ...saved,
+        form_data: parseForm(saved.form_data),
+        revision_number: revision.revisionNumber
+      }
+    : null;
+};
+
 const upsertPatientHistory = async (req, res) => {
   try {
     const { id: patientId } = req.params;
@@ -3118,94 +3454,143 @@ const upsertPatientHistory = async (req, res) => {
       });
     }
 
-    const historyPayload = req.body?.history || {};
-    const consultantOnlyKeys = [
-      'consultant_not_taken_prognosis',
-      'consultant_mixed_dentition_review',
-      'consultant_urgent_interceptive_treatment',
-      'consultant_take_up_treatment_modes',
-      'consultant_waiting_list_mode',
-      'consultant_priority',
-      'consultant_signature',
-      'consultant_date'
-    ];
-
-    if (req.user.role !== 'ORTHODONTIST') {
-      const existingRows = await query(
-        `SELECT form_data
-         FROM patient_histories
-         WHERE patient_id = ?
-         LIMIT 1`,
-        [patientId]
-      );
-      let existingForm = {};
-      const existing = existingRows[0];
-      if (existing?.form_data && typeof existing.form_data === 'object') {
-        existingForm = existing.form_data;
-      } else if (typeof existing?.form_data === 'string') {
-        try {
-          existingForm = JSON.parse(existing.form_data);
-        } catch (_) {
-          existingForm = {};
-        }
-      }
+    res.json({
+      success: true,
+      message: 'Patient history saved successfully',
+      data: await saveHistoryForm({ patientId, form: req.body?.history || {}, user: req.user })
+    });
+  } catch (error) {
+    console.error('Upsert patient history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
 
-      consultantOnlyKeys.forEach((key) => {
-        if (Object.prototype.hasOwnProperty.call(existingForm, key)) {
-          historyPayload[key] = existingForm[key];
-        } else {
-          delete historyPayload[key];
-        }
+const getPatientHistoryRevisions = async (req, res) => {
+  try {
+    const { id: patientId } = req.params;
+    const patient = await findOne('patients', { id: patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
       });
     }
-    await query(
-      `INSERT INTO patient_histories (patient_id, form_data, updated_by)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE
-         form_data = VALUES(form_data),
-         updated_by = VALUES(updated_by),
-         updated_at = CURRENT_TIMESTAMP`,
-      [patientId, JSON.stringify(historyPayload), req.user.id]
-    );
 
-    await logAuditEvent(req.user.id, 'UPSERT', 'PATIENT_HISTORY', null, null, {
-      patient_id: Number(patientId),
-      keys: Object.keys(historyPayload || {})
+    res.json({
+      success: true,
+      data: await listHistoryRevisions(patientId)
+    });
+  } catch (error) {
+    console.error('Get patient history revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
+  }
+};
 
-    const rows = await query(
-      `SELECT ph.id, ph.patient_id, ph.form_data, ph.updated_by, ph.created_at, ph.updated_at, u.name AS updated_by_name
-       FROM patient_histories ph
-       LEFT JOIN users u ON u.id = ph.updated_by
-       WHERE ph.patient_id = ?
-       LIMIT 1`,
-      [patientId]
-    );
+const getPatientHistoryRevision = async (req, res) => {
+  try {
+    const { id: patientId, revision: revisionNumber } = req.params;
+    const revision = await getHistoryRevision(patientId, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'History revision not found'
+      });
+    }
 
-    const saved = rows[0] || null;
-    let normalizedFormData = {};
-    if (saved?.form_data && typeof saved.form_data === 'object') {
-      normalizedFormData = saved.form_data;
-    } else if (typeof saved?.form_data === 'string') {
-      try {
-        normalizedFormData = JSON.parse(saved.form_data);
-      } catch (_) {
-        normalizedFormData = {};
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get patient history revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Field-by-field changes between two revisions; without "to" the latest revision is used
+const getPatientHistoryDiff = async (req, res) => {
+  try {
+    const { id: patientId } = req.params;
+    const toNumber = req.query.to || await getLatestRevisionNumber(patientId);
+    const [from, to] = await Promise.all([
+      getHistoryRevision(patientId, req.query.from),
+      toNumber ? getHistoryRevision(patientId, toNumber) : null
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'History revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { revision_number: from.revision_number, created_by_name: from.created_by_name, created_at: from.created_at },
+        to: { revision_number: to.revision_number, created_by_name: to.created_by_name, created_at: to.created_at },
+        changes: diffHistoryForms(from.form_data, to.form_data)
       }
+    });
+  } catch (error) {
+    console.error('Get patient history diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Saves an earlier revision again as the newest one; nothing in between is lost
+const restorePatientHistoryRevision = async (req, res) => {
+  try {
+    const { id: patientId, revision: revisionNumber } = req.params;
+    const patient = await findOne('patients', { id: patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const revision = await getHistoryRevision(patientId, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'History revision not found'
+      });
     }
 
+    const currentForm = await getCurrentHistoryForm(patientId);
+    if (diffHistoryForms(currentForm, keepConsultantOnlyKeys(revision.form_data, currentForm, req.user.role)).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This revision matches the current history'
+      });
+    }
+
+    const saved = await saveHistoryForm({
+      patientId,
+      form: revision.form_data,
+      user: req.user,
+      restoredFrom: revision.revision_number
+    });
+
     res.json({
       success: true,
-      message: 'Patient history saved successfully',
+      message: `Revision ${revision.revision_number} restored as revision ${saved.revision_number}`,
       data: saved
-        ? {
-            ...saved,
-            form_data: normalizedFormData
-          }
-        : null
     });
   } catch (error) {
-    console.error('Upsert patient history error:', error);
+    console.error('Restore patient history revision error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -3220,11 +3605,14 @@ module.exports = {
   updatePatient,
   deletePatient,
   reactivatePatient,
+  getPatientStatusHistory,
+  getPatientTimeline,
   getPatientStats,
   getActiveOrthodontists,
   getAssignableStaff,
   assignPatientMember,
   getPatientAssignments,
+  getUpcomingAssignmentExpiries,
   getPendingAssignmentRequests,
   respondToAssignmentRequest,
   getDentalChart,
@@ -3240,5 +3628,9 @@ module.exports = {
   deleteDentalChartVersion,
   restoreDentalChartVersion,
   getPatientHistory,
-  upsertPatientHistory
+  upsertPatientHistory,
+  getPatientHistoryRevisions,
+  getPatientHistoryRevision,
+  getPatientHistoryDiff,
+  restorePatientHistoryRevision
 };
@@ -0,0 +1,151 @@
+const { query, findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { getStoredObjectStream } = require('../services/fileStorageService');
+const {
+  requestPatientDataExport,
+  listPatientDataExports
+} = require('../services/patientDataExportService');
+
+// Inactive patients can still be exported, for example to answer a request after they left
+const findPatient = (patientId) => findOne('patients', { id: patientId });
+
+const getPatientDataExports = async (req, res) => {
+  try {
+    const patient = await findPatient(req.params.patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await listPatientDataExports(patient.id)
+    });
+  } catch (error) {
+    console.error('Get patient data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Queues the export; the archive is built in the background
+const createPatientDataExport = async (req, res) => {
+  try {
+    const { purpose, notes } = req.body;
+    const patient = await findPatient(req.params.patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const exportId = await requestPatientDataExport({
+      patientId: patient.id,
+      purpose,
+      notes: notes ? notes.trim() : null,
+      requestedBy: req.user.id
+    });
+
+    await logAuditEvent(req.user.id, 'PATIENT_DATA_EXPORT_REQUEST', 'PATIENT_DATA_EXPORT', exportId, null, {
+      patient_id: patient.id,
+      patient_code: patient.patient_code,
+      purpose
+    });
+
+    const exports = await listPatientDataExports(patient.id);
+    res.status(202).json({
+      success: true,
+      message: 'Export queued; it will be ready to download shortly',
+      data: exports.find((row) => row.id === exportId) || { id: exportId, status: 'QUEUED' }
+    });
+  } catch (error) {
+    console.error('Create patient data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const downloadPatientDataExport = async (req, res) => {
+  try {
+    const rows = await query(
+      'SELECT *, expires_at <= NOW() AS is_expired FROM patient_data_exports WHERE id = ? LIMIT 1',
+      [req.params.id]
+    );
+    const exportRow = rows[0];
+
+    if (!exportRow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+    if (exportRow.status === 'EXPIRED' || (exportRow.status === 'READY' && Number(exportRow.is_expired) === 1)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This export has expired; request a new one'
+      });
+    }
+    if (exportRow.status !== 'READY') {
+      return res.status(409).json({
+        success: false,
+        message: exportRow.status === 'FAILED' ? 'This export failed; request a new one' : 'This export is not ready yet'
+      });
+    }
+
+    let fileStream;
+    try {
+      fileStream = await getStoredObjectStream(exportRow);
+    } catch (error) {
+      console.error('Patient export file missing:', error);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found in storage'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportRow.file_name}"`);
+    res.setHeader('Content-Length', exportRow.file_size);
+    res.setHeader('X-Checksum-SHA256', exportRow.sha256);
+
+    fileStream.on('error', (error) => {
+      console.error('Patient export download stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to read export'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+    fileStream.pipe(res);
+
+    await query('UPDATE patient_data_exports SET download_count = download_count + 1 WHERE id = ?', [exportRow.id]);
+    await logAuditEvent(req.user.id, 'PATIENT_DATA_EXPORT_DOWNLOAD', 'PATIENT_DATA_EXPORT', exportRow.id, null, {
+      patient_id: exportRow.patient_id,
+      sha256: exportRow.sha256
+    });
+  } catch (error) {
+    console.error('Download patient data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+};
+
+module.exports = {
+  getPatientDataExports,
+  createPatientDataExport,
+  downloadPatientDataExport
+};
@@ -0,0 +1,207 @@
+const path = require('path');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  createImport,
+  getImport,
+  listImports,
+  commitImport,
+  rollbackImport
+} = require('../services/patientImportService');
+
+const FILE_TYPES = {
+  '.csv': 'CSV',
+  '.xlsx': 'XLSX'
+};
+
+const getPatientImports = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listImports()
+    });
+  } catch (error) {
+    console.error('Get patient imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getPatientImport = async (req, res) => {
+  try {
+    const importRecord = await getImport(req.params.id, { includeReport: true });
+    if (!importRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: importRecord
+    });
+  } catch (error) {
+    console.error('Get patient import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Dry run: validates every row and stores the report without creating any patient.
+// column_map is optional JSON of { "Column heading": "field" } sent with the file.
+const validatePatientImport = async (req, res) => {
+  try {
+    const fileType = FILE_TYPES[path.extname(req.file.originalname).toLowerCase()];
+    if (!fileType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or XLSX file'
+      });
+    }
+
+    let columnMap = null;
+    if (req.body.column_map) {
+      try {
+        columnMap = JSON.parse(req.body.column_map);
+      } catch {
+        columnMap = undefined;
+      }
+      if (!columnMap || typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+        return res.status(400).json({
+          success: false,
+          message: 'column_map must be a JSON object of column headings to patient fields'
+        });
+      }
+    }
+
+    const result = await createImport({
+      file: req.file,
+      fileType,
+      columnMap,
+      createdBy: req.user.id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const importRecord = await getImport(result.id, { includeReport: true });
+    res.status(201).json({
+      success: true,
+      message: `${importRecord.valid_rows} of ${importRecord.total_rows} rows are ready to import`,
+      data: importRecord
+    });
+  } catch (error) {
+    console.error('Validate patient import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const commitPatientImport = async (req, res) => {
+  try {
+    const includeDuplicates = req.body.include_duplicates === true;
+    const importRecord = await getImport(req.params.id, { includeReport: true });
+    if (!importRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+    if (importRecord.status === 'COMMITTED' || importRecord.status === 'ROLLED_BACK') {
+      return res.status(400).json({
+        success: false,
+        message: importRecord.status === 'COMMITTED'
+          ? 'This import has already been committed'
+          : 'This import has been rolled back; upload the file again to import it'
+      });
+    }
+
+    const { created, importedTotal, failure } = await commitImport({
+      importRecord,
+      includeDuplicates,
+      committedBy: req.user.id
+    });
+
+    await logAuditEvent(req.user.id, 'PATIENT_IMPORT_COMMIT', 'PATIENT_IMPORT', importRecord.id, null, {
+      file_name: importRecord.file_name,
+      include_duplicates: includeDuplicates,
+      created_rows: created.length,
+      imported_rows: importedTotal,
+      error: failure
+    });
+
+    // A failed batch leaves the import PARTIAL; the message says which rows to retry
+    res.json({
+      success: true,
+      message: failure
+        ? `${created.length} patients imported. ${failure}`
+        : `${created.length} patients imported`,
+      data: await getImport(importRecord.id, { includeReport: true })
+    });
+  } catch (error) {
+    console.error('Commit patient import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const rollbackPatientImport = async (req, res) => {
+  try {
+    const importRecord = await getImport(req.params.id);
+    if (!importRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+    if (importRecord.status === 'VALIDATED' || importRecord.status === 'ROLLED_BACK') {
+      return res.status(400).json({
+        success: false,
+        message: importRecord.status === 'VALIDATED'
+          ? 'This import has not been committed'
+          : 'This import has already been rolled back'
+      });
+    }
+
+    const { removed, kept } = await rollbackImport({ importRecord, rolledBackBy: req.user.id });
+
+    await logAuditEvent(req.user.id, 'PATIENT_IMPORT_ROLLBACK', 'PATIENT_IMPORT', importRecord.id, null, {
+      file_name: importRecord.file_name,
+      removed_patient_codes: removed.map((row) => row.patient_code),
+      kept_patient_codes: kept.map((row) => row.patient_code)
+    });
+
+    res.json({
+      success: true,
+      message: kept.length > 0
+        ? `${removed.length} patients removed; ${kept.length} kept because they already have records`
+        : `${removed.length} patients removed`,
+      data: { removed, kept }
+    });
+  } catch (error) {
+    console.error('Rollback patient import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPatientImports,
+  getPatientImport,
+  validatePatientImport,
+  commitPatientImport,
+  rollbackPatientImport
+};
@@ -0,0 +1,150 @@
+const { query } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  scoreCandidate,
+  findMergeByDuplicate,
+  countPatientRecords,
+  mergePatients,
+  listMerges
+} = require('../services/patientDuplicateService');
+
+const PATIENT_SUMMARY_COLUMNS = `id, patient_code, first_name, last_name, date_of_birth, gender, phone, email,
+  address, status, created_at, deleted_at`;
+
+// Inactive patients can be merged away but cannot survive a merge
+const findPatientByCode = async (patientCode) => {
+  const rows = await query(
+    `SELECT ${PATIENT_SUMMARY_COLUMNS} FROM patients WHERE patient_code = ? LIMIT 1`,
+    [String(patientCode).trim()]
+  );
+  return rows[0] || null;
+};
+
+// Checks shared by the preview and the merge; returns an error message or null
+const getMergeError = async (survivor, duplicate) => {
+  if (!survivor || !duplicate) {
+    return 'Patient not found';
+  }
+  if (survivor.id === duplicate.id) {
+    return 'Choose two different patients';
+  }
+  if (survivor.deleted_at) {
+    return `${survivor.patient_code} is inactive; reactivate it or keep the other record instead`;
+  }
+  if (await findMergeByDuplicate(duplicate.id)) {
+    return `${duplicate.patient_code} has already been merged`;
+  }
+  return null;
+};
+
+const getPatientMerges = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listMerges()
+    });
+  } catch (error) {
+    console.error('Get patient merges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Both records side by side with what would move, so the administrator can confirm
+const previewPatientMerge = async (req, res) => {
+  try {
+    const [survivor, duplicate] = await Promise.all([
+      findPatientByCode(req.query.survivor_code),
+      findPatientByCode(req.query.duplicate_code)
+    ]);
+
+    const mergeError = await getMergeError(survivor, duplicate);
+    if (mergeError) {
+      return res.status(!survivor || !duplicate ? 404 : 400).json({
+        success: false,
+        message: mergeError
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        survivor,
+        duplicate,
+        match: scoreCandidate(survivor, duplicate),
+        records: await countPatientRecords(duplicate.id)
+      }
+    });
+  } catch (error) {
+    console.error('Preview patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const mergePatientRecords = async (req, res) => {
+  try {
+    const { survivor_patient_id: survivorId, duplicate_patient_id: duplicateId } = req.body;
+    const reason = req.body.reason ? req.body.reason.trim() : null;
+
+    const [survivorRows, duplicateRows] = await Promise.all([
+      query(`SELECT ${PATIENT_SUMMARY_COLUMNS} FROM patients WHERE id = ? LIMIT 1`, [survivorId]),
+      query(`SELECT ${PATIENT_SUMMARY_COLUMNS} FROM patients WHERE id = ? LIMIT 1`, [duplicateId])
+    ]);
+    const mergeError = await getMergeError(survivorRows[0], duplicateRows[0]);
+    if (mergeError) {
+      return res.status(!survivorRows[0] || !duplicateRows[0] ? 404 : 400).json({
+        success: false,
+        message: mergeError
+      });
+    }
+
+    const result = await mergePatients({ survivorId, duplicateId, reason, mergedBy: req.user.id });
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        code: 'PATIENT_MERGE_CONFLICT',
+        message: result.error
+      });
+    }
+
+    await logAuditEvent(req.user.id, 'PATIENT_MERGE', 'PATIENT', survivorId, result.duplicate, {
+      merge_id: result.id,
+      survivor_patient_code: result.survivor.patient_code,
+      duplicate_patient_id: duplicateId,
+      duplicate_patient_code: result.duplicate.patient_code,
+      reason,
+      moved_rows: result.moved,
+      retained_rows: result.retained
+    });
+
+    const movedTotal = Object.values(result.moved).reduce((sum, count) => sum + count, 0);
+    res.status(201).json({
+      success: true,
+      message: `${result.duplicate.patient_code} merged into ${result.survivor.patient_code}; ${movedTotal} records moved`,
+      data: {
+        id: result.id,
+        survivor_patient_id: survivorId,
+        duplicate_patient_id: duplicateId,
+        moved_rows: result.moved,
+        retained_rows: result.retained
+      }
+    });
+  } catch (error) {
+    console.error('Merge patients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPatientMerges,
+  previewPatientMerge,
+  mergePatientRecords
+};
@@ -0,0 +1,150 @@
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+const {
+  ROLES,
+  normalizeMatrix,
+  diffMatrices,
+  getCurrentVersion,
+  getVersion,
+  listVersions,
+  saveMatrix
+} = require('../services/permissionMatrixService');
+
+const versionConflict = (res, version) => res.status(409).json({
+  success: false,
+  code: 'PERMISSION_MATRIX_CONFLICT',
+  message: `The permission matrix was changed by someone else and is now at version ${version}. Reload and try again.`
+});
+
+// Validates, saves and audits a new matrix version. Shared by edits and restores.
+const applyMatrix = async (req, res, { matrix: requested, baseVersion, note, successMessage }) => {
+  const { matrix, errors } = normalizeMatrix(requested);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'PERMISSION_MATRIX_INVALID',
+      message: errors[0],
+      errors
+    });
+  }
+
+  const current = await getCurrentVersion();
+  if (current.version !== Number(baseVersion)) {
+    return versionConflict(res, current.version);
+  }
+
+  const changes = diffMatrices(current.matrix, matrix);
+  if (changes.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No permission changes to save'
+    });
+  }
+
+  const saved = await saveMatrix({ matrix, note, changedBy: req.user.id, baseVersion });
+  if (saved.conflict) {
+    return versionConflict(res, saved.version);
+  }
+
+  await logAuditEvent(req.user.id, 'PERMISSION_MATRIX_UPDATE', 'PERMISSION_MATRIX', saved.version,
+    { version: current.version },
+    { version: saved.version, note, changes }
+  );
+
+  res.json({
+    success: true,
+    message: successMessage(saved.version),
+    data: {
+      version: saved.version,
+      matrix,
+      changes
+    }
+  });
+};
+
+const getPermissionMatrix = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...(await getCurrentVersion()),
+        roles: ROLES,
+        object_types: Object.values(OBJECT_TYPES),
+        permissions: PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get permission matrix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const updatePermissionMatrix = async (req, res) => {
+  try {
+    const { matrix, version, note } = req.body;
+    await applyMatrix(req, res, {
+      matrix,
+      baseVersion: version,
+      note: note ? note.trim() : null,
+      successMessage: (saved) => `Permission matrix saved as version ${saved}`
+    });
+  } catch (error) {
+    console.error('Update permission matrix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getPermissionMatrixHistory = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({
+      success: true,
+      data: await listVersions(limit)
+    });
+  } catch (error) {
+    console.error('Get permission matrix history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Re-applies an earlier version as a new version, so the history is never rewritten
+const restorePermissionMatrixVersion = async (req, res) => {
+  try {
+    const target = await getVersion(req.params.version);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Permission matrix version not found'
+      });
+    }
+
+    await applyMatrix(req, res, {
+      matrix: target.matrix,
+      baseVersion: req.body.version,
+      note: `Restored version ${target.version}`,
+      successMessage: (saved) => `Version ${target.version} restored as version ${saved}`
+    });
+  } catch (error) {
+    console.error('Restore permission matrix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPermissionMatrix,
+  updatePermissionMatrix,
+  getPermissionMatrixHistory,
+  restorePermissionMatrixVersion
+};
@@ -7,6 +7,9 @@ const {
   query
 } = require('../config/database');
 const { logAuditEvent } = require('../middleware/errorHandler');
+const { effectiveAssignmentCondition } = require('../services/assignmentWindowService');
+const { redactRecord, redactRows } = require('../services/fieldRedactionService');
+const { OBJECT_TYPES } = require('../middleware/accessControl');
 
 const QUEUE_STATUSES = ['IN_WAITING_ROOM', 'UNDER_CONSULTATION', 'UNDER_TREATMENT', 'COMPLETED'];
 const GLOBAL_QUEUE_ROLES = new Set(['ADMIN', 'NURSE', 'RECEPTION', 'ORTHODONTIST', 'DENTAL_SURGEON']);
@@ -47,7 +50,7 @@ const buildQueueScope = (user, alias = 'q', options = {}) => {
           WHERE pa_scope.patient_id = ${alias}.patient_id
             AND pa_scope.user_id = ?
             AND pa_scope.assignment_role = ?
-            AND pa_scope.active = TRUE
+            AND ${effectiveAssignmentCondition('pa_scope')}
         )
       `,
       params: [user.id, user.role]
@@ -103,11 +106,17 @@ const queueSelectFields = `
       ON assigned_user.id = pa.user_id
      AND assigned_user.status = 'ACTIVE'
     WHERE pa.patient_id = q.patient_id
-      AND pa.active = TRUE
+      AND ${effectiveAssignmentCondition('pa')}
       AND pa.assignment_role IN ('ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT')
   ) as assigned_clinical_staff
 `;
 
+// Patient fields the queue rows carry under their own names, for the role field policy
+const QUEUE_PATIENT_FIELD_ALIASES = {
+  patient_age: 'date_of_birth',
+  patient_gender: 'gender'
+};
+
 const queueJoins = `
   LEFT JOIN patients p ON q.patient_id = p.id
   LEFT JOIN users provider ON q.provider_id = provider.id
@@ -196,7 +205,7 @@ const getQueue = async (req, res) => {
     res.json({
       success: true,
       data: {
-        queue: queueWithWaitTimes,
+        queue: redactRows(queueWithWaitTimes, req.user.role, OBJECT_TYPES.PATIENT_GENERAL, QUEUE_PATIENT_FIELD_ALIASES),
         statistics: stats[0]
       }
     });
@@ -290,7 +299,7 @@ const addToQueue = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Patient added to queue successfully',
-      data: createdQueue[0]
+      data: redactRecord(createdQueue[0], req.user.role, OBJECT_TYPES.PATIENT_GENERAL, QUEUE_PATIENT_FIELD_ALIASES)
     });
   } catch (error) {
     console.error('Add to queue error:', error);
@@ -360,7 +369,7 @@ const updateQueueStatus = async (req, res) => {
     res.json({
       success: true,
       message: 'Queue status updated successfully',
-      data: updatedQueue[0]
+      data: redactRecord(updatedQueue[0], req.user.role, OBJECT_TYPES.PATIENT_GENERAL, QUEUE_PATIENT_FIELD_ALIASES)
     });
   } catch (error) {
     console.error('Update queue status error:', error);
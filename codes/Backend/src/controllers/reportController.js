@@ -1,4 +1,6 @@
 const { query } = require('../config/database');
+const { redactRows } = require('../services/fieldRedactionService');
+const { summarizePhaseDurations } = require('../services/patientStatusService');
 
 const parsePositiveInt = (value, fallback) => {
   const parsed = Number.parseInt(value, 10);
@@ -123,6 +125,99 @@ const getPatientStatusReport = async (req, res) => {
   }
 };
 
+// Get time spent in each patient status and lead times between statuses
+const getStatusDurationReport = async (req, res) => {
+  try {
+    const from = normalizeDateTimeInput(req.query.start_date);
+    // A bare end date covers that whole day
+    const to = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.end_date || '').trim())
+      ? `${String(req.query.end_date).trim()} 23:59:59`
+      : normalizeDateTimeInput(req.query.end_date);
+
+    const history = await query(`
+      SELECT h.patient_id, h.to_status, h.changed_at
+      FROM patient_status_history h
+      JOIN patients p ON p.id = h.patient_id
+      WHERE p.deleted_at IS NULL
+      ORDER BY h.patient_id ASC, h.changed_at ASC, h.id ASC
+    `);
+
+    res.json({
+      success: true,
+      data: summarizePhaseDurations(history, { from, to })
+    });
+  } catch (error) {
+    console.error('Get status duration report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get waiting list length and waiting times
+const getWaitingListReport = async (req, res) => {
+  try {
+    const from = normalizeDateTimeInput(req.query.start_date);
+    const to = normalizeDateTimeInput(req.query.end_date);
+
+    const breakdown = await query(`
+      SELECT
+        w.treatment_type,
+        w.priority,
+        COUNT(*) AS waiting_count,
+        AVG(DATEDIFF(CURDATE(), w.added_on)) AS average_days_waiting,
+        MAX(DATEDIFF(CURDATE(), w.added_on)) AS longest_days_waiting
+      FROM waiting_list_entries w
+      JOIN patients p ON p.id = w.patient_id
+      WHERE w.status = 'WAITING' AND p.deleted_at IS NULL
+      GROUP BY w.treatment_type, w.priority
+      ORDER BY FIELD(w.priority, 'URGENT', 'SEVERE_MALOCCLUSION', 'ROUTINE'), w.treatment_type
+    `);
+
+    // Entries added, taken off, and removed during the period
+    const closedInPeriod = `${from ? 'AND w.closed_at >= ?' : ''} ${to ? 'AND w.closed_at <= ?' : ''}`;
+    const addedInPeriod = `${from ? 'AND w.added_on >= DATE(?)' : ''} ${to ? 'AND w.added_on <= DATE(?)' : ''}`;
+    const periodParams = [from, to].filter(Boolean);
+    const [movement] = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM waiting_list_entries w WHERE 1=1 ${addedInPeriod}) AS added_count,
+        (SELECT COUNT(*) FROM waiting_list_entries w WHERE w.status = 'TAKEN_OFF' ${closedInPeriod}) AS taken_off_count,
+        (SELECT AVG(DATEDIFF(DATE(w.closed_at), w.added_on)) FROM waiting_list_entries w WHERE w.status = 'TAKEN_OFF' ${closedInPeriod}) AS average_days_to_treatment,
+        (SELECT COUNT(*) FROM waiting_list_entries w WHERE w.status = 'REMOVED' ${closedInPeriod}) AS removed_count
+    `, [...periodParams, ...periodParams, ...periodParams, ...periodParams]);
+
+    const waitingCount = breakdown.reduce((sum, row) => sum + Number(row.waiting_count), 0);
+    res.json({
+      success: true,
+      data: {
+        overview: {
+          waiting_count: waitingCount,
+          average_days_waiting: waitingCount
+            ? Math.round(breakdown.reduce((sum, row) => sum + Number(row.average_days_waiting) * Number(row.waiting_count), 0) / waitingCount * 10) / 10
+            : null,
+          longest_days_waiting: waitingCount
+            ? Math.max(...breakdown.map((row) => Number(row.longest_days_waiting)))
+            : null,
+          added_count: Number(movement.added_count),
+          taken_off_count: Number(movement.taken_off_count),
+          average_days_to_treatment: movement.average_days_to_treatment === null
+            ? null
+            : Math.round(Number(movement.average_days_to_treatment) * 10) / 10,
+          removed_count: Number(movement.removed_count)
+        },
+        breakdown
+      }
+    });
+  } catch (error) {
+    console.error('Get waiting list report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get visit summary report
 const getVisitSummaryReport = async (req, res) => {
   try {
@@ -638,6 +733,98 @@ const getAuditLogsReport = async (req, res) => {
   }
 };
 
+// Failed sign-ins and lockouts from audit_logs, grouped by targeted account and source IP
+const getFailedLoginReport = async (req, res) => {
+  try {
+    const limit = Math.min(parsePositiveInt(req.query.limit, 50), 200);
+    const startDate = normalizeDateTimeInput(req.query.start_date);
+    const endDate = normalizeDateTimeInput(req.query.end_date);
+
+    const whereClauses = ["al.action IN ('LOGIN_FAILED', 'ACCOUNT_LOCKED')"];
+    const params = [];
+
+    if (startDate) {
+      whereClauses.push('al.timestamp >= ?');
+      params.push(startDate);
+    } else {
+      whereClauses.push('al.timestamp >= DATE_SUB(NOW(), INTERVAL 7 DAY)');
+    }
+
+    if (endDate) {
+      whereClauses.push('al.timestamp <= ?');
+      params.push(endDate);
+    }
+
+    const whereSql = `WHERE ${whereClauses.join(' AND ')}`;
+    const emailExpr = "LOWER(COALESCE(u.email, NULLIF(JSON_UNQUOTE(JSON_EXTRACT(al.new_values, '$.email')), 'null')))";
+    const ipExpr = "COALESCE(al.ip_address, NULLIF(JSON_UNQUOTE(JSON_EXTRACT(al.new_values, '$.ip_address')), 'null'))";
+
+    const summaryRows = await query(
+      `SELECT
+         COUNT(CASE WHEN al.action = 'LOGIN_FAILED' THEN 1 END) AS total_failures,
+         COUNT(CASE WHEN al.action = 'ACCOUNT_LOCKED' THEN 1 END) AS lockouts,
+         COUNT(CASE WHEN al.action = 'LOGIN_FAILED' AND al.user_id IS NULL THEN 1 END) AS unknown_account_failures,
+         COUNT(DISTINCT CASE WHEN al.action = 'LOGIN_FAILED' THEN ${emailExpr} END) AS accounts_targeted,
+         COUNT(DISTINCT CASE WHEN al.action = 'LOGIN_FAILED' THEN ${ipExpr} END) AS source_ips
+       FROM audit_logs al
+       LEFT JOIN users u ON u.id = al.user_id
+       ${whereSql}`,
+      params
+    );
+
+    const accounts = await query(
+      `SELECT
+         ${emailExpr} AS email,
+         MAX(al.user_id) AS user_id,
+         MAX(u.name) AS user_name,
+         MAX(u.role) AS user_role,
+         COUNT(CASE WHEN al.action = 'LOGIN_FAILED' THEN 1 END) AS failures,
+         COUNT(CASE WHEN al.action = 'ACCOUNT_LOCKED' THEN 1 END) AS lockouts,
+         COUNT(DISTINCT ${ipExpr}) AS distinct_ips,
+         MAX(al.timestamp) AS last_attempt_at,
+         MAX(COALESCE(u.locked_until > NOW(), FALSE)) AS is_locked
+       FROM audit_logs al
+       LEFT JOIN users u ON u.id = al.user_id
+       ${whereSql}
+       GROUP BY ${emailExpr}
+       ORDER BY failures DESC, last_attempt_at DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+
+    const sources = await query(
+      `SELECT
+         ${ipExpr} AS ip_address,
+         COUNT(*) AS failures,
+         COUNT(DISTINCT ${emailExpr}) AS accounts_targeted,
+         MAX(al.timestamp) AS last_attempt_at
+       FROM audit_logs al
+       LEFT JOIN users u ON u.id = al.user_id
+       ${whereSql}
+         AND al.action = 'LOGIN_FAILED'
+       GROUP BY ${ipExpr}
+       ORDER BY failures DESC, last_attempt_at DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        summary: summaryRows[0],
+        accounts,
+        sources
+      }
+    });
+  } catch (error) {
+    console.error('Get failed login report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 const getSummaryPatientList = async (req, res) => {
   try {
     const metric = String(req.query.metric || '').trim().toLowerCase();
@@ -723,7 +910,7 @@ const getSummaryPatientList = async (req, res) => {
       success: true,
       data: {
         metric,
-        patients: rows,
+        patients: redactRows(rows, req.user.role),
         total: rows.length
       }
     });
@@ -738,9 +925,12 @@ const getSummaryPatientList = async (req, res) => {
 
 module.exports = {
   getPatientStatusReport,
+  getStatusDurationReport,
+  getWaitingListReport,
   getVisitSummaryReport,
   getInventoryAlertsReport,
   getDashboardReport,
   getAuditLogsReport,
+  getFailedLoginReport,
   getSummaryPatientList
 };
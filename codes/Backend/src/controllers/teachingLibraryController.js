@@ -0,0 +1,276 @@
+const fs = require('fs');
+const { findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { getStoredObjectStream, cleanupLocalFile } = require('../services/fileStorageService');
+const { CONSENT_TYPES, hasConsent } = require('../services/consentService');
+const { buildTeachingCase } = require('../services/teachingAnonymizationService');
+const {
+  readTeachingPackage,
+  saveTeachingCase,
+  listTeachingCases,
+  getTeachingCase: loadTeachingCase,
+  getTeachingCaseFile,
+  writePackageForCase,
+  deleteTeachingCase: removeTeachingCase
+} = require('../services/teachingLibraryService');
+
+const duplicateResponse = (res, duplicateOf) => res.status(409).json({
+  success: false,
+  message: 'This case is already in the teaching library',
+  data: { id: duplicateOf }
+});
+
+const getTeachingCases = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listTeachingCases({ search: req.query.search })
+    });
+  } catch (error) {
+    console.error('Get teaching cases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getTeachingCase = async (req, res) => {
+  try {
+    const teachingCase = await loadTeachingCase(req.params.id);
+    if (!teachingCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teaching case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: teachingCase
+    });
+  } catch (error) {
+    console.error('Get teaching case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getTeachingCaseImage = async (req, res) => {
+  try {
+    const file = await getTeachingCaseFile(req.params.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    let fileStream;
+    try {
+      fileStream = await getStoredObjectStream(file);
+    } catch (error) {
+      console.error('Teaching image missing:', error);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found in storage'
+      });
+    }
+
+    res.setHeader('Content-Type', file.mime_type);
+    res.setHeader('Content-Length', file.file_size);
+    res.setHeader('Content-Disposition', `inline; filename="${file.archive_path.replace('images/', '')}"`);
+    fileStream.on('error', (error) => {
+      console.error('Teaching image stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to read image'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+    fileStream.pipe(res);
+  } catch (error) {
+    console.error('Get teaching case image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Anonymises the chosen parts of a consenting patient's case into the library
+const createTeachingCaseFromPatient = async (req, res) => {
+  try {
+    const { title, description, sections } = req.body;
+    const patient = await findOne('patients', { id: req.params.patientId, deleted_at: null });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    if (!(await hasConsent(patient.id, CONSENT_TYPES.TEACHING))) {
+      return res.status(409).json({
+        success: false,
+        code: 'CONSENT_REQUIRED',
+        consent_type: CONSENT_TYPES.TEACHING,
+        message: 'The patient has not consented to teaching use. Record the consent before adding the case to the library.'
+      });
+    }
+
+    const { caseData, images, skipped } = await buildTeachingCase({ patient, title, description, sections });
+    const saved = await saveTeachingCase({
+      caseData,
+      images,
+      source: 'PATIENT',
+      sourcePatientId: patient.id,
+      createdBy: req.user.id
+    });
+    if (saved.duplicateOf) {
+      return duplicateResponse(res, saved.duplicateOf);
+    }
+
+    await logAuditEvent(req.user.id, 'TEACHING_CASE_CREATE', 'TEACHING_CASE', saved.id, null, {
+      patient_id: patient.id,
+      pseudonym: caseData.pseudonym,
+      sections,
+      images: images.length,
+      skipped_files: skipped.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: skipped.length
+        ? `Added to the teaching library; ${skipped.length} file(s) could not be included`
+        : 'Added to the teaching library',
+      data: { ...(await loadTeachingCase(saved.id)), skipped }
+    });
+  } catch (error) {
+    console.error('Create teaching case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const importTeachingPackage = async (req, res) => {
+  try {
+    let teachingPackage;
+    try {
+      teachingPackage = readTeachingPackage(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const saved = await saveTeachingCase({
+      ...teachingPackage,
+      source: 'IMPORT',
+      createdBy: req.user.id
+    });
+    if (saved.duplicateOf) {
+      return duplicateResponse(res, saved.duplicateOf);
+    }
+
+    await logAuditEvent(req.user.id, 'TEACHING_CASE_IMPORT', 'TEACHING_CASE', saved.id, null, {
+      pseudonym: teachingPackage.caseData.pseudonym,
+      file_name: req.file.originalname,
+      images: teachingPackage.images.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Package imported into the teaching library',
+      data: await loadTeachingCase(saved.id)
+    });
+  } catch (error) {
+    console.error('Import teaching package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// The case as a package that another system can import
+const downloadTeachingPackage = async (req, res) => {
+  try {
+    const built = await writePackageForCase(req.params.id);
+    if (!built) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teaching case not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${built.fileName}"`);
+    res.setHeader('Content-Length', built.fileSize);
+    const fileStream = fs.createReadStream(built.localPath);
+    fileStream.on('close', () => cleanupLocalFile(built.localPath));
+    fileStream.on('error', (error) => {
+      console.error('Teaching package stream error:', error);
+      res.destroy(error);
+    });
+    fileStream.pipe(res);
+
+    await logAuditEvent(req.user.id, 'TEACHING_PACKAGE_DOWNLOAD', 'TEACHING_CASE', Number(req.params.id), null, {
+      file_name: built.fileName
+    });
+  } catch (error) {
+    console.error('Download teaching package error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+};
+
+const deleteTeachingCase = async (req, res) => {
+  try {
+    const teachingCase = await loadTeachingCase(req.params.id);
+    if (!teachingCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teaching case not found'
+      });
+    }
+
+    await removeTeachingCase(teachingCase.id);
+    await logAuditEvent(req.user.id, 'TEACHING_CASE_DELETE', 'TEACHING_CASE', teachingCase.id, {
+      pseudonym: teachingCase.pseudonym,
+      title: teachingCase.title
+    }, null);
+
+    res.json({
+      success: true,
+      message: 'Removed from the teaching library'
+    });
+  } catch (error) {
+    console.error('Delete teaching case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTeachingCases,
+  getTeachingCase,
+  getTeachingCaseImage,
+  createTeachingCaseFromPatient,
+  importTeachingPackage,
+  downloadTeachingPackage,
+  deleteTeachingCase
+};
@@ -10,6 +10,10 @@ const {
 const { logAuditEvent } = require('../middleware/errorHandler');
 const { sendInitialPasswordEmail } = require('../services/emailService');
 const { generateTemporaryPassword } = require('../utils/password');
+const { clearMfa } = require('../services/mfaService');
+const { listActiveSessions, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { unlockAccount } = require('../services/accountLockoutService');
+const { checkNewPassword, recordPasswordHistory } = require('../services/passwordPolicyService');
 
 let userColumnSetPromise = null;
 
@@ -92,7 +96,8 @@ const getUsers = async (req, res) => {
     } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE 1=1';
+    // Service accounts are managed with their API keys, not as staff
+    let whereClause = 'WHERE is_service_account = FALSE';
     let queryParams = [];
 
     if (role) {
@@ -129,7 +134,9 @@ const getUsers = async (req, res) => {
     const phoneSelect = await getUserPhoneSelectFragment();
     const usersQuery = `
       SELECT 
-        id, name, email, ${phoneSelect}, role, department, status, created_at, updated_at
+        id, name, email, ${phoneSelect}, role, department, status, mfa_enabled,
+        failed_login_attempts, locked_until, COALESCE(locked_until > NOW(), FALSE) AS is_locked,
+        created_at, updated_at
       FROM users 
       ${whereClause}
       ORDER BY created_at DESC
@@ -168,7 +175,9 @@ const getUserById = async (req, res) => {
     const phoneSelect = await getUserPhoneSelectFragment();
     const userQuery = `
       SELECT 
-        id, name, email, ${phoneSelect}, role, department, status, created_at, updated_at
+        id, name, email, ${phoneSelect}, role, department, status, mfa_enabled,
+        failed_login_attempts, locked_until, COALESCE(locked_until > NOW(), FALSE) AS is_locked,
+        created_at, updated_at
       FROM users 
       WHERE id = ?
     `;
@@ -227,6 +236,18 @@ const createUser = async (req, res) => {
     const providedPassword = typeof userData.password === 'string' && userData.password.trim()
       ? userData.password.trim()
       : null;
+    if (providedPassword) {
+      const policyErrors = await checkNewPassword(providedPassword);
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          code: 'PASSWORD_POLICY',
+          message: policyErrors[0],
+          errors: policyErrors
+        });
+      }
+    }
+
     const temporaryPassword = providedPassword || generateTemporaryPassword();
 
     // Hash password
@@ -247,6 +268,9 @@ const createUser = async (req, res) => {
 
     // Create user
     const userId = await insert('users', newUserData);
+    if (providedPassword) {
+      await recordPasswordHistory(userId, passwordHash);
+    }
 
     await logAuditEvent(req.user.id, 'CREATE', 'USER', userId, null, {
       name: userData.name,
@@ -320,6 +344,16 @@ const updateUser = async (req, res) => {
     // Backward-compatible direct password update for existing automation flows.
     // Preferred admin flow is resetUserPassword(), which emails a temporary password.
     if (updateData.password) {
+      const policyErrors = await checkNewPassword(updateData.password, existingUser);
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          code: 'PASSWORD_POLICY',
+          message: policyErrors[0],
+          errors: policyErrors
+        });
+      }
+
       const saltRounds = 12;
       updateData.password_hash = bcrypt.hashSync(updateData.password, saltRounds);
       updateData.must_change_password = false;
@@ -335,6 +369,9 @@ const updateUser = async (req, res) => {
 
     // Update user
     await update('users', normalizedUpdateData, { id });
+    if (normalizedUpdateData.password_hash) {
+      await recordPasswordHistory(id, normalizedUpdateData.password_hash);
+    }
 
     if (roleChanged) {
       await deactivateUserAssignmentsSafely(id);
@@ -438,6 +475,174 @@ const resetUserPassword = async (req, res) => {
   }
 };
 
+// Reset a user's MFA enrollment (Admin only), e.g. after a lost authenticator
+const resetUserMfa = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await findOne('users', { id });
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearMfa(id);
+    await update('refresh_tokens', { is_revoked: true }, { user_id: id });
+
+    await logAuditEvent(req.user.id, 'MFA_RESET', 'USER', id, {
+      mfa_enabled: Boolean(existingUser.mfa_enabled),
+      mfa_enrolled_at: existingUser.mfa_enrolled_at || null
+    }, {
+      mfa_enabled: false,
+      reset_at: new Date(),
+      email: existingUser.email
+    });
+
+    return res.json({
+      success: true,
+      message: 'MFA reset. The user must enroll again on next login if MFA is required for their role.'
+    });
+  } catch (error) {
+    console.error('Reset user MFA error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Lift a failed-login lockout (Admin only)
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await findOne('users', { id });
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(id);
+
+    await logAuditEvent(req.user.id, 'ACCOUNT_UNLOCK', 'USER', id, {
+      failed_login_attempts: existingUser.failed_login_attempts,
+      lockout_count: existingUser.lockout_count,
+      locked_until: existingUser.locked_until || null
+    }, {
+      failed_login_attempts: 0,
+      lockout_count: 0,
+      locked_until: null,
+      email: existingUser.email
+    });
+
+    return res.json({
+      success: true,
+      message: 'Account unlocked. The user can sign in again.'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// List a user's signed-in devices (Admin only)
+const getUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await findOne('users', { id });
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await listActiveSessions(id, req.user.session_id);
+
+    return res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out one device of a user (Admin only)
+const revokeUserSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const revoked = await revokeSession(id, sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await logAuditEvent(req.user.id, 'SESSION_REVOKE_ADMIN', 'USER', id, null, {
+      session_id: sessionId
+    });
+
+    return res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out every device of a user (Admin only)
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await findOne('users', { id });
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedCount = await revokeAllSessions(id);
+
+    await logAuditEvent(req.user.id, 'SESSION_REVOKE_ALL_ADMIN', 'USER', id, null, {
+      revoked_count: revokedCount
+    });
+
+    return res.json({
+      success: true,
+      message: `Signed out ${revokedCount} session${revokedCount === 1 ? '' : 's'}`,
+      data: { revoked_count: revokedCount }
+    });
+  } catch (error) {
+    console.error('Revoke all user sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Delete user (Admin only)
 const deleteUser = async (req, res) => {
   try {
@@ -639,7 +844,7 @@ const getStaffDirectory = async (req, res) => {
   try {
     const { role, department } = req.query;
 
-    let whereClause = "WHERE status = 'ACTIVE'";
+    let whereClause = "WHERE status = 'ACTIVE' AND is_service_account = FALSE";
     let queryParams = [];
 
     if (role) {
@@ -699,6 +904,11 @@ module.exports = {
   createUser,
   updateUser,
   resetUserPassword,
+  resetUserMfa,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
   deleteUser,
   getUserStats,
   getStaffDirectory
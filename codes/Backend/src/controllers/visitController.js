@@ -7,6 +7,7 @@ const {
 } = require('../config/database');
 const { logAuditEvent } = require('../middleware/errorHandler');
 const { sendManualReminder } = require('../services/reminderService');
+const { effectiveAssignmentCondition } = require('../services/assignmentWindowService');
 
 const normalizeVisitDateForDb = (value) => {
   if (typeof value !== 'string') return null;
@@ -42,7 +43,7 @@ const buildVisitScope = (user, alias = 'v') => {
             WHERE pa_scope.patient_id = ${alias}.patient_id
               AND pa_scope.user_id = ?
               AND pa_scope.assignment_role = ?
-              AND pa_scope.active = TRUE
+              AND ${effectiveAssignmentCondition('pa_scope')}
           )
         )
       `,
@@ -58,7 +59,7 @@ const buildVisitScope = (user, alias = 'v') => {
         WHERE pa_scope.patient_id = ${alias}.patient_id
           AND pa_scope.user_id = ?
           AND pa_scope.assignment_role = ?
-          AND pa_scope.active = TRUE
+          AND ${effectiveAssignmentCondition('pa_scope')}
       )
     `,
     params: [user.id, user.role]
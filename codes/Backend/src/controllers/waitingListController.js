@@ -0,0 +1,157 @@
+const { findOne } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { CONSENT_TYPES, hasConsent } = require('../services/consentService');
+const {
+  TREATMENT_TYPES,
+  listWaitingEntries,
+  getWaitingListEntry,
+  takeOffWaitingList,
+  removeFromWaitingList
+} = require('../services/waitingListService');
+
+const getWaitingList = async (req, res) => {
+  try {
+    const treatmentType = String(req.query.treatment_type || '').toUpperCase();
+    if (treatmentType && !TREATMENT_TYPES.includes(treatmentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `treatment_type must be one of ${TREATMENT_TYPES.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await listWaitingEntries({ treatmentType: treatmentType || null })
+    });
+  } catch (error) {
+    console.error('Get waiting list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Loads a WAITING entry for a still-registered patient, or sends the error response
+const findOpenEntry = async (id, res) => {
+  const entry = await getWaitingListEntry(id);
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waiting list entry not found'
+    });
+    return null;
+  }
+  if (entry.status !== 'WAITING') {
+    res.status(400).json({
+      success: false,
+      message: entry.status === 'TAKEN_OFF'
+        ? 'This patient has already been taken off the waiting list'
+        : 'This patient has already been removed from the waiting list'
+    });
+    return null;
+  }
+  const patient = await findOne('patients', { id: entry.patient_id, deleted_at: null });
+  if (!patient) {
+    res.status(400).json({
+      success: false,
+      message: 'The patient is inactive; reactivate them before taking them off the list'
+    });
+    return null;
+  }
+  return entry;
+};
+
+const takePatientOffWaitingList = async (req, res) => {
+  try {
+    const entry = await findOpenEntry(req.params.id, res);
+    if (!entry) return;
+
+    const studentId = req.body.student_id ? Number(req.body.student_id) : null;
+    if (studentId) {
+      const student = await findOne('users', { id: studentId, status: 'ACTIVE' });
+      if (!student || student.role !== 'STUDENT') {
+        return res.status(400).json({
+          success: false,
+          message: 'student_id must be an active student'
+        });
+      }
+      if (!(await hasConsent(entry.patient_id, CONSENT_TYPES.STUDENT_CARE))) {
+        return res.status(409).json({
+          success: false,
+          code: 'CONSENT_REQUIRED',
+          consent_type: CONSENT_TYPES.STUDENT_CARE,
+          message: 'The patient has not consented to treatment by students. Record the consent before assigning a student.'
+        });
+      }
+    }
+
+    const result = await takeOffWaitingList({
+      entry,
+      orthodontistId: req.user.id,
+      studentId,
+      notes: String(req.body.notes || '').trim() || null
+    });
+
+    await logAuditEvent(req.user.id, 'WAITING_LIST_TAKE_OFF', 'WAITING_LIST_ENTRY', entry.id, {
+      status: entry.status
+    }, {
+      status: 'TAKEN_OFF',
+      patient_id: entry.patient_id,
+      days_waiting: entry.days_waiting,
+      orthodontist_assignment_id: result.orthodontistAssignment.assignmentId,
+      student_id: studentId,
+      case_id: result.caseId,
+      patient_status_changed: result.statusChanged
+    });
+
+    res.json({
+      success: true,
+      message: result.caseId
+        ? `${entry.first_name} ${entry.last_name} is now assigned to you and the student case is open`
+        : `${entry.first_name} ${entry.last_name} is now assigned to you`,
+      data: await getWaitingListEntry(entry.id)
+    });
+  } catch (error) {
+    console.error('Take patient off waiting list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const removePatientFromWaitingList = async (req, res) => {
+  try {
+    const entry = await findOpenEntry(req.params.id, res);
+    if (!entry) return;
+
+    await removeFromWaitingList({ entry, reason: req.body.reason, removedBy: req.user.id });
+
+    await logAuditEvent(req.user.id, 'WAITING_LIST_REMOVE', 'WAITING_LIST_ENTRY', entry.id, {
+      status: entry.status
+    }, {
+      status: 'REMOVED',
+      patient_id: entry.patient_id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Patient removed from the waiting list',
+      data: await getWaitingListEntry(entry.id)
+    });
+  } catch (error) {
+    console.error('Remove patient from waiting list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getWaitingList,
+  takePatientOffWaitingList,
+  removePatientFromWaitingList
+};
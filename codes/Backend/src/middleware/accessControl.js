@@ -1,4 +1,6 @@
 const { query } = require('../config/database');
+const { canBreakGlass, grantAllowsPermission, findActiveGrant } = require('../services/breakGlassService');
+const { effectiveAssignmentCondition } = require('../services/assignmentWindowService');
 
 const PERMISSIONS = {
   CREATE: 'C',
@@ -21,8 +23,9 @@ const OBJECT_TYPES = {
   AUDIT_LOGS: 'AUDIT_LOGS'
 };
 
-// Matrix from the project specification
-const ROLE_PERMISSIONS = {
+// Matrix from the project specification. Seeds permission_matrix_versions on first start
+// and is used until the stored matrix has been loaded.
+const DEFAULT_ROLE_PERMISSIONS = {
   ADMIN: {
     [OBJECT_TYPES.PATIENT_GENERAL]: [PERMISSIONS.CREATE, PERMISSIONS.READ, PERMISSIONS.UPDATE, PERMISSIONS.DELETE, PERMISSIONS.APPROVE],
     [OBJECT_TYPES.PATIENT_MEDICAL]: [PERMISSIONS.CREATE, PERMISSIONS.READ, PERMISSIONS.UPDATE, PERMISSIONS.DELETE, PERMISSIONS.APPROVE],
@@ -89,11 +92,65 @@ const ROLE_PERMISSIONS = {
 
 const ASSIGNMENT_SCOPED_ROLES = new Set(['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT']);
 
+// Other server instances may edit the matrix, so the cached copy is re-read once it is this old
+const PERMISSION_CACHE_SECONDS = Number(process.env.PERMISSION_CACHE_SECONDS || 30);
+
+const permissionCache = {
+  matrix: DEFAULT_ROLE_PERMISSIONS,
+  version: 0,
+  loadedAt: 0
+};
+
+const parseMatrix = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Called after a save so this instance applies the new matrix without waiting for the cache to expire
+const setPermissionMatrix = (matrix, version) => {
+  permissionCache.matrix = matrix;
+  permissionCache.version = version;
+  permissionCache.loadedAt = Date.now();
+};
+
+const refreshPermissionMatrix = async ({ force = false } = {}) => {
+  if (!force && Date.now() - permissionCache.loadedAt < PERMISSION_CACHE_SECONDS * 1000) {
+    return;
+  }
+
+  try {
+    const rows = await query('SELECT version, matrix FROM permission_matrix_versions ORDER BY version DESC LIMIT 1');
+    if (rows.length > 0) {
+      setPermissionMatrix(parseMatrix(rows[0].matrix), rows[0].version);
+    } else {
+      permissionCache.loadedAt = Date.now();
+    }
+  } catch (error) {
+    // Keep enforcing the last matrix that loaded rather than failing every request
+    console.error('Permission matrix refresh error:', error);
+    permissionCache.loadedAt = Date.now();
+  }
+};
+
+const getPermissionMatrixVersion = () => permissionCache.version;
+
+const getRolePermissions = () => permissionCache.matrix;
+
 const hasPermission = (role, objectType, permission) => {
-  const permissions = ROLE_PERMISSIONS[role]?.[objectType] || [];
+  const permissions = permissionCache.matrix[role]?.[objectType] || [];
   return permissions.includes(permission);
 };
 
+// API-key requests are limited to the key's scopes on top of the service account's role
+const hasApiKeyScope = (apiKey, objectType, permission) => {
+  const scoped = apiKey?.scopes?.[objectType] || [];
+  return scoped.includes(permission);
+};
+
+const userHasPermission = (user, objectType, permission) => {
+  if (!hasPermission(user.role, objectType, permission)) {
+    return false;
+  }
+  return !user.api_key || hasApiKeyScope(user.api_key, objectType, permission);
+};
+
 const requiresPatientAssignment = (role, objectType) => {
   if (!ASSIGNMENT_SCOPED_ROLES.has(role)) return false;
 
@@ -109,29 +166,49 @@ const requiresPatientAssignment = (role, objectType) => {
   ].includes(objectType);
 };
 
-const hasInstanceAccess = async (user, patientId, objectType, permission) => {
-  if (!patientId) return true;
+// Resolves patient-level access. Assignment-scoped roles fall back to an active break-glass
+// grant, which is reported back so the request can be attributed to it.
+const resolveInstanceAccess = async (user, patientId, objectType, permission) => {
+  if (!patientId) return { allowed: true };
 
-  if (!hasPermission(user.role, objectType, permission)) {
-    return false;
+  if (!userHasPermission(user, objectType, permission)) {
+    return { allowed: false };
   }
 
   if (!requiresPatientAssignment(user.role, objectType)) {
-    return true;
+    return { allowed: true };
   }
 
   const rows = await query(
     `SELECT 1
-     FROM patient_assignments
+     FROM patient_assignments pa
      WHERE patient_id = ?
        AND user_id = ?
        AND assignment_role = ?
-       AND active = TRUE
+       AND ${effectiveAssignmentCondition('pa')}
      LIMIT 1`,
     [patientId, user.id, user.role]
   );
 
-  return rows.length > 0;
+  if (rows.length > 0) {
+    return { allowed: true };
+  }
+
+  if (!canBreakGlass(user)) {
+    return { allowed: false };
+  }
+
+  const grant = await findActiveGrant(user.id, patientId);
+  if (grant && grantAllowsPermission(grant.access_level, permission)) {
+    return { allowed: true, breakGlassId: grant.id };
+  }
+
+  return { allowed: false, breakGlassAvailable: true };
+};
+
+const hasInstanceAccess = async (user, patientId, objectType, permission) => {
+  const { allowed } = await resolveInstanceAccess(user, patientId, objectType, permission);
+  return allowed;
 };
 
 const resolvePatientIdFromRequest = async (req, options = {}) => {
@@ -160,6 +237,8 @@ const requirePermission = (objectType, permission, options = {}) => {
         });
       }
 
+      await refreshPermissionMatrix();
+
       if (!hasPermission(req.user.role, objectType, permission)) {
         return res.status(403).json({
           success: false,
@@ -167,20 +246,29 @@ const requirePermission = (objectType, permission, options = {}) => {
         });
       }
 
+      if (req.user.api_key && !hasApiKeyScope(req.user.api_key, objectType, permission)) {
+        return res.status(403).json({
+          success: false,
+          code: 'API_KEY_SCOPE',
+          message: `Access denied: API key lacks ${permission} on ${objectType}`
+        });
+      }
+
       const patientId = await resolvePatientIdFromRequest(req, options);
       if (!patientId) {
         return next();
       }
 
-      const allowed = await hasInstanceAccess(req.user, patientId, objectType, permission);
-      if (!allowed) {
+      const access = await resolveInstanceAccess(req.user, patientId, objectType, permission);
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
-          message: 'Access denied for this patient record'
+          message: 'Access denied for this patient record',
+          ...(access.breakGlassAvailable && { code: 'PATIENT_NOT_ASSIGNED', break_glass_available: true })
         });
       }
 
-      req.patientScope = { patientId: Number(patientId) };
+      req.patientScope = { patientId: Number(patientId), breakGlassId: access.breakGlassId || null };
       next();
     } catch (error) {
       console.error('Access control error:', error);
@@ -192,13 +280,19 @@ const requirePermission = (objectType, permission, options = {}) => {
   };
 };
 
-const getUserPermissions = (role) => ROLE_PERMISSIONS[role] || {};
+const getUserPermissions = (role) => permissionCache.matrix[role] || {};
 
 module.exports = {
   PERMISSIONS,
   OBJECT_TYPES,
-  ROLE_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  setPermissionMatrix,
+  refreshPermissionMatrix,
+  getPermissionMatrixVersion,
+  getRolePermissions,
   hasPermission,
+  hasApiKeyScope,
+  userHasPermission,
   hasInstanceAccess,
   requirePermission,
   getUserPermissions
@@ -1,5 +1,9 @@
-const { verifyAccessToken, extractTokenFromHeader } = require('../config/auth');
+const { verifyAccessToken, verifyImpersonationToken, extractTokenFromHeader } = require('../config/auth');
 const { findOne, update } = require('../config/database');
+const { isMfaSetupRequired } = require('../services/mfaService');
+const { isSessionActive } = require('../services/sessionService');
+const { extractApiKey, findActiveApiKey, touchApiKey } = require('../services/apiKeyService');
+const { findActiveImpersonation } = require('../services/impersonationService');
 
 const SESSION_TIMEOUT_SECONDS = Number(process.env.SESSION_TIMEOUT_SECONDS || 3600);
 
@@ -9,9 +13,134 @@ const PASSWORD_CHANGE_ALLOWED_PATHS = new Set([
   '/api/auth/profile'
 ]);
 
+const MFA_SETUP_ALLOWED_PATHS = new Set([
+  ...PASSWORD_CHANGE_ALLOWED_PATHS,
+  '/api/auth/mfa',
+  '/api/auth/mfa/setup',
+  '/api/auth/mfa/enable'
+]);
+
+// Keys must not manage credentials, permissions or caseload delegations, including their own
+const API_KEY_BLOCKED_PREFIXES = ['/api/auth', '/api/api-keys', '/api/permissions', '/api/delegations'];
+
+// Viewing as another user is read-only and cannot reach credential or impersonation management
+const IMPERSONATION_SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const IMPERSONATION_BLOCKED_PREFIXES = ['/api/auth', '/api/api-keys', '/api/impersonation'];
+const IMPERSONATION_ALLOWED_PATHS = new Set(['/api/auth/profile', '/api/auth/password-policy']);
+
+// Swaps req.user for the viewed user; the administrator stays on req.user.impersonated_by
+const applyImpersonation = async (req, res, next, token) => {
+  const admin = req.user;
+  const sessionEnded = () => res.status(403).json({
+    success: false,
+    code: 'IMPERSONATION_ENDED',
+    message: 'The view-as-user session has ended'
+  });
+
+  let decoded;
+  try {
+    decoded = verifyImpersonationToken(token);
+  } catch (error) {
+    return sessionEnded();
+  }
+
+  if (admin.role !== 'ADMIN' || decoded.adminId !== admin.id) {
+    return sessionEnded();
+  }
+
+  const session = await findActiveImpersonation(decoded.impersonationId, admin.id);
+  if (!session || session.target_user_id !== decoded.userId) {
+    return sessionEnded();
+  }
+
+  const target = await findOne('users', { id: session.target_user_id, status: 'ACTIVE', deleted_at: null });
+  if (!target) {
+    return sessionEnded();
+  }
+
+  const requestPath = String(req.originalUrl || '').split('?')[0];
+  const blockedPath = IMPERSONATION_BLOCKED_PREFIXES.some((prefix) => requestPath === prefix || requestPath.startsWith(`${prefix}/`))
+    && !IMPERSONATION_ALLOWED_PATHS.has(requestPath);
+
+  req.user = {
+    id: target.id,
+    name: target.name,
+    email: target.email,
+    role: target.role,
+    department: target.department,
+    must_change_password: false,
+    mfa_setup_required: false,
+    session_id: admin.session_id,
+    impersonated_by: {
+      id: admin.id,
+      name: admin.name,
+      email: admin.email,
+      impersonation_id: session.id,
+      expires_at: session.expires_at
+    }
+  };
+
+  if (!IMPERSONATION_SAFE_METHODS.has(req.method) || blockedPath) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_READ_ONLY',
+      message: 'This is not available while viewing as another user'
+    });
+  }
+
+  next();
+};
+
+// Service-account requests carrying an API key instead of a user session
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  const requestPath = String(req.originalUrl || '').split('?')[0];
+  if (API_KEY_BLOCKED_PREFIXES.some((prefix) => requestPath === prefix || requestPath.startsWith(`${prefix}/`))) {
+    return res.status(403).json({
+      success: false,
+      code: 'API_KEY_NOT_ALLOWED',
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  const apiKey = await findActiveApiKey(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      code: 'API_KEY_INVALID',
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  await touchApiKey(apiKey, req.ip);
+
+  req.user = {
+    id: apiKey.user_id,
+    name: apiKey.user_name,
+    email: apiKey.email,
+    role: apiKey.role,
+    department: apiKey.department,
+    must_change_password: false,
+    mfa_setup_required: false,
+    session_id: null,
+    api_key: {
+      id: apiKey.id,
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      scopes: apiKey.scopes
+    }
+  };
+
+  next();
+};
+
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const authHeader = req.headers.authorization;
     const token = extractTokenFromHeader(authHeader);
 
@@ -48,6 +177,15 @@ const authenticate = async (req, res, next) => {
       }
     }
 
+    // Access tokens outlive a revoked session, so check the session row is still live
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'This session has been signed out. Please log in again.'
+      });
+    }
+
     await update('users', { last_activity_at: now }, { id: user.id });
 
     // Attach user to request object
@@ -57,7 +195,9 @@ const authenticate = async (req, res, next) => {
       email: user.email,
       role: user.role,
       department: user.department,
-      must_change_password: Boolean(user.must_change_password)
+      must_change_password: Boolean(user.must_change_password),
+      mfa_setup_required: isMfaSetupRequired(user),
+      session_id: decoded.sid || null
     };
 
     const requestPath = String(req.originalUrl || '').split('?')[0];
@@ -69,6 +209,19 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (req.user.mfa_setup_required && !MFA_SETUP_ALLOWED_PATHS.has(requestPath)) {
+      return res.status(403).json({
+        success: false,
+        code: 'MFA_SETUP_REQUIRED',
+        message: 'Multi-factor authentication must be set up before continuing'
+      });
+    }
+
+    const impersonationToken = String(req.get('X-Impersonate-Token') || '').trim();
+    if (impersonationToken) {
+      return await applyImpersonation(req, res, next, impersonationToken);
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -88,6 +241,15 @@ const authorizeRoles = (...allowedRoles) => {
       });
     }
 
+    // Role-only routes have no object scope a key could be limited to
+    if (req.user.api_key) {
+      return res.status(403).json({
+        success: false,
+        code: 'API_KEY_NOT_ALLOWED',
+        message: 'API keys cannot be used for this endpoint'
+      });
+    }
+
     if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
@@ -142,11 +142,26 @@ const requestLogger = (req, res, next) => {
 
     console.log(`${logData.method} ${logData.url} ${logData.statusCode} - ${logData.duration}`);
 
-    // Log successful requests to audit if user is authenticated
-    if (req.user && res.statusCode < 400) {
+    if (req.user?.api_key) {
+      logData.api_key_id = req.user.api_key.id;
+      logData.api_key_prefix = req.user.api_key.key_prefix;
+    }
+    if (req.patientScope?.breakGlassId) {
+      logData.break_glass_id = req.patientScope.breakGlassId;
+    }
+    // Requests made while viewing as another user are attributed to the administrator
+    const impersonator = req.user?.impersonated_by;
+    if (impersonator) {
+      logData.impersonation_id = impersonator.impersonation_id;
+      logData.impersonated_user_id = req.user.id;
+      logData.impersonated_role = req.user.role;
+    }
+
+    // Log successful requests to audit if user is authenticated; API-key and view-as-user calls are logged whatever the outcome
+    if (req.user && (res.statusCode < 400 || req.user.api_key || impersonator)) {
       try {
         await insert('audit_logs', {
-          user_id: req.user.id,
+          user_id: impersonator ? impersonator.id : req.user.id,
           action: `${req.method} ${req.route?.path || req.originalUrl}`,
           entity_type: 'API_REQUEST',
           entity_id: null,
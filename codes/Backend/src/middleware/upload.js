@@ -170,6 +170,55 @@ const uploadMultiple = (fieldName, maxCount = 5) => {
   };
 };
 
+// Files parsed in memory and never stored as uploaded: patient imports and teaching packages
+const IMPORT_FILE_TYPES = ['csv', 'xlsx'];
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const TEACHING_PACKAGE_FILE_TYPES = ['zip'];
+const TEACHING_PACKAGE_MAX_FILE_SIZE = 200 * 1024 * 1024;
+
+const memoryUploadSingle = (allowedTypes, maxFileSize) => {
+  const memoryUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: fileFilter(allowedTypes),
+    limits: {
+      fileSize: maxFileSize,
+      files: 1
+    }
+  });
+
+  return (fieldName) => (req, res, next) => {
+    memoryUpload.single(fieldName)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: err.code === 'LIMIT_FILE_SIZE'
+            ? `File size too large. Maximum allowed is ${maxFileSize / (1024 * 1024)} MB`
+            : 'File upload error'
+        });
+      }
+
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+const uploadImportFile = memoryUploadSingle(IMPORT_FILE_TYPES, IMPORT_MAX_FILE_SIZE);
+const uploadTeachingPackage = memoryUploadSingle(TEACHING_PACKAGE_FILE_TYPES, TEACHING_PACKAGE_MAX_FILE_SIZE);
+
 // File validation middleware
 const validateFile = (req, res, next) => {
   if (!req.file && !req.files) {
@@ -225,6 +274,8 @@ const getFileInfo = (file) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadImportFile,
+  uploadTeachingPackage,
   validateFile,
   cleanupFiles,
   getFileInfo,
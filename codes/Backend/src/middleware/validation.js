@@ -65,6 +65,19 @@ const registrationDateSchema = Joi.string().custom((value, helpers) => {
   'date.format': 'Registration date must be DD/MM/YYYY, YYYY-MM-DD, or YYYY-MM-DD HH:mm'
 });
 
+// Calendar day, e.g. the start or end of a time-bounded assignment, or a consent signature
+const windowDate = Joi.string().custom((value, helpers) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !parseDateOnly(value)) {
+    return helpers.error('date.format');
+  }
+  return value;
+}).messages({
+  'date.format': 'Dates must be in YYYY-MM-DD format'
+});
+
+// Empty means the assignment has no start or end date
+const assignmentWindowDate = windowDate.allow(null, '');
+
 // Validation middleware factory
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
@@ -110,6 +123,44 @@ const schemas = {
   googleLogin: Joi.object({
     idToken: Joi.string().required().messages({
       'any.required': 'Google ID token is required'
+    }),
+    nonce: Joi.string().max(200)
+  }),
+
+  oidcLogin: Joi.object({
+    idToken: Joi.string().required().messages({
+      'any.required': 'ID token is required'
+    }),
+    nonce: Joi.string().max(200)
+  }),
+
+  mfaVerify: Joi.object({
+    mfaToken: Joi.string().required().messages({
+      'any.required': 'MFA challenge token is required'
+    }),
+    code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Verification code must be 6 digits'
+    }),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Verification code or recovery code is required',
+    'object.xor': 'Provide either a verification code or a recovery code'
+  }),
+
+  mfaCode: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Verification code must be 6 digits',
+      'any.required': 'Verification code is required'
+    })
+  }),
+
+  mfaDisable: Joi.object({
+    password: Joi.string().required().messages({
+      'any.required': 'Password is required'
+    }),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Verification code must be 6 digits',
+      'any.required': 'Verification code is required'
     })
   }),
 
@@ -118,9 +169,26 @@ const schemas = {
       'string.min': 'Current password must be at least 6 characters long',
       'any.required': 'Current password is required'
     }),
-    newPassword: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)')).required().messages({
-      'string.min': 'New password must be at least 8 characters long',
-      'string.pattern.base': 'New password must contain at least one uppercase letter, one lowercase letter, and one number',
+    // Strength rules come from the configurable password policy, checked in the controller
+    newPassword: Joi.string().max(128).required().messages({
+      'string.max': 'New password cannot exceed 128 characters',
+      'any.required': 'New password is required'
+    })
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().trim().max(128).required().messages({
+      'any.required': 'Reset token is required'
+    }),
+    newPassword: Joi.string().max(128).required().messages({
+      'string.max': 'New password cannot exceed 128 characters',
       'any.required': 'New password is required'
     })
   }),
@@ -136,9 +204,8 @@ const schemas = {
       'string.email': 'Please provide a valid email address',
       'any.required': 'Email is required'
     }),
-    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)')).optional().messages({
-      'string.min': 'Password must be at least 8 characters long',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+    password: Joi.string().max(128).optional().messages({
+      'string.max': 'Password cannot exceed 128 characters'
     }),
     role: Joi.string().valid('ADMIN', 'ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT', 'RECEPTION').required().messages({
       'any.only': 'Invalid role specified',
@@ -148,12 +215,235 @@ const schemas = {
     status: Joi.string().valid('ACTIVE', 'INACTIVE').optional()
   }),
 
+  createServiceAccount: Joi.object({
+    name: Joi.string().trim().min(2).max(255).required().messages({
+      'any.required': 'Service account name is required'
+    }),
+    role: Joi.string().valid('ADMIN', 'ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT', 'RECEPTION').required().messages({
+      'any.only': 'Invalid role specified',
+      'any.required': 'Role is required'
+    }),
+    department: Joi.string().max(100).allow('', null).optional()
+  }),
+
+  createApiKey: Joi.object({
+    service_account_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'Service account is required'
+    }),
+    name: Joi.string().trim().min(2).max(100).required().messages({
+      'any.required': 'Key name is required'
+    }),
+    // { OBJECT_TYPE: ['R', 'U'] }; checked against the service account's role in the controller
+    scopes: Joi.object().pattern(
+      Joi.string(),
+      Joi.array().items(Joi.string().valid('C', 'R', 'U', 'D', 'A')).min(1)
+    ).min(1).required().messages({
+      'object.min': 'Select at least one scope',
+      'any.required': 'Scopes are required'
+    }),
+    expires_at: Joi.date().iso().greater('now').allow(null).optional().messages({
+      'date.greater': 'Expiry must be in the future'
+    })
+  }),
+
+  rotateApiKey: Joi.object({
+    grace_minutes: Joi.number().integer().min(0).max(1440).optional()
+  }),
+
+  requestBreakGlass: Joi.object({
+    patient_id: Joi.number().integer().positive(),
+    patient_code: Joi.string().trim().max(20),
+    reason: Joi.string().trim().min(10).max(1000).required().messages({
+      'any.required': 'A reason is required for emergency access',
+      'string.min': 'Describe the emergency in at least 10 characters'
+    }),
+    access_level: Joi.string().valid('READ', 'WRITE').optional(),
+    // Upper bound is BREAK_GLASS_MAX_MINUTES, checked in the controller
+    duration_minutes: Joi.number().integer().min(5).optional()
+  }).xor('patient_id', 'patient_code').messages({
+    'object.missing': 'Patient is required'
+  }),
+
+  acknowledgeBreakGlass: Joi.object({
+    note: Joi.string().trim().max(1000).allow('', null).optional()
+  }),
+
+  createDelegation: Joi.object({
+    // Administrators only; clinicians always delegate their own patients
+    delegator_id: Joi.number().integer().positive().optional(),
+    delegate_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'Choose a colleague to delegate to'
+    }),
+    starts_at: windowDate.optional(),
+    ends_at: windowDate.required().messages({
+      'any.required': 'An end date is required'
+    }),
+    // Left out to delegate every currently assigned patient
+    patient_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique().optional(),
+    reason: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  publishConsentTemplate: Joi.object({
+    consent_type: Joi.string().valid('PHOTOGRAPHY', 'TEACHING', 'STUDENT_CARE').required(),
+    title: Joi.string().trim().min(3).max(255).required(),
+    body: Joi.string().trim().min(20).max(10000).required().messages({
+      'string.min': 'Consent text must be at least 20 characters'
+    })
+  }),
+
+  recordConsent: Joi.object({
+    consent_type: Joi.string().valid('PHOTOGRAPHY', 'TEACHING', 'STUDENT_CARE').required(),
+    // Defaults to today
+    signed_at: windowDate.optional(),
+    // Defaults to the patient's name when the patient signs
+    signed_by_name: Joi.string().trim().min(2).max(255).allow('', null).optional(),
+    signed_by_relationship: Joi.string().valid('SELF', 'PARENT', 'GUARDIAN', 'OTHER').optional(),
+    // A guardian on file who gives consent; their name and relationship are used
+    guardian_id: Joi.number().integer().positive().optional()
+  }),
+
+  createGuardian: Joi.object({
+    full_name: Joi.string().trim().min(2).max(255).required().messages({
+      'any.required': 'Guardian name is required'
+    }),
+    relationship: Joi.string().valid('MOTHER', 'FATHER', 'LEGAL_GUARDIAN', 'GRANDPARENT', 'SIBLING', 'OTHER').required(),
+    phone: tenDigitPhone.allow('', null).optional(),
+    email: Joi.string().email().allow('', null).optional(),
+    address: Joi.string().max(1000).allow('', null).optional(),
+    is_consent_giver: Joi.boolean().optional(),
+    is_responsible: Joi.boolean().optional(),
+    communication_preference: Joi.string().valid('EMAIL', 'PHONE', 'SMS', 'NONE').optional(),
+    notes: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  updateGuardian: Joi.object({
+    full_name: Joi.string().trim().min(2).max(255).optional(),
+    relationship: Joi.string().valid('MOTHER', 'FATHER', 'LEGAL_GUARDIAN', 'GRANDPARENT', 'SIBLING', 'OTHER').optional(),
+    phone: tenDigitPhone.allow('', null).optional(),
+    email: Joi.string().email().allow('', null).optional(),
+    address: Joi.string().max(1000).allow('', null).optional(),
+    is_consent_giver: Joi.boolean().optional(),
+    is_responsible: Joi.boolean().optional(),
+    communication_preference: Joi.string().valid('EMAIL', 'PHONE', 'SMS', 'NONE').optional(),
+    notes: Joi.string().trim().max(500).allow('', null).optional()
+  }).min(1),
+
+  withdrawConsent: Joi.object({
+    withdrawn_at: windowDate.optional(),
+    reason: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  patientMergePreview: Joi.object({
+    survivor_code: Joi.string().trim().max(20).required().messages({
+      'any.required': 'Enter the code of the patient to keep'
+    }),
+    duplicate_code: Joi.string().trim().max(20).required().messages({
+      'any.required': 'Enter the code of the duplicate patient'
+    })
+  }),
+
+  mergePatients: Joi.object({
+    survivor_patient_id: Joi.number().integer().positive().required(),
+    duplicate_patient_id: Joi.number().integer().positive().required(),
+    reason: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  commitPatientImport: Joi.object({
+    // Also create rows flagged as possible duplicates
+    include_duplicates: Joi.boolean().optional()
+  }),
+
+  takeOffWaitingList: Joi.object({
+    // Student to treat the patient under the orthodontist's supervision
+    student_id: Joi.number().integer().positive().optional(),
+    notes: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  removeFromWaitingList: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+      'any.required': 'A reason is required to remove a patient from the waiting list'
+    })
+  }),
+
+  createTeachingCase: Joi.object({
+    title: Joi.string().trim().min(3).max(200).required(),
+    description: Joi.string().trim().max(2000).allow('', null).optional(),
+    sections: Joi.array()
+      .items(Joi.string().valid('HISTORY', 'CHART_VERSIONS', 'RADIOGRAPHS', 'PROGRESS_NOTES'))
+      .min(1)
+      .unique()
+      .required()
+  }),
+
+  requestPatientDataExport: Joi.object({
+    purpose: Joi.string().valid('ACCESS_REQUEST', 'TRANSFER', 'OTHER').required(),
+    notes: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  updateRetentionPolicies: Joi.object({
+    policies: Joi.array().items(Joi.object({
+      record_type: Joi.string().valid('INACTIVE_PATIENT', 'TRASHED_DOCUMENT').required(),
+      retention_years: Joi.number().integer().min(0).max(100).required(),
+      count_from: Joi.string().valid('LAST_ACTIVITY', 'ADULTHOOD').required()
+    })).min(1).unique('record_type').required()
+  }),
+
+  retentionPurgeFilter: Joi.object({
+    status: Joi.string().valid('OPEN', 'PENDING', 'RUNNING', 'PURGED', 'REJECTED', 'FAILED').optional()
+  }),
+
+  requestRetentionPurge: Joi.object({
+    record_type: Joi.string().valid('INACTIVE_PATIENT', 'TRASHED_DOCUMENT').required(),
+    record_id: Joi.number().integer().positive().required(),
+    reason: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  approveRetentionPurge: Joi.object({
+    note: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  rejectRetentionPurge: Joi.object({
+    note: Joi.string().trim().min(3).max(500).required().messages({
+      'any.required': 'A reason is required to reject a purge',
+      'string.min': 'Reason must be at least 3 characters'
+    })
+  }),
+
+  startImpersonation: Joi.object({
+    user_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'User is required'
+    }),
+    reason: Joi.string().trim().min(5).max(500).required().messages({
+      'any.required': 'A reason is required to view as another user',
+      'string.min': 'Reason must be at least 5 characters'
+    })
+  }),
+
+  // { ROLE: { OBJECT_TYPE: ['C', 'R'] } }; roles, object types and the ADMIN safeguard are checked in the controller
+  updatePermissionMatrix: Joi.object({
+    version: Joi.number().integer().min(0).required().messages({
+      'any.required': 'The version being edited is required'
+    }),
+    matrix: Joi.object().pattern(
+      Joi.string(),
+      Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string().valid('C', 'R', 'U', 'D', 'A')))
+    ).required().messages({
+      'any.required': 'Permission matrix is required'
+    }),
+    note: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  restorePermissionMatrix: Joi.object({
+    version: Joi.number().integer().min(0).required().messages({
+      'any.required': 'The current version is required'
+    })
+  }),
+
   updateUser: Joi.object({
     name: Joi.string().min(2).max(255).optional(),
     email: Joi.string().email().optional(),
-    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)')).optional().messages({
-      'string.min': 'Password must be at least 8 characters long',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+    password: Joi.string().max(128).optional().messages({
+      'string.max': 'Password cannot exceed 128 characters'
     }),
     role: Joi.string().valid('ADMIN', 'ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT', 'RECEPTION').optional(),
     department: Joi.string().max(100).optional(),
@@ -188,7 +478,9 @@ const schemas = {
     emergency_contact_name: Joi.string().max(255).optional(),
     emergency_contact_phone: tenDigitPhone.optional(),
     nhi_verified: Joi.boolean().optional(),
-    status: Joi.string().valid('ACTIVE', 'COMPLETED', 'CONSULTATION', 'MAINTENANCE').optional()
+    status: Joi.string().valid('ACTIVE', 'COMPLETED', 'CONSULTATION', 'MAINTENANCE').optional(),
+    // Saves even though the details match an existing patient
+    confirm_not_duplicate: Joi.boolean().optional()
   }).or('date_of_birth', 'age'),
 
   updatePatient: Joi.object({
@@ -205,7 +497,11 @@ const schemas = {
     emergency_contact_name: Joi.string().max(255).optional(),
     emergency_contact_phone: tenDigitPhone.optional(),
     nhi_verified: Joi.boolean().optional(),
-    status: Joi.string().valid('ACTIVE', 'COMPLETED', 'CONSULTATION', 'MAINTENANCE').optional()
+    status: Joi.string().valid('ACTIVE', 'COMPLETED', 'CONSULTATION', 'MAINTENANCE').optional(),
+    // Why the status changed; required for some transitions
+    status_reason: Joi.string().trim().max(500).allow('').optional(),
+    // Saves even though the details match an existing patient
+    confirm_not_duplicate: Joi.boolean().optional()
   }).min(1),
 
   assignPatientMember: Joi.alternatives().try(
@@ -216,13 +512,17 @@ const schemas = {
       assignment_role: Joi.string().valid('ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT').required().messages({
         'any.only': 'assignment_role must be ORTHODONTIST, DENTAL_SURGEON, NURSE, or STUDENT',
         'any.required': 'assignment_role is required'
-      })
+      }),
+      starts_at: assignmentWindowDate,
+      ends_at: assignmentWindowDate
     }),
     Joi.object({
       assignments: Joi.array().items(
         Joi.object({
           user_id: Joi.number().integer().positive().required(),
-          assignment_role: Joi.string().valid('ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT').required()
+          assignment_role: Joi.string().valid('ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'STUDENT').required(),
+          starts_at: assignmentWindowDate,
+          ends_at: assignmentWindowDate
         })
       ).required(),
       sync: Joi.boolean().optional()
@@ -235,6 +535,11 @@ const schemas = {
     })
   }),
 
+  patientHistoryDiff: Joi.object({
+    from: Joi.number().integer().positive().required(),
+    to: Joi.number().integer().positive().optional()
+  }),
+
   // Visit schemas
   createVisit: Joi.object({
     patient_id: Joi.number().integer().positive().optional(),
@@ -474,6 +779,16 @@ const schemas = {
     ).optional(),
     registered_from: Joi.date().iso().optional(),
     registered_to: Joi.date().iso().optional()
+  }),
+
+  patientTimelineFilter: Joi.object({
+    types: Joi.string().pattern(/^[A-Za-z_]+(,[A-Za-z_]+)*$/).optional(),
+    start_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    end_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional()
+  }),
+
+  teachingLibraryFilter: Joi.object({
+    search: Joi.string().trim().max(100).allow('').optional()
   })
 };
 
@@ -0,0 +1,58 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const apiKeyController = require('../controllers/apiKeyController');
+const { requirePermission, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET /api/api-keys - List API keys (Admin only)
+router.get('/',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.READ),
+  asyncHandler(apiKeyController.getApiKeys)
+);
+
+// GET /api/api-keys/scope-options - Object types and permissions available to keys
+router.get('/scope-options',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.READ),
+  asyncHandler(apiKeyController.getScopeOptions)
+);
+
+// GET /api/api-keys/service-accounts - List service accounts
+router.get('/service-accounts',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.READ),
+  asyncHandler(apiKeyController.getServiceAccounts)
+);
+
+// POST /api/api-keys/service-accounts - Create a service account for an integration
+router.post('/service-accounts',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.CREATE),
+  validate(schemas.createServiceAccount),
+  asyncHandler(apiKeyController.addServiceAccount)
+);
+
+// POST /api/api-keys - Issue a scoped API key for a service account
+router.post('/',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.CREATE),
+  validate(schemas.createApiKey),
+  asyncHandler(apiKeyController.addApiKey)
+);
+
+// POST /api/api-keys/:id/rotate - Replace a key, optionally keeping the old one briefly
+router.post('/:id/rotate',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  validate(schemas.rotateApiKey),
+  asyncHandler(apiKeyController.rotateApiKeyById)
+);
+
+// DELETE /api/api-keys/:id - Revoke an API key
+router.delete('/:id',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.DELETE),
+  asyncHandler(apiKeyController.revokeApiKeyById)
+);
+
+module.exports = router;
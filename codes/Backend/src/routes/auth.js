@@ -19,9 +19,25 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Separate budget so reset requests do not use up an IP's login attempts
+const passwordResetLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 5,
+  message: {
+    success: false,
+    message: 'Too many password reset attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Apply rate limiting to login route
 router.use('/login', authLimiter);
 router.use('/google', authLimiter);
+router.use('/oidc/:provider/login', authLimiter);
+router.use('/mfa/verify', authLimiter);
+router.use('/forgot-password', passwordResetLimiter);
+router.use('/reset-password', passwordResetLimiter);
 
 // POST /api/auth/login - User login
 router.post('/login', 
@@ -35,6 +51,40 @@ router.post('/google',
   asyncHandler(authController.googleLogin)
 );
 
+// GET /api/auth/oidc/providers - Single sign-on providers available on the login page
+router.get('/oidc/providers',
+  asyncHandler(authController.getOidcProviderList)
+);
+
+// POST /api/auth/oidc/:provider/login - ID token login through a configured OIDC provider
+router.post('/oidc/:provider/login',
+  validate(schemas.oidcLogin),
+  asyncHandler(authController.oidcLogin)
+);
+
+// POST /api/auth/mfa/verify - Complete login with a TOTP or recovery code
+router.post('/mfa/verify',
+  validate(schemas.mfaVerify),
+  asyncHandler(authController.verifyMfaLogin)
+);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password',
+  validate(schemas.forgotPassword),
+  asyncHandler(authController.forgotPassword)
+);
+
+// POST /api/auth/reset-password - Set a new password with an emailed reset token
+router.post('/reset-password',
+  validate(schemas.resetPassword),
+  asyncHandler(authController.resetPassword)
+);
+
+// GET /api/auth/password-policy - Current password rules
+router.get('/password-policy',
+  asyncHandler(authController.getPasswordRules)
+);
+
 // POST /api/auth/refresh - Refresh access token
 router.post('/refresh', 
   validate(schemas.refreshToken),
@@ -67,4 +117,55 @@ router.put('/change-password',
   asyncHandler(authController.changePassword)
 );
 
+// GET /api/auth/sessions - Current user's signed-in devices
+router.get('/sessions',
+  authenticate,
+  asyncHandler(authController.getSessions)
+);
+
+// POST /api/auth/sessions/revoke-others - Sign out all other devices
+router.post('/sessions/revoke-others',
+  authenticate,
+  asyncHandler(authController.deleteOtherSessions)
+);
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one device
+router.delete('/sessions/:sessionId',
+  authenticate,
+  asyncHandler(authController.deleteSession)
+);
+
+// GET /api/auth/mfa - Current user's MFA status
+router.get('/mfa',
+  authenticate,
+  asyncHandler(authController.getMfa)
+);
+
+// POST /api/auth/mfa/setup - Start TOTP enrollment (secret + QR code)
+router.post('/mfa/setup',
+  authenticate,
+  asyncHandler(authController.setupMfa)
+);
+
+// POST /api/auth/mfa/enable - Confirm enrollment and receive recovery codes
+router.post('/mfa/enable',
+  authenticate,
+  validate(schemas.mfaCode),
+  asyncHandler(authController.enableMfa)
+);
+
+// POST /api/auth/mfa/disable - Turn off MFA (optional roles only)
+router.post('/mfa/disable',
+  authenticate,
+  validate(schemas.mfaDisable),
+  asyncHandler(authController.disableMfa)
+);
+
+// POST /api/auth/mfa/recovery-codes - Regenerate recovery codes
+router.post('/mfa/recovery-codes',
+  authenticate,
+  validate(schemas.mfaCode),
+  asyncHandler(authController.regenerateRecoveryCodes)
+);
+
 module.exports = router;
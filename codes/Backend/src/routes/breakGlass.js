@@ -0,0 +1,57 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const breakGlassController = require('../controllers/breakGlassController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET /api/break-glass/reviews - Emergency access uses awaiting or past admin review
+router.get('/reviews',
+  authorizeRoles('ADMIN'),
+  validate(schemas.pagination, 'query'),
+  asyncHandler(breakGlassController.getBreakGlassReviews)
+);
+
+// GET /api/break-glass/reviews/pending-count - Number of uses not yet acknowledged
+router.get('/reviews/pending-count',
+  authorizeRoles('ADMIN'),
+  asyncHandler(breakGlassController.getPendingBreakGlassCount)
+);
+
+// POST /api/break-glass/reviews/:id/acknowledge - Mark an emergency access use as reviewed
+router.post('/reviews/:id/acknowledge',
+  authorizeRoles('ADMIN'),
+  validate(schemas.acknowledgeBreakGlass),
+  asyncHandler(breakGlassController.acknowledgeBreakGlass)
+);
+
+// GET /api/break-glass/mine - Current user's active emergency access grants
+router.get('/mine',
+  authorizeRoles('ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'),
+  asyncHandler(breakGlassController.getMyBreakGlassGrants)
+);
+
+// GET /api/break-glass/patients/:patientId - Active grant for one patient, if any
+router.get('/patients/:patientId',
+  authorizeRoles('ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'),
+  asyncHandler(breakGlassController.getPatientBreakGlassStatus)
+);
+
+// POST /api/break-glass - Open time-limited access to an unassigned patient
+router.post('/',
+  authorizeRoles('ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'),
+  validate(schemas.requestBreakGlass),
+  asyncHandler(breakGlassController.requestBreakGlass)
+);
+
+// DELETE /api/break-glass/:id - End the current user's emergency access early
+router.delete('/:id',
+  authorizeRoles('ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'),
+  asyncHandler(breakGlassController.endBreakGlass)
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+const consentController = require('../controllers/consentController');
+const { query } = require('../config/database');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Staff who meet the patient and take the signed form
+const consentRecordingRoles = ['RECEPTION', 'ORTHODONTIST', 'DENTAL_SURGEON'];
+
+const resolvePatientIdFromConsentId = async (req) => {
+  const rows = await query('SELECT patient_id FROM patient_consents WHERE id = ? LIMIT 1', [req.params.id]);
+  return rows[0]?.patient_id || null;
+};
+
+// GET /api/consents/templates - Current wording of each consent type
+router.get('/templates',
+  asyncHandler(consentController.getConsentTemplates)
+);
+
+// GET /api/consents/templates/:consentType/versions - Every published version of one consent
+router.get('/templates/:consentType/versions',
+  authorizeRoles('ADMIN'),
+  asyncHandler(consentController.getConsentTemplateVersions)
+);
+
+// POST /api/consents/templates - Publish new wording as the next version
+router.post('/templates',
+  authorizeRoles('ADMIN'),
+  validate(schemas.publishConsentTemplate),
+  asyncHandler(consentController.publishConsentTemplate)
+);
+
+// GET /api/consents/patients/:patientId - Consent status and history for a patient
+router.get('/patients/:patientId',
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.READ),
+  asyncHandler(consentController.getPatientConsents)
+);
+
+// POST /api/consents/patients/:patientId - Record a signed consent
+router.post('/patients/:patientId',
+  authorizeRoles(...consentRecordingRoles),
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.UPDATE),
+  validate(schemas.recordConsent),
+  asyncHandler(consentController.recordPatientConsent)
+);
+
+// POST /api/consents/:id/withdraw - Record that the patient withdrew a consent
+router.post('/:id/withdraw',
+  authorizeRoles(...consentRecordingRoles),
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.UPDATE, { resolvePatientId: resolvePatientIdFromConsentId }),
+  validate(schemas.withdrawConsent),
+  asyncHandler(consentController.withdrawPatientConsent)
+);
+
+module.exports = router;
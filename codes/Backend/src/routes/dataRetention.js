@@ -0,0 +1,55 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const dataRetentionController = require('../controllers/dataRetentionController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply admin authorization to all data retention routes
+router.use(authorizeRoles('ADMIN'));
+
+// GET /api/retention/policies - Retention period for each record type
+router.get('/policies',
+  asyncHandler(dataRetentionController.getRetentionPolicies)
+);
+
+// PUT /api/retention/policies - Change retention periods
+router.put('/policies',
+  validate(schemas.updateRetentionPolicies),
+  asyncHandler(dataRetentionController.updateRetentionPolicies)
+);
+
+// GET /api/retention/due - Records past their retention period
+router.get('/due',
+  asyncHandler(dataRetentionController.getDueRecords)
+);
+
+// GET /api/retention/purges - Purge requests and tombstones of purged records, newest first
+router.get('/purges',
+  validate(schemas.retentionPurgeFilter, 'query'),
+  asyncHandler(dataRetentionController.getRetentionPurges)
+);
+
+// POST /api/retention/purges - Ask for a due record to be purged
+router.post('/purges',
+  validate(schemas.requestRetentionPurge),
+  asyncHandler(dataRetentionController.requestRetentionPurge)
+);
+
+// POST /api/retention/purges/:id/approve - Second administrator approves and the record is deleted
+router.post('/purges/:id/approve',
+  validate(schemas.approveRetentionPurge),
+  asyncHandler(dataRetentionController.approveRetentionPurge)
+);
+
+// POST /api/retention/purges/:id/reject - Turn down a purge request
+router.post('/purges/:id/reject',
+  validate(schemas.rejectRetentionPurge),
+  asyncHandler(dataRetentionController.rejectRetentionPurge)
+);
+
+module.exports = router;
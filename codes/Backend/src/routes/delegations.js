@@ -0,0 +1,39 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const delegationController = require('../controllers/delegationController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(authorizeRoles('ADMIN', 'ORTHODONTIST', 'DENTAL_SURGEON'));
+
+// GET /api/delegations/options - Colleagues and assigned patients for the delegation form
+router.get('/options',
+  asyncHandler(delegationController.getDelegationOptions)
+);
+
+// GET /api/delegations - Delegations given or received (all of them for admins)
+router.get('/',
+  asyncHandler(delegationController.getDelegations)
+);
+
+// GET /api/delegations/:id - One delegation with its patients
+router.get('/:id',
+  asyncHandler(delegationController.getDelegationById)
+);
+
+// POST /api/delegations - Delegate a clinician's patients to a colleague for a date range
+router.post('/',
+  validate(schemas.createDelegation),
+  asyncHandler(delegationController.createDelegation)
+);
+
+// POST /api/delegations/:id/cancel - End a delegation early and remove the delegate's access
+router.post('/:id/cancel',
+  asyncHandler(delegationController.cancelDelegation)
+);
+
+module.exports = router;
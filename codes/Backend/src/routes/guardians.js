@@ -0,0 +1,51 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+const guardianController = require('../controllers/guardianController');
+const { query } = require('../config/database');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Roles that see guardian contact details in full, and so may change them
+const guardianManagingRoles = ['RECEPTION', 'ORTHODONTIST', 'DENTAL_SURGEON'];
+
+const resolvePatientIdFromGuardianId = async (req) => {
+  const rows = await query('SELECT patient_id FROM patient_guardians WHERE id = ? LIMIT 1', [req.params.id]);
+  return rows[0]?.patient_id || null;
+};
+
+// GET /api/guardians/patients/:patientId - Parents and guardians of a patient
+router.get('/patients/:patientId',
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.READ),
+  asyncHandler(guardianController.getPatientGuardians)
+);
+
+// POST /api/guardians/patients/:patientId - Add a parent or guardian
+router.post('/patients/:patientId',
+  authorizeRoles(...guardianManagingRoles),
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.UPDATE),
+  validate(schemas.createGuardian),
+  asyncHandler(guardianController.addPatientGuardian)
+);
+
+// PUT /api/guardians/:id - Update a guardian
+router.put('/:id',
+  authorizeRoles(...guardianManagingRoles),
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.UPDATE, { resolvePatientId: resolvePatientIdFromGuardianId }),
+  validate(schemas.updateGuardian),
+  asyncHandler(guardianController.updatePatientGuardian)
+);
+
+// DELETE /api/guardians/:id - Remove a guardian
+router.delete('/:id',
+  authorizeRoles(...guardianManagingRoles),
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.UPDATE, { resolvePatientId: resolvePatientIdFromGuardianId }),
+  asyncHandler(guardianController.removePatientGuardian)
+);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const impersonationController = require('../controllers/impersonationController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// POST /api/impersonation - Start a time-limited, read-only "view as user" session (Admin only)
+router.post('/',
+  authorizeRoles('ADMIN'),
+  validate(schemas.startImpersonation),
+  asyncHandler(impersonationController.startImpersonationSession)
+);
+
+// POST /api/impersonation/:id/end - Stop viewing as the user
+router.post('/:id/end',
+  authorizeRoles('ADMIN'),
+  asyncHandler(impersonationController.endImpersonationSession)
+);
+
+module.exports = router;
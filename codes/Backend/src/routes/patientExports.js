@@ -0,0 +1,31 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const patientExportController = require('../controllers/patientExportController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply admin authorization to all patient data export routes
+router.use(authorizeRoles('ADMIN'));
+
+// GET /api/patient-exports/patients/:patientId - Data exports of a patient, newest first
+router.get('/patients/:patientId',
+  asyncHandler(patientExportController.getPatientDataExports)
+);
+
+// POST /api/patient-exports/patients/:patientId - Queue a full data export of a patient
+router.post('/patients/:patientId',
+  validate(schemas.requestPatientDataExport),
+  asyncHandler(patientExportController.createPatientDataExport)
+);
+
+// GET /api/patient-exports/:id/download - Download a finished export archive
+router.get('/:id/download',
+  asyncHandler(patientExportController.downloadPatientDataExport)
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { uploadImportFile } = require('../middleware/upload');
+const patientImportController = require('../controllers/patientImportController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply admin authorization to all patient import routes
+router.use(authorizeRoles('ADMIN'));
+
+// GET /api/patient-imports - Imports, newest first
+router.get('/',
+  asyncHandler(patientImportController.getPatientImports)
+);
+
+// GET /api/patient-imports/:id - Import with its per-row report
+router.get('/:id',
+  asyncHandler(patientImportController.getPatientImport)
+);
+
+// POST /api/patient-imports/dry-run - Validate a CSV or XLSX file and store the report
+router.post('/dry-run',
+  uploadImportFile('document'),
+  asyncHandler(patientImportController.validatePatientImport)
+);
+
+// POST /api/patient-imports/:id/commit - Create the patients from a validated import
+router.post('/:id/commit',
+  validate(schemas.commitPatientImport),
+  asyncHandler(patientImportController.commitPatientImport)
+);
+
+// POST /api/patient-imports/:id/rollback - Remove the patients an import created
+router.post('/:id/rollback',
+  asyncHandler(patientImportController.rollbackPatientImport)
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const patientMergeController = require('../controllers/patientMergeController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply admin authorization to all patient merge routes
+router.use(authorizeRoles('ADMIN'));
+
+// GET /api/patient-merges - Merge records, newest first
+router.get('/',
+  asyncHandler(patientMergeController.getPatientMerges)
+);
+
+// GET /api/patient-merges/preview - Compare two patients and count the records that would move
+router.get('/preview',
+  validate(schemas.patientMergePreview, 'query'),
+  asyncHandler(patientMergeController.previewPatientMerge)
+);
+
+// POST /api/patient-merges - Merge a duplicate into the surviving patient
+router.post('/',
+  validate(schemas.mergePatients),
+  asyncHandler(patientMergeController.mergePatientRecords)
+);
+
+module.exports = router;
@@ -36,6 +36,12 @@ router.get('/assignable-staff',
   asyncHandler(patientController.getAssignableStaff)
 );
 
+// GET /api/patients/assignments/expiring - Care-team assignments ending soon
+router.get('/assignments/expiring',
+  authorizeRoles('RECEPTION', 'ADMIN', 'ORTHODONTIST', 'DENTAL_SURGEON'),
+  asyncHandler(patientController.getUpcomingAssignmentExpiries)
+);
+
 // GET /api/patients/assignment-requests/pending - Pending assignment confirmations for target clinicians
 router.get('/assignment-requests/pending',
   authorizeRoles('ORTHODONTIST', 'DENTAL_SURGEON'),
@@ -80,6 +86,20 @@ router.put('/:id/reactivate',
   asyncHandler(patientController.reactivatePatient)
 );
 
+// GET /api/patients/:id/status-history - Status timeline and the moves the requester can make
+router.get('/:id/status-history',
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.READ, { patientIdParam: 'id' }),
+  asyncHandler(patientController.getPatientStatusHistory)
+);
+
+// GET /api/patients/:id/timeline - Chronological stream of the patient's records, filtered by type and date
+router.get('/:id/timeline',
+  requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.READ, { patientIdParam: 'id' }),
+  validate(schemas.pagination, 'query'),
+  validate(schemas.patientTimelineFilter, 'query'),
+  asyncHandler(patientController.getPatientTimeline)
+);
+
 // GET /api/patients/:id/assignments - Get active patient assignments
 router.get('/:id/assignments',
   requirePermission(OBJECT_TYPES.PATIENT_GENERAL, PERMISSIONS.READ, { patientIdParam: 'id' }),
@@ -119,6 +139,31 @@ router.put('/:id/history',
   asyncHandler(patientController.upsertPatientHistory)
 );
 
+// GET /api/patients/:id/history/revisions - Saved versions of the history form, newest first
+router.get('/:id/history/revisions',
+  requirePermission(OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.READ, { patientIdParam: 'id' }),
+  asyncHandler(patientController.getPatientHistoryRevisions)
+);
+
+// GET /api/patients/:id/history/diff - Field-by-field changes between two revisions
+router.get('/:id/history/diff',
+  requirePermission(OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.READ, { patientIdParam: 'id' }),
+  validate(schemas.patientHistoryDiff, 'query'),
+  asyncHandler(patientController.getPatientHistoryDiff)
+);
+
+// GET /api/patients/:id/history/revisions/:revision - One saved version of the history form
+router.get('/:id/history/revisions/:revision',
+  requirePermission(OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.READ, { patientIdParam: 'id' }),
+  asyncHandler(patientController.getPatientHistoryRevision)
+);
+
+// POST /api/patients/:id/history/revisions/:revision/restore - Save an earlier version as the newest revision
+router.post('/:id/history/revisions/:revision/restore',
+  requirePermission(OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.UPDATE, { patientIdParam: 'id' }),
+  asyncHandler(patientController.restorePatientHistoryRevision)
+);
+
 // PUT /api/patients/:id/dental-chart/:toothNumber - Upsert a tooth chart entry
 router.put('/:id/dental-chart/:toothNumber',
   requirePermission(OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.UPDATE, { patientIdParam: 'id' }),
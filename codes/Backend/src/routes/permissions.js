@@ -0,0 +1,42 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const permissionMatrixController = require('../controllers/permissionMatrixController');
+const { requirePermission, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply admin authorization to all permission matrix routes
+router.use(authorizeRoles('ADMIN'));
+
+// GET /api/permissions - Live role permission matrix with its version
+router.get('/',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.READ),
+  asyncHandler(permissionMatrixController.getPermissionMatrix)
+);
+
+// PUT /api/permissions - Save an edited matrix as a new version
+router.put('/',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  validate(schemas.updatePermissionMatrix),
+  asyncHandler(permissionMatrixController.updatePermissionMatrix)
+);
+
+// GET /api/permissions/versions - Matrix history with the cells each version changed
+router.get('/versions',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.READ),
+  asyncHandler(permissionMatrixController.getPermissionMatrixHistory)
+);
+
+// POST /api/permissions/versions/:version/restore - Re-apply an earlier version
+router.post('/versions/:version/restore',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  validate(schemas.restorePermissionMatrix),
+  asyncHandler(permissionMatrixController.restorePermissionMatrixVersion)
+);
+
+module.exports = router;
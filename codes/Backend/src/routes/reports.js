@@ -16,6 +16,16 @@ router.get('/patient-status',
   asyncHandler(reportController.getPatientStatusReport)
 );
 
+// GET /api/reports/status-durations - Get time spent in each patient status
+router.get('/status-durations',
+  asyncHandler(reportController.getStatusDurationReport)
+);
+
+// GET /api/reports/waiting-list - Get waiting list length and waiting times
+router.get('/waiting-list',
+  asyncHandler(reportController.getWaitingListReport)
+);
+
 // GET /api/reports/visit-summary - Get visit summary report
 router.get('/visit-summary', 
   asyncHandler(reportController.getVisitSummaryReport)
@@ -41,6 +51,11 @@ router.get('/audit-logs',
   asyncHandler(reportController.getAuditLogsReport)
 );
 
+// GET /api/reports/failed-logins - Get failed sign-in and lockout summary (admin only)
+router.get('/failed-logins',
+  asyncHandler(reportController.getFailedLoginReport)
+);
+
 // Audit logs are read-only, even for admin
 router.all('/audit-logs', (req, res) => {
   return res.status(405).json({
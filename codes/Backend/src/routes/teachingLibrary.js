@@ -0,0 +1,62 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, OBJECT_TYPES, PERMISSIONS } = require('../middleware/accessControl');
+const { uploadTeachingPackage } = require('../middleware/upload');
+const teachingLibraryController = require('../controllers/teachingLibraryController');
+
+const router = express.Router();
+
+const SUPERVISOR_ROLES = ['ORTHODONTIST', 'DENTAL_SURGEON'];
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Supervisors build the library; students read it without being assigned to the source patients
+router.use(authorizeRoles('STUDENT', ...SUPERVISOR_ROLES));
+
+// GET /api/teaching-library - Anonymised teaching cases, newest first
+router.get('/',
+  validate(schemas.teachingLibraryFilter, 'query'),
+  asyncHandler(teachingLibraryController.getTeachingCases)
+);
+
+// POST /api/teaching-library/import - Import a teaching package
+router.post('/import',
+  authorizeRoles(...SUPERVISOR_ROLES),
+  uploadTeachingPackage('document'),
+  asyncHandler(teachingLibraryController.importTeachingPackage)
+);
+
+// POST /api/teaching-library/patients/:patientId - Anonymise a consenting patient's case into the library
+router.post('/patients/:patientId',
+  authorizeRoles(...SUPERVISOR_ROLES),
+  requirePermission(OBJECT_TYPES.PATIENT_MEDICAL, PERMISSIONS.READ),
+  validate(schemas.createTeachingCase),
+  asyncHandler(teachingLibraryController.createTeachingCaseFromPatient)
+);
+
+// GET /api/teaching-library/:id - Teaching case with history, chart versions, notes and images
+router.get('/:id',
+  asyncHandler(teachingLibraryController.getTeachingCase)
+);
+
+// GET /api/teaching-library/:id/images/:fileId - View a teaching case image
+router.get('/:id/images/:fileId',
+  asyncHandler(teachingLibraryController.getTeachingCaseImage)
+);
+
+// GET /api/teaching-library/:id/package - Download the case as a teaching package
+router.get('/:id/package',
+  authorizeRoles(...SUPERVISOR_ROLES),
+  asyncHandler(teachingLibraryController.downloadTeachingPackage)
+);
+
+// DELETE /api/teaching-library/:id - Remove a case from the library
+router.delete('/:id',
+  authorizeRoles(...SUPERVISOR_ROLES),
+  asyncHandler(teachingLibraryController.deleteTeachingCase)
+);
+
+module.exports = router;
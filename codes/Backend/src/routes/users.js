@@ -55,6 +55,36 @@ router.post('/:id/reset-password',
   asyncHandler(userController.resetUserPassword)
 );
 
+// POST /api/users/:id/reset-mfa - Clear a user's MFA enrollment and recovery codes
+router.post('/:id/reset-mfa',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  asyncHandler(userController.resetUserMfa)
+);
+
+// POST /api/users/:id/unlock - Clear a failed-login lockout
+router.post('/:id/unlock',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  asyncHandler(userController.unlockUser)
+);
+
+// GET /api/users/:id/sessions - List a user's signed-in devices
+router.get('/:id/sessions',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.READ),
+  asyncHandler(userController.getUserSessions)
+);
+
+// DELETE /api/users/:id/sessions - Sign out all of a user's devices
+router.delete('/:id/sessions',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  asyncHandler(userController.revokeAllUserSessions)
+);
+
+// DELETE /api/users/:id/sessions/:sessionId - Sign out one of a user's devices
+router.delete('/:id/sessions/:sessionId',
+  requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.UPDATE),
+  asyncHandler(userController.revokeUserSession)
+);
+
 // DELETE /api/users/:id - Delete user (Admin only)
 router.delete('/:id', 
   requirePermission(OBJECT_TYPES.USER_ACCOUNTS, PERMISSIONS.DELETE),
@@ -0,0 +1,32 @@
+const express = require('express');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const waitingListController = require('../controllers/waitingListController');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// The clinic-wide list is worked by orthodontists, who take patients into their own care
+router.use(authorizeRoles('ORTHODONTIST'));
+
+// GET /api/waiting-list - Ranked list of patients waiting for treatment
+router.get('/',
+  asyncHandler(waitingListController.getWaitingList)
+);
+
+// POST /api/waiting-list/:id/take-off - Take a patient off the list and into your care
+router.post('/:id/take-off',
+  validate(schemas.takeOffWaitingList),
+  asyncHandler(waitingListController.takePatientOffWaitingList)
+);
+
+// POST /api/waiting-list/:id/remove - Remove a patient from the list without treatment
+router.post('/:id/remove',
+  validate(schemas.removeFromWaitingList),
+  asyncHandler(waitingListController.removePatientFromWaitingList)
+);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const { query } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Read on every call so the thresholds can be tuned without a code change
+const getLockoutPolicy = () => ({
+  threshold: parseNonNegativeInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD, 5),
+  windowMinutes: parseNonNegativeInt(process.env.ACCOUNT_LOCKOUT_WINDOW_MINUTES, 15) || 15,
+  baseMinutes: parseNonNegativeInt(process.env.ACCOUNT_LOCKOUT_MINUTES, 15) || 15,
+  maxMinutes: parseNonNegativeInt(process.env.ACCOUNT_LOCKOUT_MAX_MINUTES, 1440) || 1440
+});
+
+// Each consecutive lockout doubles the previous duration, up to the configured ceiling
+const getLockoutMinutes = (lockoutCount, policy = getLockoutPolicy()) => {
+  const exponent = Math.min(Math.max(Number(lockoutCount) || 0, 0), 16);
+  return Math.min(policy.baseMinutes * (2 ** exponent), Math.max(policy.maxMinutes, policy.baseMinutes));
+};
+
+// Returns null when the account can sign in, otherwise when the lock lifts
+const getActiveLock = async (userId) => {
+  const rows = await query(
+    `SELECT locked_until, GREATEST(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 1) AS retry_after_seconds
+     FROM users
+     WHERE id = ?
+       AND locked_until IS NOT NULL
+       AND locked_until > NOW()`,
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    locked_until: rows[0].locked_until,
+    retry_after_seconds: Number(rows[0].retry_after_seconds)
+  };
+};
+
+// Counts a failed sign-in against the account and locks it once the threshold is reached
+const recordFailedLogin = async (user, { reason, ipAddress = null, method = 'password' } = {}) => {
+  const policy = getLockoutPolicy();
+
+  await query(
+    `UPDATE users
+     SET failed_login_attempts = IF(
+           last_failed_login_at IS NULL OR last_failed_login_at < DATE_SUB(NOW(), INTERVAL ? MINUTE),
+           1,
+           failed_login_attempts + 1
+         ),
+         last_failed_login_at = NOW()
+     WHERE id = ?`,
+    [policy.windowMinutes, user.id]
+  );
+
+  const rows = await query(
+    'SELECT failed_login_attempts, lockout_count FROM users WHERE id = ?',
+    [user.id]
+  );
+  const attempts = Number(rows[0]?.failed_login_attempts || 0);
+  const lockoutCount = Number(rows[0]?.lockout_count || 0);
+
+  await logAuditEvent(user.id, 'LOGIN_FAILED', 'USER', user.id, null, {
+    email: user.email,
+    reason,
+    method,
+    failed_attempts: attempts,
+    ip_address: ipAddress
+  });
+
+  if (policy.threshold === 0 || attempts < policy.threshold) {
+    return null;
+  }
+
+  const lockMinutes = getLockoutMinutes(lockoutCount, policy);
+  const result = await query(
+    `UPDATE users
+     SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+         lockout_count = lockout_count + 1,
+         failed_login_attempts = 0
+     WHERE id = ?
+       AND failed_login_attempts >= ?`,
+    [lockMinutes, user.id, policy.threshold]
+  );
+
+  // A concurrent failure may already have applied the lock
+  if (result.affectedRows > 0) {
+    await logAuditEvent(user.id, 'ACCOUNT_LOCKED', 'USER', user.id, null, {
+      email: user.email,
+      lock_minutes: lockMinutes,
+      lockout_count: lockoutCount + 1,
+      ip_address: ipAddress
+    });
+  }
+
+  return getActiveLock(user.id);
+};
+
+// Attempts against unknown emails cannot be counted per account but still belong in the report
+const recordUnknownAccountLogin = async (email, { ipAddress = null, method = 'password' } = {}) => {
+  await logAuditEvent(null, 'LOGIN_FAILED', 'USER', null, null, {
+    email: String(email || '').toLowerCase(),
+    reason: 'unknown_account',
+    method,
+    ip_address: ipAddress
+  });
+};
+
+const clearFailedLogins = async (userId) => {
+  await query(
+    `UPDATE users
+     SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+     WHERE id = ?
+       AND (failed_login_attempts <> 0 OR lockout_count <> 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+};
+
+const unlockAccount = async (userId) => {
+  const result = await query(
+    `UPDATE users
+     SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  getLockoutPolicy,
+  getLockoutMinutes,
+  getActiveLock,
+  recordFailedLogin,
+  recordUnknownAccountLogin,
+  clearFailedLogins,
+  unlockAccount
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query, transaction } = require('../config/database');
+const { OBJECT_TYPES, PERMISSIONS, getRolePermissions } = require('../middleware/accessControl');
+
+const API_KEY_PREFIX = 'ofk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+// last_used_at is only rewritten this often so busy integrations do not write on every call
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+const VALID_PERMISSIONS = new Set(Object.values(PERMISSIONS));
+
+const hashApiKey = (key) => crypto
+  .createHash('sha256')
+  .update(String(key || ''))
+  .digest('hex');
+
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  return { key, keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+};
+
+// Keys arrive as "X-API-Key: ofk_..." or "Authorization: Bearer ofk_..."
+const extractApiKey = (req) => {
+  const headerKey = String(req.get('X-API-Key') || '').trim();
+  if (headerKey) {
+    return headerKey;
+  }
+  const authHeader = String(req.headers.authorization || '');
+  if (authHeader.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+    return authHeader.slice('Bearer '.length).trim();
+  }
+  return null;
+};
+
+const parseScopes = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+// A key may only hold permissions its service account's role already has
+const normalizeScopes = (scopes, role) => {
+  const normalized = {};
+  const errors = [];
+  const rolePermissions = getRolePermissions()[role] || {};
+
+  for (const [objectType, requested] of Object.entries(scopes || {})) {
+    if (!Object.values(OBJECT_TYPES).includes(objectType)) {
+      errors.push(`Unknown object type ${objectType}`);
+      continue;
+    }
+
+    const permissions = [...new Set((Array.isArray(requested) ? requested : [requested]).map((p) => String(p).toUpperCase()))];
+    for (const permission of permissions) {
+      if (!VALID_PERMISSIONS.has(permission)) {
+        errors.push(`Unknown permission ${permission} on ${objectType}`);
+      } else if (!(rolePermissions[objectType] || []).includes(permission)) {
+        errors.push(`${role} service accounts cannot hold ${permission} on ${objectType}`);
+      }
+    }
+
+    const granted = permissions.filter((permission) => VALID_PERMISSIONS.has(permission));
+    if (granted.length > 0) {
+      normalized[objectType] = granted;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(normalized).length === 0) {
+    errors.push('An API key needs at least one scope');
+  }
+
+  return { scopes: normalized, errors };
+};
+
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  key_prefix: row.key_prefix,
+  scopes: parseScopes(row.scopes),
+  service_account: {
+    id: row.service_account_id,
+    name: row.service_account_name,
+    role: row.service_account_role,
+    status: row.service_account_status
+  },
+  expires_at: row.expires_at,
+  last_used_at: row.last_used_at,
+  last_used_ip: row.last_used_ip,
+  rotated_from_id: row.rotated_from_id,
+  created_by_name: row.created_by_name || null,
+  created_at: row.created_at,
+  revoked_at: row.revoked_at,
+  status: row.revoked_at
+    ? 'REVOKED'
+    : (row.is_expired ? 'EXPIRED' : 'ACTIVE')
+});
+
+const API_KEY_SELECT = `
+  SELECT k.*, sa.name AS service_account_name, sa.role AS service_account_role, sa.status AS service_account_status,
+         creator.name AS created_by_name,
+         COALESCE(k.expires_at <= NOW(), FALSE) AS is_expired
+  FROM api_keys k
+  INNER JOIN users sa ON sa.id = k.service_account_id
+  LEFT JOIN users creator ON creator.id = k.created_by`;
+
+const listApiKeys = async ({ includeRevoked = false } = {}) => {
+  const rows = await query(
+    `${API_KEY_SELECT}
+     ${includeRevoked ? '' : 'WHERE k.revoked_at IS NULL'}
+     ORDER BY k.created_at DESC`
+  );
+  return rows.map(formatApiKey);
+};
+
+const getApiKeyById = async (id) => {
+  const rows = await query(`${API_KEY_SELECT} WHERE k.id = ?`, [id]);
+  return rows[0] ? formatApiKey(rows[0]) : null;
+};
+
+const listServiceAccounts = async () => query(
+  `SELECT u.id, u.name, u.email, u.role, u.department, u.status, u.created_at,
+          COUNT(k.id) AS active_keys
+   FROM users u
+   LEFT JOIN api_keys k ON k.service_account_id = u.id
+     AND k.revoked_at IS NULL
+     AND (k.expires_at IS NULL OR k.expires_at > NOW())
+   WHERE u.is_service_account = TRUE
+     AND u.deleted_at IS NULL
+   GROUP BY u.id
+   ORDER BY u.name`
+);
+
+// Service accounts are ordinary user rows so audit entries and foreign keys keep working,
+// but they get an unusable password and are refused by every interactive sign-in path
+const createServiceAccount = async ({ name, role, department = null }) => {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'service';
+  const email = `${slug}-${crypto.randomBytes(3).toString('hex')}@service-accounts.invalid`;
+  const unusablePasswordHash = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+
+  const result = await query(
+    `INSERT INTO users (name, email, password_hash, role, department, status, is_service_account)
+     VALUES (?, ?, ?, ?, ?, 'ACTIVE', TRUE)`,
+    [name, email, unusablePasswordHash, role, department]
+  );
+  return { id: result.insertId, name, email, role, department, status: 'ACTIVE' };
+};
+
+const insertApiKey = async (connection, { serviceAccountId, name, scopes, expiresAt, createdBy, rotatedFromId = null }) => {
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  const [result] = await connection.execute(
+    `INSERT INTO api_keys (service_account_id, name, key_prefix, key_hash, scopes, expires_at, rotated_from_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [serviceAccountId, name, keyPrefix, keyHash, JSON.stringify(scopes), expiresAt || null, rotatedFromId, createdBy]
+  );
+  return { id: result.insertId, key };
+};
+
+// The plain key is returned once here and never stored
+const createApiKey = async (options) => transaction((connection) => insertApiKey(connection, options));
+
+// Issues a replacement with the same account, scopes and expiry; the old key stops working
+// now, or after `graceMinutes` so a running integration can be switched over
+const rotateApiKey = async (existing, { rotatedBy, graceMinutes = 0 }) => transaction(async (connection) => {
+  const created = await insertApiKey(connection, {
+    serviceAccountId: existing.service_account.id,
+    name: existing.name,
+    scopes: existing.scopes,
+    expiresAt: existing.expires_at,
+    createdBy: rotatedBy,
+    rotatedFromId: existing.id
+  });
+
+  if (graceMinutes > 0) {
+    await connection.execute(
+      `UPDATE api_keys
+       SET expires_at = LEAST(COALESCE(expires_at, DATE_ADD(NOW(), INTERVAL ? MINUTE)), DATE_ADD(NOW(), INTERVAL ? MINUTE))
+       WHERE id = ?`,
+      [graceMinutes, graceMinutes, existing.id]
+    );
+  } else {
+    await connection.execute(
+      'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+      [rotatedBy, existing.id]
+    );
+  }
+
+  return created;
+});
+
+const revokeApiKey = async (id, revokedBy) => {
+  const result = await query(
+    'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+    [revokedBy, id]
+  );
+  return result.affectedRows > 0;
+};
+
+// Resolves a presented key to its service account; null for unknown, revoked or expired keys
+const findActiveApiKey = async (rawKey) => {
+  if (!String(rawKey || '').startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const rows = await query(
+    `SELECT k.id, k.name, k.key_prefix, k.scopes, k.last_used_at,
+            u.id AS user_id, u.name AS user_name, u.email, u.role, u.department
+     FROM api_keys k
+     INNER JOIN users u ON u.id = k.service_account_id
+     WHERE k.key_hash = ?
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND u.status = 'ACTIVE'
+       AND u.is_service_account = TRUE
+       AND u.deleted_at IS NULL
+     LIMIT 1`,
+    [hashApiKey(rawKey)]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], scopes: parseScopes(rows[0].scopes) };
+};
+
+const touchApiKey = async (apiKey, ipAddress) => {
+  const lastUsedAt = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsedAt < LAST_USED_UPDATE_MS) {
+    return;
+  }
+  await query(
+    'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?',
+    [ipAddress, apiKey.id]
+  );
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  extractApiKey,
+  normalizeScopes,
+  listApiKeys,
+  getApiKeyById,
+  listServiceAccounts,
+  createServiceAccount,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  findActiveApiKey,
+  touchApiKey
+};
@@ -0,0 +1,237 @@
+const { query, transaction } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const { sendAssignmentExpiryEmail } = require('./emailService');
+
+const EXPIRY_INTERVAL_MINUTES = Number(process.env.ASSIGNMENT_EXPIRY_INTERVAL_MINUTES || 60);
+const EXPIRY_WARNING_DAYS = Number(process.env.ASSIGNMENT_EXPIRY_WARNING_DAYS || 14);
+const BROAD_VIEW_ROLES = new Set(['ADMIN', 'RECEPTION']);
+
+let expiryIntervalId = null;
+let expiryRunning = false;
+
+// SQL condition for an assignment that grants access right now. `active` alone also covers
+// rows that have not started yet and expired rows the job has not reached.
+const effectiveAssignmentCondition = (alias) => `
+  ${alias}.active = TRUE
+  AND (${alias}.starts_at IS NULL OR ${alias}.starts_at <= NOW())
+  AND (${alias}.ends_at IS NULL OR ${alias}.ends_at > NOW())
+`;
+
+// Dates are whole days: access starts at the beginning of starts_at and runs to the end of ends_at
+const toWindowStart = (date) => (date ? `${date} 00:00:00` : null);
+const toWindowEnd = (date) => (date ? `${date} 23:59:59` : null);
+
+// Returns an error message, or null when the window is usable for a new or changed assignment
+const getWindowError = (startsAt, endsAt) => {
+  if (endsAt && startsAt && endsAt < startsAt) {
+    return 'The end date cannot be before the start date';
+  }
+  const today = new Date();
+  const todayText = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  if (endsAt && endsAt < todayText) {
+    return 'The end date cannot be in the past';
+  }
+  return null;
+};
+
+const getPatientsUrl = () => {
+  const baseUrl = String(process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173')
+    .split(',')[0]
+    .trim()
+    .replace(/\/+$/, '');
+  return `${baseUrl}/patients`;
+};
+
+// Supervising orthodontists of the patient, or whoever made the assignment when there is none
+const findExpiryRecipients = async (row) => {
+  const orthodontists = await query(
+    `SELECT u.id, u.name, u.email
+     FROM patient_assignments pa
+     JOIN users u ON u.id = pa.user_id
+     WHERE pa.patient_id = ?
+       AND pa.assignment_role = 'ORTHODONTIST'
+       AND pa.user_id <> ?
+       AND u.status = 'ACTIVE'
+       AND ${effectiveAssignmentCondition('pa')}`,
+    [row.patient_id, row.user_id]
+  );
+  if (orthodontists.length > 0) {
+    return orthodontists;
+  }
+
+  return query(
+    `SELECT id, name, email
+     FROM users
+     WHERE id = ?
+       AND id <> ?
+       AND status = 'ACTIVE'
+       AND is_service_account = FALSE`,
+    [row.assigned_by, row.user_id]
+  );
+};
+
+const notifyExpirations = async (rows) => {
+  const byRecipient = new Map();
+  for (const row of rows) {
+    for (const recipient of await findExpiryRecipients(row)) {
+      if (!byRecipient.has(recipient.id)) {
+        byRecipient.set(recipient.id, { recipient, expirations: [] });
+      }
+      byRecipient.get(recipient.id).expirations.push({
+        memberName: row.user_name,
+        memberRole: row.assignment_role,
+        patientLabel: `${row.first_name} ${row.last_name} (${row.patient_code})`,
+        endedAt: row.ends_at
+      });
+    }
+  }
+
+  for (const { recipient, expirations } of byRecipient.values()) {
+    try {
+      await sendAssignmentExpiryEmail({
+        to: recipient.email,
+        recipientName: recipient.name,
+        expirations,
+        patientsUrl: getPatientsUrl()
+      });
+    } catch (error) {
+      console.error('Assignment expiry notification error:', error.message);
+    }
+  }
+};
+
+// The unique key allows one inactive row per patient/user/role, so an older inactive row is
+// replaced by the one being deactivated, which keeps its dates for the record
+const deactivateAssignment = async (row) => {
+  await transaction(async (connection) => {
+    await connection.execute(
+      `DELETE FROM patient_assignments
+       WHERE patient_id = ?
+         AND user_id = ?
+         AND assignment_role = ?
+         AND active = FALSE`,
+      [row.patient_id, row.user_id, row.assignment_role]
+    );
+    await connection.execute(
+      'UPDATE patient_assignments SET active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [row.id]
+    );
+  });
+};
+
+// Deactivates assignments past their end date and tells the supervising orthodontists
+const expireAssignments = async () => {
+  if (expiryRunning) {
+    return { skipped: true };
+  }
+
+  expiryRunning = true;
+  try {
+    const rows = await query(
+      `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role, pa.assigned_by, pa.starts_at, pa.ends_at,
+              u.name AS user_name, p.patient_code, p.first_name, p.last_name
+       FROM patient_assignments pa
+       JOIN users u ON u.id = pa.user_id
+       JOIN patients p ON p.id = pa.patient_id
+       WHERE pa.active = TRUE
+         AND pa.ends_at IS NOT NULL
+         AND pa.ends_at <= NOW()
+       ORDER BY pa.ends_at ASC`
+    );
+
+    for (const row of rows) {
+      await deactivateAssignment(row);
+
+      await logAuditEvent(null, 'ASSIGNMENT_EXPIRED', 'PATIENT_ASSIGNMENT', row.id, { active: true }, {
+        active: false,
+        patient_id: row.patient_id,
+        user_id: row.user_id,
+        assignment_role: row.assignment_role,
+        ends_at: row.ends_at
+      });
+    }
+
+    if (rows.length > 0) {
+      await notifyExpirations(rows);
+    }
+
+    return { skipped: false, expired: rows.length };
+  } finally {
+    expiryRunning = false;
+  }
+};
+
+// Assignments ending within the warning window on patients the user can see
+const listUpcomingExpiries = async (user, days = EXPIRY_WARNING_DAYS) => {
+  const params = [days];
+  let scopeClause = '';
+  if (!BROAD_VIEW_ROLES.has(user.role)) {
+    scopeClause = `
+      AND EXISTS (
+        SELECT 1
+        FROM patient_assignments pa_scope
+        WHERE pa_scope.patient_id = pa.patient_id
+          AND pa_scope.user_id = ?
+          AND pa_scope.assignment_role = ?
+          AND ${effectiveAssignmentCondition('pa_scope')}
+      )
+    `;
+    params.push(user.id, user.role);
+  }
+
+  return query(
+    `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role, pa.starts_at, pa.ends_at,
+            u.name AS user_name, p.patient_code, p.first_name, p.last_name
+     FROM patient_assignments pa
+     JOIN users u ON u.id = pa.user_id
+     JOIN patients p ON p.id = pa.patient_id
+     WHERE pa.active = TRUE
+       AND pa.ends_at IS NOT NULL
+       AND pa.ends_at > NOW()
+       AND pa.ends_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+       AND p.deleted_at IS NULL
+       ${scopeClause}
+     ORDER BY pa.ends_at ASC
+     LIMIT 200`,
+    params
+  );
+};
+
+const startAssignmentExpiryJob = () => {
+  if (expiryIntervalId) return;
+
+  const runAndLog = async () => {
+    try {
+      const result = await expireAssignments();
+      if (!result.skipped && result.expired > 0) {
+        console.log(`Assignment expiry: deactivated ${result.expired} assignment(s)`);
+      }
+    } catch (error) {
+      console.error('Assignment expiry failed:', error.message);
+    }
+  };
+
+  setTimeout(runAndLog, 20 * 1000);
+  expiryIntervalId = setInterval(runAndLog, EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`Assignment expiry job started (every ${EXPIRY_INTERVAL_MINUTES} min)`);
+};
+
+const stopAssignmentExpiryJob = () => {
+  if (expiryIntervalId) {
+    clearInterval(expiryIntervalId);
+    expiryIntervalId = null;
+  }
+};
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  effectiveAssignmentCondition,
+  toWindowStart,
+  toWindowEnd,
+  getWindowError,
+  deactivateAssignment,
+  expireAssignments,
+  listUpcomingExpiries,
+  startAssignmentExpiryJob,
+  stopAssignmentExpiryJob
+};
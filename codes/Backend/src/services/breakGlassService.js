@@ -0,0 +1,202 @@
+const { query, transaction } = require('../config/database');
+const { sendBreakGlassAlertEmail } = require('./emailService');
+
+// Only roles that are normally limited to assigned patients need to break the glass
+const BREAK_GLASS_ROLES = new Set(['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT']);
+
+// A READ grant allows reads only; a WRITE grant also allows creating and editing.
+// Deleting and approving always stay with the assigned care team.
+const GRANT_PERMISSIONS = {
+  READ: ['R'],
+  WRITE: ['R', 'C', 'U']
+};
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getBreakGlassPolicy = () => {
+  const maxMinutes = parsePositiveInt(process.env.BREAK_GLASS_MAX_MINUTES, 240);
+  return {
+    defaultMinutes: Math.min(parsePositiveInt(process.env.BREAK_GLASS_DEFAULT_MINUTES, 60), maxMinutes),
+    maxMinutes
+  };
+};
+
+const canBreakGlass = (user) => Boolean(user && BREAK_GLASS_ROLES.has(user.role) && !user.api_key);
+
+const grantAllowsPermission = (accessLevel, permission) => (GRANT_PERMISSIONS[accessLevel] || []).includes(permission);
+
+const findActiveGrant = async (userId, patientId) => {
+  const rows = await query(
+    `SELECT id, patient_id, user_id, access_level, reason, granted_at, expires_at,
+            GREATEST(TIMESTAMPDIFF(SECOND, NOW(), expires_at), 0) AS remaining_seconds
+     FROM break_glass_access
+     WHERE user_id = ?
+       AND patient_id = ?
+       AND ended_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY expires_at DESC
+     LIMIT 1`,
+    [userId, patientId]
+  );
+  return rows[0] ? { ...rows[0], remaining_seconds: Number(rows[0].remaining_seconds) } : null;
+};
+
+const listActiveGrantsForUser = async (userId) => query(
+  `SELECT b.id, b.patient_id, b.access_level, b.reason, b.granted_at, b.expires_at,
+          p.patient_code, p.first_name, p.last_name
+   FROM break_glass_access b
+   INNER JOIN patients p ON p.id = b.patient_id
+   WHERE b.user_id = ?
+     AND b.ended_at IS NULL
+     AND b.expires_at > NOW()
+   ORDER BY b.expires_at ASC`,
+  [userId]
+);
+
+// Opening a new grant closes any earlier one for the same patient, so there is one live grant at a time
+const createGrant = async ({ patientId, userId, accessLevel, reason, minutes, ipAddress = null }) => {
+  await transaction(async (connection) => {
+    await connection.execute(
+      `UPDATE break_glass_access
+       SET ended_at = NOW()
+       WHERE user_id = ?
+         AND patient_id = ?
+         AND ended_at IS NULL
+         AND expires_at > NOW()`,
+      [userId, patientId]
+    );
+    await connection.execute(
+      `INSERT INTO break_glass_access (patient_id, user_id, access_level, reason, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [patientId, userId, accessLevel, reason, ipAddress, minutes]
+    );
+  });
+
+  return findActiveGrant(userId, patientId);
+};
+
+const endGrant = async (id, userId) => {
+  const result = await query(
+    `UPDATE break_glass_access
+     SET ended_at = NOW()
+     WHERE id = ?
+       AND user_id = ?
+       AND ended_at IS NULL
+       AND expires_at > NOW()`,
+    [id, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+const REVIEW_STATUS_CLAUSES = {
+  PENDING: 'b.reviewed_at IS NULL',
+  REVIEWED: 'b.reviewed_at IS NOT NULL',
+  ALL: '1 = 1'
+};
+
+const listBreakGlassEvents = async ({ status = 'PENDING', page = 1, limit = 20 } = {}) => {
+  const clause = REVIEW_STATUS_CLAUSES[status] || REVIEW_STATUS_CLAUSES.PENDING;
+  const offset = (page - 1) * limit;
+
+  const rows = await query(
+    `SELECT b.id, b.patient_id, b.user_id, b.access_level, b.reason, b.ip_address,
+            b.granted_at, b.expires_at, b.ended_at, b.reviewed_at, b.review_note,
+            (b.ended_at IS NULL AND b.expires_at > NOW()) AS is_active,
+            u.name AS user_name, u.role AS user_role,
+            p.patient_code, p.first_name, p.last_name,
+            reviewer.name AS reviewed_by_name,
+            (SELECT COUNT(*)
+             FROM audit_logs a
+             WHERE a.user_id = b.user_id
+               AND a.entity_type = 'API_REQUEST'
+               AND JSON_EXTRACT(a.new_values, '$.break_glass_id') = b.id) AS request_count
+     FROM break_glass_access b
+     INNER JOIN users u ON u.id = b.user_id
+     INNER JOIN patients p ON p.id = b.patient_id
+     LEFT JOIN users reviewer ON reviewer.id = b.reviewed_by
+     WHERE ${clause}
+     ORDER BY b.granted_at DESC
+     LIMIT ? OFFSET ?`,
+    [Number(limit), Number(offset)]
+  );
+
+  const countRows = await query(`SELECT COUNT(*) AS total FROM break_glass_access b WHERE ${clause}`);
+
+  return {
+    events: rows.map((row) => ({
+      ...row,
+      is_active: Boolean(row.is_active),
+      request_count: Number(row.request_count)
+    })),
+    total: Number(countRows[0].total)
+  };
+};
+
+const countPendingReviews = async () => {
+  const rows = await query('SELECT COUNT(*) AS total FROM break_glass_access WHERE reviewed_at IS NULL');
+  return Number(rows[0].total);
+};
+
+const acknowledgeGrant = async (id, reviewerId, note = null) => {
+  const result = await query(
+    `UPDATE break_glass_access
+     SET reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+     WHERE id = ?
+       AND reviewed_at IS NULL`,
+    [reviewerId, note, id]
+  );
+  return result.affectedRows > 0;
+};
+
+// Email failures are logged rather than thrown: the clinician already has access and the
+// review queue still shows the event
+const notifyAdmins = async ({ user, patient, grant }) => {
+  try {
+    const admins = await query(
+      `SELECT email
+       FROM users
+       WHERE role = 'ADMIN'
+         AND status = 'ACTIVE'
+         AND is_service_account = FALSE
+         AND deleted_at IS NULL`
+    );
+    if (admins.length === 0) {
+      return;
+    }
+
+    const baseUrl = String(process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173')
+      .split(',')[0]
+      .trim()
+      .replace(/\/+$/, '');
+
+    await sendBreakGlassAlertEmail({
+      to: admins.map((admin) => admin.email),
+      clinicianName: user.name,
+      clinicianRole: user.role,
+      patientLabel: `${patient.first_name} ${patient.last_name} (${patient.patient_code})`,
+      accessLevel: grant.access_level,
+      reason: grant.reason,
+      expiresAt: grant.expires_at,
+      reviewUrl: `${baseUrl}/admin/break-glass`
+    });
+  } catch (error) {
+    console.error('Break-glass admin notification error:', error);
+  }
+};
+
+module.exports = {
+  getBreakGlassPolicy,
+  canBreakGlass,
+  grantAllowsPermission,
+  findActiveGrant,
+  listActiveGrantsForUser,
+  createGrant,
+  endGrant,
+  listBreakGlassEvents,
+  countPendingReviews,
+  acknowledgeGrant,
+  notifyAdmins
+};
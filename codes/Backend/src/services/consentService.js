@@ -0,0 +1,204 @@
+const { query, insert, transaction } = require('../config/database');
+
+const CONSENT_TYPES = {
+  PHOTOGRAPHY: 'PHOTOGRAPHY',
+  TEACHING: 'TEACHING',
+  STUDENT_CARE: 'STUDENT_CARE'
+};
+
+const SIGNER_RELATIONSHIPS = ['SELF', 'PARENT', 'GUARDIAN', 'OTHER'];
+
+// Patients younger than this must have consent signed by someone else on their behalf
+const ADULT_AGE = 18;
+
+// Version 1 of each consent text, seeded on first start. Administrators publish later versions.
+const DEFAULT_CONSENT_TEMPLATES = {
+  [CONSENT_TYPES.PHOTOGRAPHY]: {
+    title: 'Clinical photography',
+    body: 'I agree to clinical photographs being taken of my face and teeth and stored in my patient record. '
+      + 'They are used only for my diagnosis and treatment, and I can withdraw this consent at any time.'
+  },
+  [CONSENT_TYPES.TEACHING]: {
+    title: 'Use of records in teaching',
+    body: 'I agree to my records, including photographs and radiographs, being used in anonymised form for teaching '
+      + 'and training dental professionals. My name and contact details are never shown.'
+  },
+  [CONSENT_TYPES.STUDENT_CARE]: {
+    title: 'Treatment by students',
+    body: 'I agree to parts of my treatment being carried out by dental students under the supervision of a qualified clinician. '
+      + 'I can ask to be treated by the supervising clinician instead at any time.'
+  }
+};
+
+const initializeConsentTemplates = async () => {
+  const rows = await query('SELECT DISTINCT consent_type FROM consent_templates');
+  const seeded = new Set(rows.map((row) => row.consent_type));
+  for (const [consentType, template] of Object.entries(DEFAULT_CONSENT_TEMPLATES)) {
+    if (!seeded.has(consentType)) {
+      await query(
+        'INSERT IGNORE INTO consent_templates (consent_type, version, title, body) VALUES (?, 1, ?, ?)',
+        [consentType, template.title, template.body]
+      );
+    }
+  }
+};
+
+const TEMPLATE_SELECT = `
+  SELECT ct.id, ct.consent_type, ct.version, ct.title, ct.body, ct.created_by, ct.created_at,
+         u.name AS created_by_name
+  FROM consent_templates ct
+  LEFT JOIN users u ON u.id = ct.created_by
+`;
+
+// The newest version of each consent text
+const listCurrentTemplates = async () => query(
+  `${TEMPLATE_SELECT}
+   WHERE ct.version = (
+     SELECT MAX(latest.version) FROM consent_templates latest WHERE latest.consent_type = ct.consent_type
+   )
+   ORDER BY ct.consent_type`
+);
+
+const listTemplateVersions = async (consentType) => query(
+  `${TEMPLATE_SELECT} WHERE ct.consent_type = ? ORDER BY ct.version DESC`,
+  [consentType]
+);
+
+const getCurrentTemplate = async (consentType) => {
+  const rows = await query(
+    `${TEMPLATE_SELECT} WHERE ct.consent_type = ? ORDER BY ct.version DESC LIMIT 1`,
+    [consentType]
+  );
+  return rows[0] || null;
+};
+
+// Saves new text as the next version; consents signed earlier keep pointing at their version
+const publishTemplate = async ({ consentType, title, body, createdBy }) => (
+  transaction(async (connection) => {
+    const [rows] = await connection.execute(
+      'SELECT MAX(version) AS version FROM consent_templates WHERE consent_type = ? FOR UPDATE',
+      [consentType]
+    );
+    const version = Number(rows[0]?.version || 0) + 1;
+    const [result] = await connection.execute(
+      'INSERT INTO consent_templates (consent_type, version, title, body, created_by) VALUES (?, ?, ?, ?, ?)',
+      [consentType, version, title, body, createdBy]
+    );
+    return { id: result.insertId, version };
+  })
+);
+
+// SQL condition for a patient whose latest consent of the type is signed.
+// Expects one parameter, the consent type.
+const consentGivenCondition = (patientAlias) => `
+  EXISTS (
+    SELECT 1
+    FROM patient_consents pc
+    WHERE pc.patient_id = ${patientAlias}.id
+      AND pc.consent_type = ?
+      AND pc.status = 'SIGNED'
+      AND pc.id = (
+        SELECT MAX(pc2.id) FROM patient_consents pc2
+        WHERE pc2.patient_id = pc.patient_id AND pc2.consent_type = pc.consent_type
+      )
+  )
+`;
+
+const hasConsent = async (patientId, consentType) => {
+  const rows = await query(
+    `SELECT status
+     FROM patient_consents
+     WHERE patient_id = ?
+       AND consent_type = ?
+     ORDER BY id DESC
+     LIMIT 1`,
+    [patientId, consentType]
+  );
+  return rows[0]?.status === 'SIGNED';
+};
+
+const CONSENT_SELECT = `
+  SELECT pc.*, ct.version AS template_version, ct.title AS template_title,
+         guardian.relationship AS guardian_relationship,
+         recorder.name AS recorded_by_name, withdrawer.name AS withdrawn_recorded_by_name
+  FROM patient_consents pc
+  JOIN consent_templates ct ON ct.id = pc.template_id
+  LEFT JOIN patient_guardians guardian ON guardian.id = pc.guardian_id
+  LEFT JOIN users recorder ON recorder.id = pc.recorded_by
+  LEFT JOIN users withdrawer ON withdrawer.id = pc.withdrawn_recorded_by
+`;
+
+const getConsent = async (id) => {
+  const rows = await query(`${CONSENT_SELECT} WHERE pc.id = ? LIMIT 1`, [id]);
+  return rows[0] || null;
+};
+
+// Current status per consent type plus every signature and withdrawal, newest first
+const getPatientConsents = async (patientId) => {
+  const [history, templates] = await Promise.all([
+    query(`${CONSENT_SELECT} WHERE pc.patient_id = ? ORDER BY pc.id DESC`, [patientId]),
+    listCurrentTemplates()
+  ]);
+
+  const summary = templates.map((template) => {
+    const latest = history.find((row) => row.consent_type === template.consent_type) || null;
+    return {
+      consent_type: template.consent_type,
+      title: template.title,
+      status: latest ? latest.status : 'MISSING',
+      current_version: template.version,
+      outdated: Boolean(latest && latest.status === 'SIGNED' && latest.template_version < template.version),
+      consent: latest
+    };
+  });
+
+  return { summary, history };
+};
+
+const recordConsent = async ({
+  patientId,
+  consentType,
+  template,
+  signedAt,
+  signedByName,
+  signedByRelationship,
+  guardianId = null,
+  recordedBy
+}) => (
+  insert('patient_consents', {
+    patient_id: patientId,
+    consent_type: consentType,
+    template_id: template.id,
+    status: 'SIGNED',
+    signed_at: signedAt,
+    signed_by_name: signedByName,
+    signed_by_relationship: signedByRelationship,
+    guardian_id: guardianId,
+    recorded_by: recordedBy
+  })
+);
+
+const withdrawConsent = async ({ id, withdrawnAt, reason, recordedBy }) => query(
+  `UPDATE patient_consents
+   SET status = 'WITHDRAWN', withdrawn_at = ?, withdrawal_reason = ?, withdrawn_recorded_by = ?
+   WHERE id = ?
+     AND status = 'SIGNED'`,
+  [withdrawnAt, reason, recordedBy, id]
+);
+
+module.exports = {
+  CONSENT_TYPES,
+  SIGNER_RELATIONSHIPS,
+  ADULT_AGE,
+  initializeConsentTemplates,
+  listCurrentTemplates,
+  listTemplateVersions,
+  getCurrentTemplate,
+  publishTemplate,
+  consentGivenCondition,
+  hasConsent,
+  getConsent,
+  getPatientConsents,
+  recordConsent,
+  withdrawConsent
+};
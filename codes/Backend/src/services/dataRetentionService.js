@@ -0,0 +1,431 @@
+const { query, insert, update, transaction } = require('../config/database');
+const { deleteStoredObject } = require('./fileStorageService');
+const { ADULT_AGE } = require('./consentService');
+
+const RECORD_TYPES = {
+  INACTIVE_PATIENT: 'INACTIVE_PATIENT',
+  TRASHED_DOCUMENT: 'TRASHED_DOCUMENT'
+};
+
+const RETENTION_BASES = ['LAST_ACTIVITY', 'ADULTHOOD'];
+
+// system_settings keys holding each policy, with the defaults used when a row is missing.
+// Zero years switches purging off for that record type.
+const POLICY_SETTINGS = {
+  [RECORD_TYPES.INACTIVE_PATIENT]: {
+    yearsKey: 'retention_inactive_patient_years',
+    fromKey: 'retention_inactive_patient_from',
+    years: 8,
+    from: 'ADULTHOOD'
+  },
+  [RECORD_TYPES.TRASHED_DOCUMENT]: {
+    yearsKey: 'retention_trashed_document_years',
+    fromKey: 'retention_trashed_document_from',
+    years: 1,
+    from: 'LAST_ACTIVITY'
+  }
+};
+
+// Requests still waiting on a second administrator; FAILED ones can be approved again
+const OPEN_STATUSES = ['PENDING', 'FAILED'];
+
+const parseYears = (raw, fallback) => {
+  const parsed = Number.parseInt(String(raw ?? ''), 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const getRetentionPolicies = async () => {
+  const keys = Object.values(POLICY_SETTINGS).flatMap((spec) => [spec.yearsKey, spec.fromKey]);
+  const rows = await query(
+    `SELECT setting_key, setting_value FROM system_settings WHERE setting_key IN (${keys.map(() => '?').join(', ')})`,
+    keys
+  );
+  const values = new Map(rows.map((row) => [row.setting_key, row.setting_value]));
+
+  return Object.entries(POLICY_SETTINGS).map(([recordType, spec]) => {
+    const from = String(values.get(spec.fromKey) || '').trim().toUpperCase();
+    return {
+      record_type: recordType,
+      retention_years: parseYears(values.get(spec.yearsKey), spec.years),
+      count_from: RETENTION_BASES.includes(from) ? from : spec.from
+    };
+  });
+};
+
+const saveRetentionPolicies = async (policies, updatedBy) => {
+  for (const policy of policies) {
+    const spec = POLICY_SETTINGS[policy.record_type];
+    for (const [key, value] of [[spec.yearsKey, String(policy.retention_years)], [spec.fromKey, policy.count_from]]) {
+      await query(
+        `INSERT INTO system_settings (setting_key, setting_value, updated_by) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+        [key, value, updatedBy]
+      );
+    }
+  }
+  return getRetentionPolicies();
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const todayDate = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const addYears = (date, years) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const result = new Date(Date.UTC(year + years, month - 1, day));
+  // 29 February falls back to 28 February in years without it
+  if (result.getUTCMonth() !== month - 1) result.setUTCDate(0);
+  return result.toISOString().slice(0, 10);
+};
+
+// The period runs from the last activity or, counted from adulthood, from the 18th birthday
+// when that is later, so adults treated recently are never due early
+const calculateDueDate = (policy, { lastActivityAt, dateOfBirth }) => {
+  let base = String(lastActivityAt).slice(0, 10);
+  if (policy.count_from === 'ADULTHOOD' && dateOfBirth) {
+    const adulthood = addYears(String(dateOfBirth).slice(0, 10), ADULT_AGE);
+    if (adulthood > base) base = adulthood;
+  }
+  return addYears(base, policy.retention_years);
+};
+
+const loadInactivePatients = (patientId = null) => query(
+  `SELECT p.id, p.patient_code, p.first_name, p.last_name, p.date_of_birth, p.deleted_at,
+          GREATEST(
+            p.updated_at,
+            COALESCE((SELECT MAX(v.visit_date) FROM visits v WHERE v.patient_id = p.id), p.updated_at),
+            COALESCE((SELECT MAX(cn.updated_at) FROM clinical_notes cn WHERE cn.patient_id = p.id), p.updated_at),
+            COALESCE((SELECT MAX(md.created_at) FROM medical_documents md WHERE md.patient_id = p.id), p.updated_at)
+          ) AS last_activity_at,
+          (SELECT COUNT(*) FROM medical_documents md WHERE md.patient_id = p.id) AS document_count
+   FROM patients p
+   WHERE p.deleted_at IS NOT NULL
+   ${patientId ? 'AND p.id = ?' : ''}`,
+  patientId ? [patientId] : []
+);
+
+// Documents of inactive patients go with the whole record instead
+const loadTrashedDocuments = (documentId = null) => query(
+  `SELECT md.id, md.patient_id, md.type, md.original_filename, md.deleted_at AS last_activity_at,
+          p.patient_code, p.first_name, p.last_name, p.date_of_birth
+   FROM medical_documents md
+   JOIN patients p ON p.id = md.patient_id
+   WHERE md.deleted_at IS NOT NULL
+     AND p.deleted_at IS NULL
+   ${documentId ? 'AND md.id = ?' : ''}`,
+  documentId ? [documentId] : []
+);
+
+const toCandidates = (recordType, policy, rows) => rows.map((row) => {
+  const isPatient = recordType === RECORD_TYPES.INACTIVE_PATIENT;
+  return {
+    record_type: recordType,
+    record_id: row.id,
+    patient_id: isPatient ? row.id : row.patient_id,
+    patient_code: row.patient_code,
+    patient_name: `${row.first_name} ${row.last_name}`,
+    description: isPatient
+      ? `Inactive since ${String(row.deleted_at).slice(0, 10)}; ${row.document_count} document(s)`
+      : `${row.type} ${row.original_filename}`,
+    last_activity_at: row.last_activity_at,
+    due_on: calculateDueDate(policy, { lastActivityAt: row.last_activity_at, dateOfBirth: row.date_of_birth })
+  };
+});
+
+const loadCandidates = async (recordType, policy, recordId = null) => {
+  const rows = recordType === RECORD_TYPES.INACTIVE_PATIENT
+    ? await loadInactivePatients(recordId)
+    : await loadTrashedDocuments(recordId);
+  return toCandidates(recordType, policy, rows);
+};
+
+// Records whose retention period has ended, oldest due first, with any open purge request
+const listDueRecords = async () => {
+  const today = todayDate();
+  const due = [];
+  for (const policy of await getRetentionPolicies()) {
+    if (policy.retention_years === 0) continue;
+    const candidates = await loadCandidates(policy.record_type, policy);
+    due.push(...candidates.filter((candidate) => candidate.due_on <= today));
+  }
+
+  const openRequests = await query(
+    `SELECT id, record_type, record_id, status FROM retention_purges WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+    OPEN_STATUSES
+  );
+  const requestByRecord = new Map(openRequests.map((row) => [`${row.record_type}:${row.record_id}`, row]));
+
+  return due
+    .map((record) => {
+      const request = requestByRecord.get(`${record.record_type}:${record.record_id}`);
+      return { ...record, purge_request: request ? { id: request.id, status: request.status } : null };
+    })
+    .sort((a, b) => a.due_on.localeCompare(b.due_on) || a.patient_code.localeCompare(b.patient_code));
+};
+
+// Returns the record when it still exists and is due, or { error, statusCode }
+const findDueRecord = async (recordType, recordId) => {
+  const policy = (await getRetentionPolicies()).find((entry) => entry.record_type === recordType);
+  const [record] = await loadCandidates(recordType, policy, recordId);
+  if (!record) {
+    return { error: 'The record no longer exists or is no longer inactive', statusCode: 404 };
+  }
+  if (policy.retention_years === 0 || record.due_on > todayDate()) {
+    return { error: 'The record is not due for purge under the current retention policy', statusCode: 409 };
+  }
+  return { record };
+};
+
+const PURGE_SELECT = `
+  SELECT rp.id, rp.record_type, rp.record_id, rp.patient_id, rp.patient_code, rp.due_on, rp.reason, rp.status,
+         rp.requested_by, requester.name AS requested_by_name, rp.created_at,
+         rp.reviewed_by, reviewer.name AS reviewed_by_name, rp.reviewed_at, rp.review_note,
+         rp.summary, rp.error_message, rp.purged_at,
+         p.first_name, p.last_name
+  FROM retention_purges rp
+  LEFT JOIN users requester ON requester.id = rp.requested_by
+  LEFT JOIN users reviewer ON reviewer.id = rp.reviewed_by
+  LEFT JOIN patients p ON p.id = rp.patient_id AND rp.status <> 'PURGED'`;
+
+const parseSummary = (value) => {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+const formatPurge = ({ first_name: firstName, last_name: lastName, ...row }) => ({
+  ...row,
+  // Names are only shown while the record still exists; a purge leaves the patient code alone
+  patient_name: firstName ? `${firstName} ${lastName}` : null,
+  summary: parseSummary(row.summary)
+});
+
+const listPurges = async ({ status } = {}) => {
+  const rows = await query(
+    `${PURGE_SELECT}
+     ${status === 'OPEN' ? `WHERE rp.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})` : status ? 'WHERE rp.status = ?' : ''}
+     ORDER BY rp.created_at DESC, rp.id DESC`,
+    status === 'OPEN' ? OPEN_STATUSES : status ? [status] : []
+  );
+  return rows.map(formatPurge);
+};
+
+const getPurge = async (id) => {
+  const rows = await query(`${PURGE_SELECT} WHERE rp.id = ? LIMIT 1`, [id]);
+  return rows[0] ? formatPurge(rows[0]) : null;
+};
+
+const requestPurge = async ({ recordType, recordId, reason = null, requestedBy }) => {
+  const found = await findDueRecord(recordType, recordId);
+  if (found.error) return found;
+
+  const existing = await query(
+    `SELECT id FROM retention_purges
+     WHERE record_type = ? AND record_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+     LIMIT 1`,
+    [recordType, recordId, ...OPEN_STATUSES]
+  );
+  if (existing[0]) {
+    return { error: 'A purge of this record is already waiting for approval', statusCode: 409 };
+  }
+
+  const id = await insert('retention_purges', {
+    record_type: recordType,
+    record_id: recordId,
+    patient_id: found.record.patient_id,
+    patient_code: found.record.patient_code,
+    due_on: found.record.due_on,
+    reason,
+    status: 'PENDING',
+    requested_by: requestedBy
+  });
+  return { id };
+};
+
+// Runs after the rows are deleted. Objects already gone count as deleted; any other failure is
+// logged and its location kept in the summary, so the file can be removed by hand
+const deleteObjects = async (rows) => {
+  let deleted = 0;
+  const left = [];
+  for (const row of rows) {
+    try {
+      await deleteStoredObject(row);
+      deleted += 1;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        deleted += 1;
+      } else {
+        console.error('Retention purge object delete error:', error);
+        left.push(row.storage_key || row.file_path);
+      }
+    }
+  }
+  return { stored_objects_deleted: deleted, ...(left.length && { stored_objects_left: left }) };
+};
+
+const STORED_OBJECT_FIELDS = 'id, file_path, storage_provider, storage_bucket, storage_key';
+
+// Copies of the patient's identity outside the patient tables: the details a merge kept of the
+// duplicate, and the import report rows that created the patient or named them as a duplicate
+const scrubPatientCopies = async (connection, patientId) => {
+  await connection.query(
+    `UPDATE patient_merges
+     SET duplicate_snapshot = JSON_OBJECT('patient_code', duplicate_patient_code, 'purged', TRUE)
+     WHERE duplicate_patient_id = ? OR survivor_patient_id = ?`,
+    [patientId, patientId]
+  );
+
+  const [importRows] = await connection.query(
+    'SELECT import_id, source_row FROM patient_import_rows WHERE patient_id = ?',
+    [patientId]
+  );
+  const sourceRows = new Set(importRows.map((row) => `${row.import_id}:${row.source_row}`));
+  const importIds = [...new Set(importRows.map((row) => row.import_id))];
+  const [imports] = await connection.query(
+    `SELECT id, report FROM patient_imports
+     WHERE id IN (${importIds.length ? importIds.map(() => '?').join(', ') : 'NULL'})
+        OR JSON_CONTAINS(JSON_EXTRACT(report, '$[*].duplicates[*].patient_id'), CAST(? AS JSON))
+     FOR UPDATE`,
+    [...importIds, String(patientId)]
+  );
+
+  for (const { id, report } of imports) {
+    const rows = (typeof report === 'string' ? JSON.parse(report) : report) || [];
+    const scrubbed = rows.map((row) => (sourceRows.has(`${id}:${row.row_number}`)
+      ? {
+        row_number: row.row_number,
+        status: row.status,
+        first_name: null,
+        last_name: null,
+        data: null,
+        errors: [],
+        duplicates: [],
+        file_duplicate_of: null,
+        purged: true
+      }
+      : { ...row, duplicates: (row.duplicates || []).filter((duplicate) => duplicate.patient_id !== Number(patientId)) }));
+    await connection.query('UPDATE patient_imports SET report = ? WHERE id = ?', [JSON.stringify(scrubbed), id]);
+  }
+};
+
+// Rows go first, in one transaction, and stored objects only once it has committed. A failed
+// run leaves the record whole and can be approved again; it never leaves rows pointing at
+// deleted files.
+const purgeInactivePatient = async (patientId) => {
+  const { documents, exportArchives, counts } = await transaction(async (connection) => {
+    await connection.query('SELECT id FROM patients WHERE id = ? FOR UPDATE', [patientId]);
+    const [documentRows] = await connection.query(
+      `SELECT ${STORED_OBJECT_FIELDS} FROM medical_documents WHERE patient_id = ?`,
+      [patientId]
+    );
+    const [exportRows] = await connection.query(
+      `SELECT ${STORED_OBJECT_FIELDS} FROM patient_data_exports
+       WHERE patient_id = ? AND (file_path IS NOT NULL OR storage_key IS NOT NULL)`,
+      [patientId]
+    );
+    const [[countRow]] = await connection.query(
+      `SELECT
+         (SELECT COUNT(*) FROM visits WHERE patient_id = ?) AS visits,
+         (SELECT COUNT(*) FROM clinical_notes WHERE patient_id = ?) AS clinical_notes,
+         (SELECT COUNT(*) FROM patient_histories WHERE patient_id = ?) AS history_records`,
+      [patientId, patientId, patientId]
+    );
+
+    await scrubPatientCopies(connection, patientId);
+    // Every patient table cascades from patients; teaching cases are anonymous and only lose the link
+    await connection.query('DELETE FROM patients WHERE id = ?', [patientId]);
+    return { documents: documentRows, exportArchives: exportRows, counts: countRow };
+  });
+
+  return {
+    documents: documents.length,
+    export_archives: exportArchives.length,
+    ...(await deleteObjects([...documents, ...exportArchives])),
+    visits: Number(counts.visits),
+    clinical_notes: Number(counts.clinical_notes),
+    history_records: Number(counts.history_records)
+  };
+};
+
+const purgeTrashedDocument = async (documentId) => {
+  const document = await transaction(async (connection) => {
+    const [[row]] = await connection.query(
+      `SELECT ${STORED_OBJECT_FIELDS}, type FROM medical_documents WHERE id = ? FOR UPDATE`,
+      [documentId]
+    );
+    await connection.query('DELETE FROM medical_documents WHERE id = ?', [documentId]);
+    return row;
+  });
+
+  return {
+    document_type: document.type,
+    ...(await deleteObjects([document]))
+  };
+};
+
+// Second administrator's approval: checks the record is still due, then deletes it for good.
+// Returns the tombstone summary, or { error, statusCode }.
+const approvePurge = async ({ purge, approvedBy, note = null }) => {
+  const found = await findDueRecord(purge.record_type, purge.record_id);
+  if (found.error) return found;
+
+  // Claim the request so two approvals cannot run the same purge
+  const claimed = await transaction(async (connection) => {
+    const [result] = await connection.query(
+      `UPDATE retention_purges
+       SET status = 'RUNNING', reviewed_by = ?, reviewed_at = NOW(), review_note = ?, error_message = NULL
+       WHERE id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+      [approvedBy, note, purge.id, ...OPEN_STATUSES]
+    );
+    return result.affectedRows === 1;
+  });
+  if (!claimed) {
+    return { error: 'This purge has already been handled', statusCode: 409 };
+  }
+
+  try {
+    const summary = purge.record_type === RECORD_TYPES.INACTIVE_PATIENT
+      ? await purgeInactivePatient(purge.record_id)
+      : await purgeTrashedDocument(purge.record_id);
+    await update('retention_purges', {
+      status: 'PURGED',
+      summary: JSON.stringify(summary),
+      purged_at: new Date()
+    }, { id: purge.id });
+    return { summary };
+  } catch (error) {
+    await update('retention_purges', {
+      status: 'FAILED',
+      error_message: String(error.message || 'Purge failed').slice(0, 500)
+    }, { id: purge.id });
+    throw error;
+  }
+};
+
+const rejectPurge = ({ purge, rejectedBy, note }) => update('retention_purges', {
+  status: 'REJECTED',
+  reviewed_by: rejectedBy,
+  reviewed_at: new Date(),
+  review_note: note
+}, { id: purge.id });
+
+module.exports = {
+  RECORD_TYPES,
+  RETENTION_BASES,
+  OPEN_STATUSES,
+  getRetentionPolicies,
+  saveRetentionPolicies,
+  calculateDueDate,
+  listDueRecords,
+  listPurges,
+  getPurge,
+  requestPurge,
+  approvePurge,
+  rejectPurge
+};
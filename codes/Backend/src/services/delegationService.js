@@ -0,0 +1,268 @@
+const { query, transaction } = require('../config/database');
+const {
+  effectiveAssignmentCondition,
+  deactivateAssignment
+} = require('./assignmentWindowService');
+
+// Clinicians whose assigned caseload can be handed to a colleague of the same role
+const DELEGATING_ROLES = new Set(['ORTHODONTIST', 'DENTAL_SURGEON']);
+
+// SQL condition for a delegation that is in force right now
+const activeDelegationCondition = (alias) => `
+  ${alias}.cancelled_at IS NULL
+  AND ${alias}.starts_at <= NOW()
+  AND ${alias}.ends_at > NOW()
+`;
+
+// SQL condition letting a delegate act on assignment requests addressed to their delegator.
+// Expects one parameter, the delegate's user id.
+const delegatedRequestCondition = (requestAlias) => `
+  EXISTS (
+    SELECT 1
+    FROM caseload_delegations cd
+    WHERE cd.delegate_id = ?
+      AND cd.delegator_id = ${requestAlias}.target_user_id
+      AND ${activeDelegationCondition('cd')}
+      AND (
+        cd.all_patients = TRUE
+        OR EXISTS (
+          SELECT 1
+          FROM caseload_delegation_patients cdp
+          WHERE cdp.delegation_id = cd.id
+            AND cdp.patient_id = ${requestAlias}.patient_id
+        )
+      )
+  )
+`;
+
+const getDelegationStatus = (row) => {
+  if (row.cancelled_at) return 'CANCELLED';
+  const now = new Date();
+  if (new Date(String(row.starts_at).replace(' ', 'T')) > now) return 'SCHEDULED';
+  if (new Date(String(row.ends_at).replace(' ', 'T')) <= now) return 'ENDED';
+  return 'ACTIVE';
+};
+
+// Patients the clinician currently has access to through their own assignment
+const listDelegatorPatients = async (delegatorId, role) => query(
+  `SELECT p.id, p.patient_code, p.first_name, p.last_name
+   FROM patient_assignments pa
+   JOIN patients p ON p.id = pa.patient_id
+   WHERE pa.user_id = ?
+     AND pa.assignment_role = ?
+     AND ${effectiveAssignmentCondition('pa')}
+     AND p.deleted_at IS NULL
+   ORDER BY p.last_name, p.first_name`,
+  [delegatorId, role]
+);
+
+const listDelegateCandidates = async (delegator) => query(
+  `SELECT id, name, email, role
+   FROM users
+   WHERE role = ?
+     AND id <> ?
+     AND status = 'ACTIVE'
+     AND is_service_account = FALSE
+   ORDER BY name`,
+  [delegator.role, delegator.id]
+);
+
+const listDelegatingClinicians = async () => query(
+  `SELECT id, name, email, role
+   FROM users
+   WHERE role IN ('ORTHODONTIST', 'DENTAL_SURGEON')
+     AND status = 'ACTIVE'
+     AND is_service_account = FALSE
+   ORDER BY role, name`
+);
+
+// Live or scheduled delegations of the same clinician that share at least one moment with the range
+const findOverlappingDelegation = async (delegatorId, startsAt, endsAt) => {
+  const rows = await query(
+    `SELECT id, delegate_id, starts_at, ends_at
+     FROM caseload_delegations
+     WHERE delegator_id = ?
+       AND cancelled_at IS NULL
+       AND ends_at > NOW()
+       AND starts_at < ?
+       AND ends_at > ?
+     LIMIT 1`,
+    [delegatorId, endsAt, startsAt]
+  );
+  return rows[0] || null;
+};
+
+// Gives the delegate a time-bounded assignment on each patient, so access reverts through the
+// assignment expiry job without touching the delegator's own assignments. A patient can hold one
+// active assignment per user and role, so a delegate's existing one is widened to the delegation
+// window instead, keeping its own window so cancelling can put it back.
+const createDelegation = async ({ delegator, delegate, startsAt, endsAt, patients, allPatients, reason, createdBy }) => (
+  transaction(async (connection) => {
+    const [result] = await connection.execute(
+      `INSERT INTO caseload_delegations
+         (delegator_id, delegate_id, assignment_role, all_patients, starts_at, ends_at, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [delegator.id, delegate.id, delegator.role, allPatients, startsAt, endsAt, reason, createdBy]
+    );
+    const delegationId = result.insertId;
+    const assigned = [];
+    const extended = [];
+    const alreadyAssigned = [];
+
+    for (const patient of patients) {
+      const [existing] = await connection.execute(
+        `SELECT id, starts_at, ends_at
+         FROM patient_assignments
+         WHERE patient_id = ?
+           AND user_id = ?
+           AND assignment_role = ?
+           AND active = TRUE
+         LIMIT 1
+         FOR UPDATE`,
+        [patient.id, delegate.id, delegator.role]
+      );
+
+      let assignmentId = null;
+      let originalWindow = null;
+      if (existing.length > 0) {
+        const current = existing[0];
+        const widenedStart = current.starts_at && current.starts_at > startsAt ? startsAt : current.starts_at;
+        const widenedEnd = current.ends_at && current.ends_at < endsAt ? endsAt : current.ends_at;
+        if (widenedStart === current.starts_at && widenedEnd === current.ends_at) {
+          alreadyAssigned.push(patient.id);
+        } else {
+          await connection.execute(
+            'UPDATE patient_assignments SET starts_at = ?, ends_at = ? WHERE id = ?',
+            [widenedStart, widenedEnd, current.id]
+          );
+          assignmentId = current.id;
+          originalWindow = current;
+          extended.push(patient.id);
+        }
+      } else {
+        const [inserted] = await connection.execute(
+          `INSERT INTO patient_assignments
+             (patient_id, user_id, assignment_role, assigned_by, active, starts_at, ends_at)
+           VALUES (?, ?, ?, ?, TRUE, ?, ?)`,
+          [patient.id, delegate.id, delegator.role, createdBy, startsAt, endsAt]
+        );
+        assignmentId = inserted.insertId;
+        assigned.push(patient.id);
+      }
+
+      await connection.execute(
+        `INSERT INTO caseload_delegation_patients
+           (delegation_id, patient_id, assignment_id, window_extended, original_starts_at, original_ends_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          delegationId,
+          patient.id,
+          assignmentId,
+          Boolean(originalWindow),
+          originalWindow ? originalWindow.starts_at : null,
+          originalWindow ? originalWindow.ends_at : null
+        ]
+      );
+    }
+
+    return { id: delegationId, assigned, extended, alreadyAssigned };
+  })
+);
+
+const DELEGATION_SELECT = `
+  SELECT cd.id, cd.delegator_id, cd.delegate_id, cd.assignment_role, cd.all_patients,
+         cd.starts_at, cd.ends_at, cd.reason, cd.created_by, cd.cancelled_at, cd.cancelled_by, cd.created_at,
+         delegator.name AS delegator_name, delegate.name AS delegate_name,
+         creator.name AS created_by_name, canceller.name AS cancelled_by_name,
+         (SELECT COUNT(*) FROM caseload_delegation_patients cdp WHERE cdp.delegation_id = cd.id) AS patient_count
+  FROM caseload_delegations cd
+  JOIN users delegator ON delegator.id = cd.delegator_id
+  JOIN users delegate ON delegate.id = cd.delegate_id
+  LEFT JOIN users creator ON creator.id = cd.created_by
+  LEFT JOIN users canceller ON canceller.id = cd.cancelled_by
+`;
+
+const formatDelegation = (row) => ({
+  ...row,
+  all_patients: Boolean(row.all_patients),
+  patient_count: Number(row.patient_count),
+  status: getDelegationStatus(row)
+});
+
+// Administrators see every delegation; clinicians see the ones they gave or received
+const listDelegations = async (user, limit = 100) => {
+  const params = [];
+  let whereClause = '';
+  if (user.role !== 'ADMIN') {
+    whereClause = 'WHERE cd.delegator_id = ? OR cd.delegate_id = ?';
+    params.push(user.id, user.id);
+  }
+  const rows = await query(
+    `${DELEGATION_SELECT} ${whereClause} ORDER BY cd.ends_at DESC, cd.id DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(formatDelegation);
+};
+
+const getDelegation = async (id) => {
+  const rows = await query(`${DELEGATION_SELECT} WHERE cd.id = ? LIMIT 1`, [id]);
+  if (!rows[0]) return null;
+
+  const patients = await query(
+    `SELECT cdp.patient_id, cdp.assignment_id, p.patient_code, p.first_name, p.last_name
+     FROM caseload_delegation_patients cdp
+     JOIN patients p ON p.id = cdp.patient_id
+     WHERE cdp.delegation_id = ?
+     ORDER BY p.last_name, p.first_name`,
+    [id]
+  );
+  return { ...formatDelegation(rows[0]), patients };
+};
+
+// Ends the delegation now: removes the assignments it created and puts back the window of
+// the delegate's own assignments it widened
+const cancelDelegation = async (delegation, userId) => {
+  await query(
+    'UPDATE caseload_delegations SET cancelled_at = NOW(), cancelled_by = ? WHERE id = ? AND cancelled_at IS NULL',
+    [userId, delegation.id]
+  );
+
+  const rows = await query(
+    `SELECT pa.id, pa.patient_id, pa.user_id, pa.assignment_role,
+            cdp.window_extended, cdp.original_starts_at, cdp.original_ends_at
+     FROM caseload_delegation_patients cdp
+     JOIN patient_assignments pa ON pa.id = cdp.assignment_id
+     WHERE cdp.delegation_id = ?
+       AND pa.active = TRUE`,
+    [delegation.id]
+  );
+  const removed = [];
+  const restored = [];
+  for (const row of rows) {
+    if (row.window_extended) {
+      await query(
+        'UPDATE patient_assignments SET starts_at = ?, ends_at = ? WHERE id = ?',
+        [row.original_starts_at, row.original_ends_at, row.id]
+      );
+      restored.push(row);
+    } else {
+      await deactivateAssignment(row);
+      removed.push(row);
+    }
+  }
+  return { removed, restored };
+};
+
+module.exports = {
+  DELEGATING_ROLES,
+  activeDelegationCondition,
+  delegatedRequestCondition,
+  listDelegatorPatients,
+  listDelegateCandidates,
+  listDelegatingClinicians,
+  findOverlappingDelegation,
+  createDelegation,
+  listDelegations,
+  getDelegation,
+  cancelDelegation
+};
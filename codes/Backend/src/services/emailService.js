@@ -56,8 +56,10 @@ const formatReminderDateTime = (visitDate) => {
   return `${year}/${month}/${day}, ${hour}:${minute}`;
 };
 
+// recipientName is set when a guardian receives the reminder on the patient's behalf
 const sendAppointmentReminderEmail = async ({
   to,
+  recipientName = null,
   patientName,
   visitDate,
   procedureType,
@@ -66,10 +68,11 @@ const sendAppointmentReminderEmail = async ({
   const transport = buildTransport();
   const formattedDate = formatReminderDateTime(visitDate);
   const subject = `${clinicName} Appointment Reminder`;
-  const text = `Dear ${patientName}, this is a reminder for your appointment on ${formattedDate}. Visit type: ${procedureType || 'Clinic visit'}.\nUniversity Dental Hospital\nPeradeniya`;
+  const appointmentOf = recipientName ? `${patientName}'s` : 'your';
+  const text = `Dear ${recipientName || patientName}, this is a reminder for ${appointmentOf} appointment on ${formattedDate}. Visit type: ${procedureType || 'Clinic visit'}.\nUniversity Dental Hospital\nPeradeniya`;
   const html = `
-    <p>Dear ${patientName},</p>
-    <p>This is a reminder for your appointment on <strong>${formattedDate}</strong>.</p>
+    <p>Dear ${recipientName || patientName},</p>
+    <p>This is a reminder for ${appointmentOf} appointment on <strong>${formattedDate}</strong>.</p>
     <p>Visit type: <strong>${procedureType || 'Clinic visit'}</strong></p>
     <p>University Dental Hospital<br/>Peradeniya</p>
   `;
@@ -141,7 +144,133 @@ const sendInitialPasswordEmail = async ({
   return { sent: true, simulated: false, messageId: mailResult.messageId };
 };
 
+const sendPasswordResetLinkEmail = async ({
+  to,
+  name,
+  resetUrl,
+  expiresInMinutes,
+  appName = 'OrthoFlow'
+}) => {
+  const transport = buildTransport();
+  const subject = `${appName} password reset link`;
+  const text = `Hello ${name}, we received a request to reset your ${appName} password. Open this link within ${expiresInMinutes} minutes to choose a new password: ${resetUrl}\nIf you did not request this, you can ignore this email.`;
+  const html = `
+    <p>Hello ${name},</p>
+    <p>We received a request to reset your ${appName} password.</p>
+    <p><a href="${resetUrl}">Choose a new password</a></p>
+    <p>This link works once and expires in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.</p>
+  `;
+
+  if (!transport) {
+    if (!isSimulationEnabled()) {
+      throw new Error('SMTP is not configured. Set SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, and SMTP_FROM.');
+    }
+    console.log(`[EMAIL_PASSWORD_RESET_LINK_SIMULATED] to=${to} subject="${subject}" body="${text}"`);
+    return { sent: false, simulated: true };
+  }
+
+  const mailResult = await transport.sendMail({
+    from: getEnv('SMTP_FROM') || getEnv('SMTP_USER'),
+    to,
+    subject,
+    text,
+    html
+  });
+
+  return { sent: true, simulated: false, messageId: mailResult.messageId };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const sendBreakGlassAlertEmail = async ({
+  to,
+  clinicianName,
+  clinicianRole,
+  patientLabel,
+  accessLevel,
+  reason,
+  expiresAt,
+  reviewUrl,
+  appName = 'OrthoFlow'
+}) => {
+  const transport = buildTransport();
+  const recipients = Array.isArray(to) ? to.join(', ') : to;
+  const accessText = accessLevel === 'WRITE' ? 'read and write' : 'read-only';
+  const subject = `${appName} break-glass access: ${patientLabel}`;
+  const text = `${clinicianName} (${clinicianRole}) used break-glass ${accessText} access to ${patientLabel}, which is not assigned to them, until ${expiresAt}. Reason: ${reason}\nReview this access: ${reviewUrl}`;
+  const html = `
+    <p><strong>${escapeHtml(clinicianName)}</strong> (${escapeHtml(clinicianRole)}) used break-glass ${accessText} access to <strong>${escapeHtml(patientLabel)}</strong>, which is not assigned to them.</p>
+    <p>Access expires: ${escapeHtml(expiresAt)}</p>
+    <p>Reason given: ${escapeHtml(reason)}</p>
+    <p><a href="${reviewUrl}">Review this access</a></p>
+  `;
+
+  if (!transport) {
+    if (!isSimulationEnabled()) {
+      throw new Error('SMTP is not configured. Set SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, and SMTP_FROM.');
+    }
+    console.log(`[EMAIL_BREAK_GLASS_ALERT_SIMULATED] to=${recipients} subject="${subject}" body="${text}"`);
+    return { sent: false, simulated: true };
+  }
+
+  const mailResult = await transport.sendMail({
+    from: getEnv('SMTP_FROM') || getEnv('SMTP_USER'),
+    to: recipients,
+    subject,
+    text,
+    html
+  });
+
+  return { sent: true, simulated: false, messageId: mailResult.messageId };
+};
+
+// expirations: [{ memberName, memberRole, patientLabel, endedAt }]
+const sendAssignmentExpiryEmail = async ({
+  to,
+  recipientName,
+  expirations,
+  patientsUrl,
+  appName = 'OrthoFlow'
+}) => {
+  const transport = buildTransport();
+  const subject = `${appName}: ${expirations.length} patient assignment${expirations.length === 1 ? '' : 's'} ended`;
+  const lines = expirations.map((entry) => `${entry.memberName} (${entry.memberRole}) - ${entry.patientLabel}, ended ${entry.endedAt}`);
+  const text = `Hello ${recipientName},\n\nThese time-limited assignments on your patients have ended and no longer give access:\n${lines.join('\n')}\n\nExtend or reassign them from the patient list: ${patientsUrl}`;
+  const html = `
+    <p>Hello ${escapeHtml(recipientName)},</p>
+    <p>These time-limited assignments on your patients have ended and no longer give access:</p>
+    <ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+    <p><a href="${patientsUrl}">Extend or reassign them from the patient list</a></p>
+  `;
+
+  if (!transport) {
+    if (!isSimulationEnabled()) {
+      throw new Error('SMTP is not configured. Set SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, and SMTP_FROM.');
+    }
+    console.log(`[EMAIL_ASSIGNMENT_EXPIRY_SIMULATED] to=${to} subject="${subject}" body="${text}"`);
+    return { sent: false, simulated: true };
+  }
+
+  const mailResult = await transport.sendMail({
+    from: getEnv('SMTP_FROM') || getEnv('SMTP_USER'),
+    to,
+    subject,
+    text,
+    html
+  });
+
+  return { sent: true, simulated: false, messageId: mailResult.messageId };
+};
+
 module.exports = {
   sendAppointmentReminderEmail,
-  sendInitialPasswordEmail
+  sendInitialPasswordEmail,
+  sendPasswordResetLinkEmail,
+  sendBreakGlassAlertEmail,
+  sendAssignmentExpiryEmail
 };
@@ -0,0 +1,84 @@
+const { OBJECT_TYPES } = require('../middleware/accessControl');
+
+const FIELD_ACTIONS = {
+  MASK: 'MASK',
+  HIDE: 'HIDE'
+};
+
+// Fields each role may not see in full, per object type. Roles and object types that are
+// not listed see every field their object permissions allow. MASK keeps the field with a
+// partial value so the record stays recognisable; HIDE removes it from the response.
+const FIELD_POLICY = {
+  [OBJECT_TYPES.PATIENT_GENERAL]: {
+    STUDENT: {
+      phone: FIELD_ACTIONS.MASK,
+      email: FIELD_ACTIONS.MASK,
+      address: FIELD_ACTIONS.MASK,
+      emergency_contact_phone: FIELD_ACTIONS.MASK
+    },
+    NURSE: {
+      emergency_contact_name: FIELD_ACTIONS.HIDE,
+      emergency_contact_phone: FIELD_ACTIONS.HIDE
+    }
+  }
+};
+
+const REDACTED_TEXT = '[restricted]';
+
+const maskPhone = (value) => {
+  const text = String(value);
+  return text.length > 3 ? `${'*'.repeat(text.length - 3)}${text.slice(-3)}` : '***';
+};
+
+const maskEmail = (value) => {
+  const [localPart, domain] = String(value).split('@');
+  return domain ? `${localPart.charAt(0)}***@${domain}` : REDACTED_TEXT;
+};
+
+const FIELD_MASKS = {
+  phone: maskPhone,
+  emergency_contact_phone: maskPhone,
+  email: maskEmail
+};
+
+const maskValue = (field, value) => (FIELD_MASKS[field] || (() => REDACTED_TEXT))(value);
+
+const getFieldPolicy = (role, objectType = OBJECT_TYPES.PATIENT_GENERAL) => (
+  FIELD_POLICY[objectType]?.[role] || {}
+);
+
+// Policy fields the role cannot see in full, and so cannot change either
+const getRedactedFields = (role, objectType = OBJECT_TYPES.PATIENT_GENERAL) => (
+  Object.keys(getFieldPolicy(role, objectType))
+);
+
+// Applies the role's field policy to one record. `aliases` maps response keys that carry a
+// policy field under another name, e.g. { telephone: 'phone' } for the history form.
+const redactRecord = (record, role, objectType = OBJECT_TYPES.PATIENT_GENERAL, aliases = {}) => {
+  const policy = getFieldPolicy(role, objectType);
+  if (!record || Object.keys(policy).length === 0) return record;
+
+  const redacted = { ...record };
+  for (const key of Object.keys(redacted)) {
+    const field = aliases[key] || key;
+    const action = policy[field];
+    if (action === FIELD_ACTIONS.HIDE) {
+      delete redacted[key];
+    } else if (action === FIELD_ACTIONS.MASK && redacted[key] !== null && redacted[key] !== '') {
+      redacted[key] = maskValue(field, redacted[key]);
+    }
+  }
+  return redacted;
+};
+
+const redactRows = (rows, role, objectType = OBJECT_TYPES.PATIENT_GENERAL, aliases = {}) => (
+  rows.map((row) => redactRecord(row, role, objectType, aliases))
+);
+
+module.exports = {
+  FIELD_ACTIONS,
+  FIELD_POLICY,
+  getRedactedFields,
+  redactRecord,
+  redactRows
+};
@@ -67,12 +67,16 @@ const normalizePathPart = (value) => String(value || '')
   .replace(/-+/g, '-')
   .replace(/^-|-$/g, '');
 
-const buildObjectKey = ({ patientId, filename }) => {
+const buildObjectKey = ({ patientId, filename, folder = 'documents' }) => {
   const safePatientId = normalizePathPart(patientId) || 'unknown-patient';
   const safeFilename = normalizePathPart(filename) || `${Date.now()}`;
-  return `patients/${safePatientId}/documents/${safeFilename}`;
+  return `patients/${safePatientId}/${normalizePathPart(folder)}/${safeFilename}`;
 };
 
+// Teaching library files belong to an anonymised case, never to a patient
+const buildTeachingObjectKey = ({ caseId, filename }) =>
+  `teaching/${normalizePathPart(caseId) || 'unknown-case'}/${normalizePathPart(filename) || `${Date.now()}`}`;
+
 const uploadLocalFileToObjectStorage = async ({ localPath, key, contentType }) => {
   const bucket = getBucket();
   const body = fs.createReadStream(localPath);
@@ -126,6 +130,7 @@ module.exports = {
   isObjectStorageEnabled,
   getStorageProvider,
   buildObjectKey,
+  buildTeachingObjectKey,
   uploadLocalFileToObjectStorage,
   getStoredObjectStream,
   deleteStoredObject,
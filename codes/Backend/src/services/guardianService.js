@@ -0,0 +1,164 @@
+const { query, transaction } = require('../config/database');
+const { ADULT_AGE } = require('./consentService');
+
+const GUARDIAN_FIELDS = [
+  'full_name',
+  'relationship',
+  'phone',
+  'email',
+  'address',
+  'is_consent_giver',
+  'is_responsible',
+  'communication_preference',
+  'notes'
+];
+
+// How a guardian is recorded as the signer of a consent
+const SIGNER_RELATIONSHIPS = {
+  MOTHER: 'PARENT',
+  FATHER: 'PARENT',
+  LEGAL_GUARDIAN: 'GUARDIAN'
+};
+
+const signerRelationshipFor = (relationship) => SIGNER_RELATIONSHIPS[relationship] || 'OTHER';
+
+// Guardian contact details are redacted by role like the patient's own emergency contact
+const GUARDIAN_FIELD_ALIASES = {
+  full_name: 'emergency_contact_name',
+  phone: 'emergency_contact_phone'
+};
+
+const GUARDIAN_SELECT = `
+  SELECT g.*, creator.name AS created_by_name, updater.name AS updated_by_name
+  FROM patient_guardians g
+  LEFT JOIN users creator ON creator.id = g.created_by
+  LEFT JOIN users updater ON updater.id = g.updated_by
+`;
+
+const formatGuardian = (row) => ({
+  ...row,
+  is_consent_giver: Boolean(row.is_consent_giver),
+  is_responsible: Boolean(row.is_responsible)
+});
+
+// The responsible guardian first, then consent-givers, then in the order they were added
+const listGuardians = async (patientId) => {
+  const rows = await query(
+    `${GUARDIAN_SELECT}
+     WHERE g.patient_id = ?
+     ORDER BY g.is_responsible DESC, g.is_consent_giver DESC, g.id ASC`,
+    [patientId]
+  );
+  return rows.map(formatGuardian);
+};
+
+const getGuardian = async (id) => {
+  const rows = await query(`${GUARDIAN_SELECT} WHERE g.id = ? LIMIT 1`, [id]);
+  return rows[0] ? formatGuardian(rows[0]) : null;
+};
+
+// Empty strings from the form are stored as NULL
+const pickGuardianFields = (fields) => Object.fromEntries(
+  GUARDIAN_FIELDS
+    .filter((field) => fields[field] !== undefined)
+    .map((field) => {
+      const value = fields[field];
+      return [field, typeof value === 'string' ? (value.trim() || null) : value];
+    })
+);
+
+// Only one guardian per patient is responsible, so marking one clears the others
+const clearOtherResponsible = async (connection, patientId, guardianId) => {
+  await connection.execute(
+    'UPDATE patient_guardians SET is_responsible = FALSE WHERE patient_id = ? AND id <> ? AND is_responsible = TRUE',
+    [patientId, guardianId]
+  );
+};
+
+const createGuardian = async ({ patientId, fields, createdBy }) => {
+  const data = pickGuardianFields(fields);
+  return transaction(async (connection) => {
+    const columns = ['patient_id', ...Object.keys(data), 'created_by', 'updated_by'];
+    const [result] = await connection.execute(
+      `INSERT INTO patient_guardians (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [patientId, ...Object.values(data), createdBy, createdBy]
+    );
+    if (data.is_responsible) {
+      await clearOtherResponsible(connection, patientId, result.insertId);
+    }
+    return result.insertId;
+  });
+};
+
+const updateGuardian = async ({ guardian, fields, updatedBy }) => {
+  const data = pickGuardianFields(fields);
+  return transaction(async (connection) => {
+    const columns = Object.keys(data);
+    await connection.execute(
+      `UPDATE patient_guardians SET ${columns.map((column) => `${column} = ?`).join(', ')}, updated_by = ? WHERE id = ?`,
+      [...Object.values(data), updatedBy, guardian.id]
+    );
+    if (data.is_responsible) {
+      await clearOtherResponsible(connection, guardian.patient_id, guardian.id);
+    }
+  });
+};
+
+const deleteGuardian = async (id) => query('DELETE FROM patient_guardians WHERE id = ?', [id]);
+
+// SQL condition for a patient under ADULT_AGE. Patients without a birth date count as adults.
+const minorCondition = (patientAlias) =>
+  `TIMESTAMPDIFF(YEAR, ${patientAlias}.date_of_birth, CURDATE()) < ${ADULT_AGE}`;
+
+const REACHABLE_GUARDIAN_CONDITION = `
+  g.email IS NOT NULL
+  AND TRIM(g.email) <> ''
+  AND g.communication_preference = 'EMAIL'
+`;
+
+// SQL condition for a patient an appointment reminder can be emailed about
+const reminderEmailCondition = (patientAlias) => `(
+  (${patientAlias}.email IS NOT NULL AND TRIM(${patientAlias}.email) <> '')
+  OR (
+    ${minorCondition(patientAlias)}
+    AND EXISTS (
+      SELECT 1 FROM patient_guardians g
+      WHERE g.patient_id = ${patientAlias}.id AND ${REACHABLE_GUARDIAN_CONDITION}
+    )
+  )
+)`;
+
+// Reminders for a minor go to the responsible guardian, or failing that the first guardian
+// who can be emailed. Adults, and minors with no such guardian, are emailed themselves.
+// Returns { email, name, guardian_id } or null when nobody can be emailed.
+const findReminderRecipient = async (patientId, patientEmail) => {
+  const guardians = await query(
+    `SELECT g.id, g.full_name, g.email
+     FROM patient_guardians g
+     JOIN patients p ON p.id = g.patient_id
+     WHERE g.patient_id = ?
+       AND ${minorCondition('p')}
+       AND ${REACHABLE_GUARDIAN_CONDITION}
+     ORDER BY g.is_responsible DESC, g.is_consent_giver DESC, g.id ASC
+     LIMIT 1`,
+    [patientId]
+  );
+  if (guardians[0]) {
+    return { email: guardians[0].email.trim(), name: guardians[0].full_name, guardian_id: guardians[0].id };
+  }
+
+  const ownEmail = String(patientEmail || '').trim();
+  return ownEmail ? { email: ownEmail, name: null, guardian_id: null } : null;
+};
+
+module.exports = {
+  GUARDIAN_FIELD_ALIASES,
+  signerRelationshipFor,
+  listGuardians,
+  getGuardian,
+  createGuardian,
+  updateGuardian,
+  deleteGuardian,
+  reminderEmailCondition,
+  findReminderRecipient
+};
@@ -0,0 +1,74 @@
+const { query, transaction } = require('../config/database');
+
+const getImpersonationMinutes = () => {
+  const parsed = Number.parseInt(process.env.IMPERSONATION_MINUTES, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, 240) : 30;
+};
+
+// Administrators and service accounts cannot be impersonated, and nobody can impersonate themselves
+const getImpersonationBlocker = (admin, target) => {
+  if (!target || target.deleted_at || target.status !== 'ACTIVE') {
+    return 'Only active users can be viewed';
+  }
+  if (target.id === admin.id) {
+    return 'You cannot view as yourself';
+  }
+  if (target.role === 'ADMIN') {
+    return 'Administrator accounts cannot be viewed as another user';
+  }
+  if (target.is_service_account) {
+    return 'Service accounts cannot be viewed as another user';
+  }
+  return null;
+};
+
+// Starting a new session ends any earlier one, so an admin views as one user at a time
+const startImpersonation = async ({ adminId, targetUserId, reason, ipAddress = null }) => {
+  const minutes = getImpersonationMinutes();
+
+  const id = await transaction(async (connection) => {
+    await connection.execute(
+      'UPDATE impersonation_sessions SET ended_at = NOW() WHERE admin_id = ? AND ended_at IS NULL',
+      [adminId]
+    );
+    const [result] = await connection.execute(
+      `INSERT INTO impersonation_sessions (admin_id, target_user_id, reason, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [adminId, targetUserId, reason, ipAddress, minutes]
+    );
+    return result.insertId;
+  });
+
+  const rows = await query('SELECT * FROM impersonation_sessions WHERE id = ?', [id]);
+  return { session: rows[0], minutes };
+};
+
+const findActiveImpersonation = async (id, adminId) => {
+  const rows = await query(
+    `SELECT *
+     FROM impersonation_sessions
+     WHERE id = ?
+       AND admin_id = ?
+       AND ended_at IS NULL
+       AND expires_at > NOW()
+     LIMIT 1`,
+    [id, adminId]
+  );
+  return rows[0] || null;
+};
+
+const endImpersonation = async (id, adminId) => {
+  const result = await query(
+    'UPDATE impersonation_sessions SET ended_at = NOW() WHERE id = ? AND admin_id = ? AND ended_at IS NULL',
+    [id, adminId]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  getImpersonationMinutes,
+  getImpersonationBlocker,
+  startImpersonation,
+  findActiveImpersonation,
+  endImpersonation
+};
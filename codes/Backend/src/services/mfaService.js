@@ -0,0 +1,141 @@
+const QRCode = require('qrcode');
+const { query, transaction } = require('../config/database');
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptTotpSecret,
+  decryptTotpSecret
+} = require('../utils/totp');
+
+const DEFAULT_REQUIRED_ROLES = 'ADMIN,ORTHODONTIST';
+const RECOVERY_CODE_COUNT = 10;
+
+const getRequiredRoles = () => new Set(
+  String(process.env.MFA_REQUIRED_ROLES ?? DEFAULT_REQUIRED_ROLES)
+    .split(',')
+    .map((role) => role.trim().toUpperCase())
+    .filter(Boolean)
+);
+
+const isMfaRequiredForRole = (role) => getRequiredRoles().has(String(role || '').toUpperCase());
+
+// True when the account must finish enrollment before it can use anything else
+const isMfaSetupRequired = (user) => Boolean(user) && !user.mfa_enabled && isMfaRequiredForRole(user.role);
+
+const getMfaStatus = async (user) => {
+  const rows = await query(
+    'SELECT COUNT(*) AS remaining FROM user_mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [user.id]
+  );
+
+  return {
+    enabled: Boolean(user.mfa_enabled),
+    required: isMfaRequiredForRole(user.role),
+    enrolled_at: user.mfa_enrolled_at || null,
+    recovery_codes_remaining: Number(rows[0]?.remaining || 0)
+  };
+};
+
+// Stores a pending secret; it only becomes active once a code from it is confirmed
+const beginEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  await query(
+    'UPDATE users SET mfa_secret = ?, mfa_enabled = FALSE, mfa_enrolled_at = NULL, mfa_last_used_step = NULL WHERE id = ?',
+    [encryptTotpSecret(secret), user.id]
+  );
+
+  const otpauthUrl = buildOtpAuthUrl({
+    secret,
+    accountName: user.email,
+    issuer: process.env.MFA_ISSUER || 'OrthoFlow'
+  });
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+  return {
+    secret,
+    otpauth_url: otpauthUrl,
+    qr_code_data_url: qrCodeDataUrl
+  };
+};
+
+// A code is accepted once: its time step must be later than the last one this user used
+const verifyUserTotp = async (user, code) => {
+  let step;
+  try {
+    step = verifyTotpCode(decryptTotpSecret(user.mfa_secret), code);
+  } catch (error) {
+    console.error('MFA secret decrypt error:', error.message);
+    return false;
+  }
+  if (step === null) {
+    return false;
+  }
+
+  // Claiming the step in the same statement stops two concurrent requests both using one code
+  const result = await query(
+    `UPDATE users SET mfa_last_used_step = ?
+     WHERE id = ? AND (mfa_last_used_step IS NULL OR mfa_last_used_step < ?)`,
+    [step, user.id, step]
+  );
+  return result.affectedRows > 0;
+};
+
+const replaceRecoveryCodes = async (userId, connection = null) => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  const run = async (conn) => {
+    await conn.execute('DELETE FROM user_mfa_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+      await conn.execute(
+        'INSERT INTO user_mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hashRecoveryCode(code)]
+      );
+    }
+  };
+
+  if (connection) {
+    await run(connection);
+  } else {
+    await transaction(run);
+  }
+  return codes;
+};
+
+const completeEnrollment = async (userId) => transaction(async (connection) => {
+  await connection.execute(
+    'UPDATE users SET mfa_enabled = TRUE, mfa_enrolled_at = NOW() WHERE id = ?',
+    [userId]
+  );
+  return replaceRecoveryCodes(userId, connection);
+});
+
+// Marks a matching unused recovery code as used; returns false when none matched
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await query(
+    'UPDATE user_mfa_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.affectedRows > 0;
+};
+
+const clearMfa = async (userId) => transaction(async (connection) => {
+  await connection.execute(
+    'UPDATE users SET mfa_enabled = FALSE, mfa_secret = NULL, mfa_enrolled_at = NULL, mfa_last_used_step = NULL WHERE id = ?',
+    [userId]
+  );
+  await connection.execute('DELETE FROM user_mfa_recovery_codes WHERE user_id = ?', [userId]);
+});
+
+module.exports = {
+  isMfaRequiredForRole,
+  isMfaSetupRequired,
+  getMfaStatus,
+  beginEnrollment,
+  verifyUserTotp,
+  replaceRecoveryCodes,
+  completeEnrollment,
+  consumeRecoveryCode,
+  clearMfa
+};
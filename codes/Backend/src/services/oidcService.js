@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const GOOGLE_ISSUER = 'https://accounts.google.com';
+const FETCH_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+// A token signed with an unknown kid may refetch the key set, but not more often than this
+const MIN_JWKS_REFRESH_MS = 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const DEFAULT_CLAIMS = {
+  email: 'email',
+  emailVerified: 'email_verified',
+  name: 'name',
+  department: null
+};
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const createOidcError = (message, reason) => {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+const getCacheMs = () => {
+  const parsed = Number.parseInt(process.env.OIDC_JWKS_CACHE_SECONDS, 10);
+  return (Number.isFinite(parsed) && parsed > 0 ? parsed : 3600) * 1000;
+};
+
+const normalizeProvider = (raw) => {
+  const id = String(raw.id || '').trim().toLowerCase();
+  const issuer = String(raw.issuer || '').trim().replace(/\/+$/, '');
+  if (!/^[a-z0-9_-]{1,40}$/.test(id) || !issuer) {
+    throw new Error(`OIDC provider "${raw.id || '(missing id)'}" needs an id (letters, digits, - or _) and an issuer`);
+  }
+
+  const clientIds = toList(raw.clientIds || raw.clientId);
+  if (clientIds.length === 0) {
+    throw new Error(`OIDC provider "${id}" has no clientId`);
+  }
+
+  const algorithms = toList(raw.algorithms).filter((alg) => SUPPORTED_ALGORITHMS.includes(alg));
+
+  return {
+    id,
+    name: String(raw.name || id),
+    issuer,
+    acceptedIssuers: [issuer, ...toList(raw.acceptedIssuers)],
+    clientIds,
+    discoveryUrl: raw.discoveryUrl || `${issuer}/.well-known/openid-configuration`,
+    jwksUri: raw.jwksUri || null,
+    allowedDomains: toList(raw.allowedDomains).map((domain) => domain.toLowerCase().replace(/^@/, '')),
+    claims: { ...DEFAULT_CLAIMS, ...(raw.claims || {}) },
+    requireVerifiedEmail: raw.requireVerifiedEmail !== false,
+    requireNonce: raw.requireNonce !== undefined ? Boolean(raw.requireNonce) : id !== 'google',
+    algorithms: algorithms.length > 0 ? algorithms : ['RS256'],
+    scope: String(raw.scope || 'openid email profile')
+  };
+};
+
+// Google stays configured through GOOGLE_CLIENT_ID; everything else comes from OIDC_PROVIDERS (JSON array)
+const loadProviders = () => {
+  const providers = [];
+
+  if (toList(process.env.GOOGLE_CLIENT_ID).length > 0) {
+    providers.push(normalizeProvider({
+      id: 'google',
+      name: 'Google',
+      issuer: GOOGLE_ISSUER,
+      acceptedIssuers: ['accounts.google.com'],
+      clientIds: process.env.GOOGLE_CLIENT_ID,
+      allowedDomains: process.env.GOOGLE_ALLOWED_DOMAINS
+    }));
+  }
+
+  const configured = String(process.env.OIDC_PROVIDERS || '').trim();
+  if (configured) {
+    let parsed;
+    try {
+      parsed = JSON.parse(configured);
+    } catch (error) {
+      throw new Error(`OIDC_PROVIDERS is not valid JSON: ${error.message}`);
+    }
+    for (const raw of Array.isArray(parsed) ? parsed : [parsed]) {
+      const provider = normalizeProvider(raw || {});
+      const existing = providers.findIndex((item) => item.id === provider.id);
+      if (existing >= 0) {
+        providers[existing] = provider;
+      } else {
+        providers.push(provider);
+      }
+    }
+  }
+
+  return providers;
+};
+
+let cachedProviders = null;
+let cachedProvidersSource = null;
+
+const getOidcProviders = () => {
+  const source = `${process.env.GOOGLE_CLIENT_ID || ''}|${process.env.GOOGLE_ALLOWED_DOMAINS || ''}|${process.env.OIDC_PROVIDERS || ''}`;
+  if (!cachedProviders || cachedProvidersSource !== source) {
+    cachedProviders = loadProviders();
+    cachedProvidersSource = source;
+  }
+  return cachedProviders;
+};
+
+const getOidcProvider = (providerId) => getOidcProviders()
+  .find((provider) => provider.id === String(providerId || '').toLowerCase()) || null;
+
+const fetchJson = async (url) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`${url} responded with ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+const getProviderMetadata = async (provider) => {
+  const cached = metadataCache.get(provider.id);
+  if (cached && Date.now() - cached.fetchedAt < getCacheMs()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(provider.discoveryUrl);
+  if (!metadata || typeof metadata !== 'object') {
+    throw new Error(`Discovery document for ${provider.id} is not an object`);
+  }
+  metadataCache.set(provider.id, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+const getJwksUri = async (provider) => {
+  if (provider.jwksUri) {
+    return provider.jwksUri;
+  }
+  const metadata = await getProviderMetadata(provider);
+  if (!metadata.jwks_uri) {
+    throw new Error(`Discovery document for ${provider.id} has no jwks_uri`);
+  }
+  return metadata.jwks_uri;
+};
+
+const loadSigningKeys = async (provider) => {
+  const jwks = await fetchJson(await getJwksUri(provider));
+  const keys = new Map();
+
+  for (const jwk of Array.isArray(jwks?.keys) ? jwks.keys : []) {
+    if (jwk.use && jwk.use !== 'sig') {
+      continue;
+    }
+    try {
+      keys.set(jwk.kid || '', { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg: jwk.alg || null });
+    } catch (error) {
+      // Skip key types Node cannot import rather than failing the whole set
+    }
+  }
+
+  const entry = { keys, fetchedAt: Date.now() };
+  jwksCache.set(provider.id, entry);
+  return entry;
+};
+
+// Served from cache; an unseen kid triggers one refetch so provider key rotation is picked up
+const getSigningKey = async (provider, kid) => {
+  let entry = jwksCache.get(provider.id);
+  if (!entry || Date.now() - entry.fetchedAt >= getCacheMs()) {
+    entry = await loadSigningKeys(provider);
+  }
+
+  const lookup = (current) => current.keys.get(kid || '') || (!kid && current.keys.size === 1 ? [...current.keys.values()][0] : null);
+
+  let signingKey = lookup(entry);
+  if (!signingKey && Date.now() - entry.fetchedAt >= MIN_JWKS_REFRESH_MS) {
+    entry = await loadSigningKeys(provider);
+    signingKey = lookup(entry);
+  }
+  return signingKey;
+};
+
+const readClaim = (payload, path) => {
+  if (!path) {
+    return undefined;
+  }
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+};
+
+const isEmailDomainAllowed = (provider, email) => {
+  if (provider.allowedDomains.length === 0) {
+    return true;
+  }
+  const domain = String(email).split('@').pop().toLowerCase();
+  return provider.allowedDomains.includes(domain);
+};
+
+/**
+ * Verifies an ID token locally against the provider's published keys and maps its claims.
+ * Throws an error carrying `reason` when the token or the account it names is not acceptable.
+ */
+const verifyOidcIdToken = async (provider, idToken, { nonce = null } = {}) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || typeof decoded.payload !== 'object') {
+    throw createOidcError('Token is not a JWT', 'malformed_token');
+  }
+  if (!provider.algorithms.includes(decoded.header.alg)) {
+    throw createOidcError(`Signing algorithm ${decoded.header.alg} is not allowed`, 'unsupported_algorithm');
+  }
+
+  const signingKey = await getSigningKey(provider, decoded.header.kid);
+  if (!signingKey) {
+    throw createOidcError(`No signing key matches kid ${decoded.header.kid || '(none)'}`, 'unknown_key');
+  }
+  if (signingKey.alg && signingKey.alg !== decoded.header.alg) {
+    throw createOidcError('Token algorithm does not match its signing key', 'unsupported_algorithm');
+  }
+
+  if (provider.requireNonce && !nonce) {
+    throw createOidcError('A nonce is required for this provider', 'missing_nonce');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, signingKey.key, {
+      algorithms: provider.algorithms,
+      issuer: provider.acceptedIssuers,
+      audience: provider.clientIds,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+      ...(nonce ? { nonce } : {})
+    });
+  } catch (error) {
+    throw createOidcError(error.message, 'invalid_token');
+  }
+
+  // With several audiences the authorized party must still be one of ours
+  if (Array.isArray(payload.aud) && payload.aud.length > 1 && payload.azp && !provider.clientIds.includes(payload.azp)) {
+    throw createOidcError('Token was issued to a different client', 'invalid_token');
+  }
+
+  const email = String(readClaim(payload, provider.claims.email) || '').trim().toLowerCase();
+  if (!email || !email.includes('@')) {
+    throw createOidcError('Token has no email claim', 'missing_email');
+  }
+
+  const emailVerified = readClaim(payload, provider.claims.emailVerified);
+  if (provider.requireVerifiedEmail && emailVerified !== true && emailVerified !== 'true') {
+    throw createOidcError('Email address is not verified by the provider', 'unverified_email');
+  }
+
+  if (!isEmailDomainAllowed(provider, email)) {
+    throw createOidcError(`Email domain is not allowed for ${provider.name}`, 'domain_not_allowed');
+  }
+
+  const department = readClaim(payload, provider.claims.department);
+  const name = readClaim(payload, provider.claims.name);
+
+  return {
+    subject: payload.sub || null,
+    email,
+    name: name ? String(name) : null,
+    department: department ? String(Array.isArray(department) ? department[0] : department).trim().slice(0, 100) || null : null,
+    claims: payload
+  };
+};
+
+// What the login page needs to start a redirect sign-in; nothing here is secret
+const getPublicProviderInfo = async (provider) => {
+  let authorizationEndpoint = null;
+  try {
+    authorizationEndpoint = (await getProviderMetadata(provider)).authorization_endpoint || null;
+  } catch (error) {
+    console.error(`OIDC discovery failed for ${provider.id}:`, error.message);
+  }
+
+  return {
+    id: provider.id,
+    name: provider.name,
+    client_id: provider.clientIds[0],
+    authorization_endpoint: authorizationEndpoint,
+    scope: provider.scope
+  };
+};
+
+const clearOidcCaches = () => {
+  metadataCache.clear();
+  jwksCache.clear();
+  cachedProviders = null;
+};
+
+module.exports = {
+  getOidcProviders,
+  getOidcProvider,
+  verifyOidcIdToken,
+  getPublicProviderInfo,
+  clearOidcCaches
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { query } = require('../config/database');
+
+const COMMON_PASSWORDS_PATH = path.join(__dirname, '../data/common-passwords.txt');
+const POLICY_CACHE_MS = 60 * 1000;
+const MAX_PASSWORD_LENGTH = 128;
+
+// system_settings key -> policy field, with the default used when the row is missing
+const POLICY_SETTINGS = {
+  password_min_length: { field: 'min_length', type: 'int', default: 8 },
+  password_require_uppercase: { field: 'require_uppercase', type: 'bool', default: true },
+  password_require_lowercase: { field: 'require_lowercase', type: 'bool', default: true },
+  password_require_number: { field: 'require_number', type: 'bool', default: true },
+  password_require_symbol: { field: 'require_symbol', type: 'bool', default: false },
+  password_block_common: { field: 'block_common', type: 'bool', default: true },
+  password_history_count: { field: 'history_count', type: 'int', default: 5 },
+  password_max_age_days: { field: 'max_age_days', type: 'int', default: 0 }
+};
+
+let cachedPolicy = null;
+let cachedPolicyAt = 0;
+let commonPasswords = null;
+
+const parseSettingValue = (raw, spec) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return spec.default;
+  }
+  if (spec.type === 'bool') {
+    return ['true', '1', 'yes', 'on'].includes(String(raw).trim().toLowerCase());
+  }
+  const parsed = Number.parseInt(raw, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : spec.default;
+};
+
+const getPasswordPolicy = async ({ fresh = false } = {}) => {
+  if (!fresh && cachedPolicy && Date.now() - cachedPolicyAt < POLICY_CACHE_MS) {
+    return cachedPolicy;
+  }
+
+  const rows = await query(
+    `SELECT setting_key, setting_value FROM system_settings WHERE setting_key IN (${Object.keys(POLICY_SETTINGS).map(() => '?').join(', ')})`,
+    Object.keys(POLICY_SETTINGS)
+  );
+  const values = new Map(rows.map((row) => [row.setting_key, row.setting_value]));
+
+  const policy = {};
+  for (const [key, spec] of Object.entries(POLICY_SETTINGS)) {
+    policy[spec.field] = parseSettingValue(values.get(key), spec);
+  }
+  // Never weaker than 8 characters, and bcrypt ignores input past 72 bytes
+  policy.min_length = Math.min(Math.max(policy.min_length, 8), 72);
+  policy.max_length = MAX_PASSWORD_LENGTH;
+
+  cachedPolicy = policy;
+  cachedPolicyAt = Date.now();
+  return policy;
+};
+
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_PATH, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const unleet = (value) => value
+  .replace(/@/g, 'a')
+  .replace(/0/g, 'o')
+  .replace(/[1!]/g, 'i')
+  .replace(/3/g, 'e')
+  .replace(/\$/g, 's');
+
+const stripEdgeNonLetters = (value) => value.replace(/^[^a-z@$]+|[^a-z@$]+$/g, '');
+
+// Also catches the usual disguises: "Password1!", "P@ssw0rd", "Summer2024"
+const isCommonPassword = (password) => {
+  const list = loadCommonPasswords();
+  const lowered = String(password || '').toLowerCase();
+  const core = stripEdgeNonLetters(lowered);
+  const candidates = [lowered, core, unleet(lowered), unleet(core)];
+  return candidates.some((candidate) => candidate && list.has(candidate));
+};
+
+// Returns a list of human-readable problems; empty when the password satisfies the policy
+const validatePasswordAgainstPolicy = (password, policy) => {
+  const value = String(password || '');
+  const errors = [];
+
+  if (value.length < policy.min_length) {
+    errors.push(`Password must be at least ${policy.min_length} characters long`);
+  }
+  if (value.length > policy.max_length) {
+    errors.push(`Password cannot exceed ${policy.max_length} characters`);
+  }
+  if (policy.require_uppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.require_lowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (policy.require_number && !/\d/.test(value)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (policy.require_symbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain at least one symbol');
+  }
+  if (policy.block_common && isCommonPassword(value)) {
+    errors.push('This password is too common. Choose something harder to guess');
+  }
+
+  return errors;
+};
+
+// True when the password matches the current hash or one of the last `history_count` hashes
+const isPasswordReused = async (user, password, policy) => {
+  const hashes = [];
+  if (user.password_hash) {
+    hashes.push(user.password_hash);
+  }
+
+  if (policy.history_count > 0) {
+    const rows = await query(
+      'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+      [user.id, policy.history_count]
+    );
+    hashes.push(...rows.map((row) => row.password_hash));
+  }
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Full check for a user choosing a new password; `user` is omitted for brand-new accounts
+const checkNewPassword = async (password, user = null) => {
+  const policy = await getPasswordPolicy();
+  const errors = validatePasswordAgainstPolicy(password, policy);
+
+  if (errors.length === 0 && user && await isPasswordReused(user, password, policy)) {
+    errors.push(policy.history_count > 0
+      ? `Password cannot match any of your last ${policy.history_count} passwords`
+      : 'New password must be different from your current password');
+  }
+
+  return errors;
+};
+
+const recordPasswordHistory = async (userId, passwordHash, connection = null) => {
+  const policy = await getPasswordPolicy();
+  const keep = Math.max(policy.history_count, 1);
+  const run = async (sql, params) => (connection ? connection.query(sql, params) : query(sql, params));
+
+  await run('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [userId, passwordHash]);
+  await run(
+    `DELETE FROM password_history
+     WHERE user_id = ?
+       AND id NOT IN (
+         SELECT id FROM (
+           SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+         ) recent
+       )`,
+    [userId, userId, keep]
+  );
+};
+
+const isPasswordExpired = (user, policy) => {
+  if (!policy.max_age_days || user.must_change_password) {
+    return false;
+  }
+  const changedAt = user.password_changed_at || user.created_at;
+  if (!changedAt) {
+    return false;
+  }
+  const ageMs = Date.now() - new Date(changedAt).getTime();
+  return ageMs > policy.max_age_days * 24 * 60 * 60 * 1000;
+};
+
+// Flags an over-age password at sign-in so the existing forced-change flow takes over
+const enforcePasswordMaxAge = async (user) => {
+  const policy = await getPasswordPolicy();
+  if (!isPasswordExpired(user, policy)) {
+    return false;
+  }
+
+  await query('UPDATE users SET must_change_password = TRUE WHERE id = ?', [user.id]);
+  user.must_change_password = true;
+  return true;
+};
+
+module.exports = {
+  POLICY_SETTINGS,
+  getPasswordPolicy,
+  isCommonPassword,
+  validatePasswordAgainstPolicy,
+  checkNewPassword,
+  recordPasswordHistory,
+  enforcePasswordMaxAge
+};
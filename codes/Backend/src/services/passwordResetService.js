@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { recordPasswordHistory } = require('./passwordPolicyService');
+
+const getTokenLifetimeMinutes = () => {
+  const parsed = Number.parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 30;
+};
+
+const hashResetToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token || ''))
+  .digest('hex');
+
+const buildResetUrl = (token) => {
+  const baseUrl = String(process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173')
+    .split(',')[0]
+    .trim()
+    .replace(/\/+$/, '');
+  return `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+};
+
+// Issues a fresh link and retires any earlier unused ones, so only the newest email works
+const createResetToken = async (userId, requestedIp = null) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresInMinutes = getTokenLifetimeMinutes();
+
+  await transaction(async (connection) => {
+    await connection.execute(
+      'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    await connection.execute(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)`,
+      [userId, hashResetToken(token), expiresInMinutes, requestedIp]
+    );
+  });
+
+  return {
+    token,
+    resetUrl: buildResetUrl(token),
+    expiresInMinutes
+  };
+};
+
+const findValidResetToken = async (token) => {
+  const rows = await query(
+    `SELECT id, user_id, expires_at
+     FROM password_reset_tokens
+     WHERE token_hash = ?
+       AND used_at IS NULL
+       AND expires_at > NOW()
+     LIMIT 1`,
+    [hashResetToken(token)]
+  );
+  return rows[0] || null;
+};
+
+// Sets the new password and burns the token in one step; false when the token was already used
+const consumeResetToken = async (tokenId, userId, passwordHash) => transaction(async (connection) => {
+  const [claim] = await connection.execute(
+    `UPDATE password_reset_tokens
+     SET used_at = NOW()
+     WHERE id = ?
+       AND used_at IS NULL
+       AND expires_at > NOW()`,
+    [tokenId]
+  );
+  if (claim.affectedRows === 0) {
+    return false;
+  }
+
+  await connection.execute(
+    `UPDATE users
+     SET password_hash = ?, must_change_password = FALSE, password_changed_at = NOW(),
+         failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+     WHERE id = ?`,
+    [passwordHash, userId]
+  );
+  await recordPasswordHistory(userId, passwordHash, connection);
+  await connection.execute(
+    'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  await connection.execute(
+    'UPDATE refresh_tokens SET is_revoked = TRUE WHERE user_id = ? AND is_revoked = FALSE',
+    [userId]
+  );
+  return true;
+});
+
+module.exports = {
+  createResetToken,
+  findValidResetToken,
+  consumeResetToken
+};
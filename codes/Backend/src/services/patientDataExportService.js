@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { findOne, insert, query, update } = require('../config/database');
+const { logAuditEvent } = require('../middleware/errorHandler');
+const {
+  isObjectStorageEnabled,
+  buildObjectKey,
+  uploadLocalFileToObjectStorage,
+  getStoredObjectStream,
+  deleteStoredObject,
+  cleanupLocalFile
+} = require('./fileStorageService');
+const { createZipWriter } = require('../utils/zipWriter');
+
+const EXPORT_PURPOSES = ['ACCESS_REQUEST', 'TRANSFER', 'OTHER'];
+
+// Bumped when the layout of the archive changes, so receiving systems can tell versions apart
+const EXPORT_FORMAT_VERSION = 1;
+
+// Exports still RUNNING after this long were cut short by a restart
+const INTERRUPTED_AFTER_MINUTES = 60;
+
+let exportIntervalId = null;
+let exportRunning = false;
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const loadExportConfig = () => ({
+  retentionHours: parsePositiveInt(process.env.PATIENT_EXPORT_RETENTION_HOURS, 72),
+  intervalSeconds: parsePositiveInt(process.env.PATIENT_EXPORT_JOB_INTERVAL_SECONDS, 60)
+});
+
+const getExportDir = () => path.join(process.env.UPLOAD_DIR || './src/uploads', 'exports');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const parseJsonColumn = (value) => {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+};
+
+const safeFileName = (value) => String(value || '')
+  .replace(/[^a-zA-Z0-9._-]/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-|-$/g, '');
+
+// One JSON file per kind of record. Records in a bin are left out, as in the PDF export.
+const loadExportDatasets = async (patientId) => {
+  const [
+    guardians,
+    histories,
+    chartEntries,
+    customChartEntries,
+    chartVersions,
+    notes,
+    visits,
+    payments,
+    materials,
+    consents,
+    statusHistory,
+    documents
+  ] = await Promise.all([
+    query('SELECT * FROM patient_guardians WHERE patient_id = ? ORDER BY id ASC', [patientId]),
+    query('SELECT * FROM patient_histories WHERE patient_id = ? ORDER BY id ASC', [patientId]),
+    query('SELECT * FROM dental_chart_entries WHERE patient_id = ? ORDER BY tooth_number ASC', [patientId]),
+    query('SELECT * FROM dental_chart_custom_entries WHERE patient_id = ? ORDER BY id ASC', [patientId]),
+    query(
+      `SELECT v.*, u.name AS annotated_by_name
+       FROM dental_chart_versions v
+       LEFT JOIN users u ON u.id = v.annotated_by
+       WHERE v.patient_id = ? AND v.deleted_at IS NULL
+       ORDER BY v.created_at ASC, v.id ASC`,
+      [patientId]
+    ),
+    query(
+      `SELECT cn.*, author.name AS author_name, author.role AS author_role, verifier.name AS verifier_name
+       FROM clinical_notes cn
+       LEFT JOIN users author ON author.id = cn.author_id
+       LEFT JOIN users verifier ON verifier.id = cn.verified_by
+       WHERE cn.patient_id = ? AND cn.deleted_at IS NULL
+       ORDER BY cn.created_at ASC, cn.id ASC`,
+      [patientId]
+    ),
+    query(
+      `SELECT v.*, u.name AS provider_name
+       FROM visits v
+       LEFT JOIN users u ON u.id = v.provider_id
+       WHERE v.patient_id = ?
+       ORDER BY v.visit_date ASC, v.id ASC`,
+      [patientId]
+    ),
+    query(
+      `SELECT * FROM payment_records
+       WHERE patient_id = ? AND deleted_at IS NULL
+       ORDER BY payment_date ASC, id ASC`,
+      [patientId]
+    ),
+    query(
+      `SELECT pmu.*, ii.name AS item_name, ii.unit AS item_unit
+       FROM patient_material_usages pmu
+       JOIN inventory_items ii ON ii.id = pmu.inventory_item_id
+       WHERE pmu.patient_id = ? AND pmu.deleted_at IS NULL
+       ORDER BY pmu.used_at ASC, pmu.id ASC`,
+      [patientId]
+    ),
+    query('SELECT * FROM patient_consents WHERE patient_id = ? ORDER BY id ASC', [patientId]),
+    query('SELECT * FROM patient_status_history WHERE patient_id = ? ORDER BY changed_at ASC, id ASC', [patientId]),
+    query(
+      `SELECT * FROM medical_documents
+       WHERE patient_id = ? AND deleted_at IS NULL
+       ORDER BY created_at ASC, id ASC`,
+      [patientId]
+    )
+  ]);
+
+  return {
+    guardians,
+    history: histories.map((row) => ({ ...row, form_data: parseJsonColumn(row.form_data) })),
+    chartEntries,
+    customChartEntries,
+    chartVersions: chartVersions.map((row) => ({ ...row, snapshot_data: parseJsonColumn(row.snapshot_data) })),
+    notes,
+    visits,
+    payments,
+    materials,
+    consents,
+    statusHistory,
+    documents
+  };
+};
+
+// Metadata of stored files, never where they live in storage
+const describeDocument = (document, archivePath) => ({
+  id: document.id,
+  type: document.type,
+  original_filename: document.original_filename,
+  mime_type: document.mime_type,
+  file_size: document.file_size,
+  description: document.description,
+  uploaded_by: document.uploaded_by,
+  created_at: document.created_at,
+  archive_path: archivePath
+});
+
+// Writes the ZIP to localPath: one JSON file per kind of record, the original document
+// files under documents/, and manifest.json listing every file with its SHA-256.
+const writeExportArchive = async ({ exportRow, patient, localPath }) => {
+  const datasets = await loadExportDatasets(patient.id);
+  const zip = await createZipWriter(localPath);
+  const files = [];
+  const missingFiles = [];
+
+  const addFile = async (archivePath, content, { records = null, store = false } = {}) => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    await zip.addEntry(archivePath, buffer, { store });
+    files.push({
+      path: archivePath,
+      bytes: buffer.length,
+      sha256: sha256(buffer),
+      ...(records !== null && { records })
+    });
+  };
+
+  const addJson = (archivePath, data) =>
+    addFile(archivePath, JSON.stringify(data, null, 2), { records: Array.isArray(data) ? data.length : null });
+
+  try {
+    const documentEntries = [];
+    for (const document of datasets.documents) {
+      const archivePath = `documents/${document.id}-${safeFileName(document.original_filename) || 'file'}`;
+      try {
+        const content = await streamToBuffer(await getStoredObjectStream(document));
+        // Images and PDFs are already compressed
+        await addFile(archivePath, content, { store: true });
+        documentEntries.push(describeDocument(document, archivePath));
+      } catch (error) {
+        // The manifest leaves the clinic, so it never carries storage paths from the error
+        console.error(`Patient export document ${document.id} missing:`, error.message);
+        missingFiles.push({ document_id: document.id, original_filename: document.original_filename, reason: 'File not found in storage' });
+        documentEntries.push(describeDocument(document, null));
+      }
+    }
+
+    await addJson('patient.json', { ...patient, guardians: datasets.guardians });
+    await addJson('history.json', datasets.history[0] || null);
+    await addJson('dental-chart.json', { entries: datasets.chartEntries, custom_entries: datasets.customChartEntries });
+    await addJson('dental-chart-versions.json', datasets.chartVersions);
+    await addJson('clinical-notes.json', datasets.notes);
+    await addJson('visits.json', datasets.visits);
+    await addJson('payments.json', datasets.payments);
+    await addJson('material-usages.json', datasets.materials);
+    await addJson('consents.json', datasets.consents);
+    await addJson('status-history.json', datasets.statusHistory);
+    await addJson('documents.json', documentEntries);
+
+    const manifest = {
+      format: 'orthoflow-patient-export',
+      format_version: EXPORT_FORMAT_VERSION,
+      export_id: exportRow.id,
+      purpose: exportRow.purpose,
+      generated_at: new Date().toISOString(),
+      patient: { id: patient.id, patient_code: patient.patient_code },
+      checksum_algorithm: 'SHA-256',
+      files,
+      missing_files: missingFiles
+    };
+    await zip.addEntry('manifest.json', JSON.stringify(manifest, null, 2));
+    const fileSize = await zip.finish();
+    return { manifest, fileSize };
+  } catch (error) {
+    await zip.abort();
+    throw error;
+  }
+};
+
+const requestPatientDataExport = async ({ patientId, purpose, notes, requestedBy }) => {
+  const exportId = await insert('patient_data_exports', {
+    patient_id: patientId,
+    purpose,
+    notes: notes || null,
+    requested_by: requestedBy
+  });
+  // Start straight away rather than waiting for the next scheduled run
+  setImmediate(() => runPatientExportJob().catch((error) => {
+    console.error('Patient export job failed:', error.message);
+  }));
+  return exportId;
+};
+
+const buildExport = async (exportRow) => {
+  const patient = await findOne('patients', { id: exportRow.patient_id });
+  if (!patient) {
+    throw new Error('Patient no longer exists');
+  }
+
+  const exportDir = getExportDir();
+  await fsp.mkdir(exportDir, { recursive: true });
+  const fileName = `patient-${safeFileName(patient.patient_code) || patient.id}-export-${exportRow.id}.zip`;
+  const localPath = path.join(exportDir, fileName);
+
+  try {
+    const { manifest, fileSize } = await writeExportArchive({ exportRow, patient, localPath });
+    const archiveHash = await hashFile(localPath);
+
+    let stored = { storage_provider: 'local', storage_bucket: null, storage_key: null, file_path: localPath };
+    if (isObjectStorageEnabled()) {
+      const objectStorage = await uploadLocalFileToObjectStorage({
+        localPath,
+        key: buildObjectKey({ patientId: patient.id, filename: fileName, folder: 'exports' }),
+        contentType: 'application/zip'
+      });
+      stored = { ...objectStorage, file_path: objectStorage.storage_key };
+      await cleanupLocalFile(localPath);
+    }
+
+    return { fileName, fileSize, archiveHash, manifest, stored };
+  } catch (error) {
+    await cleanupLocalFile(localPath);
+    throw error;
+  }
+};
+
+// Claims one queued export so two server instances never build the same one
+const claimNextExport = async () => {
+  const rows = await query("SELECT * FROM patient_data_exports WHERE status = 'QUEUED' ORDER BY id ASC LIMIT 1");
+  if (!rows[0]) return null;
+  const result = await query(
+    "UPDATE patient_data_exports SET status = 'RUNNING', started_at = NOW() WHERE id = ? AND status = 'QUEUED'",
+    [rows[0].id]
+  );
+  return result.affectedRows === 1 ? rows[0] : claimNextExport();
+};
+
+const processQueuedExports = async ({ retentionHours }) => {
+  let built = 0;
+  let failed = 0;
+  for (let exportRow = await claimNextExport(); exportRow; exportRow = await claimNextExport()) {
+    try {
+      const { fileName, fileSize, archiveHash, manifest, stored } = await buildExport(exportRow);
+      await query(
+        `UPDATE patient_data_exports
+         SET status = 'READY', file_name = ?, file_path = ?, storage_provider = ?, storage_bucket = ?, storage_key = ?,
+             file_size = ?, sha256 = ?, manifest = ?, completed_at = NOW(),
+             expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+         WHERE id = ?`,
+        [
+          fileName,
+          stored.file_path,
+          stored.storage_provider,
+          stored.storage_bucket,
+          stored.storage_key,
+          fileSize,
+          archiveHash,
+          JSON.stringify(manifest),
+          retentionHours,
+          exportRow.id
+        ]
+      );
+      await logAuditEvent(exportRow.requested_by, 'PATIENT_DATA_EXPORT_READY', 'PATIENT_DATA_EXPORT', exportRow.id, null, {
+        patient_id: exportRow.patient_id,
+        file_size: fileSize,
+        sha256: archiveHash,
+        files: manifest.files.length,
+        missing_files: manifest.missing_files.length
+      });
+      built += 1;
+    } catch (error) {
+      console.error(`Patient export ${exportRow.id} failed:`, error);
+      await update('patient_data_exports', {
+        status: 'FAILED',
+        error_message: String(error.message || 'Export failed').slice(0, 500),
+        completed_at: new Date()
+      }, { id: exportRow.id });
+      await logAuditEvent(exportRow.requested_by, 'PATIENT_DATA_EXPORT_FAILED', 'PATIENT_DATA_EXPORT', exportRow.id, null, {
+        patient_id: exportRow.patient_id,
+        error: error.message
+      });
+      failed += 1;
+    }
+  }
+  return { built, failed };
+};
+
+const expireExports = async () => {
+  const rows = await query(
+    "SELECT * FROM patient_data_exports WHERE status = 'READY' AND expires_at <= NOW() ORDER BY id ASC"
+  );
+  for (const row of rows) {
+    await deleteStoredObject(row).catch((error) => {
+      console.error(`Patient export ${row.id} file could not be deleted:`, error.message);
+    });
+    await update('patient_data_exports', { status: 'EXPIRED' }, { id: row.id });
+    await logAuditEvent(null, 'PATIENT_DATA_EXPORT_EXPIRE', 'PATIENT_DATA_EXPORT', row.id, { status: 'READY' }, {
+      status: 'EXPIRED',
+      patient_id: row.patient_id
+    });
+  }
+  return rows.length;
+};
+
+const failInterruptedExports = async () => {
+  const result = await query(
+    `UPDATE patient_data_exports
+     SET status = 'FAILED', error_message = 'The export was interrupted before it finished', completed_at = NOW()
+     WHERE status = 'RUNNING' AND started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [INTERRUPTED_AFTER_MINUTES]
+  );
+  return Number(result.affectedRows || 0);
+};
+
+const runPatientExportJob = async () => {
+  if (exportRunning) {
+    return { skipped: true, reason: 'already_running' };
+  }
+
+  exportRunning = true;
+  try {
+    const config = loadExportConfig();
+    const interrupted = await failInterruptedExports();
+    const { built, failed } = await processQueuedExports(config);
+    const expired = await expireExports();
+    return { skipped: false, built, failed, expired, interrupted };
+  } finally {
+    exportRunning = false;
+  }
+};
+
+const startPatientExportJob = () => {
+  if (exportIntervalId) return;
+  const config = loadExportConfig();
+
+  const runAndLog = async () => {
+    try {
+      const result = await runPatientExportJob();
+      if (!result.skipped && (result.built || result.failed || result.expired || result.interrupted)) {
+        console.log(
+          `Patient exports: built=${result.built}, failed=${result.failed}, expired=${result.expired}, interrupted=${result.interrupted}`
+        );
+      }
+    } catch (error) {
+      console.error('Patient export job failed:', error.message);
+    }
+  };
+
+  setTimeout(runAndLog, 25 * 1000);
+  exportIntervalId = setInterval(runAndLog, config.intervalSeconds * 1000);
+  console.log(`Patient export job started (every ${config.intervalSeconds}s, keep files ${config.retentionHours}h)`);
+};
+
+const stopPatientExportJob = () => {
+  if (exportIntervalId) {
+    clearInterval(exportIntervalId);
+    exportIntervalId = null;
+  }
+};
+
+const listPatientDataExports = async (patientId) =>
+  query(
+    `SELECT e.id, e.patient_id, e.purpose, e.notes, e.status, e.file_name, e.file_size, e.sha256,
+            e.error_message, e.requested_by, u.name AS requested_by_name, e.started_at, e.completed_at,
+            e.expires_at, e.download_count, e.created_at
+     FROM patient_data_exports e
+     LEFT JOIN users u ON u.id = e.requested_by
+     WHERE e.patient_id = ?
+     ORDER BY e.created_at DESC, e.id DESC`,
+    [patientId]
+  );
+
+module.exports = {
+  EXPORT_PURPOSES,
+  requestPatientDataExport,
+  listPatientDataExports,
+  runPatientExportJob,
+  startPatientExportJob,
+  stopPatientExportJob
+};
@@ -0,0 +1,362 @@
+const { query, transaction } = require('../config/database');
+
+// Scores are out of 100; a name alone never reaches the threshold
+const DUPLICATE_SCORE_THRESHOLD = 60;
+const HIGH_CONFIDENCE_SCORE = 80;
+const MIN_NAME_SIMILARITY = 0.5;
+const MAX_CANDIDATES = 5;
+
+// Every table holding patient records, in the order they are moved on merge.
+// keepSurvivor tables have a unique key on patient_id; rows the survivor already
+// has an equivalent of (same tooth, same assignment, its own history form) stay
+// with the merged record instead of overwriting the survivor's.
+// patient_status_history is not listed: each record keeps the status history of its own lifecycle.
+const MERGE_TABLES = [
+  { table: 'visits', label: 'Visits', where: "(procedure_type IS NULL OR procedure_type <> 'REGISTRATION')" },
+  { table: 'clinical_notes', label: 'Clinical notes' },
+  { table: 'medical_documents', label: 'Documents' },
+  { table: 'patient_histories', label: 'History form', keepSurvivor: true },
+  { table: 'dental_chart_entries', label: 'Dental chart entries', keepSurvivor: true },
+  { table: 'dental_chart_custom_entries', label: 'Custom dental chart entries', keepSurvivor: true },
+  { table: 'dental_chart_versions', label: 'Dental chart versions' },
+  { table: 'payment_records', label: 'Payments' },
+  { table: 'patient_material_usages', label: 'Materials used' },
+  { table: 'patient_assignments', label: 'Care-team assignments', keepSurvivor: true },
+  { table: 'patient_assignment_requests', label: 'Assignment requests' },
+  { table: 'caseload_delegation_patients', label: 'Delegated caseload entries', keepSurvivor: true },
+  { table: 'break_glass_access', label: 'Emergency access grants' },
+  { table: 'cases', label: 'Student cases' },
+  { table: 'case_progress_logs', label: 'Case progress logs' },
+  { table: 'case_tasks', label: 'Case tasks' },
+  { table: 'queue', label: 'Queue history' },
+  { table: 'patient_consents', label: 'Consents' },
+  { table: 'patient_guardians', label: 'Parents and guardians' },
+  { table: 'waiting_list_entries', label: 'Waiting list entries' }
+];
+
+const normalizeName = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest;
+};
+
+// 0..1; also catches first and last name entered the wrong way round
+const nameSimilarity = (left, right) => {
+  const first = normalizeName(left.first_name);
+  const last = normalizeName(left.last_name);
+  const otherFirst = normalizeName(right.first_name);
+  const otherLast = normalizeName(right.last_name);
+
+  return Math.max(
+    similarity(`${first} ${last}`, `${otherFirst} ${otherLast}`),
+    similarity(`${first} ${last}`, `${otherLast} ${otherFirst}`)
+  );
+};
+
+// Last nine digits, so 0771234567 and +94771234567 compare equal
+const phoneKey = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(-9) : null;
+};
+
+const emailKey = (value) => {
+  const email = String(value || '').trim().toLowerCase();
+  return email || null;
+};
+
+const dateKey = (value) => (value ? String(value).slice(0, 10) : null);
+
+const scoreCandidate = (patient, candidate) => {
+  const nameScore = nameSimilarity(patient, candidate);
+  if (nameScore < MIN_NAME_SIMILARITY) {
+    return null;
+  }
+
+  const matchedOn = [];
+  let score = Math.round(nameScore * 50);
+  if (nameScore >= 0.8) matchedOn.push('NAME');
+
+  const dob = dateKey(patient.date_of_birth);
+  const candidateDob = dateKey(candidate.date_of_birth);
+  if (dob && candidateDob) {
+    if (dob === candidateDob) {
+      score += 30;
+      matchedOn.push('DATE_OF_BIRTH');
+    } else if (dob.slice(0, 4) === candidateDob.slice(0, 4)) {
+      // An age-only registration stores an estimated date of birth in the right year
+      score += 10;
+      matchedOn.push('BIRTH_YEAR');
+    }
+  }
+
+  const phone = phoneKey(patient.phone);
+  if (phone && phone === phoneKey(candidate.phone)) {
+    score += 25;
+    matchedOn.push('PHONE');
+  }
+
+  const email = emailKey(patient.email);
+  if (email && email === emailKey(candidate.email)) {
+    score += 25;
+    matchedOn.push('EMAIL');
+  }
+
+  score = Math.min(score, 100);
+  if (score < DUPLICATE_SCORE_THRESHOLD) {
+    return null;
+  }
+  return {
+    score,
+    confidence: score >= HIGH_CONFIDENCE_SCORE ? 'HIGH' : 'POSSIBLE',
+    matched_on: matchedOn
+  };
+};
+
+// Active patients that look like the same person as the given details, best match first
+const findPossibleDuplicates = async (patient, { excludeId = null } = {}) => {
+  const first = String(patient.first_name || '').trim();
+  const last = String(patient.last_name || '').trim();
+  const clauses = [];
+  const params = [];
+
+  if (first || last) {
+    clauses.push('SOUNDEX(first_name) IN (SOUNDEX(?), SOUNDEX(?))', 'SOUNDEX(last_name) IN (SOUNDEX(?), SOUNDEX(?))');
+    params.push(first, last, first, last);
+  }
+  if (dateKey(patient.date_of_birth)) {
+    clauses.push('date_of_birth = ?');
+    params.push(dateKey(patient.date_of_birth));
+  }
+  if (phoneKey(patient.phone)) {
+    clauses.push('RIGHT(phone, 9) = ?');
+    params.push(phoneKey(patient.phone));
+  }
+  if (emailKey(patient.email)) {
+    clauses.push('LOWER(email) = ?');
+    params.push(emailKey(patient.email));
+  }
+  if (clauses.length === 0) {
+    return [];
+  }
+
+  const rows = await query(
+    `SELECT id, patient_code, first_name, last_name, date_of_birth, gender, phone, email, created_at
+     FROM patients
+     WHERE deleted_at IS NULL
+       ${excludeId ? 'AND id <> ?' : ''}
+       AND (${clauses.join(' OR ')})
+     LIMIT 200`,
+    excludeId ? [excludeId, ...params] : params
+  );
+
+  return rows
+    .map((row) => {
+      const match = scoreCandidate(patient, row);
+      return match ? { ...row, ...match } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+};
+
+const findMergeByDuplicate = async (duplicateId) => {
+  const rows = await query('SELECT id FROM patient_merges WHERE duplicate_patient_id = ? LIMIT 1', [duplicateId]);
+  return rows[0] || null;
+};
+
+// Rows each table holds for the duplicate, shown before an administrator confirms a merge
+const countPatientRecords = async (patientId) => {
+  const counts = await Promise.all(
+    MERGE_TABLES.map(({ table, where }) =>
+      query(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE patient_id = ?${where ? ` AND ${where}` : ''}`,
+        [patientId]
+      )
+    )
+  );
+  return MERGE_TABLES.map(({ table, label }, index) => ({
+    table,
+    label,
+    count: Number(counts[index][0].count)
+  }));
+};
+
+// Moves every record of the duplicate into the survivor, inactivates the duplicate and
+// stores the merge record, all in one transaction. Returns { error } when either record
+// changed after the preview was shown.
+const mergePatients = async ({ survivorId, duplicateId, reason = null, mergedBy }) =>
+  transaction(async (connection) => {
+    const [patients] = await connection.execute(
+      'SELECT * FROM patients WHERE id IN (?, ?) FOR UPDATE',
+      [survivorId, duplicateId]
+    );
+    const survivor = patients.find((row) => row.id === Number(survivorId));
+    const duplicate = patients.find((row) => row.id === Number(duplicateId));
+    if (!survivor || survivor.deleted_at) {
+      return { error: 'The surviving patient no longer exists or is inactive' };
+    }
+    if (!duplicate) {
+      return { error: 'The duplicate patient no longer exists' };
+    }
+    const [previous] = await connection.execute(
+      'SELECT id FROM patient_merges WHERE duplicate_patient_id = ? LIMIT 1',
+      [duplicateId]
+    );
+    if (previous.length > 0) {
+      return { error: `${duplicate.patient_code} has already been merged` };
+    }
+
+    const moved = {};
+    const retained = {};
+    for (const { table, where, keepSurvivor } of MERGE_TABLES) {
+      const [result] = await connection.execute(
+        `UPDATE ${keepSurvivor ? 'IGNORE ' : ''}${table}
+         SET patient_id = ?
+         WHERE patient_id = ?${where ? ` AND ${where}` : ''}`,
+        [survivorId, duplicateId]
+      );
+      moved[table] = result.affectedRows;
+
+      if (keepSurvivor) {
+        const [left] = await connection.execute(`SELECT id FROM ${table} WHERE patient_id = ?`, [duplicateId]);
+        if (left.length > 0) {
+          retained[table] = left.map((row) => row.id);
+        }
+      }
+    }
+
+    // Revisions follow the history form, so they move only when the duplicate's form moved
+    if (moved.patient_histories > 0) {
+      const [result] = await connection.execute(
+        'UPDATE patient_history_revisions SET patient_id = ? WHERE patient_id = ?',
+        [survivorId, duplicateId]
+      );
+      moved.patient_history_revisions = result.affectedRows;
+    }
+
+    // Both records may have had a responsible guardian; the one added first stays responsible
+    const [responsible] = await connection.execute(
+      'SELECT id FROM patient_guardians WHERE patient_id = ? AND is_responsible = TRUE ORDER BY id ASC',
+      [survivorId]
+    );
+    if (responsible.length > 1) {
+      await connection.execute(
+        'UPDATE patient_guardians SET is_responsible = FALSE WHERE patient_id = ? AND id <> ?',
+        [survivorId, responsible[0].id]
+      );
+    }
+
+    // A patient waits on the list once; the earlier entry keeps its place
+    const [waiting] = await connection.execute(
+      "SELECT id FROM waiting_list_entries WHERE patient_id = ? AND status = 'WAITING' ORDER BY added_on ASC, id ASC",
+      [survivorId]
+    );
+    if (waiting.length > 1) {
+      await connection.execute(
+        `UPDATE waiting_list_entries
+         SET status = 'REMOVED', closed_at = NOW(), closed_by = ?, close_reason = 'Duplicate entry removed by patient merge'
+         WHERE patient_id = ? AND status = 'WAITING' AND id <> ?`,
+        [mergedBy, survivorId, waiting[0].id]
+      );
+    }
+
+    await connection.execute(
+      'UPDATE patients SET deleted_at = COALESCE(deleted_at, NOW()) WHERE id = ?',
+      [duplicateId]
+    );
+
+    const [insertResult] = await connection.execute(
+      `INSERT INTO patient_merges
+        (survivor_patient_id, duplicate_patient_id, survivor_patient_code, duplicate_patient_code,
+         reason, moved_rows, retained_rows, duplicate_snapshot, merged_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        survivorId,
+        duplicateId,
+        survivor.patient_code,
+        duplicate.patient_code,
+        reason,
+        JSON.stringify(moved),
+        JSON.stringify(retained),
+        JSON.stringify(duplicate),
+        mergedBy
+      ]
+    );
+
+    return { id: insertResult.insertId, survivor, duplicate, moved, retained };
+  });
+
+const parseJson = (value) => {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return {};
+    }
+  }
+  return value;
+};
+
+const listMerges = async (limit = 100) => {
+  const rows = await query(
+    `SELECT pm.id, pm.survivor_patient_id, pm.duplicate_patient_id, pm.survivor_patient_code,
+            pm.duplicate_patient_code, pm.reason, pm.moved_rows, pm.retained_rows, pm.duplicate_snapshot,
+            pm.merged_by, pm.created_at, u.name AS merged_by_name,
+            s.first_name AS survivor_first_name, s.last_name AS survivor_last_name
+     FROM patient_merges pm
+     LEFT JOIN users u ON u.id = pm.merged_by
+     LEFT JOIN patients s ON s.id = pm.survivor_patient_id
+     ORDER BY pm.created_at DESC, pm.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+
+  return rows.map((row) => {
+    const snapshot = parseJson(row.duplicate_snapshot);
+    const { duplicate_snapshot: _snapshot, ...merge } = row;
+    return {
+      ...merge,
+      moved_rows: parseJson(row.moved_rows),
+      retained_rows: parseJson(row.retained_rows),
+      duplicate_first_name: snapshot.first_name || null,
+      duplicate_last_name: snapshot.last_name || null
+    };
+  });
+};
+
+module.exports = {
+  MERGE_TABLES,
+  nameSimilarity,
+  scoreCandidate,
+  findPossibleDuplicates,
+  findMergeByDuplicate,
+  countPatientRecords,
+  mergePatients,
+  listMerges
+};
@@ -0,0 +1,159 @@
+const { query, transaction } = require('../config/database');
+
+// Only the Orthodontist records the consultant decision; other roles keep the saved values
+const CONSULTANT_ONLY_KEYS = [
+  'consultant_not_taken_prognosis',
+  'consultant_mixed_dentition_review',
+  'consultant_urgent_interceptive_treatment',
+  'consultant_take_up_treatment_modes',
+  'consultant_waiting_list_mode',
+  'consultant_priority',
+  'consultant_signature',
+  'consultant_date'
+];
+
+const parseForm = (value) => {
+  if (value && typeof value === 'object') return value;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value) || {};
+    } catch (_) {
+      return {};
+    }
+  }
+  return {};
+};
+
+const keepConsultantOnlyKeys = (form, existingForm, role) => {
+  if (role === 'ORTHODONTIST') return form;
+  const result = { ...form };
+  CONSULTANT_ONLY_KEYS.forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(existingForm, key)) {
+      result[key] = existingForm[key];
+    } else {
+      delete result[key];
+    }
+  });
+  return result;
+};
+
+const getCurrentHistoryForm = async (patientId) => {
+  const rows = await query('SELECT form_data FROM patient_histories WHERE patient_id = ? LIMIT 1', [patientId]);
+  return parseForm(rows[0]?.form_data);
+};
+
+// Keeps the form as a new revision and makes it the current history, in one transaction
+const saveHistoryRevision = async ({ patientId, form, userId, restoredFrom = null }) => transaction(async (connection) => {
+  // Locking the patient row keeps revision numbers in order when two saves overlap
+  await connection.query('SELECT id FROM patients WHERE id = ? FOR UPDATE', [patientId]);
+  const [[{ next }]] = await connection.query(
+    'SELECT COALESCE(MAX(revision_number), 0) + 1 AS next FROM patient_history_revisions WHERE patient_id = ?',
+    [patientId]
+  );
+  const formData = JSON.stringify(form);
+
+  const [result] = await connection.query(
+    `INSERT INTO patient_history_revisions (patient_id, revision_number, form_data, restored_from_revision, created_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [patientId, next, formData, restoredFrom, userId]
+  );
+  await connection.query(
+    `INSERT INTO patient_histories (patient_id, form_data, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       form_data = VALUES(form_data),
+       updated_by = VALUES(updated_by),
+       updated_at = CURRENT_TIMESTAMP`,
+    [patientId, formData, userId]
+  );
+
+  return { id: result.insertId, revisionNumber: Number(next) };
+});
+
+const isEmptyValue = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Nested groups are compared field by field under dotted names; arrays are compared whole
+const flattenForm = (form, prefix = '', result = {}) => {
+  Object.entries(form || {}).forEach(([key, value]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenForm(value, field, result);
+    } else {
+      result[field] = value;
+    }
+  });
+  return result;
+};
+
+const sameValue = (a, b) => {
+  if (isEmptyValue(a) && isEmptyValue(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Field-by-field changes from one form to another, in field name order
+const diffHistoryForms = (fromForm, toForm) => {
+  const before = flattenForm(fromForm);
+  const after = flattenForm(toForm);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return fields
+    .filter((field) => !sameValue(before[field], after[field]))
+    .map((field) => ({
+      field,
+      change: isEmptyValue(before[field]) ? 'ADDED' : isEmptyValue(after[field]) ? 'REMOVED' : 'CHANGED',
+      from: before[field] ?? null,
+      to: after[field] ?? null
+    }));
+};
+
+const REVISION_SELECT = `
+  SELECT r.id, r.revision_number, r.form_data, r.restored_from_revision, r.created_by,
+         u.name AS created_by_name, u.role AS created_by_role, r.created_at
+  FROM patient_history_revisions r
+  LEFT JOIN users u ON u.id = r.created_by`;
+
+const toRevision = ({ form_data: formData, ...row }) => ({ ...row, form_data: parseForm(formData) });
+
+// Newest first, each with the fields it changed from the revision before
+const listHistoryRevisions = async (patientId) => {
+  const rows = (await query(
+    `${REVISION_SELECT} WHERE r.patient_id = ? ORDER BY r.revision_number ASC`,
+    [patientId]
+  )).map(toRevision);
+
+  return rows
+    .map(({ form_data: form, ...revision }, index) => ({
+      ...revision,
+      changed_fields: diffHistoryForms(index > 0 ? rows[index - 1].form_data : {}, form).map((change) => change.field)
+    }))
+    .reverse();
+};
+
+const getHistoryRevision = async (patientId, revisionNumber) => {
+  const rows = await query(
+    `${REVISION_SELECT} WHERE r.patient_id = ? AND r.revision_number = ? LIMIT 1`,
+    [patientId, revisionNumber]
+  );
+  return rows[0] ? toRevision(rows[0]) : null;
+};
+
+const getLatestRevisionNumber = async (patientId) => {
+  const rows = await query(
+    'SELECT MAX(revision_number) AS latest FROM patient_history_revisions WHERE patient_id = ?',
+    [patientId]
+  );
+  return rows[0]?.latest ? Number(rows[0].latest) : null;
+};
+
+module.exports = {
+  CONSULTANT_ONLY_KEYS,
+  parseForm,
+  keepConsultantOnlyKeys,
+  getCurrentHistoryForm,
+  saveHistoryRevision,
+  diffHistoryForms,
+  listHistoryRevisions,
+  getHistoryRevision,
+  getLatestRevisionNumber
+};
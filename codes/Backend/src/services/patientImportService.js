@@ -0,0 +1,399 @@
+const { query, transaction } = require('../config/database');
+const { schemas } = require('../middleware/validation');
+const { generatePatientCode, preparePatientFields } = require('../utils/patientFields');
+const { excelSerialToDate, readSpreadsheet } = require('../utils/spreadsheet');
+const { scoreCandidate, findPossibleDuplicates, countPatientRecords } = require('./patientDuplicateService');
+const { recordInitialStatus } = require('./patientStatusService');
+
+const MAX_IMPORT_ROWS = 2000;
+const COMMIT_BATCH_SIZE = 100;
+
+// Patient fields an import can fill, with the column headings recognised for each.
+// Patient codes are always generated, like registrations made in the browser.
+const IMPORT_FIELDS = {
+  first_name: ['first_name', 'firstname', 'first', 'given_name', 'forename'],
+  last_name: ['last_name', 'lastname', 'last', 'surname', 'family_name'],
+  date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'birthdate', 'birthday'],
+  age: ['age'],
+  gender: ['gender', 'sex'],
+  phone: ['phone', 'telephone', 'tel', 'mobile', 'contact_number', 'phone_number'],
+  email: ['email', 'e_mail', 'email_address'],
+  address: ['address', 'home_address'],
+  province: ['province', 'region'],
+  registration_date: ['registration_date', 'registered', 'registered_on', 'date_registered'],
+  emergency_contact_name: ['emergency_contact_name', 'emergency_contact', 'next_of_kin'],
+  emergency_contact_phone: ['emergency_contact_phone', 'emergency_phone', 'next_of_kin_phone'],
+  nhi_verified: ['nhi_verified', 'nhi'],
+  status: ['status']
+};
+
+const GENDER_VALUES = { M: 'MALE', MALE: 'MALE', F: 'FEMALE', FEMALE: 'FEMALE', O: 'OTHER', OTHER: 'OTHER' };
+const BOOLEAN_VALUES = { YES: true, Y: true, TRUE: true, 1: true, NO: false, N: false, FALSE: false, 0: false };
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Field for each column, or null for columns that are not imported
+const detectColumnMap = (headers) => {
+  const used = new Set();
+  return headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(IMPORT_FIELDS).find((key) => !used.has(key) && IMPORT_FIELDS[key].includes(normalized));
+    if (!field) return null;
+    used.add(field);
+    return field;
+  });
+};
+
+// Applies a client mapping of { heading: field } over the detected one; returns { columnMap } or { error }
+const resolveColumnMap = (headers, requested) => {
+  if (!requested) {
+    return { columnMap: detectColumnMap(headers) };
+  }
+
+  const columnMap = headers.map((header) => requested[header] || null);
+  const unknown = columnMap.find((field) => field && !IMPORT_FIELDS[field]);
+  if (unknown) {
+    return { error: `${unknown} is not a patient field that can be imported` };
+  }
+  const mapped = columnMap.filter(Boolean);
+  const repeated = mapped.find((field, index) => mapped.indexOf(field) !== index);
+  if (repeated) {
+    return { error: `More than one column is mapped to ${repeated}` };
+  }
+  return { columnMap };
+};
+
+// Spreadsheet cells to the request body createPatient would receive
+const rowToPatientFields = (cells, columnMap) => {
+  const fields = {};
+  columnMap.forEach((field, index) => {
+    const value = String(cells[index] || '').trim();
+    if (!field || value === '') return;
+
+    if (field === 'gender') {
+      fields.gender = GENDER_VALUES[value.toUpperCase()] || value;
+    } else if (field === 'nhi_verified') {
+      fields.nhi_verified = BOOLEAN_VALUES[value.toUpperCase()] ?? value;
+    } else if (field === 'status') {
+      fields.status = value.toUpperCase();
+    } else if (field === 'phone' || field === 'emergency_contact_phone') {
+      fields[field] = value.replace(/[\s()-]/g, '').replace(/^\+94/, '0');
+    } else if (field === 'date_of_birth' || field === 'registration_date') {
+      fields[field] = excelSerialToDate(value) || value;
+    } else {
+      fields[field] = value;
+    }
+  });
+  return fields;
+};
+
+const duplicateSummary = (patient) => ({
+  patient_id: patient.id,
+  patient_code: patient.patient_code,
+  first_name: patient.first_name,
+  last_name: patient.last_name,
+  date_of_birth: patient.date_of_birth,
+  score: patient.score,
+  matched_on: patient.matched_on
+});
+
+// Earlier rows of the same file sharing a birth date, phone, email or name with this one
+const fileMatchKeys = (data) => [
+  data.date_of_birth && `dob:${data.date_of_birth}`,
+  data.phone && `phone:${data.phone.slice(-9)}`,
+  data.email && `email:${data.email.toLowerCase()}`,
+  `name:${String(data.first_name).toLowerCase()} ${String(data.last_name).toLowerCase()}`
+].filter(Boolean);
+
+// Validates every row as createPatient would and flags likely duplicates of existing
+// patients and of earlier rows in the same file. Nothing is written.
+const buildImportReport = async (dataRows, columnMap) => {
+  const report = [];
+  const seen = new Map();
+
+  for (let index = 0; index < dataRows.length; index += 1) {
+    const rowNumber = index + 2;
+    const fields = rowToPatientFields(dataRows[index], columnMap);
+    const { error, value } = schemas.createPatient.validate(fields, { abortEarly: false });
+
+    if (error) {
+      report.push({
+        row_number: rowNumber,
+        status: 'INVALID',
+        first_name: fields.first_name || null,
+        last_name: fields.last_name || null,
+        data: null,
+        errors: error.details.map((detail) => ({ field: detail.path.join('.'), message: detail.message })),
+        duplicates: [],
+        file_duplicate_of: null
+      });
+      continue;
+    }
+
+    const { data, error: fieldError } = preparePatientFields(value);
+    if (fieldError) {
+      report.push({
+        row_number: rowNumber,
+        status: 'INVALID',
+        first_name: fields.first_name,
+        last_name: fields.last_name,
+        data: null,
+        errors: [{ field: 'date_of_birth', message: fieldError }],
+        duplicates: [],
+        file_duplicate_of: null
+      });
+      continue;
+    }
+
+    const duplicates = (await findPossibleDuplicates(data)).map(duplicateSummary);
+    const earlierRow = [...new Set(fileMatchKeys(data).flatMap((key) => seen.get(key) || []))]
+      .map((earlierIndex) => report[earlierIndex])
+      .find((earlier) => scoreCandidate(data, earlier.data));
+    fileMatchKeys(data).forEach((key) => seen.set(key, [...(seen.get(key) || []), report.length]));
+
+    report.push({
+      row_number: rowNumber,
+      status: duplicates.length > 0 || earlierRow ? 'DUPLICATE' : 'VALID',
+      first_name: data.first_name,
+      last_name: data.last_name,
+      data,
+      errors: [],
+      duplicates,
+      file_duplicate_of: earlierRow ? earlierRow.row_number : null
+    });
+  }
+
+  return report;
+};
+
+const countStatuses = (report) => ({
+  total_rows: report.length,
+  valid_rows: report.filter((row) => row.status === 'VALID').length,
+  invalid_rows: report.filter((row) => row.status === 'INVALID').length,
+  duplicate_rows: report.filter((row) => row.status === 'DUPLICATE').length
+});
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return fallback;
+    }
+  }
+  return value;
+};
+
+// The per-row report can be large, so lists leave it out
+const importSelect = (includeReport) => `
+  SELECT pi.id, pi.file_name, pi.file_type, pi.status, pi.headers, pi.column_map, pi.total_rows, pi.valid_rows,
+         pi.invalid_rows, pi.duplicate_rows, pi.imported_rows, pi.error_message, pi.created_by, pi.committed_by,
+         pi.committed_at, pi.rolled_back_by, pi.rolled_back_at, pi.created_at${includeReport ? ', pi.report' : ''},
+         cu.name AS created_by_name, mu.name AS committed_by_name, ru.name AS rolled_back_by_name
+  FROM patient_imports pi
+  LEFT JOIN users cu ON cu.id = pi.created_by
+  LEFT JOIN users mu ON mu.id = pi.committed_by
+  LEFT JOIN users ru ON ru.id = pi.rolled_back_by`;
+
+const formatImport = (row) => ({
+  ...row,
+  headers: parseJson(row.headers, []),
+  column_map: parseJson(row.column_map, []),
+  ...(row.report !== undefined && { report: parseJson(row.report, []) })
+});
+
+// Reads the upload and stores the dry-run report so the commit needs no second upload.
+// Returns { error } when the file cannot be read or mapped.
+const createImport = async ({ file, fileType, columnMap: requestedMap, createdBy }) => {
+  let rows;
+  try {
+    rows = readSpreadsheet(file.buffer, fileType);
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (rows.length < 2) {
+    return { error: 'The file needs a heading row and at least one patient row' };
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `An import can hold at most ${MAX_IMPORT_ROWS} patients; split the file and import each part` };
+  }
+
+  const [headers, ...dataRows] = rows;
+  const { columnMap, error } = resolveColumnMap(headers, requestedMap);
+  if (error) {
+    return { error };
+  }
+  const mapped = new Set(columnMap.filter(Boolean));
+  const unmapped = ['first_name', 'last_name', 'gender'].filter((field) => !mapped.has(field));
+  if (!mapped.has('date_of_birth') && !mapped.has('age')) {
+    unmapped.push('date_of_birth or age');
+  }
+  if (unmapped.length > 0) {
+    return { error: `No column is mapped to ${unmapped.join(', ')}` };
+  }
+
+  const report = await buildImportReport(dataRows, columnMap);
+  const counts = countStatuses(report);
+  const result = await query(
+    `INSERT INTO patient_imports
+      (file_name, file_type, headers, column_map, total_rows, valid_rows, invalid_rows, duplicate_rows, report, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      file.originalname.slice(0, 255),
+      fileType,
+      JSON.stringify(headers),
+      JSON.stringify(columnMap),
+      counts.total_rows,
+      counts.valid_rows,
+      counts.invalid_rows,
+      counts.duplicate_rows,
+      JSON.stringify(report),
+      createdBy
+    ]
+  );
+  return { id: result.insertId };
+};
+
+// With includeReport, each report row also carries the patient it created, if any
+const getImport = async (id, { includeReport = false } = {}) => {
+  const rows = await query(`${importSelect(includeReport)} WHERE pi.id = ? LIMIT 1`, [id]);
+  if (!rows[0]) return null;
+
+  const importRecord = formatImport(rows[0]);
+  if (includeReport) {
+    const importedRows = await query(
+      'SELECT source_row, patient_id, patient_code, status FROM patient_import_rows WHERE import_id = ?',
+      [id]
+    );
+    const bySourceRow = new Map(importedRows.map((row) => [row.source_row, row]));
+    importRecord.report = importRecord.report.map((row) => {
+      const imported = bySourceRow.get(row.row_number);
+      return imported
+        ? { ...row, patient_id: imported.patient_id, patient_code: imported.patient_code, import_status: imported.status }
+        : row;
+    });
+  }
+  return importRecord;
+};
+
+const listImports = async (limit = 50) => {
+  const rows = await query(`${importSelect(false)} ORDER BY pi.created_at DESC, pi.id DESC LIMIT ?`, [limit]);
+  return rows.map(formatImport);
+};
+
+const reserveUniquePatientCode = async (connection, reserved) => {
+  for (;;) {
+    const code = await generatePatientCode();
+    if (reserved.has(code)) continue;
+    const [existing] = await connection.execute('SELECT id FROM patients WHERE patient_code = ? LIMIT 1', [code]);
+    if (existing.length === 0) {
+      reserved.add(code);
+      return code;
+    }
+  }
+};
+
+// Creates the reported patients in transactions of COMMIT_BATCH_SIZE rows. A failed batch
+// leaves the import PARTIAL; committing again continues after the rows already created.
+const commitImport = async ({ importRecord, includeDuplicates, committedBy }) => {
+  const report = importRecord.report;
+  const alreadyImported = new Set(
+    (await query('SELECT source_row FROM patient_import_rows WHERE import_id = ?', [importRecord.id]))
+      .map((row) => row.source_row)
+  );
+  const pending = report.filter((row) =>
+    !alreadyImported.has(row.row_number)
+    && (row.status === 'VALID' || (includeDuplicates && row.status === 'DUPLICATE')));
+
+  const reserved = new Set();
+  const created = [];
+  let failure = null;
+
+  for (let start = 0; start < pending.length && !failure; start += COMMIT_BATCH_SIZE) {
+    const batch = pending.slice(start, start + COMMIT_BATCH_SIZE);
+    try {
+      const batchCreated = await transaction(async (connection) => {
+        const rows = [];
+        for (const row of batch) {
+          const patientData = { ...row.data, patient_code: await reserveUniquePatientCode(connection, reserved) };
+          const columns = Object.keys(patientData);
+          const [result] = await connection.execute(
+            `INSERT INTO patients (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map((column) => patientData[column])
+          );
+          await connection.execute(
+            `INSERT INTO visits (patient_id, provider_id, visit_date, procedure_type, status, notes)
+             VALUES (?, ?, COALESCE(?, NOW()), 'REGISTRATION', 'COMPLETED', 'Patient registration (import)')`,
+            [result.insertId, committedBy, patientData.created_at || null]
+          );
+          await recordInitialStatus(result.insertId, committedBy, connection);
+          await connection.execute(
+            'INSERT INTO patient_import_rows (import_id, source_row, patient_id, patient_code) VALUES (?, ?, ?, ?)',
+            [importRecord.id, row.row_number, result.insertId, patientData.patient_code]
+          );
+          rows.push({ row_number: row.row_number, patient_id: result.insertId, patient_code: patientData.patient_code });
+        }
+        return rows;
+      });
+      created.push(...batchCreated);
+    } catch (error) {
+      console.error('Patient import batch error:', error);
+      failure = `Rows ${batch[0].row_number} to ${batch[batch.length - 1].row_number} could not be imported; nothing in that batch was saved`;
+    }
+  }
+
+  const importedTotal = alreadyImported.size + created.length;
+  await query(
+    `UPDATE patient_imports
+     SET status = ?, imported_rows = ?, error_message = ?, committed_by = ?, committed_at = NOW()
+     WHERE id = ?`,
+    [failure ? 'PARTIAL' : 'COMMITTED', importedTotal, failure, committedBy, importRecord.id]
+  );
+
+  return { created, importedTotal, failure };
+};
+
+// Deletes the patients an import created unless staff have since added records to them
+const rollbackImport = async ({ importRecord, rolledBackBy }) => {
+  const importedRows = await query(
+    "SELECT id, source_row, patient_id, patient_code FROM patient_import_rows WHERE import_id = ? AND status = 'IMPORTED'",
+    [importRecord.id]
+  );
+
+  const removed = [];
+  const kept = [];
+  for (const row of importedRows) {
+    if (row.patient_id) {
+      const records = await countPatientRecords(row.patient_id);
+      if (records.some((entry) => entry.count > 0)) {
+        await query("UPDATE patient_import_rows SET status = 'KEPT' WHERE id = ?", [row.id]);
+        kept.push({ row_number: row.source_row, patient_id: row.patient_id, patient_code: row.patient_code });
+        continue;
+      }
+      await query('DELETE FROM patients WHERE id = ?', [row.patient_id]);
+    }
+    await query("UPDATE patient_import_rows SET status = 'ROLLED_BACK' WHERE id = ?", [row.id]);
+    removed.push({ row_number: row.source_row, patient_code: row.patient_code });
+  }
+
+  await query(
+    `UPDATE patient_imports
+     SET status = 'ROLLED_BACK', rolled_back_by = ?, rolled_back_at = NOW()
+     WHERE id = ?`,
+    [rolledBackBy, importRecord.id]
+  );
+
+  return { removed, kept };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  detectColumnMap,
+  createImport,
+  getImport,
+  listImports,
+  commitImport,
+  rollbackImport
+};
@@ -0,0 +1,176 @@
+const { query } = require('../config/database');
+
+const PATIENT_STATUSES = ['CONSULTATION', 'ACTIVE', 'MAINTENANCE', 'COMPLETED'];
+
+// Allowed moves out of each status, who may make them, and whether a reason is required.
+// Moves back to an earlier phase, and closing a consultation without treatment, need a reason.
+const STATUS_TRANSITIONS = {
+  CONSULTATION: {
+    ACTIVE: { roles: ['ORTHODONTIST'], reasonRequired: false },
+    COMPLETED: { roles: ['ORTHODONTIST', 'DENTAL_SURGEON'], reasonRequired: true }
+  },
+  ACTIVE: {
+    MAINTENANCE: { roles: ['ORTHODONTIST'], reasonRequired: false },
+    COMPLETED: { roles: ['ORTHODONTIST', 'DENTAL_SURGEON'], reasonRequired: false },
+    CONSULTATION: { roles: ['ORTHODONTIST'], reasonRequired: true }
+  },
+  MAINTENANCE: {
+    COMPLETED: { roles: ['ORTHODONTIST', 'DENTAL_SURGEON'], reasonRequired: false },
+    ACTIVE: { roles: ['ORTHODONTIST'], reasonRequired: true }
+  },
+  COMPLETED: {
+    ACTIVE: { roles: ['ORTHODONTIST'], reasonRequired: true },
+    MAINTENANCE: { roles: ['ORTHODONTIST'], reasonRequired: true }
+  }
+};
+
+// Lead times reported between the first entry into one phase and the next entry into another
+const LEAD_TIMES = [
+  { key: 'consultation_to_active', from: 'CONSULTATION', to: 'ACTIVE' },
+  { key: 'active_to_completed', from: 'ACTIVE', to: 'COMPLETED' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDateTime = (value) => new Date(String(value).replace(' ', 'T')).getTime();
+
+const roundDays = (days) => Math.round(Math.max(days, 0) * 10) / 10;
+
+// Returns { error, statusCode } when the move is not allowed, or {} when it is
+const checkStatusTransition = ({ fromStatus, toStatus, role, reason }) => {
+  const transition = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+  if (!transition) {
+    return { error: `A patient cannot move from ${fromStatus} to ${toStatus}`, statusCode: 400 };
+  }
+  if (!transition.roles.includes(role)) {
+    return { error: `Your role cannot move a patient from ${fromStatus} to ${toStatus}`, statusCode: 403 };
+  }
+  if (transition.reasonRequired && !String(reason || '').trim()) {
+    return { error: `A reason is required to move a patient from ${fromStatus} to ${toStatus}`, statusCode: 400 };
+  }
+  return {};
+};
+
+// Moves the given role can make from a status
+const allowedTransitionsFor = (fromStatus, role) =>
+  Object.entries(STATUS_TRANSITIONS[fromStatus] || {})
+    .filter(([, transition]) => transition.roles.includes(role))
+    .map(([status, transition]) => ({ status, reason_required: transition.reasonRequired }));
+
+const recordStatusChange = async ({ patientId, fromStatus, toStatus, reason, changedBy, connection = null }) => {
+  const sql = 'INSERT INTO patient_status_history (patient_id, from_status, to_status, reason, changed_by) VALUES (?, ?, ?, ?, ?)';
+  const params = [patientId, fromStatus, toStatus, String(reason || '').trim() || null, changedBy];
+  if (connection) {
+    await connection.execute(sql, params);
+    return;
+  }
+  await query(sql, params);
+};
+
+// First history row for a new patient, dated from its registration. Pass the
+// transaction's connection when the patient was created inside one.
+const recordInitialStatus = async (patientId, changedBy, connection = null) => {
+  const sql = `
+    INSERT INTO patient_status_history (patient_id, from_status, to_status, changed_by, changed_at)
+    SELECT id, NULL, status, ?, created_at FROM patients WHERE id = ?
+  `;
+  if (connection) {
+    await connection.execute(sql, [changedBy, patientId]);
+    return;
+  }
+  await query(sql, [changedBy, patientId]);
+};
+
+// Oldest first, each row with the days spent in its status before the next change
+const getStatusTimeline = async (patientId) => {
+  const rows = await query(
+    `SELECT h.id, h.from_status, h.to_status, h.reason, h.changed_at, h.changed_by, u.name AS changed_by_name
+     FROM patient_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.patient_id = ?
+     ORDER BY h.changed_at ASC, h.id ASC`,
+    [patientId]
+  );
+  const now = Date.now();
+  return rows.map((row, index) => {
+    const next = rows[index + 1];
+    const endedAt = next ? parseDateTime(next.changed_at) : now;
+    return {
+      ...row,
+      ended_at: next ? next.changed_at : null,
+      days_in_status: roundDays((endedAt - parseDateTime(row.changed_at)) / DAY_MS)
+    };
+  });
+};
+
+const summarizeDays = (values) => {
+  if (values.length === 0) {
+    return { count: 0, average_days: null, median_days: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return {
+    count: values.length,
+    average_days: roundDays(values.reduce((sum, value) => sum + value, 0) / values.length),
+    median_days: roundDays(median)
+  };
+};
+
+// Time spent in each phase and the lead times between phases, over every patient's history.
+// Only stints and lead times that started between from and to (inclusive, optional) count.
+const summarizePhaseDurations = (rows, { from = null, to = null, now = Date.now() } = {}) => {
+  const fromMs = from ? parseDateTime(from) : null;
+  const toMs = to ? parseDateTime(to) : null;
+  const inRange = (ms) => (fromMs === null || ms >= fromMs) && (toMs === null || ms <= toMs);
+
+  const completedStints = Object.fromEntries(PATIENT_STATUSES.map((status) => [status, []]));
+  const ongoingStints = Object.fromEntries(PATIENT_STATUSES.map((status) => [status, []]));
+  const leadTimes = Object.fromEntries(LEAD_TIMES.map(({ key }) => [key, []]));
+
+  const byPatient = new Map();
+  for (const row of rows) {
+    if (!byPatient.has(row.patient_id)) byPatient.set(row.patient_id, []);
+    byPatient.get(row.patient_id).push({ status: row.to_status, at: parseDateTime(row.changed_at) });
+  }
+
+  for (const entries of byPatient.values()) {
+    entries.forEach((entry, index) => {
+      if (!inRange(entry.at)) return;
+      const next = entries[index + 1];
+      const days = ((next ? next.at : now) - entry.at) / DAY_MS;
+      (next ? completedStints : ongoingStints)[entry.status].push(days);
+    });
+
+    for (const { key, from: fromStatus, to: toStatus } of LEAD_TIMES) {
+      const start = entries.findIndex((entry) => entry.status === fromStatus);
+      if (start === -1 || !inRange(entries[start].at)) continue;
+      const end = entries.slice(start + 1).find((entry) => entry.status === toStatus);
+      if (end) leadTimes[key].push((end.at - entries[start].at) / DAY_MS);
+    }
+  }
+
+  return {
+    phases: PATIENT_STATUSES.map((status) => ({
+      status,
+      completed: summarizeDays(completedStints[status]),
+      ongoing: summarizeDays(ongoingStints[status])
+    })),
+    lead_times: LEAD_TIMES.map(({ key, from: fromStatus, to: toStatus }) => ({
+      key,
+      from_status: fromStatus,
+      to_status: toStatus,
+      ...summarizeDays(leadTimes[key])
+    }))
+  };
+};
+
+module.exports = {
+  PATIENT_STATUSES,
+  checkStatusTransition,
+  allowedTransitionsFor,
+  recordStatusChange,
+  recordInitialStatus,
+  getStatusTimeline,
+  summarizePhaseDurations
+};
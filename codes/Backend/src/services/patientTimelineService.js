@@ -0,0 +1,180 @@
+const { query } = require('../config/database');
+const { OBJECT_TYPES, PERMISSIONS, hasInstanceAccess } = require('../middleware/accessControl');
+
+// Each source selects the same columns so any subset can be merged with UNION ALL:
+// item_type, item_id, occurred_at, title, summary, status, actor_name, actor_role.
+// The object type is the one the source's own endpoints check for reads.
+const TIMELINE_SOURCES = [
+  {
+    type: 'VISIT',
+    objectType: OBJECT_TYPES.PATIENT_APPOINTMENTS,
+    sql: `
+      SELECT 'VISIT' AS item_type, v.id AS item_id, v.visit_date AS occurred_at,
+        COALESCE(NULLIF(v.procedure_type, ''), 'Visit') AS title, LEFT(v.notes, 300) AS summary,
+        v.status AS status, u.name AS actor_name, u.role AS actor_role
+      FROM visits v
+      LEFT JOIN users u ON u.id = v.provider_id
+      WHERE v.patient_id = ?`
+  },
+  {
+    type: 'CLINICAL_NOTE',
+    objectType: OBJECT_TYPES.PATIENT_NOTES,
+    sql: `
+      SELECT 'CLINICAL_NOTE' AS item_type, cn.id AS item_id, cn.created_at AS occurred_at,
+        CONCAT(REPLACE(cn.note_type, '_', ' '), ' note') AS title, LEFT(cn.content, 300) AS summary,
+        IF(cn.is_verified, 'VERIFIED', 'UNVERIFIED') AS status, u.name AS actor_name, u.role AS actor_role
+      FROM clinical_notes cn
+      LEFT JOIN users u ON u.id = cn.author_id
+      WHERE cn.patient_id = ? AND cn.deleted_at IS NULL`
+  },
+  {
+    type: 'DOCUMENT',
+    objectType: OBJECT_TYPES.PATIENT_RADIOGRAPHS,
+    sql: `
+      SELECT 'DOCUMENT' AS item_type, md.id AS item_id, md.created_at AS occurred_at,
+        md.original_filename AS title, LEFT(md.description, 300) AS summary, md.type AS status,
+        u.name AS actor_name, u.role AS actor_role
+      FROM medical_documents md
+      LEFT JOIN users u ON u.id = md.uploaded_by
+      WHERE md.patient_id = ? AND md.deleted_at IS NULL`
+  },
+  {
+    type: 'CHART_VERSION',
+    objectType: OBJECT_TYPES.PATIENT_MEDICAL,
+    sql: `
+      SELECT 'CHART_VERSION' AS item_type, dcv.id AS item_id, dcv.created_at AS occurred_at,
+        dcv.version_label AS title, CONCAT(dcv.entry_count, ' charted teeth') AS summary, NULL AS status,
+        u.name AS actor_name, u.role AS actor_role
+      FROM dental_chart_versions dcv
+      LEFT JOIN users u ON u.id = dcv.annotated_by
+      WHERE dcv.patient_id = ? AND dcv.deleted_at IS NULL`
+  },
+  {
+    type: 'PAYMENT',
+    objectType: OBJECT_TYPES.PATIENT_PAYMENTS,
+    sql: `
+      SELECT 'PAYMENT' AS item_type, pr.id AS item_id, pr.payment_date AS occurred_at,
+        CONCAT(pr.currency, ' ', pr.amount, ' by ', LOWER(REPLACE(pr.payment_method, '_', ' '))) AS title,
+        LEFT(pr.notes, 300) AS summary, pr.status AS status, u.name AS actor_name, u.role AS actor_role
+      FROM payment_records pr
+      LEFT JOIN users u ON u.id = pr.created_by
+      WHERE pr.patient_id = ? AND pr.deleted_at IS NULL`
+  },
+  {
+    type: 'MATERIAL',
+    objectType: OBJECT_TYPES.PATIENT_MATERIALS,
+    sql: `
+      SELECT 'MATERIAL' AS item_type, pmu.id AS item_id, pmu.used_at AS occurred_at,
+        CONCAT(pmu.quantity, ' x ', ii.name) AS title, COALESCE(pmu.purpose, LEFT(pmu.notes, 300)) AS summary,
+        NULL AS status, u.name AS actor_name, u.role AS actor_role
+      FROM patient_material_usages pmu
+      JOIN inventory_items ii ON ii.id = pmu.inventory_item_id
+      LEFT JOIN users u ON u.id = pmu.created_by
+      WHERE pmu.patient_id = ? AND pmu.deleted_at IS NULL`
+  },
+  {
+    type: 'CASE_PROGRESS',
+    objectType: OBJECT_TYPES.PATIENT_TREATMENT,
+    sql: `
+      SELECT 'CASE_PROGRESS' AS item_type, cpl.id AS item_id, cpl.created_at AS occurred_at,
+        cpl.title AS title, LEFT(cpl.entry_text, 300) AS summary, cpl.status_to AS status,
+        u.name AS actor_name, cpl.actor_role AS actor_role
+      FROM case_progress_logs cpl
+      LEFT JOIN users u ON u.id = cpl.actor_id
+      WHERE cpl.patient_id = ?`
+  },
+  {
+    type: 'ASSIGNMENT',
+    objectType: OBJECT_TYPES.PATIENT_GENERAL,
+    // One row when the member joined the care team, and one when an inactive assignment ended
+    sql: `
+      SELECT 'ASSIGNMENT' AS item_type, pa.id AS item_id, pa.created_at AS occurred_at,
+        CONCAT(member.name, ' assigned as ', LOWER(REPLACE(pa.assignment_role, '_', ' '))) AS title, NULL AS summary,
+        'ASSIGNED' AS status, u.name AS actor_name, u.role AS actor_role
+      FROM patient_assignments pa
+      JOIN users member ON member.id = pa.user_id
+      LEFT JOIN users u ON u.id = pa.assigned_by
+      WHERE pa.patient_id = ?
+      UNION ALL
+      SELECT 'ASSIGNMENT' AS item_type, pa.id AS item_id, pa.updated_at AS occurred_at,
+        CONCAT(member.name, ' removed as ', LOWER(REPLACE(pa.assignment_role, '_', ' '))) AS title, NULL AS summary,
+        'REMOVED' AS status, NULL AS actor_name, NULL AS actor_role
+      FROM patient_assignments pa
+      JOIN users member ON member.id = pa.user_id
+      WHERE pa.patient_id = ? AND pa.active = FALSE`,
+    placeholders: 2
+  },
+  {
+    type: 'STATUS_CHANGE',
+    objectType: OBJECT_TYPES.PATIENT_GENERAL,
+    sql: `
+      SELECT 'STATUS_CHANGE' AS item_type, h.id AS item_id, h.changed_at AS occurred_at,
+        IF(h.from_status IS NULL, CONCAT('Registered as ', h.to_status), CONCAT(h.from_status, ' to ', h.to_status)) AS title,
+        h.reason AS summary, h.to_status AS status, u.name AS actor_name, u.role AS actor_role
+      FROM patient_status_history h
+      LEFT JOIN users u ON u.id = h.changed_by
+      WHERE h.patient_id = ?`
+  }
+];
+
+const TIMELINE_TYPES = TIMELINE_SOURCES.map((source) => source.type);
+
+// Item types the user may read for this patient, checked per object type like the source endpoints
+const getReadableTimelineTypes = async (user, patientId) => {
+  const accessByObjectType = new Map();
+  for (const source of TIMELINE_SOURCES) {
+    if (!accessByObjectType.has(source.objectType)) {
+      accessByObjectType.set(
+        source.objectType,
+        await hasInstanceAccess(user, patientId, source.objectType, PERMISSIONS.READ)
+      );
+    }
+  }
+  return TIMELINE_SOURCES
+    .filter((source) => accessByObjectType.get(source.objectType))
+    .map((source) => source.type);
+};
+
+// Newest first. from and to are 'YYYY-MM-DD HH:MM:SS' strings or null.
+const listTimelineItems = async ({ patientId, types, from = null, to = null, page = 1, limit = 20 }) => {
+  const sources = TIMELINE_SOURCES.filter((source) => types.includes(source.type));
+  if (sources.length === 0) {
+    return { items: [], total: 0 };
+  }
+
+  const unionSql = sources.map((source) => source.sql).join('\nUNION ALL\n');
+  const unionParams = sources.flatMap((source) => Array(source.placeholders || 1).fill(patientId));
+
+  const conditions = [];
+  const rangeParams = [];
+  if (from) {
+    conditions.push('t.occurred_at >= ?');
+    rangeParams.push(from);
+  }
+  if (to) {
+    conditions.push('t.occurred_at <= ?');
+    rangeParams.push(to);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [{ total }] = await query(
+    `SELECT COUNT(*) AS total FROM (${unionSql}) t ${whereClause}`,
+    [...unionParams, ...rangeParams]
+  );
+
+  const items = await query(
+    `SELECT t.* FROM (${unionSql}) t
+     ${whereClause}
+     ORDER BY t.occurred_at DESC, t.item_type ASC, t.item_id DESC
+     LIMIT ? OFFSET ?`,
+    [...unionParams, ...rangeParams, limit, (page - 1) * limit]
+  );
+
+  return { items, total: Number(total) };
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  getReadableTimelineTypes,
+  listTimelineItems
+};
@@ -0,0 +1,173 @@
+const { query, transaction } = require('../config/database');
+const {
+  PERMISSIONS,
+  OBJECT_TYPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  setPermissionMatrix,
+  refreshPermissionMatrix
+} = require('../middleware/accessControl');
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+const PERMISSION_ORDER = Object.values(PERMISSIONS);
+
+// Administrators must always be able to manage accounts, or nobody could undo a bad edit
+const REQUIRED_ADMIN_USER_ACCOUNTS = [PERMISSIONS.CREATE, PERMISSIONS.READ, PERMISSIONS.UPDATE, PERMISSIONS.DELETE];
+
+const parseMatrix = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Every role and object type present, permissions de-duplicated and in CRUDA order
+const normalizeMatrix = (input) => {
+  const matrix = {};
+  const errors = [];
+
+  for (const role of Object.keys(input || {})) {
+    if (!ROLES.includes(role)) {
+      errors.push(`Unknown role ${role}`);
+    }
+  }
+
+  for (const role of ROLES) {
+    const rolePermissions = input?.[role];
+    if (!rolePermissions) {
+      errors.push(`Permissions for ${role} are missing`);
+      continue;
+    }
+
+    matrix[role] = {};
+    for (const [objectType, requested] of Object.entries(rolePermissions)) {
+      if (!Object.values(OBJECT_TYPES).includes(objectType)) {
+        errors.push(`Unknown object type ${objectType}`);
+      }
+      for (const permission of requested || []) {
+        if (!PERMISSION_ORDER.includes(permission)) {
+          errors.push(`Unknown permission ${permission} on ${objectType}`);
+        }
+      }
+    }
+    for (const objectType of Object.values(OBJECT_TYPES)) {
+      const requested = new Set(rolePermissions[objectType] || []);
+      matrix[role][objectType] = PERMISSION_ORDER.filter((permission) => requested.has(permission));
+    }
+  }
+
+  const adminAccounts = matrix.ADMIN?.[OBJECT_TYPES.USER_ACCOUNTS] || [];
+  if (matrix.ADMIN && !REQUIRED_ADMIN_USER_ACCOUNTS.every((permission) => adminAccounts.includes(permission))) {
+    errors.push(`ADMIN must keep ${REQUIRED_ADMIN_USER_ACCOUNTS.join(', ')} on ${OBJECT_TYPES.USER_ACCOUNTS}`);
+  }
+
+  return { matrix, errors };
+};
+
+const diffMatrices = (before, after) => {
+  const changes = [];
+  for (const role of ROLES) {
+    for (const objectType of Object.values(OBJECT_TYPES)) {
+      const previous = before?.[role]?.[objectType] || [];
+      const next = after?.[role]?.[objectType] || [];
+      const added = next.filter((permission) => !previous.includes(permission));
+      const removed = previous.filter((permission) => !next.includes(permission));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ role, object_type: objectType, added, removed });
+      }
+    }
+  }
+  return changes;
+};
+
+// Seeds version 1 from the built-in matrix on first start, then loads the live version
+const initializePermissionMatrix = async () => {
+  const rows = await query('SELECT COUNT(*) AS count FROM permission_matrix_versions');
+  if (Number(rows[0].count) === 0) {
+    await query(
+      'INSERT IGNORE INTO permission_matrix_versions (version, matrix, note) VALUES (1, ?, ?)',
+      [JSON.stringify(normalizeMatrix(DEFAULT_ROLE_PERMISSIONS).matrix), 'Initial matrix from the project specification']
+    );
+  }
+  await refreshPermissionMatrix({ force: true });
+};
+
+const formatVersion = (row) => ({
+  version: row.version,
+  matrix: parseMatrix(row.matrix),
+  note: row.note,
+  changed_by: row.changed_by,
+  changed_by_name: row.changed_by_name || null,
+  created_at: row.created_at
+});
+
+const VERSION_SELECT = `
+  SELECT pmv.version, pmv.matrix, pmv.note, pmv.changed_by, pmv.created_at, u.name AS changed_by_name
+  FROM permission_matrix_versions pmv
+  LEFT JOIN users u ON u.id = pmv.changed_by
+`;
+
+const getCurrentVersion = async () => {
+  const rows = await query(`${VERSION_SELECT} ORDER BY pmv.version DESC LIMIT 1`);
+  if (rows.length === 0) {
+    return {
+      version: 0,
+      matrix: normalizeMatrix(DEFAULT_ROLE_PERMISSIONS).matrix,
+      note: null,
+      changed_by: null,
+      changed_by_name: null,
+      created_at: null
+    };
+  }
+  return formatVersion(rows[0]);
+};
+
+const getVersion = async (version) => {
+  const rows = await query(`${VERSION_SELECT} WHERE pmv.version = ? LIMIT 1`, [version]);
+  return rows[0] ? formatVersion(rows[0]) : null;
+};
+
+// Newest first, each with the cells it changed relative to the version before it
+const listVersions = async (limit = 50) => {
+  const rows = await query(`${VERSION_SELECT} ORDER BY pmv.version DESC LIMIT ?`, [limit + 1]);
+  const versions = rows.map(formatVersion);
+
+  return versions.slice(0, limit).map((entry, index) => {
+    const previous = versions[index + 1];
+    const { matrix, ...summary } = entry;
+    return {
+      ...summary,
+      changes: diffMatrices(previous ? previous.matrix : DEFAULT_ROLE_PERMISSIONS, matrix)
+    };
+  });
+};
+
+// Saves a new version unless someone else saved since baseVersion was read
+const saveMatrix = async ({ matrix, note = null, changedBy, baseVersion }) => {
+  const result = await transaction(async (connection) => {
+    const [rows] = await connection.execute(
+      'SELECT version FROM permission_matrix_versions ORDER BY version DESC LIMIT 1 FOR UPDATE'
+    );
+    const currentVersion = rows[0] ? rows[0].version : 0;
+    if (currentVersion !== Number(baseVersion)) {
+      return { conflict: true, version: currentVersion };
+    }
+
+    const version = currentVersion + 1;
+    await connection.execute(
+      'INSERT INTO permission_matrix_versions (version, matrix, note, changed_by) VALUES (?, ?, ?, ?)',
+      [version, JSON.stringify(matrix), note, changedBy]
+    );
+    return { conflict: false, version };
+  });
+
+  if (!result.conflict) {
+    setPermissionMatrix(matrix, result.version);
+  }
+  return result;
+};
+
+module.exports = {
+  ROLES,
+  normalizeMatrix,
+  diffMatrices,
+  initializePermissionMatrix,
+  getCurrentVersion,
+  getVersion,
+  listVersions,
+  saveMatrix
+};
@@ -1,6 +1,7 @@
 const { query } = require('../config/database');
 const { logAuditEvent } = require('../middleware/errorHandler');
 const { sendAppointmentReminderEmail } = require('./emailService');
+const { reminderEmailCondition, findReminderRecipient } = require('./guardianService');
 
 const AUTO_SCAN_INTERVAL_MS = Number(process.env.REMINDER_AUTO_SCAN_MS || 10000);
 const AUTO_WINDOW_HOURS = Number(process.env.REMINDER_AUTO_WINDOW_HOURS || 48);
@@ -57,13 +58,18 @@ const sendReminderJob = async ({ visit, initiatedBy, source }) => {
       [visit.id]
     );
     const current = latestRows[0];
-    if (!current || current.status !== 'SCHEDULED' || !current.patient_email || current.reminder_sent_at) {
+    if (!current || current.status !== 'SCHEDULED' || current.reminder_sent_at) {
+      return;
+    }
+    const recipient = await findReminderRecipient(current.patient_id, current.patient_email);
+    if (!recipient) {
       return;
     }
 
     const patientName = `${current.first_name} ${current.last_name}`;
     const result = await sendAppointmentReminderEmail({
-      to: current.patient_email,
+      to: recipient.email,
+      recipientName: recipient.name,
       patientName,
       visitDate: current.visit_date,
       procedureType: current.procedure_type
@@ -81,7 +87,8 @@ const sendReminderJob = async ({ visit, initiatedBy, source }) => {
     if (canAudit(initiatedBy)) {
       await logAuditEvent(initiatedBy, 'SEND_REMINDER', 'VISIT', current.id, null, {
         patient_id: current.patient_id,
-        email: current.patient_email,
+        email: recipient.email,
+        guardian_id: recipient.guardian_id,
         simulated: result.simulated,
         source
       });
@@ -101,14 +108,18 @@ const sendManualReminder = async ({ visitId, initiatedBy }) => {
   if (visit.status !== 'SCHEDULED') {
     return { ok: false, status: 400, message: 'Reminders can only be sent for scheduled appointments' };
   }
-  if (!visit.patient_email) return { ok: false, status: 400, message: 'Patient has no email on record' };
+  const recipient = await findReminderRecipient(visit.patient_id, visit.patient_email);
+  if (!recipient) {
+    return { ok: false, status: 400, message: 'Neither the patient nor a guardian who accepts email has an email on record' };
+  }
   if (visit.reminder_sent_at) {
     return { ok: true, sent: false, already_sent: true, visit };
   }
 
   const patientName = `${visit.first_name} ${visit.last_name}`;
   const result = await sendAppointmentReminderEmail({
-    to: visit.patient_email,
+    to: recipient.email,
+    recipientName: recipient.name,
     patientName,
     visitDate: visit.visit_date,
     procedureType: visit.procedure_type
@@ -126,7 +137,8 @@ const sendManualReminder = async ({ visitId, initiatedBy }) => {
   if (canAudit(initiatedBy)) {
     await logAuditEvent(initiatedBy, 'SEND_REMINDER', 'VISIT', visit.id, null, {
       patient_id: visit.patient_id,
-      email: visit.patient_email,
+      email: recipient.email,
+      guardian_id: recipient.guardian_id,
       simulated: result.simulated,
       source: 'MANUAL'
     });
@@ -152,8 +164,7 @@ const queueAutoReminders = async () => {
        WHERE v.status = 'SCHEDULED'
          AND v.reminder_sent_at IS NULL
          AND p.deleted_at IS NULL
-         AND p.email IS NOT NULL
-         AND TRIM(p.email) <> ''
+         AND ${reminderEmailCondition('p')}
          AND v.visit_date > NOW()
          AND v.visit_date <= DATE_ADD(NOW(), INTERVAL ? HOUR)
        ORDER BY v.visit_date ASC
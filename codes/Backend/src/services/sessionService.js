@@ -0,0 +1,84 @@
+const { query } = require('../config/database');
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+const getClientInfo = (req) => ({
+  ip_address: req.ip || req.connection?.remoteAddress || null,
+  user_agent: String(req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null
+});
+
+// Signed-in devices for a user, most recently used first
+const listActiveSessions = async (userId, currentSessionId = null) => {
+  const rows = await query(
+    `SELECT rt.session_id, rt.user_agent, rt.ip_address, rt.created_at, rt.last_used_at, rt.expires_at,
+            started.signed_in_at
+     FROM refresh_tokens rt
+     INNER JOIN (
+       SELECT session_id, MIN(created_at) AS signed_in_at
+       FROM refresh_tokens
+       WHERE user_id = ?
+         AND session_id IS NOT NULL
+       GROUP BY session_id
+     ) started ON started.session_id = rt.session_id
+     WHERE rt.user_id = ?
+       AND rt.is_revoked = FALSE
+       AND rt.expires_at > NOW()
+     ORDER BY COALESCE(rt.last_used_at, rt.created_at) DESC`,
+    [userId, userId]
+  );
+
+  return rows.map((row) => ({
+    id: row.session_id,
+    user_agent: row.user_agent,
+    ip_address: row.ip_address,
+    signed_in_at: row.signed_in_at || row.created_at,
+    last_used_at: row.last_used_at || row.created_at,
+    expires_at: row.expires_at,
+    current: Boolean(currentSessionId) && row.session_id === currentSessionId
+  }));
+};
+
+const isSessionActive = async (sessionId) => {
+  const rows = await query(
+    'SELECT id FROM refresh_tokens WHERE session_id = ? AND is_revoked = FALSE LIMIT 1',
+    [sessionId]
+  );
+  return rows.length > 0;
+};
+
+const revokeSession = async (userId, sessionId) => {
+  const result = await query(
+    'UPDATE refresh_tokens SET is_revoked = TRUE WHERE user_id = ? AND session_id = ? AND is_revoked = FALSE',
+    [userId, sessionId]
+  );
+  return result.affectedRows;
+};
+
+const revokeOtherSessions = async (userId, keepSessionId) => {
+  const result = await query(
+    `UPDATE refresh_tokens
+     SET is_revoked = TRUE
+     WHERE user_id = ?
+       AND is_revoked = FALSE
+       AND (session_id IS NULL OR session_id <> ?)`,
+    [userId, keepSessionId]
+  );
+  return result.affectedRows;
+};
+
+const revokeAllSessions = async (userId) => {
+  const result = await query(
+    'UPDATE refresh_tokens SET is_revoked = TRUE WHERE user_id = ? AND is_revoked = FALSE',
+    [userId]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  getClientInfo,
+  listActiveSessions,
+  isSessionActive,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions
+};
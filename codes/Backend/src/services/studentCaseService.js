@@ -1,4 +1,4 @@
-const { findOne, insert, query, update } = require('../config/database');
+const { findOne, query } = require('../config/database');
 
 const CASE_STATUSES = ['ASSIGNED', 'PENDING_VERIFICATION', 'VERIFIED', 'REJECTED'];
 const TASK_STATUSES = ['ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'REVIEWED'];
@@ -20,6 +20,25 @@ const toBoundedProgress = (value, fallback = null) => {
   return Math.min(100, Math.max(0, Math.round(numeric)));
 };
 
+// Runs on the transaction's connection when one is given, otherwise on the pool
+const runQuery = async (sql, params, connection = null) => {
+  if (!connection) {
+    return query(sql, params);
+  }
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const insertRow = async (table, data, connection = null) => {
+  const placeholders = Object.keys(data).map(() => '?').join(', ');
+  const result = await runQuery(
+    `INSERT INTO ${table} (${Object.keys(data).join(', ')}) VALUES (${placeholders})`,
+    Object.values(data),
+    connection
+  );
+  return result.insertId;
+};
+
 const logCaseEvent = async ({
   caseId,
   patientId,
@@ -33,9 +52,10 @@ const logCaseEvent = async ({
   recommendations = null,
   statusFrom = null,
   statusTo = null,
-  metadata = null
+  metadata = null,
+  connection = null
 }) => {
-  return insert('case_progress_logs', {
+  return insertRow('case_progress_logs', {
     case_id: Number(caseId),
     patient_id: Number(patientId),
     actor_id: Number(actorId),
@@ -49,7 +69,7 @@ const logCaseEvent = async ({
     status_from: statusFrom,
     status_to: statusTo,
     metadata: metadata ? JSON.stringify(metadata) : null
-  });
+  }, connection);
 };
 
 const ensureStudentCaseForAssignment = async ({
@@ -57,9 +77,10 @@ const ensureStudentCaseForAssignment = async ({
   studentId,
   supervisorId,
   supervisorRole = 'ORTHODONTIST',
-  assignedBy
+  assignedBy,
+  connection = null
 }) => {
-  const existing = await query(
+  const existing = await runQuery(
     `SELECT *
      FROM cases
      WHERE patient_id = ?
@@ -67,7 +88,8 @@ const ensureStudentCaseForAssignment = async ({
        AND supervisor_id = ?
      ORDER BY id DESC
      LIMIT 1`,
-    [patientId, studentId, supervisorId]
+    [patientId, studentId, supervisorId],
+    connection
   );
 
   if (existing.length) {
@@ -82,20 +104,21 @@ const ensureStudentCaseForAssignment = async ({
     }
 
     if (Object.keys(updates).length) {
-      await update('cases', updates, { id: activeCase.id });
+      const setClause = Object.keys(updates).map((key) => `${key} = ?`).join(', ');
+      await runQuery(`UPDATE cases SET ${setClause} WHERE id = ?`, [...Object.values(updates), activeCase.id], connection);
     }
 
     return { caseId: Number(activeCase.id), created: false };
   }
 
-  const caseId = await insert('cases', {
+  const caseId = await insertRow('cases', {
     patient_id: Number(patientId),
     student_id: Number(studentId),
     supervisor_id: Number(supervisorId),
     assigned_by: assignedBy ? Number(assignedBy) : null,
     status: 'ASSIGNED',
     progress_percentage: 0
-  });
+  }, connection);
 
   await logCaseEvent({
     caseId,
@@ -108,7 +131,8 @@ const ensureStudentCaseForAssignment = async ({
     metadata: {
       student_id: Number(studentId),
       supervisor_id: Number(supervisorId)
-    }
+    },
+    connection
   });
 
   return { caseId, created: true };
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { getStoredObjectStream } = require('./fileStorageService');
+const { canStripImageMetadata, stripImageMetadata } = require('../utils/imageMetadata');
+
+// Parts of a case a supervisor can put in a teaching package
+const TEACHING_SECTIONS = ['HISTORY', 'CHART_VERSIONS', 'RADIOGRAPHS', 'PROGRESS_NOTES'];
+
+const TEACHING_PACKAGE_FORMAT = 'orthoflow-teaching-package';
+const TEACHING_PACKAGE_FORMAT_VERSION = 1;
+
+// Dates move by the same number of days for every record of a patient, so intervals
+// between visits survive but real dates do not
+const MIN_DATE_SHIFT_DAYS = 30;
+const MAX_DATE_SHIFT_DAYS = 365;
+
+// History form fields that identify the patient, or the clinician who signed, rather than describe the case
+const IDENTIFYING_KEY_PARTS = new Set([
+  'name', 'address', 'phone', 'telephone', 'mobile', 'email', 'contact', 'signature',
+  'nic', 'birth', 'birthday', 'dob', 'province', 'guardian', 'parent'
+]);
+
+const getPseudonymSecret = () => {
+  const secret = process.env.TEACHING_PSEUDONYM_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TEACHING_PSEUDONYM_SECRET is not configured');
+  }
+  return secret;
+};
+
+const keyedHash = (purpose, patientId) =>
+  crypto.createHmac('sha256', getPseudonymSecret()).update(`${purpose}:${patientId}`).digest();
+
+// The same patient always gets the same pseudonym, so packages made at different times line up
+const getPatientPseudonym = (patientId) =>
+  `TC-${keyedHash('pseudonym', patientId).toString('hex').slice(0, 10).toUpperCase()}`;
+
+const getDateShiftDays = (patientId) => {
+  const hash = keyedHash('date-shift', patientId);
+  const days = MIN_DATE_SHIFT_DAYS + (hash.readUInt32BE(0) % (MAX_DATE_SHIFT_DAYS - MIN_DATE_SHIFT_DAYS + 1));
+  return hash[4] % 2 === 0 ? days : -days;
+};
+
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})(?=\b|T)/g;
+
+// Shifts every YYYY-MM-DD inside the value and leaves any time of day alone
+const shiftDates = (value, shiftDays) => {
+  if (value === null || value === undefined) return value;
+  return String(value).replace(ISO_DATE_PATTERN, (match, year, month, day) => {
+    const shifted = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) + shiftDays));
+    return Number.isNaN(shifted.getTime()) ? match : shifted.toISOString().slice(0, 10);
+  });
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const OTHER_DATE_PATTERNS = [
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g,
+  /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?,?\s+\d{4}\b/gi,
+  /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}\b/gi
+];
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const TITLED_NAME_PATTERN = /\b(?:Mr|Mrs|Ms|Miss|Master|Dr|Prof|Rev)\.?\s+[A-Z][\w'-]*(?:\s+[A-Z][\w'-]*){0,2}/g;
+const STREET_PATTERN = /\b(?:No\.?\s*)?\d+[A-Za-z]?(?:\/\d+)?,?\s+(?:[A-Z][a-zA-Z]+\s+){0,3}(?:Road|Rd|Street|St|Lane|Ln|Mawatha|Avenue|Ave|Place|Pl|Gardens|Terrace)\b\.?/g;
+const PHONE_CANDIDATE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/g;
+
+// Runs of two-digit numbers are tooth lists ("extract 14 24 34 44"), not phone numbers
+const looksLikePhone = (candidate) => {
+  const digits = candidate.replace(/\D/g, '');
+  const groups = candidate.split(/[\s().-]+/).filter(Boolean);
+  return digits.length >= 9 && groups.some((group) => group.replace(/\D/g, '').length > 2);
+};
+
+// Everything written about the patient that could be found in free text: names of the
+// patient, guardians and staff, contact details, the address and the patient code.
+const buildIdentifierList = ({ patient, guardians, staffNames, pseudonym }) => {
+  const identifiers = [];
+  const add = (value, replacement, { splitWords = false, minLength = 3 } = {}) => {
+    const text = String(value || '').trim();
+    if (!text) return;
+    if (text.length >= minLength) identifiers.push({ text, replacement });
+    if (splitWords) {
+      text.split(/\s+/).filter((word) => word.length >= 3).forEach((word) => identifiers.push({ text: word, replacement }));
+    }
+  };
+
+  add(patient.patient_code, pseudonym, { minLength: 1 });
+  add(`${patient.first_name} ${patient.last_name}`, '[NAME]', { splitWords: true });
+  add(patient.emergency_contact_name, '[NAME]', { splitWords: true });
+  [patient.phone, patient.emergency_contact_phone].forEach((phone) => add(phone, '[PHONE]'));
+  add(patient.email, '[EMAIL]');
+  add(patient.address, '[ADDRESS]');
+  String(patient.address || '').split(/[,\n]/).forEach((part) => add(part, '[ADDRESS]', { minLength: 4 }));
+
+  for (const guardian of guardians) {
+    add(guardian.full_name, '[NAME]', { splitWords: true });
+    add(guardian.phone, '[PHONE]');
+    add(guardian.email, '[EMAIL]');
+    add(guardian.address, '[ADDRESS]');
+  }
+  staffNames.forEach((name) => add(name, '[NAME]', { splitWords: true }));
+
+  // Longest first, so a full name is replaced before its parts
+  return identifiers
+    .filter((identifier) => !/^\d{1,3}$/.test(identifier.text))
+    .sort((a, b) => b.text.length - a.text.length);
+};
+
+const createTextRedactor = ({ identifiers, shiftDays }) => {
+  const identifierPatterns = identifiers.map(({ text, replacement }) => ({
+    pattern: new RegExp(`(?<![\\w])${escapeRegExp(text)}(?![\\w])`, 'gi'),
+    replacement
+  }));
+
+  return (value) => {
+    if (value === null || value === undefined || value === '') return value ?? null;
+    // ISO dates are shifted, and held aside so the phone pattern cannot take them for numbers
+    const heldDates = [];
+    let text = shiftDates(value, shiftDays).replace(ISO_DATE_PATTERN, (match) => {
+      heldDates.push(match);
+      return `\u0000${heldDates.length - 1}\u0000`;
+    });
+
+    for (const { pattern, replacement } of identifierPatterns) {
+      text = text.replace(pattern, replacement);
+    }
+    text = text
+      .replace(EMAIL_PATTERN, '[EMAIL]')
+      .replace(TITLED_NAME_PATTERN, '[NAME]')
+      .replace(STREET_PATTERN, '[ADDRESS]');
+    OTHER_DATE_PATTERNS.forEach((pattern) => {
+      text = text.replace(pattern, '[DATE]');
+    });
+    text = text.replace(PHONE_CANDIDATE_PATTERN, (match) => (looksLikePhone(match) ? '[PHONE]' : match));
+
+    return text.replace(/\u0000(\d+)\u0000/g, (_, index) => heldDates[Number(index)]);
+  };
+};
+
+const isIdentifyingKey = (key) =>
+  String(key).toLowerCase().split(/[^a-z]+/).some((part) => IDENTIFYING_KEY_PARTS.has(part));
+
+// History form answers with identifying fields dropped and every text value redacted
+const anonymizeFormData = (value, redactText) => {
+  if (Array.isArray(value)) {
+    return value.map((entry) => anonymizeFormData(entry, redactText));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !isIdentifyingKey(key))
+        .map(([key, entry]) => [key, anonymizeFormData(entry, redactText)])
+    );
+  }
+  return typeof value === 'string' ? redactText(value) : value;
+};
+
+const parseJson = (value, fallback) => {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return fallback;
+  }
+};
+
+const getAgeYears = (dateOfBirth) => {
+  const birth = new Date(`${String(dateOfBirth).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(birth.getTime())) return null;
+  const now = new Date();
+  const age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const birthdayPassed = now.getUTCMonth() > birth.getUTCMonth()
+    || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() >= birth.getUTCDate());
+  return birthdayPassed ? age : age - 1;
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const loadSourceRecords = async (patientId, sections) => {
+  const wants = (section) => sections.includes(section);
+  const [guardians, staff, histories, chartVersions, notes, progressLogs, radiographs] = await Promise.all([
+    query('SELECT full_name, phone, email, address FROM patient_guardians WHERE patient_id = ?', [patientId]),
+    // Staff who wrote about or treated the patient, whose names may appear in notes
+    query(
+      `SELECT DISTINCT u.name FROM users u
+       WHERE u.id IN (SELECT user_id FROM patient_assignments WHERE patient_id = ?)
+          OR u.id IN (SELECT author_id FROM clinical_notes WHERE patient_id = ?)
+          OR u.id IN (SELECT actor_id FROM case_progress_logs WHERE patient_id = ?)
+          OR u.id IN (SELECT provider_id FROM visits WHERE patient_id = ?)`,
+      [patientId, patientId, patientId, patientId]
+    ),
+    wants('HISTORY') ? query('SELECT form_data FROM patient_histories WHERE patient_id = ? LIMIT 1', [patientId]) : [],
+    wants('CHART_VERSIONS')
+      ? query(
+        `SELECT version_label, snapshot_data, entry_count, created_at FROM dental_chart_versions
+         WHERE patient_id = ? AND deleted_at IS NULL
+         ORDER BY created_at ASC, id ASC`,
+        [patientId]
+      )
+      : [],
+    wants('PROGRESS_NOTES')
+      ? query(
+        `SELECT cn.note_type, cn.content, cn.plan_procedure, cn.planned_for, cn.executed_at, cn.execution_status,
+                cn.outcome_notes, cn.is_verified, cn.created_at, author.role AS author_role
+         FROM clinical_notes cn
+         LEFT JOIN users author ON author.id = cn.author_id
+         WHERE cn.patient_id = ? AND cn.deleted_at IS NULL
+         ORDER BY cn.created_at ASC, cn.id ASC`,
+        [patientId]
+      )
+      : [],
+    wants('PROGRESS_NOTES')
+      ? query(
+        `SELECT log_type, actor_role, title, entry_text, progress_percentage, evaluation, recommendations, created_at
+         FROM case_progress_logs
+         WHERE patient_id = ? AND log_type IN ('STUDENT_PROGRESS', 'SUPERVISOR_REVIEW')
+         ORDER BY created_at ASC, id ASC`,
+        [patientId]
+      )
+      : [],
+    wants('RADIOGRAPHS')
+      ? query(
+        `SELECT * FROM medical_documents
+         WHERE patient_id = ? AND type = 'RADIOGRAPH' AND deleted_at IS NULL
+         ORDER BY created_at ASC, id ASC`,
+        [patientId]
+      )
+      : []
+  ]);
+
+  return {
+    guardians,
+    staffNames: staff.map((row) => row.name),
+    history: histories[0] ? parseJson(histories[0].form_data, null) : null,
+    chartVersions,
+    notes,
+    progressLogs,
+    radiographs
+  };
+};
+
+// Builds the anonymised case and its cleaned images for a patient. The caller checks consent.
+// Returns { caseData, images: [{ path, buffer, mimeType }], skipped }.
+const buildTeachingCase = async ({ patient, title, description, sections }) => {
+  const pseudonym = getPatientPseudonym(patient.id);
+  const shiftDays = getDateShiftDays(patient.id);
+  const records = await loadSourceRecords(patient.id, sections);
+  const redactText = createTextRedactor({
+    identifiers: buildIdentifierList({ patient, guardians: records.guardians, staffNames: records.staffNames, pseudonym }),
+    shiftDays
+  });
+  const shift = (value) => (value ? shiftDates(value, shiftDays) : null);
+
+  const images = [];
+  const skipped = [];
+  const imageEntries = [];
+  for (const document of records.radiographs) {
+    if (!canStripImageMetadata(document.mime_type)) {
+      skipped.push({ type: document.type, reason: 'Only JPEG and PNG images can be cleaned of metadata' });
+      continue;
+    }
+    try {
+      const buffer = stripImageMetadata(await streamToBuffer(await getStoredObjectStream(document)), document.mime_type);
+      const extension = document.mime_type.toLowerCase() === 'image/png' ? 'png' : 'jpg';
+      const imagePath = `images/${String(images.length + 1).padStart(3, '0')}.${extension}`;
+      images.push({ path: imagePath, buffer, mimeType: document.mime_type.toLowerCase() === 'image/png' ? 'image/png' : 'image/jpeg' });
+      imageEntries.push({
+        path: imagePath,
+        type: document.type,
+        mime_type: images[images.length - 1].mimeType,
+        taken_at: shift(document.created_at),
+        description: redactText(document.description)
+      });
+    } catch (error) {
+      skipped.push({ type: document.type, reason: error.code === 'ENOENT' ? 'File not found in storage' : error.message });
+    }
+  }
+
+  const progressNotes = [
+    ...records.notes.map((note) => ({
+      source: 'CLINICAL_NOTE',
+      note_type: note.note_type,
+      author_role: note.author_role || null,
+      written_at: shift(note.created_at),
+      title: null,
+      text: redactText(note.content),
+      plan_procedure: redactText(note.plan_procedure),
+      planned_for: shift(note.planned_for),
+      executed_at: shift(note.executed_at),
+      execution_status: note.execution_status || null,
+      outcome_notes: redactText(note.outcome_notes),
+      verified: Boolean(note.is_verified)
+    })),
+    ...records.progressLogs.map((log) => ({
+      source: 'CASE_PROGRESS',
+      note_type: log.log_type,
+      author_role: log.actor_role,
+      written_at: shift(log.created_at),
+      title: redactText(log.title),
+      text: redactText(log.entry_text),
+      progress_percentage: log.progress_percentage,
+      evaluation: redactText(log.evaluation),
+      recommendations: redactText(log.recommendations)
+    }))
+  ].sort((a, b) => String(a.written_at).localeCompare(String(b.written_at)));
+
+  const caseData = {
+    format: TEACHING_PACKAGE_FORMAT,
+    format_version: TEACHING_PACKAGE_FORMAT_VERSION,
+    pseudonym,
+    title: redactText(title),
+    description: redactText(description || null),
+    patient: {
+      gender: patient.gender,
+      age_years: getAgeYears(patient.date_of_birth)
+    },
+    sections,
+    history: sections.includes('HISTORY') && records.history ? anonymizeFormData(records.history, redactText) : null,
+    chart_versions: records.chartVersions.map((version) => ({
+      label: redactText(version.version_label),
+      created_at: shift(version.created_at),
+      entries: parseJson(version.snapshot_data, []).map((entry) => ({
+        tooth_code: entry.tooth_code ?? entry.tooth_number,
+        dentition: entry.dentition || null,
+        notation_x: entry.notation_x ?? null,
+        notation_y: entry.notation_y ?? null,
+        status: entry.status,
+        is_pathology: Boolean(entry.is_pathology),
+        is_planned: Boolean(entry.is_planned),
+        is_treated: Boolean(entry.is_treated),
+        is_missing: Boolean(entry.is_missing),
+        pathology: redactText(entry.pathology),
+        treatment: redactText(entry.treatment),
+        event_date: shift(entry.event_date)
+      }))
+    })),
+    progress_notes: progressNotes,
+    images: imageEntries
+  };
+
+  return { caseData, images, skipped };
+};
+
+module.exports = {
+  TEACHING_SECTIONS,
+  TEACHING_PACKAGE_FORMAT,
+  TEACHING_PACKAGE_FORMAT_VERSION,
+  getPatientPseudonym,
+  getDateShiftDays,
+  shiftDates,
+  createTextRedactor,
+  buildIdentifierList,
+  anonymizeFormData,
+  buildTeachingCase
+};
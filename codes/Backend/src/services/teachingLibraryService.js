@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { query, insert } = require('../config/database');
+const {
+  isObjectStorageEnabled,
+  buildTeachingObjectKey,
+  uploadLocalFileToObjectStorage,
+  getStoredObjectStream,
+  deleteStoredObject,
+  cleanupLocalFile
+} = require('./fileStorageService');
+const {
+  TEACHING_SECTIONS,
+  TEACHING_PACKAGE_FORMAT,
+  TEACHING_PACKAGE_FORMAT_VERSION
+} = require('./teachingAnonymizationService');
+const { createZipWriter } = require('../utils/zipWriter');
+const { readZipEntries } = require('../utils/zipReader');
+const { SUPPORTED_IMAGE_MIME_TYPES, stripImageMetadata } = require('../utils/imageMetadata');
+
+// Largest file a package entry may unpack to
+const MAX_PACKAGE_ENTRY_BYTES = 50 * 1024 * 1024;
+
+const IMAGE_PATH_PATTERN = /^images\/[A-Za-z0-9._-]+\.(jpg|png)$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+
+const getTeachingDir = () => path.join(process.env.UPLOAD_DIR || './src/uploads', 'teaching');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const serializeCase = (caseData) => JSON.stringify(caseData, null, 2);
+
+const parseJsonColumn = (value) => {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+};
+
+// Writes case.json, the images and manifest.json with the SHA-256 of each file
+const writeTeachingPackage = async ({ caseData, images }, localPath) => {
+  const zip = await createZipWriter(localPath);
+  const files = [];
+  try {
+    for (const image of images) {
+      await zip.addEntry(image.path, image.buffer, { store: true });
+      files.push({ path: image.path, bytes: image.buffer.length, sha256: sha256(image.buffer) });
+    }
+    const caseJson = Buffer.from(serializeCase(caseData), 'utf8');
+    await zip.addEntry('case.json', caseJson);
+    files.push({ path: 'case.json', bytes: caseJson.length, sha256: sha256(caseJson) });
+
+    await zip.addEntry('manifest.json', JSON.stringify({
+      format: TEACHING_PACKAGE_FORMAT,
+      format_version: TEACHING_PACKAGE_FORMAT_VERSION,
+      generated_at: new Date().toISOString(),
+      checksum_algorithm: 'SHA-256',
+      files
+    }, null, 2));
+    return await zip.finish();
+  } catch (error) {
+    await zip.abort();
+    throw error;
+  }
+};
+
+// Reads and checks an uploaded package. Throws with a message fit for the uploader.
+const readTeachingPackage = (buffer) => {
+  const entries = readZipEntries(buffer, (name) => name === 'case.json' || name === 'manifest.json' || IMAGE_PATH_PATTERN.test(name), {
+    invalidMessage: 'The file is not a teaching package',
+    maxEntryBytes: MAX_PACKAGE_ENTRY_BYTES
+  });
+
+  let manifest;
+  let caseData;
+  try {
+    manifest = JSON.parse(entries['manifest.json']?.toString('utf8'));
+    caseData = JSON.parse(entries['case.json']?.toString('utf8'));
+  } catch (_) {
+    throw new Error('The package has no readable manifest.json or case.json');
+  }
+
+  if (manifest?.format !== TEACHING_PACKAGE_FORMAT || caseData?.format !== TEACHING_PACKAGE_FORMAT) {
+    throw new Error('The file is not a teaching package');
+  }
+  if (Number(caseData.format_version) > TEACHING_PACKAGE_FORMAT_VERSION) {
+    throw new Error(`Package format version ${caseData.format_version} is newer than this system supports`);
+  }
+  for (const file of manifest.files || []) {
+    if (!entries[file.path] || sha256(entries[file.path]) !== file.sha256) {
+      throw new Error(`${file.path} is missing or does not match its checksum`);
+    }
+  }
+  if (typeof caseData.pseudonym !== 'string' || !caseData.pseudonym.trim() || typeof caseData.title !== 'string' || !caseData.title.trim()) {
+    throw new Error('case.json has no pseudonym or title');
+  }
+
+  const images = (Array.isArray(caseData.images) ? caseData.images : []).map((image) => {
+    if (!IMAGE_PATH_PATTERN.test(image?.path || '') || !entries[image.path]) {
+      throw new Error(`Image ${image?.path || ''} is missing from the package`);
+    }
+    if (!SUPPORTED_IMAGE_MIME_TYPES.includes(image.mime_type)) {
+      throw new Error(`Image ${image.path} is not a JPEG or PNG image`);
+    }
+    // Whoever made the package, metadata is removed again before anything is stored
+    return { path: image.path, buffer: stripImageMetadata(entries[image.path], image.mime_type), mimeType: image.mime_type };
+  });
+
+  return { caseData, images };
+};
+
+const storeTeachingFile = async ({ caseId, image }) => {
+  const fileName = path.basename(image.path);
+  const localDir = path.join(getTeachingDir(), String(caseId));
+  const localPath = path.join(localDir, fileName);
+  await fsp.mkdir(localDir, { recursive: true });
+  await fsp.writeFile(localPath, image.buffer);
+
+  if (!isObjectStorageEnabled()) {
+    return { storage_provider: 'local', storage_bucket: null, storage_key: null, file_path: localPath };
+  }
+  try {
+    const objectStorage = await uploadLocalFileToObjectStorage({
+      localPath,
+      key: buildTeachingObjectKey({ caseId, filename: fileName }),
+      contentType: image.mimeType
+    });
+    return { ...objectStorage, file_path: objectStorage.storage_key };
+  } finally {
+    await cleanupLocalFile(localPath);
+  }
+};
+
+const deleteTeachingFiles = async (files) => {
+  for (const file of files) {
+    await deleteStoredObject(file).catch((error) => {
+      console.error(`Teaching file ${file.id || file.file_path} could not be deleted:`, error.message);
+    });
+  }
+};
+
+// Adds an anonymised case to the library. Returns { id } or { duplicateOf } when the same
+// content is already there.
+const saveTeachingCase = async ({ caseData, images, source, sourcePatientId = null, createdBy }) => {
+  const content = serializeCase(caseData);
+  const contentSha256 = sha256(Buffer.from(content, 'utf8'));
+  const [existing] = await query('SELECT id FROM teaching_cases WHERE content_sha256 = ? LIMIT 1', [contentSha256]);
+  if (existing) {
+    return { duplicateOf: existing.id };
+  }
+
+  const caseId = await insert('teaching_cases', {
+    pseudonym: caseData.pseudonym.trim().slice(0, 40),
+    title: caseData.title.trim().slice(0, 200),
+    description: caseData.description || null,
+    content,
+    content_sha256: contentSha256,
+    source,
+    source_patient_id: sourcePatientId,
+    created_by: createdBy
+  });
+
+  const stored = [];
+  try {
+    for (const image of images) {
+      const entry = caseData.images.find((candidate) => candidate.path === image.path) || {};
+      const storage = await storeTeachingFile({ caseId, image });
+      stored.push(storage);
+      await insert('teaching_case_files', {
+        teaching_case_id: caseId,
+        archive_path: image.path,
+        document_type: String(entry.type || 'RADIOGRAPH').slice(0, 20),
+        mime_type: image.mimeType,
+        file_size: image.buffer.length,
+        sha256: sha256(image.buffer),
+        description: entry.description || null,
+        taken_at: DATETIME_PATTERN.test(entry.taken_at || '') ? entry.taken_at : null,
+        ...storage
+      });
+    }
+  } catch (error) {
+    await deleteTeachingFiles(stored);
+    await query('DELETE FROM teaching_cases WHERE id = ?', [caseId]);
+    throw error;
+  }
+
+  return { id: caseId };
+};
+
+const CASE_LIST_SELECT = `
+  SELECT tc.id, tc.pseudonym, tc.title, tc.description, tc.source, tc.created_by, u.name AS created_by_name,
+         tc.created_at, tc.content,
+         (SELECT COUNT(*) FROM teaching_case_files f WHERE f.teaching_case_id = tc.id) AS image_count
+  FROM teaching_cases tc
+  LEFT JOIN users u ON u.id = tc.created_by
+`;
+
+// What a reader sees of a case; the source patient is never included
+const summarizeCase = (row) => {
+  const content = parseJsonColumn(row.content) || {};
+  return {
+    id: row.id,
+    pseudonym: row.pseudonym,
+    title: row.title,
+    description: row.description,
+    source: row.source,
+    gender: content.patient?.gender || null,
+    age_years: content.patient?.age_years ?? null,
+    sections: Array.isArray(content.sections) ? content.sections.filter((section) => TEACHING_SECTIONS.includes(section)) : [],
+    image_count: Number(row.image_count || 0),
+    chart_version_count: Array.isArray(content.chart_versions) ? content.chart_versions.length : 0,
+    progress_note_count: Array.isArray(content.progress_notes) ? content.progress_notes.length : 0,
+    created_by: row.created_by,
+    created_by_name: row.created_by_name,
+    created_at: row.created_at
+  };
+};
+
+const listTeachingCases = async ({ search = '' } = {}) => {
+  const term = String(search || '').trim();
+  const rows = await query(
+    `${CASE_LIST_SELECT}
+     ${term ? 'WHERE tc.title LIKE ? OR tc.description LIKE ? OR tc.pseudonym LIKE ?' : ''}
+     ORDER BY tc.created_at DESC, tc.id DESC`,
+    term ? [`%${term}%`, `%${term}%`, `%${term}%`] : []
+  );
+  return rows.map(summarizeCase);
+};
+
+const listTeachingCaseFiles = async (caseId) => query(
+  `SELECT id, archive_path, document_type, mime_type, file_size, description, taken_at
+   FROM teaching_case_files
+   WHERE teaching_case_id = ?
+   ORDER BY archive_path ASC`,
+  [caseId]
+);
+
+const getTeachingCase = async (id) => {
+  const rows = await query(`${CASE_LIST_SELECT} WHERE tc.id = ? LIMIT 1`, [id]);
+  if (!rows[0]) return null;
+  const content = parseJsonColumn(rows[0].content) || {};
+  return {
+    ...summarizeCase(rows[0]),
+    history: content.history || null,
+    chart_versions: content.chart_versions || [],
+    progress_notes: content.progress_notes || [],
+    files: await listTeachingCaseFiles(id)
+  };
+};
+
+const getTeachingCaseFile = async (caseId, fileId) => {
+  const rows = await query(
+    'SELECT * FROM teaching_case_files WHERE id = ? AND teaching_case_id = ? LIMIT 1',
+    [fileId, caseId]
+  );
+  return rows[0] || null;
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Rebuilds the package of a library case into a temporary file; the caller removes it
+const writePackageForCase = async (id) => {
+  const rows = await query('SELECT id, content FROM teaching_cases WHERE id = ? LIMIT 1', [id]);
+  if (!rows[0]) return null;
+
+  const caseData = parseJsonColumn(rows[0].content);
+  const files = await query('SELECT * FROM teaching_case_files WHERE teaching_case_id = ? ORDER BY archive_path ASC', [id]);
+  const images = [];
+  for (const file of files) {
+    images.push({ path: file.archive_path, buffer: await streamToBuffer(await getStoredObjectStream(file)), mimeType: file.mime_type });
+  }
+
+  const localPath = path.join(os.tmpdir(), `teaching-case-${id}-${crypto.randomBytes(6).toString('hex')}.zip`);
+  try {
+    const fileSize = await writeTeachingPackage({ caseData, images }, localPath);
+    return { localPath, fileSize, fileName: `teaching-case-${caseData.pseudonym}-${id}.zip` };
+  } catch (error) {
+    await cleanupLocalFile(localPath);
+    throw error;
+  }
+};
+
+const deleteTeachingCase = async (id) => {
+  const files = await query('SELECT * FROM teaching_case_files WHERE teaching_case_id = ?', [id]);
+  const result = await query('DELETE FROM teaching_cases WHERE id = ?', [id]);
+  await deleteTeachingFiles(files);
+  return Number(result.affectedRows || 0) > 0;
+};
+
+// Cases made from a patient who has since withdrawn teaching consent
+const deleteTeachingCasesForPatient = async (patientId) => {
+  const rows = await query('SELECT id FROM teaching_cases WHERE source_patient_id = ?', [patientId]);
+  for (const row of rows) {
+    await deleteTeachingCase(row.id);
+  }
+  return rows.map((row) => row.id);
+};
+
+module.exports = {
+  writeTeachingPackage,
+  readTeachingPackage,
+  saveTeachingCase,
+  listTeachingCases,
+  getTeachingCase,
+  getTeachingCaseFile,
+  writePackageForCase,
+  deleteTeachingCase,
+  deleteTeachingCasesForPatient
+};
@@ -0,0 +1,219 @@
+const { insert, query, transaction, update } = require('../config/database');
+const { effectiveAssignmentCondition } = require('./assignmentWindowService');
+const { ensureStudentCaseForAssignment } = require('./studentCaseService');
+const { recordStatusChange } = require('./patientStatusService');
+
+const TREATMENT_TYPES = ['REMOVABLE', 'FUNCTIONAL', 'FIXED'];
+
+// Consultant decision keys on the history form that place a patient on the list
+const DECISION_KEYS = [
+  'consultant_waiting_list_mode',
+  'consultant_priority',
+  'consultant_urgent_interceptive_treatment',
+  'consultant_date'
+];
+
+// Urgent first, then severe malocclusion, then everyone else; ties by date added
+const RANK_ORDER = "FIELD(w.priority, 'URGENT', 'SEVERE_MALOCCLUSION', 'ROUTINE'), w.added_on ASC, w.id ASC";
+
+const priorityFromDecision = (form) => {
+  if (form.consultant_urgent_interceptive_treatment === true || form.consultant_priority === 'URGENT') {
+    return 'URGENT';
+  }
+  return form.consultant_priority === 'SEVERE_MALOCCLUSION' ? 'SEVERE_MALOCCLUSION' : 'ROUTINE';
+};
+
+const addedOnFromDecision = (form) => {
+  const value = String(form.consultant_date || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const today = new Date();
+  return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+};
+
+const getWaitingEntryForPatient = async (patientId) => {
+  const rows = await query(
+    "SELECT * FROM waiting_list_entries WHERE patient_id = ? AND status = 'WAITING' ORDER BY id ASC LIMIT 1",
+    [patientId]
+  );
+  return rows[0] || null;
+};
+
+// Keeps the patient's WAITING entry in line with the consultant decision. Only acts when the
+// decision itself changed, so re-saving the form does not put a treated patient back on the list.
+// Returns { action: 'ADD' | 'UPDATE' | 'REMOVE', entryId } or null when nothing changed.
+const syncFromConsultantDecision = async ({ patientId, previousForm, form, userId }) => {
+  const decisionChanged = DECISION_KEYS.some((key) =>
+    JSON.stringify(previousForm?.[key] ?? null) !== JSON.stringify(form?.[key] ?? null));
+  if (!decisionChanged) return null;
+
+  const treatmentType = TREATMENT_TYPES.includes(form.consultant_waiting_list_mode)
+    ? form.consultant_waiting_list_mode
+    : null;
+  const priority = priorityFromDecision(form);
+  const existing = await getWaitingEntryForPatient(patientId);
+
+  if (!treatmentType) {
+    if (!existing) return null;
+    await update('waiting_list_entries', {
+      status: 'REMOVED',
+      closed_at: new Date(),
+      closed_by: userId,
+      close_reason: 'Waiting list choice cleared on the consultant decision'
+    }, { id: existing.id });
+    return { action: 'REMOVE', entryId: existing.id };
+  }
+
+  if (!existing) {
+    const entryId = await insert('waiting_list_entries', {
+      patient_id: patientId,
+      treatment_type: treatmentType,
+      priority,
+      added_on: addedOnFromDecision(form),
+      added_by: userId
+    });
+    return { action: 'ADD', entryId };
+  }
+
+  if (existing.treatment_type === treatmentType && existing.priority === priority) return null;
+  await update('waiting_list_entries', { treatment_type: treatmentType, priority }, { id: existing.id });
+  return { action: 'UPDATE', entryId: existing.id };
+};
+
+const ENTRY_SELECT = `
+  SELECT
+    w.*,
+    DATEDIFF(COALESCE(DATE(w.closed_at), CURDATE()), w.added_on) AS days_waiting,
+    p.patient_code,
+    p.first_name,
+    p.last_name,
+    p.date_of_birth,
+    p.status AS patient_status,
+    TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) AS age,
+    adder.name AS added_by_name,
+    closer.name AS closed_by_name,
+    ortho.name AS orthodontist_name
+  FROM waiting_list_entries w
+  JOIN patients p ON p.id = w.patient_id
+  LEFT JOIN users adder ON adder.id = w.added_by
+  LEFT JOIN users closer ON closer.id = w.closed_by
+  LEFT JOIN users ortho ON ortho.id = w.orthodontist_id
+`;
+
+// Ranked list of patients still waiting, each with its position in the whole list
+const listWaitingEntries = async ({ treatmentType = null } = {}) => {
+  const rows = await query(
+    `${ENTRY_SELECT}
+     WHERE w.status = 'WAITING' AND p.deleted_at IS NULL
+     ORDER BY ${RANK_ORDER}`
+  );
+  return rows
+    .map((row, index) => ({ ...row, position: index + 1 }))
+    .filter((row) => !treatmentType || row.treatment_type === treatmentType);
+};
+
+const getWaitingListEntry = async (id) => {
+  const rows = await query(`${ENTRY_SELECT} WHERE w.id = ? LIMIT 1`, [id]);
+  return rows[0] || null;
+};
+
+// A patient holds one active assignment per user and role. One that has not started yet or has
+// ended without the expiry job reaching it loses its dates, so it grants access from now on.
+const ensureActiveAssignment = async (connection, { patientId, userId, assignmentRole, assignedBy }) => {
+  const [rows] = await connection.execute(
+    `SELECT pa.id, (${effectiveAssignmentCondition('pa')}) AS effective
+     FROM patient_assignments pa
+     WHERE pa.patient_id = ? AND pa.user_id = ? AND pa.assignment_role = ? AND pa.active = TRUE
+     LIMIT 1
+     FOR UPDATE`,
+    [patientId, userId, assignmentRole]
+  );
+  if (rows[0]) {
+    if (!rows[0].effective) {
+      await connection.execute(
+        'UPDATE patient_assignments SET starts_at = NULL, ends_at = NULL WHERE id = ?',
+        [rows[0].id]
+      );
+    }
+    return { assignmentId: rows[0].id, created: false };
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO patient_assignments (patient_id, user_id, assignment_role, assigned_by, active)
+     VALUES (?, ?, ?, ?, TRUE)`,
+    [patientId, userId, assignmentRole, assignedBy]
+  );
+  return { assignmentId: result.insertId, created: true };
+};
+
+// Takes the patient into the orthodontist's care: assigns them, assigns the student and opens
+// their case when one is given, and starts treatment if the patient was still in consultation.
+// All in one transaction, so a failure leaves the patient on the list with nothing half-assigned.
+const takeOffWaitingList = async ({ entry, orthodontistId, studentId = null, notes = null }) => (
+  transaction(async (connection) => {
+    const orthodontistAssignment = await ensureActiveAssignment(connection, {
+      patientId: entry.patient_id,
+      userId: orthodontistId,
+      assignmentRole: 'ORTHODONTIST',
+      assignedBy: orthodontistId
+    });
+
+    let studentAssignment = null;
+    let caseId = null;
+    if (studentId) {
+      studentAssignment = await ensureActiveAssignment(connection, {
+        patientId: entry.patient_id,
+        userId: studentId,
+        assignmentRole: 'STUDENT',
+        assignedBy: orthodontistId
+      });
+      ({ caseId } = await ensureStudentCaseForAssignment({
+        patientId: entry.patient_id,
+        studentId,
+        supervisorId: orthodontistId,
+        supervisorRole: 'ORTHODONTIST',
+        assignedBy: orthodontistId,
+        connection
+      }));
+    }
+
+    let statusChanged = false;
+    if (entry.patient_status === 'CONSULTATION') {
+      await connection.execute("UPDATE patients SET status = 'ACTIVE' WHERE id = ?", [entry.patient_id]);
+      await recordStatusChange({
+        patientId: entry.patient_id,
+        fromStatus: 'CONSULTATION',
+        toStatus: 'ACTIVE',
+        reason: 'Taken off the waiting list',
+        changedBy: orthodontistId,
+        connection
+      });
+      statusChanged = true;
+    }
+
+    await connection.execute(
+      `UPDATE waiting_list_entries
+       SET status = 'TAKEN_OFF', closed_at = NOW(), closed_by = ?, close_reason = ?, orthodontist_id = ?, case_id = ?
+       WHERE id = ?`,
+      [orthodontistId, notes, orthodontistId, caseId, entry.id]
+    );
+
+    return { orthodontistAssignment, studentAssignment, caseId, statusChanged };
+  })
+);
+
+const removeFromWaitingList = async ({ entry, reason, removedBy }) =>
+  update('waiting_list_entries', {
+    status: 'REMOVED',
+    closed_at: new Date(),
+    closed_by: removedBy,
+    close_reason: reason
+  }, { id: entry.id });
+
+module.exports = {
+  TREATMENT_TYPES,
+  syncFromConsultantDecision,
+  listWaitingEntries,
+  getWaitingListEntry,
+  takeOffWaitingList,
+  removeFromWaitingList
+};
@@ -0,0 +1,106 @@
+// Removes embedded metadata (EXIF, XMP, comments, text chunks) from JPEG and PNG files
+// without decoding the image, so the pixels are left exactly as they were.
+
+const JPEG_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/pjpeg'];
+const PNG_MIME_TYPES = ['image/png'];
+
+const SUPPORTED_IMAGE_MIME_TYPES = [...JPEG_MIME_TYPES, ...PNG_MIME_TYPES];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Chunks needed to draw the image; text, time, EXIF and private chunks are dropped
+const PNG_KEPT_CHUNKS = new Set([
+  'IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'sBIT', 'bKGD', 'pHYs'
+]);
+
+// JFIF (APP0) and Adobe (APP14) segments carry colour information only. Every other
+// APPn segment (EXIF, XMP, ICC, vendor data) and comments are dropped.
+const JPEG_APP0 = 0xE0;
+const JPEG_APP14 = 0xEE;
+const JPEG_COMMENT = 0xFE;
+const JPEG_START_OF_SCAN = 0xDA;
+
+const stripJpegMetadata = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+    throw new Error('The file is not a valid JPEG image');
+  }
+
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      throw new Error('The JPEG image is damaged');
+    }
+    const marker = buffer[offset + 1];
+    // Fill bytes and markers without a length
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    // Everything from the first scan on is image data
+    if (marker === JPEG_START_OF_SCAN) {
+      parts.push(buffer.subarray(offset));
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segmentEnd = offset + 2 + length;
+    if (segmentEnd > buffer.length) {
+      throw new Error('The JPEG image is damaged');
+    }
+    const isMetadata = marker === JPEG_COMMENT
+      || (marker > JPEG_APP0 && marker <= 0xEF && marker !== JPEG_APP14);
+    if (!isMetadata) {
+      parts.push(buffer.subarray(offset, segmentEnd));
+    }
+    offset = segmentEnd;
+  }
+
+  return Buffer.concat(parts);
+};
+
+const stripPngMetadata = (buffer) => {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('The file is not a valid PNG image');
+  }
+
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunkEnd = offset + 12 + length;
+    if (chunkEnd > buffer.length) {
+      throw new Error('The PNG image is damaged');
+    }
+    if (PNG_KEPT_CHUNKS.has(type)) {
+      parts.push(buffer.subarray(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+};
+
+const canStripImageMetadata = (mimeType) =>
+  SUPPORTED_IMAGE_MIME_TYPES.includes(String(mimeType || '').toLowerCase());
+
+const stripImageMetadata = (buffer, mimeType) => {
+  const type = String(mimeType || '').toLowerCase();
+  if (JPEG_MIME_TYPES.includes(type)) return stripJpegMetadata(buffer);
+  if (PNG_MIME_TYPES.includes(type)) return stripPngMetadata(buffer);
+  throw new Error(`Metadata cannot be removed from ${mimeType || 'this file type'}`);
+};
+
+module.exports = {
+  SUPPORTED_IMAGE_MIME_TYPES,
+  canStripImageMetadata,
+  stripImageMetadata
+};
@@ -0,0 +1,108 @@
+// Generate unique patient code
+const generatePatientCode = async () => {
+  const prefix = 'P';
+  const timestamp = Date.now().toString().slice(-6);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `${prefix}-${timestamp}-${random}`;
+};
+
+const dateOfBirthFromAge = (ageValue) => {
+  const age = Number(ageValue);
+  if (!Number.isFinite(age) || age < 0) return null;
+  const dob = new Date();
+  dob.setFullYear(dob.getFullYear() - Math.floor(age));
+  return dob.toISOString().slice(0, 10);
+};
+
+const normalizeRegistrationDateTime = (value) => {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  const direct = raw.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (direct) {
+    const [, datePart, hh, mm, ss] = direct;
+    return `${datePart} ${hh}:${mm}:${ss || '00'}`;
+  }
+
+  const dateOnly = raw.match(/^(\d{4}-\d{2}-\d{2})$/);
+  if (dateOnly) {
+    return `${dateOnly[1]} 00:00:00`;
+  }
+
+  const slashDateOnly = raw.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (slashDateOnly) {
+    const [, day, month, year] = slashDateOnly;
+    return `${year}-${month}-${day} 00:00:00`;
+  }
+
+  const parsed = new Date(raw);
+  if (Number.isNaN(parsed.getTime())) return null;
+  const year = parsed.getFullYear();
+  const month = String(parsed.getMonth() + 1).padStart(2, '0');
+  const day = String(parsed.getDate()).padStart(2, '0');
+  const hour = String(parsed.getHours()).padStart(2, '0');
+  const minute = String(parsed.getMinutes()).padStart(2, '0');
+  const second = String(parsed.getSeconds()).padStart(2, '0');
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+};
+
+const normalizeDateOnlyInput = (value) => {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    return raw;
+  }
+
+  const slash = raw.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (slash) {
+    const [, day, month, year] = slash;
+    return `${year}-${month}-${day}`;
+  }
+
+  return null;
+};
+
+// Registration rules shared by createPatient and bulk import: an age becomes an
+// estimated date of birth and dates are converted to their stored form.
+// Returns { data } or { error } with a message for the user.
+const preparePatientFields = (fields) => {
+  const data = { ...fields };
+
+  if (!data.date_of_birth && data.age !== undefined) {
+    const derivedDob = dateOfBirthFromAge(data.age);
+    if (!derivedDob) {
+      return { error: 'Invalid age provided' };
+    }
+    data.date_of_birth = derivedDob;
+  }
+  if (data.date_of_birth) {
+    const normalizedDob = normalizeDateOnlyInput(data.date_of_birth);
+    if (!normalizedDob) {
+      return { error: 'Invalid date_of_birth provided. Use DD/MM/YYYY or YYYY-MM-DD.' };
+    }
+    data.date_of_birth = normalizedDob;
+  }
+  delete data.age;
+
+  if (data.registration_date) {
+    const normalizedRegDateTime = normalizeRegistrationDateTime(data.registration_date);
+    if (!normalizedRegDateTime) {
+      return { error: 'Invalid registration_date provided' };
+    }
+    data.created_at = normalizedRegDateTime;
+    delete data.registration_date;
+  }
+
+  return { data };
+};
+
+module.exports = {
+  generatePatientCode,
+  dateOfBirthFromAge,
+  normalizeRegistrationDateTime,
+  normalizeDateOnlyInput,
+  preparePatientFields
+};
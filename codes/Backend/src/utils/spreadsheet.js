@@ -0,0 +1,178 @@
+const { readZipEntries } = require('./zipReader');
+
+// Reads the first sheet of a CSV or XLSX upload into rows of trimmed strings.
+// XLSX is read directly from the zip container so no spreadsheet library is needed.
+
+// A small upload can inflate to far more; no sheet within the import row limit comes near this
+const MAX_XLSX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  // Spreadsheets saved with a comma decimal separator export with semicolons
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell !== ''));
+};
+
+const decodeXml = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+// Joins every <t> run so rich-text cells read as plain text
+const readText = (xml) => {
+  const parts = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match = pattern.exec(xml);
+  while (match) {
+    parts.push(decodeXml(match[1]));
+    match = pattern.exec(xml);
+  }
+  return parts.join('');
+};
+
+const columnIndex = (reference) => {
+  const letters = String(reference).replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const resolveFirstSheetPath = (entries) => {
+  const workbook = entries['xl/workbook.xml']?.toString('utf8') || '';
+  const rels = entries['xl/_rels/workbook.xml.rels']?.toString('utf8') || '';
+  const sheet = workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  if (sheet) {
+    const rel = rels.match(new RegExp(`<Relationship\\s[^>]*Id="${sheet[1]}"[^>]*>`));
+    const target = rel && rel[0].match(/Target="([^"]+)"/);
+    if (target) {
+      return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+const parseXlsx = (buffer) => {
+  let entries;
+  try {
+    entries = readZipEntries(buffer, (name) => name.startsWith('xl/'), {
+      invalidMessage: 'The file is not a valid XLSX workbook',
+      maxEntryBytes: MAX_XLSX_ENTRY_BYTES
+    });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error('The workbook is too large to import; save the sheet as CSV or split it');
+    }
+    throw error;
+  }
+  const sheetXml = entries[resolveFirstSheetPath(entries)];
+  if (!sheetXml) {
+    throw new Error('The workbook has no worksheet');
+  }
+
+  const sharedStrings = [];
+  const sharedXml = entries['xl/sharedStrings.xml']?.toString('utf8') || '';
+  const stringPattern = /<si>([\s\S]*?)<\/si>/g;
+  let stringMatch = stringPattern.exec(sharedXml);
+  while (stringMatch) {
+    sharedStrings.push(readText(stringMatch[1]));
+    stringMatch = stringPattern.exec(sharedXml);
+  }
+
+  const rows = [];
+  const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  const xml = sheetXml.toString('utf8');
+  let rowMatch = rowPattern.exec(xml);
+  while (rowMatch) {
+    const cells = [];
+    let cellMatch = cellPattern.exec(rowMatch[1]);
+    let position = 0;
+    while (cellMatch) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = attributes.match(/\br="([A-Z]+\d+)"/);
+      const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+      const index = reference ? columnIndex(reference[1]) : position;
+      const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] || '';
+      else if (type === 'inlineStr') value = readText(body);
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      cells[index] = value.trim();
+      position = index + 1;
+      cellMatch = cellPattern.exec(rowMatch[1]);
+    }
+    cellPattern.lastIndex = 0;
+    rows.push(Array.from(cells, (cell) => cell || ''));
+    rowMatch = rowPattern.exec(xml);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell !== ''));
+};
+
+// Excel stores dates as days since 1899-12-30; returns YYYY-MM-DD or null
+const excelSerialToDate = (value) => {
+  if (!/^\d+(\.\d+)?$/.test(String(value))) return null;
+  const serial = Number(value);
+  if (serial < 1 || serial > 100000) return null;
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+  return date.toISOString().slice(0, 10);
+};
+
+const readSpreadsheet = (buffer, fileType) => (
+  fileType === 'XLSX' ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'))
+);
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  excelSerialToDate,
+  readSpreadsheet
+};
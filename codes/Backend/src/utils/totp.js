@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 6238 code for a given time counter (HMAC-SHA1, 6 digits)
+const generateTotpCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Accepts the current step plus `window` steps either side to absorb clock drift.
+// Returns the matched time step so callers can refuse a code that was already used, or null
+const verifyTotpCode = (secret, code, window = 1) => {
+  const normalizedCode = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalizedCode)) {
+    return null;
+  }
+
+  const currentCounter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const candidate = generateTotpCode(secret, currentCounter + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalizedCode))) {
+      return currentCounter + offset;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpAuthUrl = ({ secret, accountName, issuer = 'OrthoFlow' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const generateRecoveryCodes = (count = 10) => {
+  const codes = [];
+  while (codes.length < count) {
+    let raw = '';
+    for (let i = 0; i < 10; i += 1) {
+      raw += RECOVERY_CODE_ALPHABET[crypto.randomInt(0, RECOVERY_CODE_ALPHABET.length)];
+    }
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Secrets are stored AES-256-GCM encrypted so a database dump alone cannot mint codes
+const getSecretKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback_secret_key')
+  .digest();
+
+const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptTotpSecret = (payload) => {
+  if (!payload) {
+    return null;
+  }
+  const [iv, tag, encrypted] = String(payload).split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptTotpSecret,
+  decryptTotpSecret
+};
@@ -0,0 +1,40 @@
+const zlib = require('zlib');
+
+// Entry name -> Buffer for the files we ask for, using the zip central directory.
+// maxEntryBytes caps what a single entry may inflate to.
+const readZipEntries = (buffer, wanted, { invalidMessage = 'The file is not a valid ZIP archive', maxEntryBytes } = {}) => {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end -= 1;
+  if (end < 0) {
+    throw new Error(invalidMessage);
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (wanted(name)) {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      entries[name] = method === 8
+        ? zlib.inflateRawSync(data, maxEntryBytes ? { maxOutputLength: maxEntryBytes } : {})
+        : Buffer.from(data);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+module.exports = {
+  readZipEntries
+};
@@ -0,0 +1,119 @@
+const fsp = require('fs').promises;
+const zlib = require('zlib');
+
+// Writes a ZIP archive entry by entry, so no archive library is needed. Entries are
+// deflated unless asked to be stored; archives over 4 GB (ZIP64) are not supported.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// UTF-8 file names
+const GENERAL_PURPOSE_FLAGS = 0x0800;
+
+const createZipWriter = async (filePath) => {
+  const handle = await fsp.open(filePath, 'w');
+  const centralEntries = [];
+  let offset = 0;
+
+  const write = async (buffer) => {
+    await handle.write(buffer);
+    offset += buffer.length;
+  };
+
+  const addEntry = async (name, content, { store = false, modifiedAt = new Date() } = {}) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const compressed = store ? data : zlib.deflateRawSync(data);
+    const method = store ? 0 : 8;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(modifiedAt);
+    const localHeaderOffset = offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await write(Buffer.concat([header, nameBuffer]));
+    await write(compressed);
+
+    centralEntries.push({
+      nameBuffer,
+      method,
+      time,
+      date,
+      crc,
+      compressedSize: compressed.length,
+      size: data.length,
+      localHeaderOffset
+    });
+  };
+
+  // Writes the central directory and closes the file. Returns the archive size in bytes.
+  const finish = async () => {
+    const directoryOffset = offset;
+    for (const entry of centralEntries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014B50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.localHeaderOffset, 42);
+      await write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(centralEntries.length, 8);
+    end.writeUInt16LE(centralEntries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+
+    await handle.close();
+    return offset;
+  };
+
+  const abort = async () => {
+    await handle.close().catch(() => {});
+  };
+
+  return { addEntry, finish, abort };
+};
+
+module.exports = {
+  createZipWriter
+};
@@ -5,6 +5,8 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 // Layout & Components
 import { Sidebar, Topbar } from './components/LayoutComponents';
 import { LoginPage } from './pages/LoginPage';
+import { ForgotPasswordPage, ResetPasswordPage } from './pages/PasswordResetPage';
+import { OidcCallbackPage } from './pages/OidcCallbackPage';
 import { DashboardPage } from './pages/DashboardPage';
 import { PatientListPage } from './pages/PatientListPage';
 import { PatientProfilePage } from './pages/PatientProfilePage';
@@ -15,6 +17,17 @@ import { InventoryPage } from './pages/InventoryPage';
 import { SettingsPage } from './pages/SettingsPage';
 import UserManagement from './pages/admin/UserManagement';
 import { AuditLogsPage } from './pages/AuditLogsPage';
+import { ApiKeysPage } from './pages/admin/ApiKeysPage';
+import { BreakGlassReviewPage } from './pages/admin/BreakGlassReviewPage';
+import { PermissionMatrixPage } from './pages/admin/PermissionMatrixPage';
+import { ConsentFormsPage } from './pages/admin/ConsentFormsPage';
+import { PatientMergePage } from './pages/admin/PatientMergePage';
+import { PatientImportPage } from './pages/admin/PatientImportPage';
+import { DataRetentionPage } from './pages/admin/DataRetentionPage';
+import { EmergencyAccessPage } from './pages/EmergencyAccessPage';
+import { DelegationsPage } from './pages/DelegationsPage';
+import { WaitingListPage } from './pages/WaitingListPage';
+import { TeachingLibraryPage } from './pages/TeachingLibraryPage';
 import { RequestApprovalsPage } from './pages/RequestApprovalsPage';
 
 function MainLayout() {
@@ -51,7 +64,7 @@ function MainLayout() {
     return <Navigate to="/login" replace />;
   }
 
-  if (user.must_change_password && location.pathname !== '/settings') {
+  if ((user.must_change_password || user.mfa_setup_required) && location.pathname !== '/settings') {
     return <Navigate to="/settings" replace />;
   }
 
@@ -95,6 +108,18 @@ const router = createBrowserRouter([
     path: "/login",
     element: <LoginPage />,
   },
+  {
+    path: "/login/oidc",
+    element: <OidcCallbackPage />,
+  },
+  {
+    path: "/forgot-password",
+    element: <ForgotPasswordPage />,
+  },
+  {
+    path: "/reset-password",
+    element: <ResetPasswordPage />,
+  },
   {
     path: "/",
     element: <MainLayout />,
@@ -151,6 +176,38 @@ const router = createBrowserRouter([
           </RequireRoles>
         ),
       },
+      {
+        path: "emergency-access",
+        element: (
+          <RequireRoles roles={['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT']}>
+            <EmergencyAccessPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "waiting-list",
+        element: (
+          <RequireRoles roles={['ORTHODONTIST']}>
+            <WaitingListPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "teaching-library",
+        element: (
+          <RequireRoles roles={['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT']}>
+            <TeachingLibraryPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "delegations",
+        element: (
+          <RequireRoles roles={['ORTHODONTIST', 'DENTAL_SURGEON', 'ADMIN']}>
+            <DelegationsPage />
+          </RequireRoles>
+        ),
+      },
       {
         path: "settings",
         element: <SettingsPage />,
@@ -171,6 +228,62 @@ const router = createBrowserRouter([
           </RequireRoles>
         ),
       },
+      {
+        path: "admin/api-keys",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <ApiKeysPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "admin/break-glass",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <BreakGlassReviewPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "admin/permissions",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <PermissionMatrixPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "admin/consent-forms",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <ConsentFormsPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "admin/patient-merges",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <PatientMergePage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "admin/patient-imports",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <PatientImportPage />
+          </RequireRoles>
+        ),
+      },
+      {
+        path: "admin/retention",
+        element: (
+          <RequireRoles roles={['ADMIN']}>
+            <DataRetentionPage />
+          </RequireRoles>
+        ),
+      },
     ],
   },
 ]);
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { Button, Card, Input } from './UI';
+import { apiService } from '../services/api';
+import type { BreakGlassGrant, BreakGlassPolicy } from '../services/api';
+
+export const BREAK_GLASS_ROLES = ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'];
+
+const DURATION_OPTIONS = [15, 30, 60, 120, 240, 480];
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const formatBreakGlassTime = (value: string | null) => {
+  if (!value) return '-';
+  const parsed = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+};
+
+export function BreakGlassRequestForm({
+  patientId,
+  policy,
+  onGranted,
+}: {
+  patientId?: number;
+  policy?: BreakGlassPolicy | null;
+  onGranted: (grant: BreakGlassGrant) => void;
+}) {
+  const maxMinutes = policy?.maxMinutes ?? 240;
+  const durations = DURATION_OPTIONS.filter((minutes) => minutes <= maxMinutes);
+  const [patientCode, setPatientCode] = useState('');
+  const [reason, setReason] = useState('');
+  const [accessLevel, setAccessLevel] = useState<'READ' | 'WRITE'>('READ');
+  const [duration, setDuration] = useState(String(policy?.defaultMinutes ?? 60));
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    if (!patientId && !patientCode.trim()) {
+      setError('Enter the patient MRN');
+      return;
+    }
+    if (reason.trim().length < 10) {
+      setError('Describe the emergency in at least 10 characters');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await apiService.breakGlass.request({
+        ...(patientId ? { patient_id: patientId } : { patient_code: patientCode.trim() }),
+        reason: reason.trim(),
+        access_level: accessLevel,
+        duration_minutes: Number(duration),
+      });
+      if (response.data) onGranted(response.data);
+      setReason('');
+      setPatientCode('');
+    } catch (err: any) {
+      setError(err?.message || 'Emergency access could not be granted');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="p-5 border-amber-200">
+      <div className="flex items-start gap-3 mb-4">
+        <ShieldAlert className="h-5 w-5 text-amber-600 shrink-0 mt-0.5" />
+        <div>
+          <h3 className="font-semibold text-gray-900">Emergency (break-glass) access</h3>
+          <p className="text-xs text-gray-500">
+            Use only when this patient needs care and their assigned clinician is unavailable. Access is time-limited,
+            every action is logged, and administrators are notified to review it.
+          </p>
+        </div>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {!patientId && (
+          <Input value={patientCode} onChange={(e) => setPatientCode(e.target.value)} placeholder="Patient MRN" />
+        )}
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+          maxLength={1000}
+          placeholder="Reason, e.g. acute swelling after bracket placement; assigned orthodontist on leave"
+          className="w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="grid grid-cols-2 gap-3">
+          <select className={SELECT_CLASS} value={accessLevel} onChange={(e) => setAccessLevel(e.target.value as 'READ' | 'WRITE')}>
+            <option value="READ">Read only</option>
+            <option value="WRITE">Read and write</option>
+          </select>
+          <select className={SELECT_CLASS} value={duration} onChange={(e) => setDuration(e.target.value)}>
+            {durations.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`}
+              </option>
+            ))}
+          </select>
+        </div>
+        {error && <div className="rounded-md border border-red-200 bg-red-50 p-2 text-xs text-red-700">{error}</div>}
+        <Button type="submit" variant="danger" disabled={submitting}>
+          {submitting ? 'Granting...' : 'Break Glass'}
+        </Button>
+      </form>
+    </Card>
+  );
+}
+
+export function BreakGlassBanner({ grant, onEnd }: { grant: BreakGlassGrant; onEnd: () => void }) {
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 rounded-lg border border-amber-300 bg-amber-50 px-4 py-3">
+      <div className="flex items-start gap-3">
+        <ShieldAlert className="h-5 w-5 text-amber-600 shrink-0 mt-0.5" />
+        <div className="text-sm text-amber-900">
+          <p className="font-semibold">
+            Emergency access ({grant.access_level === 'WRITE' ? 'read and write' : 'read only'}) until {formatBreakGlassTime(grant.expires_at)}
+          </p>
+          <p className="text-xs text-amber-800">You are not assigned to this patient. Reason given: {grant.reason}</p>
+        </div>
+      </div>
+      <Button variant="secondary" size="sm" onClick={onEnd}>End Access</Button>
+    </div>
+  );
+}
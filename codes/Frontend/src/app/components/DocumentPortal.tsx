@@ -50,6 +50,7 @@ export function DocumentPortal({ patientId, canUpload, canDelete }: Props) {
   const [downloadingDocId, setDownloadingDocId] = useState<number | null>(null);
   const [viewMode, setViewMode] = useState<'active' | 'trashed'>('active');
   const [trashCount, setTrashCount] = useState(0);
+  const [photoConsentMissing, setPhotoConsentMissing] = useState(false);
   const [confirmDialog, setConfirmDialog] = useState<{
     open: boolean;
     title: string;
@@ -112,6 +113,16 @@ export function DocumentPortal({ patientId, canUpload, canDelete }: Props) {
     loadDocuments();
   }, [patientId, viewMode]);
 
+  useEffect(() => {
+    if (!canUpload) return;
+    apiService.consents.getForPatient(patientId)
+      .then((response) => {
+        const photography = (response.data?.summary || []).find((entry) => entry.consent_type === 'PHOTOGRAPHY');
+        setPhotoConsentMissing(Boolean(photography && photography.status !== 'SIGNED'));
+      })
+      .catch(() => setPhotoConsentMissing(false));
+  }, [patientId, canUpload]);
+
   const uploadFiles = async (files: File[]) => {
     if (!canUpload || viewMode === 'trashed') {
       toast.error('You do not have permission to upload documents');
@@ -308,6 +319,11 @@ export function DocumentPortal({ patientId, canUpload, canDelete }: Props) {
             <Badge variant="neutral">Stored in Database</Badge>
             <Badge variant="success">Download Enabled</Badge>
           </div>
+          {canUpload && photoConsentMissing && (
+            <p className="mt-3 text-sm text-amber-700">
+              No photography consent on record. Photos are refused until it is recorded on the Consents tab.
+            </p>
+          )}
           {uploading && (
             <div className="mt-4 max-w-md mx-auto">
               <div className="flex items-center justify-between text-xs text-slate-600 mb-1">
@@ -1,4 +1,4 @@
-import { NavLink } from 'react-router';
+import { NavLink, useNavigate } from 'react-router';
 import { useEffect, useState } from 'react';
 import {
   LayoutDashboard,
@@ -12,6 +12,17 @@ import {
   UserCog,
   ListChecks,
   ClipboardCheck,
+  FileSignature,
+  GitMerge,
+  FileUp,
+  KeyRound,
+  ShieldAlert,
+  Eye,
+  ShieldCheck,
+  CalendarRange,
+  ListOrdered,
+  Library,
+  Hourglass,
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { Badge, Button, cn } from './UI';
@@ -28,6 +39,7 @@ export function Sidebar({
 }) {
   const { user } = useAuth();
   const [pendingApprovalCount, setPendingApprovalCount] = useState(0);
+  const [pendingBreakGlassCount, setPendingBreakGlassCount] = useState(0);
   const mustChangePassword = Boolean(user?.must_change_password);
 
   const canSeeQueue = ['ADMIN', 'NURSE', 'ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT', 'RECEPTION'].includes(user?.role || '');
@@ -35,6 +47,11 @@ export function Sidebar({
   const canSeeReports = user?.role === 'ADMIN';
   const canSeeMaterials = ['ADMIN', 'NURSE'].includes(user?.role || '');
   const canSeeRequestApprovals = !mustChangePassword && ['ORTHODONTIST', 'DENTAL_SURGEON'].includes(user?.role || '');
+  const canBreakGlass = ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(user?.role || '');
+  const canDelegate = ['ORTHODONTIST', 'DENTAL_SURGEON', 'ADMIN'].includes(user?.role || '');
+  const canSeeWaitingList = user?.role === 'ORTHODONTIST';
+  const canSeeTeachingLibrary = ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(user?.role || '');
+  const canReviewBreakGlass = !mustChangePassword && user?.role === 'ADMIN';
 
   useEffect(() => {
     if (!canSeeRequestApprovals) {
@@ -85,6 +102,41 @@ export function Sidebar({
     };
   }, [canSeeRequestApprovals]);
 
+  useEffect(() => {
+    if (!canReviewBreakGlass) {
+      setPendingBreakGlassCount(0);
+      return;
+    }
+
+    let mounted = true;
+    const loadPendingCount = async () => {
+      try {
+        const response = await apiService.breakGlass.getPendingCount();
+        if (!mounted) return;
+        setPendingBreakGlassCount(Number(response.data?.pending || 0));
+      } catch {
+        if (!mounted) return;
+        setPendingBreakGlassCount(0);
+      }
+    };
+    const loadWhenVisible = () => {
+      if (document.visibilityState === 'visible') {
+        loadPendingCount();
+      }
+    };
+
+    loadPendingCount();
+    const timer = window.setInterval(loadWhenVisible, 120000);
+    document.addEventListener('visibilitychange', loadWhenVisible);
+    window.addEventListener('break-glass-reviews-updated', loadPendingCount);
+    return () => {
+      mounted = false;
+      window.clearInterval(timer);
+      document.removeEventListener('visibilitychange', loadWhenVisible);
+      window.removeEventListener('break-glass-reviews-updated', loadPendingCount);
+    };
+  }, [canReviewBreakGlass]);
+
   const navItems = mustChangePassword
     ? [
         { name: 'Settings', icon: Settings, path: '/settings', visible: true }
@@ -94,11 +146,22 @@ export function Sidebar({
         { name: 'Patients', icon: Users, path: '/patients', visible: true },
         { name: 'Clinic Queue', icon: Clock, path: '/queue', visible: canSeeQueue },
         { name: 'Student Cases', icon: GraduationCap, path: '/cases', visible: canSeeCases },
+        { name: 'Waiting List', icon: ListOrdered, path: '/waiting-list', visible: canSeeWaitingList },
+        { name: 'Teaching Library', icon: Library, path: '/teaching-library', visible: canSeeTeachingLibrary },
         { name: 'Reports', icon: BarChart3, path: '/reports', visible: canSeeReports },
         { name: 'Materials', icon: Package, path: '/materials', visible: canSeeMaterials },
         { name: 'Request Approvals', icon: ClipboardCheck, path: '/requests/approvals', visible: canSeeRequestApprovals },
+        { name: 'Emergency Access', icon: ShieldAlert, path: '/emergency-access', visible: canBreakGlass },
+        { name: 'Delegations', icon: CalendarRange, path: '/delegations', visible: canDelegate },
         { name: 'User Management', icon: UserCog, path: '/admin/users', visible: user?.role === 'ADMIN' },
         { name: 'Audit Log', icon: ListChecks, path: '/admin/audit-logs', visible: user?.role === 'ADMIN' },
+        { name: 'Permissions', icon: ShieldCheck, path: '/admin/permissions', visible: user?.role === 'ADMIN' },
+        { name: 'Consent Forms', icon: FileSignature, path: '/admin/consent-forms', visible: user?.role === 'ADMIN' },
+        { name: 'Merge Patients', icon: GitMerge, path: '/admin/patient-merges', visible: user?.role === 'ADMIN' },
+        { name: 'Import Patients', icon: FileUp, path: '/admin/patient-imports', visible: user?.role === 'ADMIN' },
+        { name: 'Data Retention', icon: Hourglass, path: '/admin/retention', visible: user?.role === 'ADMIN' },
+        { name: 'API Keys', icon: KeyRound, path: '/admin/api-keys', visible: user?.role === 'ADMIN' },
+        { name: 'Break-Glass Reviews', icon: ShieldAlert, path: '/admin/break-glass', visible: user?.role === 'ADMIN' },
         { name: 'Settings', icon: Settings, path: '/settings', visible: true },
       ].filter((item) => item.visible);
 
@@ -181,6 +244,16 @@ export function Sidebar({
                 {pendingApprovalCount}
               </span>
             )}
+            {item.name === 'Break-Glass Reviews' && pendingBreakGlassCount > 0 && (
+              <span
+                className={cn(
+                  'inline-flex h-5 min-w-[1.3rem] items-center justify-center rounded-full bg-red-600 px-1.5 text-[11px] font-bold text-white',
+                  collapsed ? 'absolute right-1 top-1' : 'ml-auto'
+                )}
+              >
+                {pendingBreakGlassCount}
+              </span>
+            )}
           </NavLink>
         ))}
       </nav>
@@ -209,11 +282,31 @@ export function Sidebar({
 }
 
 export function Topbar() {
-  const { logout } = useAuth();
+  const { user, logout, stopImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const impersonatedBy = user?.impersonated_by;
+
+  const handleExitImpersonation = async () => {
+    await stopImpersonation();
+    navigate('/admin/users');
+  };
 
   return (
-    <header className="sticky top-0 z-30 flex h-16 shrink-0 items-center justify-between border-b border-gray-100 bg-white px-6">
-      <div aria-hidden="true" />
+    <header className="sticky top-0 z-30 flex h-16 shrink-0 items-center justify-between gap-4 border-b border-gray-100 bg-white px-6">
+      {impersonatedBy ? (
+        <div className="flex min-w-0 items-center gap-3 rounded-lg border border-amber-300 bg-amber-50 px-3 py-1.5 text-sm text-amber-900">
+          <Eye className="h-4 w-4 shrink-0 text-amber-600" />
+          <span className="truncate">
+            Viewing as <span className="font-semibold">{user?.name}</span> ({formatUnderscoreLabel(user?.role)}), read-only until{' '}
+            {new Date(impersonatedBy.expires_at.replace(' ', 'T')).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <Button type="button" variant="secondary" size="sm" onClick={handleExitImpersonation}>
+            Exit
+          </Button>
+        </div>
+      ) : (
+        <div aria-hidden="true" />
+      )}
 
       <div className="flex items-center">
         <Button
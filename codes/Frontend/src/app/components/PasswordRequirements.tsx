@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { apiService } from '../services/api';
+import type { PasswordPolicy } from '../services/api';
+
+// Used until the server policy loads; matches the backend defaults
+const DEFAULT_PASSWORD_POLICY: PasswordPolicy = {
+  min_length: 8,
+  max_length: 128,
+  require_uppercase: true,
+  require_lowercase: true,
+  require_number: true,
+  require_symbol: false,
+  block_common: true,
+  history_count: 5,
+  max_age_days: 0
+};
+
+type Requirement = { label: string; met: (password: string) => boolean };
+
+// Client-side mirror of the server rules; the common-password and reuse checks stay server-only
+const buildRequirements = (policy: PasswordPolicy): Requirement[] => {
+  const requirements: Requirement[] = [
+    { label: `At least ${policy.min_length} characters`, met: (value) => value.length >= policy.min_length }
+  ];
+  if (policy.require_uppercase) {
+    requirements.push({ label: 'An uppercase letter', met: (value) => /[A-Z]/.test(value) });
+  }
+  if (policy.require_lowercase) {
+    requirements.push({ label: 'A lowercase letter', met: (value) => /[a-z]/.test(value) });
+  }
+  if (policy.require_number) {
+    requirements.push({ label: 'A number', met: (value) => /\d/.test(value) });
+  }
+  if (policy.require_symbol) {
+    requirements.push({ label: 'A symbol', met: (value) => /[^A-Za-z0-9]/.test(value) });
+  }
+  return requirements;
+};
+
+export const getPasswordPolicyError = (policy: PasswordPolicy, password: string) => {
+  if (password.length > policy.max_length) {
+    return `Password cannot exceed ${policy.max_length} characters.`;
+  }
+  const missing = buildRequirements(policy).filter((requirement) => !requirement.met(password));
+  if (missing.length === 0) return null;
+  return `Password needs: ${missing.map((requirement) => requirement.label.toLowerCase()).join(', ')}.`;
+};
+
+export function usePasswordPolicy() {
+  const [policy, setPolicy] = useState<PasswordPolicy>(DEFAULT_PASSWORD_POLICY);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiService.auth.getPasswordPolicy()
+      .then((response) => {
+        if (!cancelled && response.success && response.data) {
+          setPolicy(response.data);
+        }
+      })
+      .catch(() => {
+        // Keep the defaults; the server still enforces the real policy
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return policy;
+}
+
+export function PasswordRequirements({ policy, password }: { policy: PasswordPolicy; password: string }) {
+  const notes: string[] = [];
+  if (policy.block_common) notes.push('Common passwords are not allowed.');
+  if (policy.history_count > 0) notes.push(`You cannot reuse your last ${policy.history_count} passwords.`);
+
+  return (
+    <div className="rounded-lg border border-gray-100 bg-gray-50 px-3 py-2 text-xs text-gray-600">
+      <ul className="space-y-1">
+        {buildRequirements(policy).map((requirement) => {
+          const met = requirement.met(password);
+          return (
+            <li key={requirement.label} className={`flex items-center gap-2 ${met ? 'text-green-700' : ''}`}>
+              {met ? <Check className="h-3.5 w-3.5" /> : <X className="h-3.5 w-3.5 text-gray-400" />}
+              {requirement.label}
+            </li>
+          );
+        })}
+      </ul>
+      {notes.length > 0 && <p className="mt-2 text-gray-500">{notes.join(' ')}</p>}
+    </div>
+  );
+}
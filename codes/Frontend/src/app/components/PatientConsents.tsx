@@ -0,0 +1,265 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { ClipboardCheck } from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from './UI';
+import { apiService } from '../services/api';
+import type {
+  ConsentSignerRelationship,
+  ConsentTemplate,
+  ConsentType,
+  PatientConsent,
+  PatientConsentSummary,
+  PatientGuardian
+} from '../services/api';
+import { GUARDIAN_RELATIONSHIP_LABELS } from './PatientGuardians';
+
+export const CONSENT_RECORDING_ROLES = ['RECEPTION', 'ORTHODONTIST', 'DENTAL_SURGEON'];
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const STATUS_VARIANTS: Record<PatientConsentSummary['status'], 'success' | 'warning' | 'error'> = {
+  SIGNED: 'success',
+  WITHDRAWN: 'error',
+  MISSING: 'warning'
+};
+
+const RELATIONSHIP_LABELS: Record<ConsentSignerRelationship, string> = {
+  SELF: 'Patient',
+  PARENT: 'Parent',
+  GUARDIAN: 'Guardian',
+  OTHER: 'Other representative'
+};
+
+// What each consent unlocks, shown next to its status
+const CONSENT_EFFECTS: Record<ConsentType, string> = {
+  PHOTOGRAPHY: 'Required to upload clinical photos.',
+  TEACHING: 'Required to include the patient in anonymised teaching material.',
+  STUDENT_CARE: 'Required to assign students to the patient.'
+};
+
+const getTodayDateValue = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+export function PatientConsents({ patientId, canRecord }: { patientId: string; canRecord: boolean }) {
+  const [summary, setSummary] = useState<PatientConsentSummary[]>([]);
+  const [history, setHistory] = useState<PatientConsent[]>([]);
+  const [templates, setTemplates] = useState<ConsentTemplate[]>([]);
+  const [consentGivers, setConsentGivers] = useState<PatientGuardian[]>([]);
+  const [recording, setRecording] = useState<ConsentType | null>(null);
+  const [signedAt, setSignedAt] = useState(getTodayDateValue());
+  const [relationship, setRelationship] = useState<ConsentSignerRelationship>('SELF');
+  const [signedByName, setSignedByName] = useState('');
+  const [guardianId, setGuardianId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadConsents = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [consentResponse, templateResponse, guardianResponse] = await Promise.all([
+        apiService.consents.getForPatient(patientId),
+        apiService.consents.getTemplates(),
+        apiService.guardians.getForPatient(patientId)
+      ]);
+      setSummary(consentResponse.data?.summary || []);
+      setHistory(consentResponse.data?.history || []);
+      setTemplates(templateResponse.data || []);
+      setConsentGivers((guardianResponse.data || []).filter((guardian) => guardian.is_consent_giver));
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load consents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadConsents();
+  }, [patientId]);
+
+  const openRecordForm = (consentType: ConsentType) => {
+    setRecording(consentType);
+    setSignedAt(getTodayDateValue());
+    setRelationship('SELF');
+    setSignedByName('');
+    setGuardianId('');
+  };
+
+  const handleRecord = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!recording) return;
+    setSaving(true);
+    setError('');
+    try {
+      await apiService.consents.record(patientId, {
+        consent_type: recording,
+        signed_at: signedAt,
+        // A guardian on file signs under their own name and relationship
+        ...(guardianId
+          ? { guardian_id: Number(guardianId) }
+          : {
+            signed_by_relationship: relationship,
+            ...(signedByName.trim() && { signed_by_name: signedByName.trim() })
+          })
+      });
+      toast.success('Consent recorded');
+      setRecording(null);
+      loadConsents();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to record consent');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWithdraw = async (consent: PatientConsent) => {
+    const reason = window.prompt(`Record that the ${consent.template_title.toLowerCase()} consent was withdrawn today? Add a reason (optional).`, '');
+    if (reason === null) return;
+    try {
+      await apiService.consents.withdraw(consent.id, { ...(reason.trim() && { reason: reason.trim() }) });
+      toast.success('Consent withdrawn');
+      loadConsents();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to withdraw consent');
+    }
+  };
+
+  const recordingTemplate = templates.find((template) => template.consent_type === recording);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Consents</h3>
+          <p className="text-sm text-gray-500">Photography, teaching use, and treatment by students each need the patient's signed consent.</p>
+        </div>
+        <RefreshButton onClick={loadConsents} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+        {summary.map((entry) => (
+          <Card key={entry.consent_type} className="p-4 space-y-2">
+            <div className="flex items-start justify-between gap-2">
+              <div className="flex items-start gap-2">
+                <ClipboardCheck className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+                <h4 className="font-medium text-gray-900">{entry.title}</h4>
+              </div>
+              <Badge variant={STATUS_VARIANTS[entry.status]}>{entry.status}</Badge>
+            </div>
+            <p className="text-xs text-gray-500">{CONSENT_EFFECTS[entry.consent_type]}</p>
+            {entry.consent && (
+              <div className="text-xs text-gray-600">
+                {entry.status === 'SIGNED'
+                  ? `Signed ${entry.consent.signed_at.slice(0, 10)} by ${entry.consent.signed_by_name} (${RELATIONSHIP_LABELS[entry.consent.signed_by_relationship]})`
+                  : `Withdrawn ${entry.consent.withdrawn_at?.slice(0, 10) || ''}${entry.consent.withdrawal_reason ? ` · ${entry.consent.withdrawal_reason}` : ''}`}
+              </div>
+            )}
+            {entry.outdated && (
+              <div className="text-xs text-amber-700">
+                Signed version {entry.consent?.template_version}; the current wording is version {entry.current_version}.
+              </div>
+            )}
+            {canRecord && (
+              <div className="flex gap-2 pt-1">
+                {(entry.status !== 'SIGNED' || entry.outdated) && (
+                  <Button size="sm" onClick={() => openRecordForm(entry.consent_type)}>
+                    {entry.status === 'SIGNED' ? 'Re-sign' : 'Record Consent'}
+                  </Button>
+                )}
+                {entry.status === 'SIGNED' && entry.consent && (
+                  <Button size="sm" variant="ghost" onClick={() => handleWithdraw(entry.consent as PatientConsent)}>Withdraw</Button>
+                )}
+              </div>
+            )}
+          </Card>
+        ))}
+      </div>
+
+      {recording && recordingTemplate && (
+        <Card className="p-5">
+          <h4 className="font-semibold text-gray-900">{recordingTemplate.title} (version {recordingTemplate.version})</h4>
+          <p className="mt-2 whitespace-pre-line rounded-md bg-gray-50 p-3 text-sm text-gray-700">{recordingTemplate.body}</p>
+          <form onSubmit={handleRecord} className="mt-4 grid grid-cols-1 gap-3 md:grid-cols-3">
+            <label className="text-xs text-gray-500">
+              Signed on
+              <Input type="date" value={signedAt} max={getTodayDateValue()} onChange={(e) => setSignedAt(e.target.value)} />
+            </label>
+            {consentGivers.length > 0 && (
+              <label className="text-xs text-gray-500">
+                Guardian on file
+                <select className={SELECT_CLASS} value={guardianId} onChange={(e) => setGuardianId(e.target.value)}>
+                  <option value="">Someone else</option>
+                  {consentGivers.map((guardian) => (
+                    <option key={guardian.id} value={guardian.id}>
+                      {guardian.full_name || 'Name restricted'} ({GUARDIAN_RELATIONSHIP_LABELS[guardian.relationship]})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {!guardianId && (
+              <>
+                <label className="text-xs text-gray-500">
+                  Signed by
+                  <select className={SELECT_CLASS} value={relationship} onChange={(e) => setRelationship(e.target.value as ConsentSignerRelationship)}>
+                    {Object.entries(RELATIONSHIP_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-gray-500">
+                  Name of signer
+                  <Input
+                    value={signedByName}
+                    onChange={(e) => setSignedByName(e.target.value)}
+                    maxLength={255}
+                    placeholder={relationship === 'SELF' ? "Patient's name" : 'Required'}
+                  />
+                </label>
+              </>
+            )}
+            <div className="flex gap-2 md:col-span-3">
+              <Button type="submit" disabled={saving || (!guardianId && relationship !== 'SELF' && !signedByName.trim())}>
+                {saving ? 'Saving...' : 'Save Consent'}
+              </Button>
+              <Button type="button" variant="secondary" onClick={() => setRecording(null)} disabled={saving}>Cancel</Button>
+            </div>
+          </form>
+        </Card>
+      )}
+
+      <Card className="p-5">
+        <h4 className="font-semibold text-gray-900 mb-3">History</h4>
+        <div className="space-y-2">
+          {history.map((consent) => (
+            <div key={consent.id} className="rounded-md border border-gray-100 px-3 py-2 text-sm">
+              <div className="font-medium text-gray-900">
+                {consent.template_title} · version {consent.template_version}
+                <Badge variant={consent.status === 'SIGNED' ? 'success' : 'error'} className="ml-2">{consent.status}</Badge>
+              </div>
+              <div className="text-xs text-gray-500">
+                Signed {consent.signed_at.slice(0, 10)} by {consent.signed_by_name} ({consent.guardian_relationship
+                  ? GUARDIAN_RELATIONSHIP_LABELS[consent.guardian_relationship]
+                  : RELATIONSHIP_LABELS[consent.signed_by_relationship]})
+                {consent.recorded_by_name && `, recorded by ${consent.recorded_by_name}`}
+              </div>
+              {consent.withdrawn_at && (
+                <div className="text-xs text-gray-500">
+                  Withdrawn {consent.withdrawn_at.slice(0, 10)}
+                  {consent.withdrawal_reason && ` · ${consent.withdrawal_reason}`}
+                  {consent.withdrawn_recorded_by_name && `, recorded by ${consent.withdrawn_recorded_by_name}`}
+                </div>
+              )}
+            </div>
+          ))}
+          {history.length === 0 && <p className="text-sm text-gray-500">No consents recorded yet.</p>}
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Archive, Download } from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from './UI';
+import { apiService } from '../services/api';
+import type { PatientDataExport, PatientDataExportPurpose } from '../services/api';
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const PURPOSE_LABELS: Record<PatientDataExportPurpose, string> = {
+  ACCESS_REQUEST: 'Patient access request',
+  TRANSFER: 'Transfer to another clinic',
+  OTHER: 'Other'
+};
+
+const STATUS_VARIANTS: Record<PatientDataExport['status'], 'neutral' | 'blue' | 'success' | 'error' | 'warning'> = {
+  QUEUED: 'neutral',
+  RUNNING: 'blue',
+  READY: 'success',
+  FAILED: 'error',
+  EXPIRED: 'warning'
+};
+
+// How often the list refreshes while an export is still being built
+const POLL_INTERVAL_MS = 5000;
+
+const formatSize = (bytes: number | null) => {
+  if (!bytes) return '';
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+export function PatientDataExports({ patientId }: { patientId: string }) {
+  const [exports, setExports] = useState<PatientDataExport[]>([]);
+  const [purpose, setPurpose] = useState<PatientDataExportPurpose>('ACCESS_REQUEST');
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [requesting, setRequesting] = useState(false);
+  const [downloadingId, setDownloadingId] = useState<number | null>(null);
+  const [error, setError] = useState('');
+
+  const loadExports = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.patientExports.getForPatient(patientId);
+      setExports(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load data exports');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadExports();
+  }, [patientId]);
+
+  const building = exports.some((entry) => entry.status === 'QUEUED' || entry.status === 'RUNNING');
+  useEffect(() => {
+    if (!building) return;
+    const timeoutId = window.setTimeout(loadExports, POLL_INTERVAL_MS);
+    return () => window.clearTimeout(timeoutId);
+  }, [building, exports]);
+
+  const handleRequest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setRequesting(true);
+    try {
+      const response = await apiService.patientExports.request(patientId, {
+        purpose,
+        ...(notes.trim() && { notes: notes.trim() })
+      });
+      toast.success(response.message || 'Export queued');
+      setNotes('');
+      loadExports();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to request the export');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const handleDownload = async (entry: PatientDataExport) => {
+    setDownloadingId(entry.id);
+    try {
+      await apiService.patientExports.download(entry);
+      loadExports();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to download the export');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start gap-2">
+          <Archive className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+          <div>
+            <h4 className="font-bold text-gray-900">Data Exports</h4>
+            <p className="text-xs text-gray-500">
+              A ZIP of everything held for the patient, with the original documents and a manifest of SHA-256 checksums.
+              Archives are deleted automatically once they expire.
+            </p>
+          </div>
+        </div>
+        <RefreshButton onClick={loadExports} loading={loading} />
+      </div>
+
+      <form onSubmit={handleRequest} className="flex flex-wrap items-end gap-3">
+        <div className="w-60">
+          <select
+            className={SELECT_CLASS}
+            value={purpose}
+            onChange={(e) => setPurpose(e.target.value as PatientDataExportPurpose)}
+          >
+            {Object.entries(PURPOSE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="min-w-[12rem] flex-1">
+          <Input value={notes} onChange={(e) => setNotes(e.target.value)} maxLength={500} placeholder="Notes (optional)" />
+        </div>
+        <Button type="submit" size="sm" disabled={requesting}>
+          {requesting ? 'Requesting...' : 'Request Export'}
+        </Button>
+      </form>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <ul className="space-y-2">
+        {exports.map((entry) => (
+          <li key={entry.id} className="flex flex-wrap items-start justify-between gap-3 rounded-md border border-gray-100 px-3 py-2 text-sm">
+            <div className="min-w-0 flex-1">
+              <div className="flex flex-wrap items-center gap-2 font-medium text-gray-900">
+                {PURPOSE_LABELS[entry.purpose]}
+                <Badge variant={STATUS_VARIANTS[entry.status]}>{entry.status.toLowerCase()}</Badge>
+                {entry.file_size !== null && <span className="text-xs font-normal text-gray-500">{formatSize(entry.file_size)}</span>}
+              </div>
+              <div className="text-xs text-gray-500">
+                Requested {entry.created_at.slice(0, 16)}
+                {entry.requested_by_name && ` by ${entry.requested_by_name}`}
+                {entry.status === 'READY' && entry.expires_at && ` · available until ${entry.expires_at.slice(0, 16)}`}
+                {entry.download_count > 0 && ` · downloaded ${entry.download_count}x`}
+              </div>
+              {entry.notes && <p className="text-xs text-gray-600">{entry.notes}</p>}
+              {entry.sha256 && <p className="truncate font-mono text-xs text-gray-400">SHA-256 {entry.sha256}</p>}
+              {entry.status === 'FAILED' && entry.error_message && <p className="text-xs text-red-600">{entry.error_message}</p>}
+            </div>
+            {entry.status === 'READY' && (
+              <Button size="sm" variant="secondary" disabled={downloadingId === entry.id} onClick={() => handleDownload(entry)}>
+                <Download className="w-4 h-4 mr-1" />
+                {downloadingId === entry.id ? 'Downloading...' : 'Download'}
+              </Button>
+            )}
+          </li>
+        ))}
+        {!loading && exports.length === 0 && <p className="text-sm text-gray-500">No data exports yet.</p>}
+      </ul>
+    </Card>
+  );
+}
@@ -0,0 +1,58 @@
+import { AlertTriangle } from 'lucide-react';
+import { Badge, Button } from './UI';
+import type { PatientDuplicateCandidate, PatientDuplicateMatch } from '../services/api';
+
+const MATCH_LABELS: Record<PatientDuplicateMatch, string> = {
+  NAME: 'similar name',
+  DATE_OF_BIRTH: 'same birth date',
+  BIRTH_YEAR: 'same birth year',
+  PHONE: 'same phone',
+  EMAIL: 'same email'
+};
+
+// Reads the candidates from a POSSIBLE_DUPLICATE error, or null for any other error
+export const getDuplicateCandidates = (err: any): PatientDuplicateCandidate[] | null =>
+  err?.code === 'POSSIBLE_DUPLICATE' && Array.isArray(err?.data?.candidates) ? err.data.candidates : null;
+
+export function PatientDuplicateWarning({
+  candidates,
+  onOpen
+}: {
+  candidates: PatientDuplicateCandidate[];
+  onOpen: (patientId: number) => void;
+}) {
+  return (
+    <div className="rounded-xl border border-amber-200 bg-amber-50 p-4 space-y-3">
+      <div className="flex items-start gap-2 text-sm text-amber-800">
+        <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+        <p>
+          This patient may already be registered. Open the existing record instead, or save again if this is a different person.
+        </p>
+      </div>
+      {candidates.map((candidate) => (
+        <div key={candidate.id} className="flex items-center justify-between gap-3 rounded-md border border-amber-100 bg-white px-3 py-2">
+          <div className="min-w-0 text-sm">
+            <div className="font-medium text-gray-900">
+              {candidate.first_name} {candidate.last_name}
+              <span className="ml-2 text-xs text-gray-500">{candidate.patient_code}</span>
+              <Badge variant={candidate.confidence === 'HIGH' ? 'error' : 'warning'} className="ml-2">
+                {candidate.confidence === 'HIGH' ? 'Likely match' : 'Possible match'}
+              </Badge>
+            </div>
+            <div className="text-xs text-gray-500">
+              {[
+                candidate.date_of_birth ? `Born ${candidate.date_of_birth.slice(0, 10)}` : null,
+                candidate.phone,
+                candidate.email
+              ].filter(Boolean).join(' · ')}
+            </div>
+            <div className="text-xs text-amber-700">{candidate.matched_on.map((match) => MATCH_LABELS[match]).join(', ')}</div>
+          </div>
+          <Button type="button" size="sm" variant="secondary" onClick={() => onOpen(candidate.id)}>
+            Open Existing
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+}
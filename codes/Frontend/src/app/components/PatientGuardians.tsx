@@ -0,0 +1,274 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Pencil, Plus, Trash2, Users } from 'lucide-react';
+import { Badge, Button, Card, Input } from './UI';
+import { apiService } from '../services/api';
+import type {
+  GuardianCommunicationPreference,
+  GuardianRelationship,
+  PatientGuardian,
+  PatientGuardianInput
+} from '../services/api';
+
+// Roles that see guardian contact details in full, and so may change them
+export const GUARDIAN_MANAGING_ROLES = ['RECEPTION', 'ORTHODONTIST', 'DENTAL_SURGEON'];
+
+export const GUARDIAN_RELATIONSHIP_LABELS: Record<GuardianRelationship, string> = {
+  MOTHER: 'Mother',
+  FATHER: 'Father',
+  LEGAL_GUARDIAN: 'Legal guardian',
+  GRANDPARENT: 'Grandparent',
+  SIBLING: 'Sibling',
+  OTHER: 'Other'
+};
+
+const PREFERENCE_LABELS: Record<GuardianCommunicationPreference, string> = {
+  EMAIL: 'Email',
+  PHONE: 'Phone call',
+  SMS: 'Text message',
+  NONE: 'Do not contact'
+};
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const EMPTY_FORM: PatientGuardianInput = {
+  full_name: '',
+  relationship: 'MOTHER',
+  phone: '',
+  email: '',
+  address: '',
+  is_consent_giver: true,
+  is_responsible: false,
+  communication_preference: 'EMAIL',
+  notes: ''
+};
+
+export function PatientGuardians({
+  patientId,
+  canManage,
+  isMinor
+}: {
+  patientId: string;
+  canManage: boolean;
+  isMinor: boolean;
+}) {
+  const [guardians, setGuardians] = useState<PatientGuardian[]>([]);
+  const [editingId, setEditingId] = useState<number | 'new' | null>(null);
+  const [form, setForm] = useState<PatientGuardianInput>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadGuardians = async () => {
+    try {
+      const response = await apiService.guardians.getForPatient(patientId);
+      setGuardians(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load guardians');
+    }
+  };
+
+  useEffect(() => {
+    loadGuardians();
+  }, [patientId]);
+
+  const openForm = (guardian?: PatientGuardian) => {
+    setError('');
+    if (!guardian) {
+      // The first guardian of a minor is usually the one who brings them in
+      setForm({ ...EMPTY_FORM, is_responsible: isMinor && guardians.length === 0 });
+      setEditingId('new');
+      return;
+    }
+    setForm({
+      full_name: guardian.full_name || '',
+      relationship: guardian.relationship,
+      phone: guardian.phone || '',
+      email: guardian.email || '',
+      address: guardian.address || '',
+      is_consent_giver: guardian.is_consent_giver,
+      is_responsible: guardian.is_responsible,
+      communication_preference: guardian.communication_preference,
+      notes: guardian.notes || ''
+    });
+    setEditingId(guardian.id);
+  };
+
+  const updateForm = (changes: Partial<PatientGuardianInput>) => setForm((previous) => ({ ...previous, ...changes }));
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (editingId === null) return;
+    setSaving(true);
+    setError('');
+    const data = { ...form, full_name: form.full_name.trim() };
+    try {
+      if (editingId === 'new') {
+        await apiService.guardians.create(patientId, data);
+        toast.success('Guardian added');
+      } else {
+        await apiService.guardians.update(editingId, data);
+        toast.success('Guardian updated');
+      }
+      setEditingId(null);
+      loadGuardians();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to save the guardian');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (guardian: PatientGuardian) => {
+    if (!window.confirm(`Remove ${guardian.full_name || 'this guardian'}? Consents they signed keep their name.`)) return;
+    try {
+      await apiService.guardians.delete(guardian.id);
+      toast.success('Guardian removed');
+      loadGuardians();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to remove the guardian');
+    }
+  };
+
+  const hasResponsible = guardians.some((guardian) => guardian.is_responsible);
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start gap-2">
+          <Users className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+          <div>
+            <h4 className="font-bold text-gray-900">Parents and Guardians</h4>
+            {isMinor && (
+              <p className="text-xs text-gray-500">
+                Appointment reminders go to the responsible guardian while the patient is under 18.
+              </p>
+            )}
+          </div>
+        </div>
+        {canManage && editingId === null && (
+          <Button size="sm" variant="secondary" onClick={() => openForm()}>
+            <Plus className="h-4 w-4 mr-1" /> Add Guardian
+          </Button>
+        )}
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      {isMinor && guardians.length > 0 && !hasResponsible && (
+        <p className="text-xs text-amber-700">
+          No guardian is marked responsible; reminders go to the first guardian who accepts email.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {guardians.map((guardian) => (
+          <div key={guardian.id} className="flex items-start justify-between gap-3 rounded-md border border-gray-100 px-3 py-2">
+            <div className="min-w-0 text-sm">
+              <div className="font-medium text-gray-900">
+                {guardian.full_name || 'Name restricted'}
+                <span className="ml-2 text-xs text-gray-500">{GUARDIAN_RELATIONSHIP_LABELS[guardian.relationship]}</span>
+                {guardian.is_responsible && <Badge variant="blue" className="ml-2">Responsible</Badge>}
+                {guardian.is_consent_giver && <Badge variant="success" className="ml-2">Gives consent</Badge>}
+              </div>
+              <div className="text-xs text-gray-500">
+                {[guardian.phone, guardian.email, `Prefers ${PREFERENCE_LABELS[guardian.communication_preference].toLowerCase()}`]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+              {guardian.address && <div className="text-xs text-gray-500">{guardian.address}</div>}
+              {guardian.notes && <div className="text-xs text-gray-600">{guardian.notes}</div>}
+            </div>
+            {canManage && editingId === null && (
+              <div className="flex shrink-0 gap-1">
+                <Button size="icon" variant="ghost" onClick={() => openForm(guardian)} title="Edit guardian">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button size="icon" variant="ghost" onClick={() => handleRemove(guardian)} title="Remove guardian">
+                  <Trash2 className="h-4 w-4 text-red-600" />
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+        {guardians.length === 0 && (
+          <p className="text-sm text-gray-500">
+            {isMinor ? 'No parents or guardians recorded for this minor.' : 'No parents or guardians recorded.'}
+          </p>
+        )}
+      </div>
+
+      {editingId !== null && (
+        <form onSubmit={handleSave} className="grid grid-cols-1 gap-3 rounded-lg border border-gray-100 p-4 md:grid-cols-2">
+          <label className="text-xs text-gray-500">
+            Full name
+            <Input value={form.full_name} onChange={(e) => updateForm({ full_name: e.target.value })} maxLength={255} required />
+          </label>
+          <label className="text-xs text-gray-500">
+            Relationship
+            <select
+              className={SELECT_CLASS}
+              value={form.relationship}
+              onChange={(e) => updateForm({ relationship: e.target.value as GuardianRelationship })}
+            >
+              {Object.entries(GUARDIAN_RELATIONSHIP_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-gray-500">
+            Phone
+            <Input value={form.phone || ''} onChange={(e) => updateForm({ phone: e.target.value })} maxLength={10} placeholder="10 digits" />
+          </label>
+          <label className="text-xs text-gray-500">
+            Email
+            <Input type="email" value={form.email || ''} onChange={(e) => updateForm({ email: e.target.value })} maxLength={255} />
+          </label>
+          <label className="text-xs text-gray-500 md:col-span-2">
+            Address
+            <Input value={form.address || ''} onChange={(e) => updateForm({ address: e.target.value })} maxLength={1000} />
+          </label>
+          <label className="text-xs text-gray-500">
+            Preferred contact
+            <select
+              className={SELECT_CLASS}
+              value={form.communication_preference}
+              onChange={(e) => updateForm({ communication_preference: e.target.value as GuardianCommunicationPreference })}
+            >
+              {Object.entries(PREFERENCE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-gray-500">
+            Notes
+            <Input value={form.notes || ''} onChange={(e) => updateForm({ notes: e.target.value })} maxLength={500} />
+          </label>
+          <div className="flex flex-wrap gap-4 md:col-span-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(form.is_consent_giver)}
+                onChange={(e) => updateForm({ is_consent_giver: e.target.checked })}
+              />
+              Can give consent for the patient
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(form.is_responsible)}
+                onChange={(e) => updateForm({ is_responsible: e.target.checked })}
+              />
+              Responsible guardian (receives reminders)
+            </label>
+          </div>
+          <div className="flex gap-2 md:col-span-2">
+            <Button type="submit" disabled={saving || form.full_name.trim().length < 2}>
+              {saving ? 'Saving...' : editingId === 'new' ? 'Add Guardian' : 'Save Changes'}
+            </Button>
+            <Button type="button" variant="secondary" onClick={() => setEditingId(null)} disabled={saving}>Cancel</Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,244 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { History, RotateCcw } from 'lucide-react';
+import { Badge, Button, Card } from './UI';
+import { apiService } from '../services/api';
+import type { PatientHistoryChange, PatientHistoryDiff, PatientHistoryRevision } from '../services/api';
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const CHANGE_VARIANTS: Record<PatientHistoryChange['change'], 'success' | 'error' | 'blue'> = {
+  ADDED: 'success',
+  REMOVED: 'error',
+  CHANGED: 'blue'
+};
+
+const fieldLabel = (field: string) =>
+  field
+    .split('.')
+    .map((part) => part.replace(/_/g, ' ').replace(/^./, (first) => first.toUpperCase()))
+    .join(' › ');
+
+const formatValue = (value: any) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatSavedAt = (value: string) => String(value).slice(0, 16).replace('T', ' ');
+
+const revisionLabel = (revision: Pick<PatientHistoryRevision, 'revision_number' | 'created_by_name' | 'created_at'>) =>
+  `Revision ${revision.revision_number} · ${revision.created_by_name || 'Unknown'} · ${formatSavedAt(revision.created_at)}`;
+
+export function PatientHistoryRevisions({
+  patientId,
+  canRestore,
+  refreshKey,
+  onRestored
+}: {
+  patientId: string;
+  canRestore: boolean;
+  // Changes whenever the history is saved, so the list picks up the new revision
+  refreshKey?: string | number | null;
+  onRestored: () => Promise<void>;
+}) {
+  const [revisions, setRevisions] = useState<PatientHistoryRevision[]>([]);
+  const [open, setOpen] = useState(false);
+  const [fromRevision, setFromRevision] = useState('');
+  const [toRevision, setToRevision] = useState('');
+  const [diff, setDiff] = useState<PatientHistoryDiff | null>(null);
+  const [loadingDiff, setLoadingDiff] = useState(false);
+  const [restoring, setRestoring] = useState<number | null>(null);
+  const [error, setError] = useState('');
+
+  const loadRevisions = async () => {
+    setError('');
+    try {
+      const response = await apiService.patients.getHistoryRevisions(patientId);
+      setRevisions(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load history revisions');
+    }
+  };
+
+  useEffect(() => {
+    if (open) loadRevisions();
+  }, [open, patientId, refreshKey]);
+
+  const showChanges = async (from: number, to?: number) => {
+    setFromRevision(String(from));
+    setToRevision(to ? String(to) : '');
+    setLoadingDiff(true);
+    try {
+      const response = await apiService.patients.getHistoryDiff(patientId, from, to);
+      setDiff(response.data || null);
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to compare revisions');
+    } finally {
+      setLoadingDiff(false);
+    }
+  };
+
+  const handleRestore = async (revision: PatientHistoryRevision) => {
+    if (!window.confirm(`Restore revision ${revision.revision_number}? It is saved as a new revision and nothing is lost.`)) return;
+    setRestoring(revision.revision_number);
+    try {
+      const response = await apiService.patients.restoreHistoryRevision(patientId, revision.revision_number);
+      toast.success(response.message || 'Revision restored');
+      setDiff(null);
+      await onRestored();
+      await loadRevisions();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to restore the revision');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const latest = revisions[0]?.revision_number;
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <History className="h-5 w-5 text-blue-600 shrink-0" />
+          <div>
+            <h4 className="font-bold text-gray-900">Revisions</h4>
+            <p className="text-xs text-gray-500">Every save is kept. Compare any two revisions or restore an earlier one.</p>
+          </div>
+        </div>
+        <Button size="sm" variant="secondary" onClick={() => setOpen(!open)}>
+          {open ? 'Hide Changes' : 'Show Changes'}
+        </Button>
+      </div>
+
+      {open && (
+        <>
+          {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-100 text-left text-xs uppercase text-gray-500">
+                  <th className="py-2 pr-3">#</th>
+                  <th className="py-2 pr-3">Saved</th>
+                  <th className="py-2 pr-3">Changed</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {revisions.map((revision) => (
+                  <tr key={revision.id} className="border-b border-gray-50 align-top">
+                    <td className="py-3 pr-3 font-semibold text-gray-900">
+                      {revision.revision_number}
+                      {revision.revision_number === latest && <Badge variant="success" className="ml-2">Current</Badge>}
+                    </td>
+                    <td className="py-3 pr-3">
+                      {formatSavedAt(revision.created_at)}
+                      <div className="text-xs text-gray-500">
+                        {revision.created_by_name || 'Unknown'}
+                        {revision.restored_from_revision && ` · restored revision ${revision.restored_from_revision}`}
+                      </div>
+                    </td>
+                    <td className="py-3 pr-3 text-gray-700">
+                      {revision.changed_fields?.length
+                        ? `${revision.changed_fields.length} field${revision.changed_fields.length === 1 ? '' : 's'}`
+                        : 'No changes'}
+                    </td>
+                    <td className="py-3">
+                      <div className="flex justify-end gap-2">
+                        {revision.revision_number > 1 && (
+                          <Button size="sm" variant="ghost" onClick={() => showChanges(revision.revision_number - 1, revision.revision_number)}>
+                            Changes
+                          </Button>
+                        )}
+                        {canRestore && revision.revision_number !== latest && (
+                          <Button
+                            size="sm"
+                            variant="secondary"
+                            onClick={() => handleRestore(revision)}
+                            disabled={restoring !== null}
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            {restoring === revision.revision_number ? 'Restoring...' : 'Restore'}
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {revisions.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="py-6 text-center text-gray-500">The history form has not been saved yet.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {revisions.length > 1 && (
+            <div className="flex flex-col gap-2 md:flex-row md:items-center">
+              <select className={SELECT_CLASS} value={fromRevision} onChange={(e) => setFromRevision(e.target.value)}>
+                <option value="">Compare from...</option>
+                {revisions.map((revision) => (
+                  <option key={revision.id} value={revision.revision_number}>{revisionLabel(revision)}</option>
+                ))}
+              </select>
+              <select className={SELECT_CLASS} value={toRevision} onChange={(e) => setToRevision(e.target.value)}>
+                <option value="">Current revision</option>
+                {revisions.map((revision) => (
+                  <option key={revision.id} value={revision.revision_number}>{revisionLabel(revision)}</option>
+                ))}
+              </select>
+              <Button
+                size="sm"
+                onClick={() => showChanges(Number(fromRevision), toRevision ? Number(toRevision) : undefined)}
+                disabled={!fromRevision || loadingDiff}
+              >
+                {loadingDiff ? 'Comparing...' : 'Compare'}
+              </Button>
+            </div>
+          )}
+
+          {diff && (
+            <div className="space-y-2">
+              <div className="text-sm font-medium text-gray-900">
+                {revisionLabel(diff.from)} → {revisionLabel(diff.to)}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-100 text-left text-xs uppercase text-gray-500">
+                      <th className="py-2 pr-3">Field</th>
+                      <th className="py-2 pr-3">Before</th>
+                      <th className="py-2">After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.changes.map((change) => (
+                      <tr key={change.field} className="border-b border-gray-50 align-top">
+                        <td className="py-2 pr-3">
+                          <div className="font-medium text-gray-900">{fieldLabel(change.field)}</div>
+                          <Badge variant={CHANGE_VARIANTS[change.change]}>{change.change.toLowerCase()}</Badge>
+                        </td>
+                        <td className="py-2 pr-3 whitespace-pre-wrap text-red-700">{formatValue(change.from)}</td>
+                        <td className="py-2 whitespace-pre-wrap text-green-700">{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                    {diff.changes.length === 0 && (
+                      <tr>
+                        <td colSpan={3} className="py-4 text-center text-gray-500">No differences.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
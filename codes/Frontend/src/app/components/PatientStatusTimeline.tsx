@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { GitCommitVertical } from 'lucide-react';
+import { Badge, Button, Card, Input } from './UI';
+import { apiService } from '../services/api';
+import type { PatientStatus, PatientStatusHistory } from '../services/api';
+
+export const PATIENT_STATUS_LABELS: Record<PatientStatus, string> = {
+  CONSULTATION: 'Consultation',
+  ACTIVE: 'Active treatment',
+  MAINTENANCE: 'Maintenance',
+  COMPLETED: 'Completed'
+};
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatDays = (days: number) => (days === 1 ? '1 day' : `${days} days`);
+
+export function PatientStatusTimeline({ patientId, onChanged }: { patientId: string; onChanged: () => void }) {
+  const [history, setHistory] = useState<PatientStatusHistory | null>(null);
+  const [nextStatus, setNextStatus] = useState<PatientStatus | ''>('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadHistory = async () => {
+    try {
+      const response = await apiService.patients.getStatusHistory(patientId);
+      setHistory(response.data || null);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load status history');
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, [patientId]);
+
+  const transition = history?.allowed_transitions.find((entry) => entry.status === nextStatus);
+
+  const handleChange = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!nextStatus) return;
+    setSaving(true);
+    setError('');
+    try {
+      await apiService.patients.changeStatus(patientId, {
+        status: nextStatus,
+        ...(reason.trim() && { status_reason: reason.trim() })
+      });
+      toast.success(`Status changed to ${PATIENT_STATUS_LABELS[nextStatus].toLowerCase()}`);
+      setNextStatus('');
+      setReason('');
+      await loadHistory();
+      onChanged();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to change status');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const timeline = [...(history?.timeline || [])].reverse();
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-start gap-2">
+        <GitCommitVertical className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+        <div>
+          <h4 className="font-bold text-gray-900">Treatment Status</h4>
+          <p className="text-xs text-gray-500">Each change of phase, newest first, with how long the patient spent in it.</p>
+        </div>
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      {history && history.allowed_transitions.length > 0 && (
+        <form onSubmit={handleChange} className="grid grid-cols-1 gap-3 rounded-lg border border-gray-100 p-4 md:grid-cols-3">
+          <label className="text-xs text-gray-500">
+            Move to
+            <select className={SELECT_CLASS} value={nextStatus} onChange={(e) => setNextStatus(e.target.value as PatientStatus | '')}>
+              <option value="">Choose a status</option>
+              {history.allowed_transitions.map((entry) => (
+                <option key={entry.status} value={entry.status}>{PATIENT_STATUS_LABELS[entry.status]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-gray-500 md:col-span-2">
+            Reason{transition?.reason_required ? ' (required)' : ''}
+            <Input
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={500}
+              placeholder={transition?.reason_required ? 'Why the patient is changing phase' : 'Optional'}
+            />
+          </label>
+          <div className="md:col-span-3">
+            <Button type="submit" size="sm" disabled={saving || !nextStatus || (transition?.reason_required && !reason.trim())}>
+              {saving ? 'Saving...' : 'Change Status'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      <ol className="space-y-2">
+        {timeline.map((entry) => (
+          <li key={entry.id} className="rounded-md border border-gray-100 px-3 py-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2 font-medium text-gray-900">
+              {entry.from_status && <span className="text-gray-500">{PATIENT_STATUS_LABELS[entry.from_status]} →</span>}
+              {PATIENT_STATUS_LABELS[entry.to_status]}
+              <Badge variant={entry.ended_at ? 'neutral' : 'blue'}>
+                {entry.ended_at ? formatDays(entry.days_in_status) : `${formatDays(entry.days_in_status)} so far`}
+              </Badge>
+            </div>
+            <div className="text-xs text-gray-500">
+              {entry.changed_at.slice(0, 10)}
+              {entry.changed_by_name && ` by ${entry.changed_by_name}`}
+            </div>
+            {entry.reason && <div className="text-xs text-gray-600">{entry.reason}</div>}
+          </li>
+        ))}
+        {history && timeline.length === 0 && <p className="text-sm text-gray-500">No status changes recorded.</p>}
+      </ol>
+    </Card>
+  );
+}
@@ -0,0 +1,180 @@
+import { useEffect, useState } from 'react';
+import {
+  Calendar,
+  CreditCard,
+  FileText,
+  GitCommitVertical,
+  Grid,
+  GraduationCap,
+  History,
+  Package,
+  Upload,
+  Users
+} from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from './UI';
+import { apiService } from '../services/api';
+import type { PatientTimeline as PatientTimelineData, PatientTimelineItemType } from '../services/api';
+
+export const TIMELINE_TYPE_LABELS: Record<PatientTimelineItemType, string> = {
+  VISIT: 'Visits',
+  CLINICAL_NOTE: 'Notes',
+  DOCUMENT: 'Documents',
+  CHART_VERSION: 'Chart versions',
+  PAYMENT: 'Payments',
+  MATERIAL: 'Materials',
+  CASE_PROGRESS: 'Case progress',
+  ASSIGNMENT: 'Care team',
+  STATUS_CHANGE: 'Status changes'
+};
+
+const TIMELINE_TYPE_ICONS: Record<PatientTimelineItemType, React.ComponentType<{ className?: string }>> = {
+  VISIT: Calendar,
+  CLINICAL_NOTE: FileText,
+  DOCUMENT: Upload,
+  CHART_VERSION: Grid,
+  PAYMENT: CreditCard,
+  MATERIAL: Package,
+  CASE_PROGRESS: GraduationCap,
+  ASSIGNMENT: Users,
+  STATUS_CHANGE: GitCommitVertical
+};
+
+const PAGE_SIZE = 20;
+
+const formatStatus = (status: string) => status.replace(/_/g, ' ').toLowerCase();
+
+export function PatientTimeline({
+  patientId,
+  onOpen
+}: {
+  patientId: string;
+  // Opens the tab that holds the item, when there is one the user can see
+  onOpen?: (type: PatientTimelineItemType) => (() => void) | null;
+}) {
+  const [timeline, setTimeline] = useState<PatientTimelineData | null>(null);
+  const [types, setTypes] = useState<PatientTimelineItemType[]>([]);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTimeline = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.patients.getTimeline(patientId, {
+        types,
+        ...(startDate && { start_date: startDate }),
+        ...(endDate && { end_date: endDate }),
+        page,
+        limit: PAGE_SIZE
+      });
+      setTimeline(response.data || null);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load the timeline');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTimeline();
+  }, [patientId, types, startDate, endDate, page]);
+
+  const toggleType = (type: PatientTimelineItemType) => {
+    setPage(1);
+    setTypes((current) => (current.includes(type) ? current.filter((entry) => entry !== type) : [...current, type]));
+  };
+
+  const pagination = timeline?.pagination;
+
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start gap-2">
+          <History className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+          <div>
+            <h4 className="font-bold text-gray-900">Timeline</h4>
+            <p className="text-xs text-gray-500">Everything recorded for the patient that you can see, newest first.</p>
+          </div>
+        </div>
+        <RefreshButton onClick={loadTimeline} loading={loading} />
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex flex-wrap gap-2">
+          {(timeline?.available_types || []).map((type) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => toggleType(type)}
+              className={`rounded-full border px-3 py-1 text-xs font-medium ${
+                types.includes(type) ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {TIMELINE_TYPE_LABELS[type]}
+            </button>
+          ))}
+        </div>
+        <label className="text-xs text-gray-500">
+          From
+          <Input type="date" value={startDate} max={endDate || undefined} onChange={(e) => { setPage(1); setStartDate(e.target.value); }} />
+        </label>
+        <label className="text-xs text-gray-500">
+          Until
+          <Input type="date" value={endDate} min={startDate || undefined} onChange={(e) => { setPage(1); setEndDate(e.target.value); }} />
+        </label>
+        {(types.length > 0 || startDate || endDate) && (
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => { setPage(1); setTypes([]); setStartDate(''); setEndDate(''); }}
+          >
+            Clear Filters
+          </Button>
+        )}
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <ol className="space-y-2">
+        {(timeline?.items || []).map((item) => {
+          const Icon = TIMELINE_TYPE_ICONS[item.item_type];
+          const open = onOpen?.(item.item_type);
+          return (
+            <li key={`${item.item_type}-${item.item_id}-${item.occurred_at}`} className="flex gap-3 rounded-md border border-gray-100 px-3 py-2 text-sm">
+              <Icon className="h-4 w-4 shrink-0 mt-0.5 text-gray-400" />
+              <div className="min-w-0 flex-1">
+                <div className="flex flex-wrap items-center gap-2 font-medium text-gray-900">
+                  {item.title}
+                  <Badge variant="neutral">{TIMELINE_TYPE_LABELS[item.item_type]}</Badge>
+                  {item.status && <Badge variant="blue">{formatStatus(item.status)}</Badge>}
+                </div>
+                {item.summary && <p className="truncate text-xs text-gray-600">{item.summary}</p>}
+                <div className="text-xs text-gray-500">
+                  {item.occurred_at.slice(0, 16)}
+                  {item.actor_name && ` by ${item.actor_name}`}
+                </div>
+              </div>
+              {open && (
+                <Button size="sm" variant="ghost" onClick={open}>Open</Button>
+              )}
+            </li>
+          );
+        })}
+        {timeline && timeline.items.length === 0 && <p className="text-sm text-gray-500">Nothing recorded for these filters.</p>}
+      </ol>
+
+      {pagination && pagination.total_pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          <span>Page {pagination.current_page} of {pagination.total_pages} ({pagination.total_records} items)</span>
+          <div className="flex gap-2">
+            <Button size="sm" variant="secondary" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)}>Previous</Button>
+            <Button size="sm" variant="secondary" disabled={page >= pagination.total_pages || loading} onClick={() => setPage(page + 1)}>Next</Button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
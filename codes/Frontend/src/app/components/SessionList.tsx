@@ -0,0 +1,90 @@
+import { Monitor, Smartphone } from 'lucide-react';
+import { Badge, Button } from './UI';
+import type { UserSession } from '../services/api';
+
+// Session timestamps come from MySQL without a zone and are stored in UTC
+const formatSessionTime = (value?: string | null) => {
+  if (!value) return '-';
+  const normalized = String(value).trim();
+  const date = /[zZ]|[+-]\d{2}:?\d{2}$/.test(normalized)
+    ? new Date(normalized)
+    : new Date(`${normalized.replace(' ', 'T')}Z`);
+  if (Number.isNaN(date.getTime())) return normalized;
+  return date.toLocaleString();
+};
+
+const describeUserAgent = (userAgent?: string | null) => {
+  const ua = String(userAgent || '');
+  if (!ua) return { label: 'Unknown device', mobile: false };
+
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /OPR\//.test(ua) ? 'Opera'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'Browser';
+  const os = /Windows/.test(ua) ? 'Windows'
+    : /Android/.test(ua) ? 'Android'
+    : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'Unknown OS';
+
+  return {
+    label: `${browser} on ${os}`,
+    mobile: /Mobi|Android|iPhone|iPad/.test(ua)
+  };
+};
+
+export function SessionList({
+  sessions,
+  onRevoke,
+  revokingId,
+  showCurrent = true
+}: {
+  sessions: UserSession[];
+  onRevoke: (session: UserSession) => void;
+  revokingId?: string | null;
+  showCurrent?: boolean;
+}) {
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500">No active sessions.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+      {sessions.map((session) => {
+        const device = describeUserAgent(session.user_agent);
+        const DeviceIcon = device.mobile ? Smartphone : Monitor;
+        return (
+          <li key={session.id} className="flex items-center justify-between gap-4 px-4 py-3">
+            <div className="flex min-w-0 items-start gap-3">
+              <DeviceIcon className="mt-0.5 h-5 w-5 shrink-0 text-gray-400" />
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="truncate text-sm font-semibold text-gray-900" title={session.user_agent || undefined}>
+                    {device.label}
+                  </span>
+                  {showCurrent && session.current && <Badge variant="blue">This device</Badge>}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {session.ip_address || 'Unknown IP'} · Last active {formatSessionTime(session.last_used_at)}
+                </p>
+                <p className="text-xs text-gray-400">Signed in {formatSessionTime(session.signed_in_at)}</p>
+              </div>
+            </div>
+            <Button
+              type="button"
+              variant="secondary"
+              size="sm"
+              onClick={() => onRevoke(session)}
+              disabled={revokingId === session.id}
+            >
+              {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+            </Button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
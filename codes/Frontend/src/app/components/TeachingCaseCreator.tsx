@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { Link } from 'react-router';
+import { toast } from 'sonner';
+import { Library } from 'lucide-react';
+import { Button, Card, Input } from './UI';
+import { apiService } from '../services/api';
+import type { TeachingSection } from '../services/api';
+import { TEACHING_SECTION_LABELS } from '../pages/TeachingLibraryPage';
+
+const ALL_SECTIONS = Object.keys(TEACHING_SECTION_LABELS) as TeachingSection[];
+
+export function TeachingCaseCreator({ patientId }: { patientId: string }) {
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [sections, setSections] = useState<TeachingSection[]>(ALL_SECTIONS);
+  const [submitting, setSubmitting] = useState(false);
+  const [createdId, setCreatedId] = useState<number | null>(null);
+
+  const toggleSection = (section: TeachingSection) => {
+    setSections(sections.includes(section) ? sections.filter((value) => value !== section) : [...sections, section]);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await apiService.teachingLibrary.createFromPatient(patientId, {
+        title: title.trim(),
+        ...(description.trim() && { description: description.trim() }),
+        sections
+      });
+      toast.success(response.message || 'Added to the teaching library');
+      (response.data?.skipped || []).forEach((skipped) => toast.warning(`${skipped.type}: ${skipped.reason}`));
+      setCreatedId(response.data?.id ?? null);
+      setTitle('');
+      setDescription('');
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to add the case to the teaching library');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="p-5">
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="flex items-center gap-3">
+          <Library className="h-5 w-5 text-blue-600 shrink-0" />
+          <h3 className="font-semibold text-gray-900">Add to Teaching Library</h3>
+        </div>
+        <p className="text-sm text-gray-500">
+          Needs the patient's teaching consent. The case is pseudonymised, its dates shifted and names, addresses and
+          phone numbers removed; radiograph metadata is stripped, but check the images for names burned into the picture.
+        </p>
+        <Input value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} placeholder="Case title, e.g. Class II div 1 with crowding" />
+        <Input value={description} onChange={(e) => setDescription(e.target.value)} maxLength={2000} placeholder="What students should look at (optional)" />
+        <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+          {ALL_SECTIONS.map((section) => (
+            <label key={section} className="flex items-center gap-2">
+              <input type="checkbox" checked={sections.includes(section)} onChange={() => toggleSection(section)} />
+              {TEACHING_SECTION_LABELS[section]}
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <Button type="submit" size="sm" disabled={submitting || title.trim().length < 3 || sections.length === 0}>
+            {submitting ? 'Anonymising...' : 'Add Case'}
+          </Button>
+          {createdId !== null && (
+            <Link to="/teaching-library" className="text-sm text-blue-600 hover:underline">Open the teaching library</Link>
+          )}
+        </div>
+      </form>
+    </Card>
+  );
+}
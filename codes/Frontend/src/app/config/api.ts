@@ -11,10 +11,24 @@ export const API_ENDPOINTS = {
   AUTH: {
     LOGIN: '/api/auth/login',
     GOOGLE: '/api/auth/google',
+    OIDC_PROVIDERS: '/api/auth/oidc/providers',
+    OIDC_LOGIN: (providerId: string) => `/api/auth/oidc/${providerId}/login`,
     REFRESH: '/api/auth/refresh',
     LOGOUT: '/api/auth/logout',
     PROFILE: '/api/auth/profile',
     CHANGE_PASSWORD: '/api/auth/change-password',
+    FORGOT_PASSWORD: '/api/auth/forgot-password',
+    RESET_PASSWORD: '/api/auth/reset-password',
+    PASSWORD_POLICY: '/api/auth/password-policy',
+    SESSIONS: '/api/auth/sessions',
+    SESSION: (sessionId: string) => `/api/auth/sessions/${sessionId}`,
+    SESSIONS_REVOKE_OTHERS: '/api/auth/sessions/revoke-others',
+    MFA_VERIFY: '/api/auth/mfa/verify',
+    MFA_STATUS: '/api/auth/mfa',
+    MFA_SETUP: '/api/auth/mfa/setup',
+    MFA_ENABLE: '/api/auth/mfa/enable',
+    MFA_DISABLE: '/api/auth/mfa/disable',
+    MFA_RECOVERY_CODES: '/api/auth/mfa/recovery-codes',
   },
   
   // Users
@@ -25,6 +39,10 @@ export const API_ENDPOINTS = {
     UPDATE: (id: string) => `/api/users/${id}`,
     DELETE: (id: string) => `/api/users/${id}`,
     RESET_PASSWORD: (id: string) => `/api/users/${id}/reset-password`,
+    RESET_MFA: (id: string) => `/api/users/${id}/reset-mfa`,
+    UNLOCK: (id: string) => `/api/users/${id}/unlock`,
+    SESSIONS: (id: string) => `/api/users/${id}/sessions`,
+    SESSION: (id: string, sessionId: string) => `/api/users/${id}/sessions/${sessionId}`,
     STATS: '/api/users/stats',
     STAFF: '/api/users/staff'
   },
@@ -34,6 +52,7 @@ export const API_ENDPOINTS = {
     LIST: '/api/patients',
     ORTHODONTISTS: '/api/patients/orthodontists',
     ASSIGNABLE_STAFF: '/api/patients/assignable-staff',
+    ASSIGNMENTS_EXPIRING: '/api/patients/assignments/expiring',
     ASSIGNMENT_REQUESTS_PENDING: '/api/patients/assignment-requests/pending',
     ASSIGNMENT_REQUEST_RESPOND: (requestId: string) => `/api/patients/assignment-requests/${requestId}/respond`,
     DETAIL: (id: string) => `/api/patients/${id}`,
@@ -41,6 +60,8 @@ export const API_ENDPOINTS = {
     UPDATE: (id: string) => `/api/patients/${id}`,
     DELETE: (id: string) => `/api/patients/${id}`,
     REACTIVATE: (id: string) => `/api/patients/${id}/reactivate`,
+    STATUS_HISTORY: (id: string) => `/api/patients/${id}/status-history`,
+    TIMELINE: (id: string) => `/api/patients/${id}/timeline`,
     STATS: '/api/patients/stats',
     ASSIGNMENTS: (id: string) => `/api/patients/${id}/assignments`,
     VISITS: (id: string) => `/api/visits/patients/${id}`,
@@ -49,6 +70,9 @@ export const API_ENDPOINTS = {
     PAYMENT_RECORDS: (id: string) => `/api/payment-records/patients/${id}`,
     MATERIAL_USAGES: (id: string) => `/api/patient-materials/patients/${id}`,
     HISTORY: (id: string) => `/api/patients/${id}/history`,
+    HISTORY_REVISIONS: (id: string) => `/api/patients/${id}/history/revisions`,
+    HISTORY_RESTORE: (id: string, revision: number) => `/api/patients/${id}/history/revisions/${revision}/restore`,
+    HISTORY_DIFF: (id: string) => `/api/patients/${id}/history/diff`,
     RECORD_EXPORT: (id: string) => `/api/patients/${id}/record-export`,
     DENTAL_CHART: (id: string) => `/api/patients/${id}/dental-chart`,
     DENTAL_CHART_TOOTH: (id: string, toothNumber: number) => `/api/patients/${id}/dental-chart/${toothNumber}`,
@@ -168,11 +192,112 @@ export const API_ENDPOINTS = {
   // Reports (Admin only)
   REPORTS: {
     PATIENT_STATUS: '/api/reports/patient-status',
+    STATUS_DURATIONS: '/api/reports/status-durations',
+    WAITING_LIST: '/api/reports/waiting-list',
     VISIT_SUMMARY: '/api/reports/visit-summary',
     INVENTORY_ALERTS: '/api/reports/inventory-alerts',
     DASHBOARD: '/api/reports/dashboard',
     SUMMARY_PATIENTS: '/api/reports/summary-patients',
     AUDIT_LOGS: '/api/reports/audit-logs',
+    FAILED_LOGINS: '/api/reports/failed-logins',
+  },
+
+  // API keys and service accounts (Admin only)
+  API_KEYS: {
+    LIST: '/api/api-keys',
+    SCOPE_OPTIONS: '/api/api-keys/scope-options',
+    SERVICE_ACCOUNTS: '/api/api-keys/service-accounts',
+    ROTATE: (id: number) => `/api/api-keys/${id}/rotate`,
+    REVOKE: (id: number) => `/api/api-keys/${id}`,
+  },
+
+  // Role permission matrix (Admin only)
+  PERMISSIONS: {
+    MATRIX: '/api/permissions',
+    VERSIONS: '/api/permissions/versions',
+    RESTORE: (version: number) => `/api/permissions/versions/${version}/restore`,
+  },
+
+  // Break-glass emergency access to unassigned patients
+  BREAK_GLASS: {
+    REQUEST: '/api/break-glass',
+    MINE: '/api/break-glass/mine',
+    PATIENT_STATUS: (patientId: string | number) => `/api/break-glass/patients/${patientId}`,
+    END: (id: number) => `/api/break-glass/${id}`,
+    REVIEWS: '/api/break-glass/reviews',
+    PENDING_COUNT: '/api/break-glass/reviews/pending-count',
+    ACKNOWLEDGE: (id: number) => `/api/break-glass/reviews/${id}/acknowledge`,
+  },
+
+  // Read-only "view as user" sessions (Admin only)
+  IMPERSONATION: {
+    START: '/api/impersonation',
+    END: (id: number) => `/api/impersonation/${id}/end`,
+  },
+
+  // Caseload delegation during leave (Orthodontist, Dental Surgeon, Admin)
+  DELEGATIONS: {
+    LIST: '/api/delegations',
+    OPTIONS: '/api/delegations/options',
+    DETAIL: (id: number) => `/api/delegations/${id}`,
+    CANCEL: (id: number) => `/api/delegations/${id}/cancel`,
+  },
+
+  // Patient consent records and versioned consent wording
+  CONSENTS: {
+    TEMPLATES: '/api/consents/templates',
+    TEMPLATE_VERSIONS: (consentType: string) => `/api/consents/templates/${consentType}/versions`,
+    PATIENT: (patientId: string | number) => `/api/consents/patients/${patientId}`,
+    WITHDRAW: (id: number) => `/api/consents/${id}/withdraw`,
+  },
+
+  // Parents and guardians of a patient
+  GUARDIANS: {
+    PATIENT: (patientId: string | number) => `/api/guardians/patients/${patientId}`,
+    DETAIL: (id: number) => `/api/guardians/${id}`,
+  },
+
+  // Administrator merge of duplicate patient records
+  PATIENT_MERGES: {
+    LIST: '/api/patient-merges',
+    PREVIEW: '/api/patient-merges/preview',
+  },
+  RETENTION: {
+    POLICIES: '/api/retention/policies',
+    DUE: '/api/retention/due',
+    PURGES: '/api/retention/purges',
+    APPROVE: (id: number) => `/api/retention/purges/${id}/approve`,
+    REJECT: (id: number) => `/api/retention/purges/${id}/reject`,
+  },
+  PATIENT_IMPORTS: {
+    LIST: '/api/patient-imports',
+    DETAIL: (id: string | number) => `/api/patient-imports/${id}`,
+    DRY_RUN: '/api/patient-imports/dry-run',
+    COMMIT: (id: string | number) => `/api/patient-imports/${id}/commit`,
+    ROLLBACK: (id: string | number) => `/api/patient-imports/${id}/rollback`,
+  },
+
+  // Full machine-readable patient data export (Admin)
+  PATIENT_EXPORTS: {
+    PATIENT: (patientId: string | number) => `/api/patient-exports/patients/${patientId}`,
+    DOWNLOAD: (id: number) => `/api/patient-exports/${id}/download`,
+  },
+
+  // Anonymised teaching library (Students read; Orthodontists and Dental Surgeons add cases)
+  TEACHING_LIBRARY: {
+    LIST: '/api/teaching-library',
+    DETAIL: (id: number) => `/api/teaching-library/${id}`,
+    IMAGE: (id: number, fileId: number) => `/api/teaching-library/${id}/images/${fileId}`,
+    PACKAGE: (id: number) => `/api/teaching-library/${id}/package`,
+    IMPORT: '/api/teaching-library/import',
+    FROM_PATIENT: (patientId: string | number) => `/api/teaching-library/patients/${patientId}`,
+  },
+
+  // Treatment waiting list (Orthodontist)
+  WAITING_LIST: {
+    LIST: '/api/waiting-list',
+    TAKE_OFF: (id: number) => `/api/waiting-list/${id}/take-off`,
+    REMOVE: (id: number) => `/api/waiting-list/${id}/remove`,
   },
 } as const;
 
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, ReactNode, useEffect } from 'react';
 import { apiService } from '../services/api';
+import type { ImpersonatedBy } from '../services/api';
 
 export type UserRole = 'ADMIN' | 'ORTHODONTIST' | 'DENTAL_SURGEON' | 'NURSE' | 'STUDENT' | 'RECEPTION';
 
@@ -10,15 +11,30 @@ interface User {
   role: UserRole;
   department: string;
   must_change_password?: boolean;
+  mfa_enabled?: boolean;
+  mfa_setup_required?: boolean;
+  impersonated_by?: ImpersonatedBy;
+}
+
+export interface LoginResult {
+  success: boolean;
+  error?: string;
+  requiresPasswordChange?: boolean;
+  requiresMfaSetup?: boolean;
+  mfaToken?: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
-  login: (email: string, password: string) => Promise<{ success: boolean; error?: string; requiresPasswordChange?: boolean }>;
-  loginWithGoogle: (idToken: string) => Promise<{ success: boolean; error?: string; requiresPasswordChange?: boolean }>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  loginWithGoogle: (idToken: string) => Promise<LoginResult>;
+  loginWithOidc: (providerId: string, idToken: string, nonce: string) => Promise<LoginResult>;
+  verifyMfa: (mfaToken: string, factor: { code?: string; recoveryCode?: string }) => Promise<LoginResult>;
   logout: () => Promise<void>;
   refreshProfile: () => Promise<void>;
+  startImpersonation: (userId: number, reason: string) => Promise<void>;
+  stopImpersonation: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -55,11 +71,15 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     initializeAuth();
   }, []);
 
-  const login = async (email: string, password: string): Promise<{ success: boolean; error?: string; requiresPasswordChange?: boolean }> => {
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     try {
       const response = await apiService.auth.login({ email, password });
       
-      if (response.success && response.data) {
+      if (response.success && response.data && 'mfa_token' in response.data) {
+        return { success: false, mfaToken: response.data.mfa_token };
+      }
+
+      if (response.success && response.data && 'user' in response.data) {
         // Store tokens are handled automatically by the API service
         setUser({
           ...response.data.user,
@@ -67,7 +87,8 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         });
         return {
           success: true,
-          requiresPasswordChange: Boolean(response.data.user.must_change_password)
+          requiresPasswordChange: Boolean(response.data.user.must_change_password),
+          requiresMfaSetup: Boolean(response.data.user.mfa_setup_required)
         };
       } else {
         return { success: false, error: response.message || 'Login failed' };
@@ -77,9 +98,41 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const loginWithGoogle = async (idToken: string): Promise<{ success: boolean; error?: string; requiresPasswordChange?: boolean }> => {
+  // Shared by every single sign-on provider: either a session or an MFA challenge comes back
+  const finishIdentityLogin = async (request: () => ReturnType<typeof apiService.auth.loginWithGoogle>, fallbackError: string): Promise<LoginResult> => {
+    try {
+      const response = await request();
+
+      if (response.success && response.data && 'mfa_token' in response.data) {
+        return { success: false, mfaToken: response.data.mfa_token };
+      }
+
+      if (response.success && response.data && 'user' in response.data) {
+        setUser({
+          ...response.data.user,
+          role: response.data.user.role as UserRole
+        });
+        return {
+          success: true,
+          requiresPasswordChange: Boolean(response.data.user.must_change_password),
+          requiresMfaSetup: Boolean(response.data.user.mfa_setup_required)
+        };
+      }
+      return { success: false, error: response.message || fallbackError };
+    } catch (error: any) {
+      return { success: false, error: error.message || fallbackError };
+    }
+  };
+
+  const loginWithGoogle = (idToken: string) =>
+    finishIdentityLogin(() => apiService.auth.loginWithGoogle(idToken), 'Google login failed');
+
+  const loginWithOidc = (providerId: string, idToken: string, nonce: string) =>
+    finishIdentityLogin(() => apiService.auth.loginWithOidc(providerId, { idToken, nonce }), 'Single sign-on failed');
+
+  const verifyMfa = async (mfaToken: string, factor: { code?: string; recoveryCode?: string }): Promise<LoginResult> => {
     try {
-      const response = await apiService.auth.loginWithGoogle(idToken);
+      const response = await apiService.auth.verifyMfa({ mfaToken, ...factor });
 
       if (response.success && response.data) {
         setUser({
@@ -91,14 +144,18 @@ export function AuthProvider({ children }: { children: ReactNode }) {
           requiresPasswordChange: Boolean(response.data.user.must_change_password)
         };
       }
-      return { success: false, error: response.message || 'Google login failed' };
+      return { success: false, error: response.message || 'Verification failed' };
     } catch (error: any) {
-      return { success: false, error: error.message || 'Google login failed' };
+      return { success: false, error: error.message || 'Verification failed' };
     }
   };
 
   const logout = async () => {
     try {
+      // The view-as session is read-only and cannot sign out, so end it first
+      if (user?.impersonated_by) {
+        await apiService.impersonation.end(user.impersonated_by.impersonation_id).catch(() => undefined);
+      }
       await apiService.auth.logout();
     } catch (error) {
       console.error('Logout error:', error);
@@ -121,8 +178,27 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  // Errors propagate so the caller can show why the session could not start
+  const startImpersonation = async (userId: number, reason: string) => {
+    await apiService.impersonation.start(userId, reason);
+    await refreshProfile();
+  };
+
+  const stopImpersonation = async () => {
+    const sessionId = user?.impersonated_by?.impersonation_id;
+    try {
+      if (sessionId) {
+        await apiService.impersonation.end(sessionId);
+      }
+    } catch (error) {
+      console.error('End impersonation error:', error);
+    } finally {
+      await refreshProfile();
+    }
+  };
+
   return (
-    <AuthContext.Provider value={{ user, isLoading, login, loginWithGoogle, logout, refreshProfile }}>
+    <AuthContext.Provider value={{ user, isLoading, login, loginWithGoogle, loginWithOidc, verifyMfa, logout, refreshProfile, startImpersonation, stopImpersonation }}>
       {children}
     </AuthContext.Provider>
   );
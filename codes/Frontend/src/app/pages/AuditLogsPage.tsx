@@ -19,6 +19,28 @@ type AuditLog = {
   timestamp: string;
 };
 
+type FailedLoginAccount = {
+  email: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  user_role: string | null;
+  failures: number;
+  lockouts: number;
+  distinct_ips: number;
+  last_attempt_at: string;
+  is_locked: number | boolean;
+};
+
+type FailedLoginSummary = {
+  total_failures: number;
+  lockouts: number;
+  unknown_account_failures: number;
+  accounts_targeted: number;
+  source_ips: number;
+};
+
+const FAILED_LOGIN_ACCOUNT_LIMIT = 10;
+
 const ROLE_OPTIONS = ['', 'ADMIN', 'ORTHODONTIST', 'DENTAL_SURGEON', 'NURSE', 'RECEPTION', 'STUDENT'];
 const PAGE_SIZE = 25;
 const AUDIT_LOG_TIME_ZONE = 'Asia/Colombo';
@@ -120,6 +142,8 @@ export function AuditLogsPage() {
   const [jumpPageInput, setJumpPageInput] = useState('1');
   const startDateTimeRef = useRef<HTMLInputElement | null>(null);
   const endDateTimeRef = useRef<HTMLInputElement | null>(null);
+  const [failedLoginSummary, setFailedLoginSummary] = useState<FailedLoginSummary | null>(null);
+  const [failedLoginAccounts, setFailedLoginAccounts] = useState<FailedLoginAccount[]>([]);
   const [pagination, setPagination] = useState({
     current_page: 1,
     total_pages: 1,
@@ -155,10 +179,34 @@ export function AuditLogsPage() {
     }
   };
 
+  const loadFailedLogins = async () => {
+    try {
+      const response = await apiService.reports.failedLogins({
+        start_date: toUtcQueryDateTime(startDateTime),
+        end_date: toUtcQueryDateTime(endDateTime),
+        limit: FAILED_LOGIN_ACCOUNT_LIMIT
+      });
+      setFailedLoginSummary(response.data?.summary || null);
+      setFailedLoginAccounts(response.data?.accounts || []);
+    } catch {
+      setFailedLoginSummary(null);
+      setFailedLoginAccounts([]);
+    }
+  };
+
+  const refreshAll = () => {
+    loadLogs();
+    loadFailedLogins();
+  };
+
   useEffect(() => {
     loadLogs();
   }, [page, search, role, startDateTime, endDateTime]);
 
+  useEffect(() => {
+    loadFailedLogins();
+  }, [startDateTime, endDateTime]);
+
   useEffect(() => {
     setJumpPageInput(String(pagination.current_page || 1));
   }, [pagination.current_page]);
@@ -219,7 +267,7 @@ export function AuditLogsPage() {
         <div>
           <h2 className="text-2xl font-bold text-gray-900">Audit Log</h2>
         </div>
-        <RefreshButton onClick={loadLogs} loading={loading} />
+        <RefreshButton onClick={refreshAll} loading={loading} />
       </div>
 
       <Card className="p-5 space-y-5">
@@ -301,6 +349,57 @@ export function AuditLogsPage() {
 
       {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
 
+      {failedLoginSummary && (
+        <Card>
+          <div className="flex flex-col gap-2 border-b border-gray-100 px-4 py-3 md:flex-row md:items-center md:justify-between">
+            <div>
+              <h3 className="font-semibold text-gray-900">Failed Sign-ins</h3>
+              <p className="text-xs text-gray-500">
+                {startDateTime ? 'Selected period' : 'Last 7 days'}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="error">{Number(failedLoginSummary.total_failures)} failures</Badge>
+              <Badge variant="warning">{Number(failedLoginSummary.lockouts)} lockouts</Badge>
+              <Badge variant="neutral">{Number(failedLoginSummary.accounts_targeted)} accounts</Badge>
+              <Badge variant="neutral">{Number(failedLoginSummary.source_ips)} IPs</Badge>
+              <Badge variant="neutral">{Number(failedLoginSummary.unknown_account_failures)} unknown emails</Badge>
+            </div>
+          </div>
+          <Table>
+            <thead>
+              <tr className="border-b border-gray-100 bg-gray-50">
+                <th className="px-4 py-3 font-semibold text-gray-700">Account</th>
+                <th className="px-4 py-3 font-semibold text-gray-700">Failures</th>
+                <th className="px-4 py-3 font-semibold text-gray-700">Lockouts</th>
+                <th className="px-4 py-3 font-semibold text-gray-700">Source IPs</th>
+                <th className="px-4 py-3 font-semibold text-gray-700">Last Attempt</th>
+              </tr>
+            </thead>
+            <tbody>
+              {failedLoginAccounts.map((row) => (
+                <tr key={row.email || 'unknown'} className="border-b border-gray-50">
+                  <td className="px-4 py-3">
+                    <div className="text-sm font-medium text-gray-900">{row.user_name || 'Unknown account'}</div>
+                    <div className="text-xs text-gray-500">{row.email || '-'}</div>
+                    {Boolean(row.is_locked) && <Badge variant="warning" className="mt-1">LOCKED</Badge>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{Number(row.failures)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{Number(row.lockouts)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{Number(row.distinct_ips)}</td>
+                  <td className="px-4 py-3 text-xs text-gray-600 whitespace-nowrap">{formatAuditTimestamp(row.last_attempt_at)}</td>
+                </tr>
+              ))}
+              {failedLoginAccounts.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-6 text-center text-sm text-gray-500">No failed sign-ins.</td>
+                </tr>
+              )}
+            </tbody>
+          </Table>
+        </Card>
+      )}
+
       <Card>
         <div className="flex items-center justify-between border-b border-gray-100 px-4 py-3">
           <h3 className="font-semibold text-gray-900">Activity Records</h3>
@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { CalendarRange } from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from '../components/UI';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import type { Delegation, DelegationOptions, DelegationStatus } from '../services/api';
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const EMPTY_OPTIONS: DelegationOptions = { clinicians: [], delegates: [], patients: [] };
+
+const STATUS_VARIANTS: Record<DelegationStatus, 'success' | 'blue' | 'neutral' | 'error'> = {
+  ACTIVE: 'success',
+  SCHEDULED: 'blue',
+  ENDED: 'neutral',
+  CANCELLED: 'error'
+};
+
+const getTodayDateValue = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const formatRole = (role: string) => role.replace(/_/g, ' ').toLowerCase();
+
+export function DelegationsPage() {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'ADMIN';
+  const [delegations, setDelegations] = useState<Delegation[]>([]);
+  const [options, setOptions] = useState<DelegationOptions>(EMPTY_OPTIONS);
+  const [delegatorId, setDelegatorId] = useState('');
+  const [delegateId, setDelegateId] = useState('');
+  const [startsAt, setStartsAt] = useState(getTodayDateValue());
+  const [endsAt, setEndsAt] = useState('');
+  const [allPatients, setAllPatients] = useState(true);
+  const [patientIds, setPatientIds] = useState<number[]>([]);
+  const [reason, setReason] = useState('');
+  const [expanded, setExpanded] = useState<Delegation | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadDelegations = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.delegations.getList();
+      setDelegations(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load delegations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOptions = async (selectedDelegatorId?: number) => {
+    try {
+      const response = await apiService.delegations.getOptions(selectedDelegatorId);
+      setOptions(response.data || EMPTY_OPTIONS);
+    } catch {
+      setOptions(EMPTY_OPTIONS);
+    }
+  };
+
+  useEffect(() => {
+    loadDelegations();
+    loadOptions();
+  }, []);
+
+  const handleDelegatorChange = (value: string) => {
+    setDelegatorId(value);
+    setDelegateId('');
+    setPatientIds([]);
+    loadOptions(value ? Number(value) : undefined);
+  };
+
+  const togglePatient = (id: number) => {
+    setPatientIds((current) => (current.includes(id) ? current.filter((entry) => entry !== id) : [...current, id]));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await apiService.delegations.create({
+        ...(isAdmin && delegatorId && { delegator_id: Number(delegatorId) }),
+        delegate_id: Number(delegateId),
+        starts_at: startsAt,
+        ends_at: endsAt,
+        ...(!allPatients && { patient_ids: patientIds }),
+        ...(reason.trim() && { reason: reason.trim() })
+      });
+      toast.success(response.message || 'Patients delegated');
+      setDelegateId('');
+      setEndsAt('');
+      setPatientIds([]);
+      setAllPatients(true);
+      setReason('');
+      loadDelegations();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to delegate patients');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (delegation: Delegation) => {
+    if (!window.confirm(`Cancel the delegation to ${delegation.delegate_name}? Their access from it ends immediately.`)) {
+      return;
+    }
+    try {
+      const response = await apiService.delegations.cancel(delegation.id);
+      toast.success(response.message || 'Delegation cancelled');
+      if (expanded?.id === delegation.id) setExpanded(null);
+      loadDelegations();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to cancel the delegation');
+    }
+  };
+
+  const toggleDetails = async (delegation: Delegation) => {
+    if (expanded?.id === delegation.id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const response = await apiService.delegations.getById(delegation.id);
+      setExpanded(response.data || null);
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to load the delegated patients');
+    }
+  };
+
+  const canCancel = (delegation: Delegation) => (
+    ['SCHEDULED', 'ACTIVE'].includes(delegation.status)
+    && (isAdmin || delegation.delegator_id === user?.id || delegation.created_by === user?.id)
+  );
+
+  const canSubmit = Boolean(delegateId && endsAt && (allPatients || patientIds.length > 0) && (!isAdmin || delegatorId));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Delegations</h2>
+          <p className="text-sm text-gray-500">
+            Hand {isAdmin ? "a clinician's" : 'your'} assigned patients to a colleague for a period of leave. The colleague gets
+            the same patient access and answers assignment requests until the end date, then everything reverts automatically.
+          </p>
+        </div>
+        <RefreshButton onClick={loadDelegations} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <Card className="p-5">
+          <div className="flex items-start gap-3 mb-4">
+            <CalendarRange className="h-5 w-5 text-blue-600 shrink-0 mt-0.5" />
+            <h3 className="font-semibold text-gray-900">New Delegation</h3>
+          </div>
+          <form onSubmit={handleSubmit} className="space-y-3">
+            {isAdmin && (
+              <select className={SELECT_CLASS} value={delegatorId} onChange={(e) => handleDelegatorChange(e.target.value)}>
+                <option value="">Clinician going on leave</option>
+                {options.clinicians.map((clinician) => (
+                  <option key={clinician.id} value={clinician.id}>{clinician.name} ({formatRole(clinician.role)})</option>
+                ))}
+              </select>
+            )}
+            <select className={SELECT_CLASS} value={delegateId} onChange={(e) => setDelegateId(e.target.value)}>
+              <option value="">Delegate to</option>
+              {options.delegates.map((delegate) => (
+                <option key={delegate.id} value={delegate.id}>{delegate.name} ({delegate.email})</option>
+              ))}
+            </select>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-xs text-gray-500">
+                From
+                <Input type="date" value={startsAt} max={endsAt || undefined} onChange={(e) => setStartsAt(e.target.value)} />
+              </label>
+              <label className="text-xs text-gray-500">
+                Until
+                <Input type="date" value={endsAt} min={startsAt || getTodayDateValue()} onChange={(e) => setEndsAt(e.target.value)} />
+              </label>
+            </div>
+            <div className="flex gap-4 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={allPatients} onChange={() => setAllPatients(true)} />
+                All assigned patients ({options.patients.length})
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={!allPatients} onChange={() => setAllPatients(false)} />
+                Selected patients
+              </label>
+            </div>
+            {!allPatients && (
+              <div className="max-h-48 space-y-1 overflow-y-auto rounded-md border border-gray-200 p-2">
+                {options.patients.map((patient) => (
+                  <label key={patient.id} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={patientIds.includes(patient.id)} onChange={() => togglePatient(patient.id)} />
+                    {patient.first_name} {patient.last_name}
+                    <span className="text-xs text-gray-500">{patient.patient_code}</span>
+                  </label>
+                ))}
+                {options.patients.length === 0 && <p className="text-sm text-gray-500">No assigned patients.</p>}
+              </div>
+            )}
+            <Input value={reason} onChange={(e) => setReason(e.target.value)} maxLength={500} placeholder="Reason, e.g. annual leave (optional)" />
+            <Button type="submit" disabled={!canSubmit || submitting}>
+              {submitting ? 'Delegating...' : 'Delegate Patients'}
+            </Button>
+          </form>
+        </Card>
+
+        <Card className="p-5">
+          <h3 className="font-semibold text-gray-900 mb-4">{isAdmin ? 'All Delegations' : 'Your Delegations'}</h3>
+          <div className="space-y-2">
+            {delegations.map((delegation) => (
+              <div key={delegation.id} className="rounded-md border border-gray-100 px-3 py-2">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0 space-y-1">
+                    <div className="text-sm font-medium text-gray-900">
+                      {delegation.delegator_name} → {delegation.delegate_name}
+                      <Badge variant={STATUS_VARIANTS[delegation.status]} className="ml-2">{delegation.status}</Badge>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {delegation.starts_at.slice(0, 10)} to {delegation.ends_at.slice(0, 10)} ·{' '}
+                      {delegation.all_patients ? 'all patients' : 'selected patients'} ({delegation.patient_count})
+                      {delegation.reason && ` · ${delegation.reason}`}
+                    </div>
+                    {delegation.cancelled_at && (
+                      <div className="text-xs text-gray-500">
+                        Cancelled {delegation.cancelled_at.slice(0, 10)}{delegation.cancelled_by_name && ` by ${delegation.cancelled_by_name}`}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex shrink-0 items-center gap-2">
+                    <Button variant="secondary" size="sm" onClick={() => toggleDetails(delegation)}>
+                      {expanded?.id === delegation.id ? 'Hide' : 'Patients'}
+                    </Button>
+                    {canCancel(delegation) && (
+                      <Button variant="ghost" size="sm" onClick={() => handleCancel(delegation)}>Cancel</Button>
+                    )}
+                  </div>
+                </div>
+                {expanded?.id === delegation.id && (
+                  <div className="mt-2 flex flex-wrap gap-1">
+                    {(expanded.patients || []).map((patient) => (
+                      <Badge key={patient.patient_id} variant="neutral">
+                        {patient.first_name} {patient.last_name} · {patient.patient_code}
+                        {patient.assignment_id === null && ' (already assigned)'}
+                      </Badge>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+            {delegations.length === 0 && <p className="text-sm text-gray-500">No delegations yet.</p>}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+}
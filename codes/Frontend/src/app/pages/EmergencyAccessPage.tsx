@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router';
+import { toast } from 'sonner';
+import { Badge, Button, Card, RefreshButton } from '../components/UI';
+import { BreakGlassRequestForm, formatBreakGlassTime } from '../components/BreakGlass';
+import { apiService } from '../services/api';
+import type { BreakGlassGrant, BreakGlassPolicy } from '../services/api';
+
+export function EmergencyAccessPage() {
+  const navigate = useNavigate();
+  const [grants, setGrants] = useState<BreakGlassGrant[]>([]);
+  const [policy, setPolicy] = useState<BreakGlassPolicy | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadGrants = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.breakGlass.getMine();
+      setGrants(response.data?.grants || []);
+      setPolicy(response.data?.policy || null);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load emergency access');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadGrants();
+  }, []);
+
+  const handleEnd = async (grant: BreakGlassGrant) => {
+    try {
+      await apiService.breakGlass.end(grant.id);
+      toast.success('Emergency access ended');
+      loadGrants();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to end emergency access');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Emergency Access</h2>
+          <p className="text-sm text-gray-500">
+            Open a patient who is not assigned to you when their care cannot wait. Administrators review every use.
+          </p>
+        </div>
+        <RefreshButton onClick={loadGrants} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <BreakGlassRequestForm
+          key={policy ? 'loaded' : 'default'}
+          policy={policy}
+          onGranted={(grant) => {
+            toast.warning('Emergency access granted. Administrators have been notified.');
+            navigate(`/patients/${grant.patient_id}`);
+          }}
+        />
+
+        <Card className="p-5">
+          <h3 className="font-semibold text-gray-900 mb-4">Your Active Emergency Access</h3>
+          <div className="space-y-2">
+            {grants.map((grant) => (
+              <div key={grant.id} className="flex items-center justify-between gap-3 rounded-md border border-gray-100 px-3 py-2">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900">
+                    {grant.first_name} {grant.last_name}
+                    <span className="ml-2 text-xs text-gray-500">{grant.patient_code}</span>
+                  </div>
+                  <div className="text-xs text-gray-500">Until {formatBreakGlassTime(grant.expires_at)}</div>
+                </div>
+                <div className="flex shrink-0 items-center gap-2">
+                  <Badge variant={grant.access_level === 'WRITE' ? 'warning' : 'neutral'}>
+                    {grant.access_level === 'WRITE' ? 'Read/Write' : 'Read'}
+                  </Badge>
+                  <Button variant="secondary" size="sm" onClick={() => navigate(`/patients/${grant.patient_id}`)}>Open</Button>
+                  <Button variant="ghost" size="sm" onClick={() => handleEnd(grant)}>End</Button>
+                </div>
+              </div>
+            ))}
+            {grants.length === 0 && <p className="text-sm text-gray-500">No active emergency access.</p>}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,11 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { Button, Input, Card } from '../components/UI';
-import { Lock, Mail } from 'lucide-react';
-import { useNavigate, Navigate } from 'react-router';
+import { KeyRound, Lock, Mail } from 'lucide-react';
+import { useNavigate, Navigate, Link, useLocation } from 'react-router';
+import { apiService } from '../services/api';
+import type { OidcProvider } from '../services/api';
+import { startOidcSignIn } from './OidcCallbackPage';
 
 declare global {
   interface Window {
@@ -17,7 +20,13 @@ export function LoginPage() {
   const [googleReady, setGoogleReady] = useState(false);
   const [googleLoading, setGoogleLoading] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
-  const { login, loginWithGoogle, isLoading: authLoading, user } = useAuth();
+  const location = useLocation();
+  // A redirect sign-in that needs a second factor lands back here with its challenge
+  const [mfaToken, setMfaToken] = useState<string | null>((location.state as { mfaToken?: string } | null)?.mfaToken || null);
+  const [ssoProviders, setSsoProviders] = useState<OidcProvider[]>([]);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, loginWithGoogle, verifyMfa, isLoading: authLoading, user } = useAuth();
   const navigate = useNavigate();
   const googleButtonRef = useRef<HTMLDivElement | null>(null);
   const toothLogoRef = useRef<HTMLDivElement | null>(null);
@@ -36,8 +45,10 @@ export function LoginPage() {
 
     try {
       const result = await login(email, password);
-      if (result.success) {
-        navigate(result.requiresPasswordChange ? '/settings' : '/');
+      if (result.mfaToken) {
+        setMfaToken(result.mfaToken);
+      } else if (result.success) {
+        navigate(result.requiresPasswordChange || result.requiresMfaSetup ? '/settings' : '/');
       } else {
         setError(result.error || 'Login failed');
       }
@@ -48,6 +59,40 @@ export function LoginPage() {
     }
   };
 
+  const handleMfaSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!mfaToken) return;
+    setError('');
+
+    const value = mfaCode.trim();
+    if (!value) {
+      setError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await verifyMfa(mfaToken, useRecoveryCode ? { recoveryCode: value } : { code: value });
+    setIsLoading(false);
+
+    if (result.success) {
+      navigate(result.requiresPasswordChange ? '/settings' : '/');
+      return;
+    }
+
+    setError(result.error || 'Verification failed');
+    if (/expired/i.test(result.error || '')) {
+      setMfaToken(null);
+      setMfaCode('');
+    }
+  };
+
+  const cancelMfa = () => {
+    setMfaToken(null);
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   const playToothSwing = () => {
     const el = toothLogoRef.current;
     if (!el || typeof el.animate !== 'function') return;
@@ -68,6 +113,23 @@ export function LoginPage() {
     );
   };
 
+  useEffect(() => {
+    let cancelled = false;
+    apiService.auth.getOidcProviders()
+      .then((response) => {
+        // Google keeps its own button below
+        if (!cancelled && response.success && response.data) {
+          setSsoProviders(response.data.filter((provider) => provider.id !== 'google'));
+        }
+      })
+      .catch(() => {
+        // Single sign-on buttons are optional; email/password still works
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     if (!googleClientId) {
       setGoogleLoading(false);
@@ -96,8 +158,10 @@ export function LoginPage() {
           const result = await loginWithGoogle(response.credential);
           setIsLoading(false);
 
-          if (result.success) {
-            navigate(result.requiresPasswordChange ? '/settings' : '/');
+          if (result.mfaToken) {
+            setMfaToken(result.mfaToken);
+          } else if (result.success) {
+            navigate(result.requiresPasswordChange || result.requiresMfaSetup ? '/settings' : '/');
           } else {
             setError(result.error || 'Google sign-in failed');
           }
@@ -254,7 +318,64 @@ export function LoginPage() {
           <p className="text-gray-500 mt-2 font-medium">University Dental Hospital Portal</p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-6">
+        {mfaToken && (
+          <form onSubmit={handleMfaSubmit} className="space-y-6">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">
+                {useRecoveryCode ? 'Recovery Code' : 'Authenticator Code'}
+              </label>
+              <div className="relative">
+                <KeyRound className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+                <Input
+                  type="text"
+                  className="pl-10 h-12 border-gray-200 tracking-widest"
+                  value={mfaCode}
+                  onChange={(e) => setMfaCode(e.target.value)}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  maxLength={useRecoveryCode ? 20 : 6}
+                  placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+                  autoFocus
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                {useRecoveryCode
+                  ? 'Each recovery code can be used once.'
+                  : 'Open your authenticator app and enter the current 6-digit code.'}
+              </p>
+            </div>
+
+            {error && (
+              <div className="p-3 rounded-md bg-red-50 border border-red-100 text-xs text-red-600 font-bold">
+                {error}
+              </div>
+            )}
+
+            <Button type="submit" className="w-full h-12 text-base font-bold shadow-lg hover:shadow-xl transition-all bg-blue-600 hover:bg-blue-700" disabled={isLoading}>
+              {isLoading ? 'Verifying...' : 'Verify and Sign In'}
+            </Button>
+
+            <div className="flex items-center justify-between text-xs">
+              <button
+                type="button"
+                className="font-medium text-blue-600 hover:underline"
+                onClick={() => {
+                  setUseRecoveryCode((current) => !current);
+                  setMfaCode('');
+                  setError('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button type="button" className="text-gray-500 hover:underline" onClick={cancelMfa}>
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Kept mounted while the MFA step is shown so the rendered Google button survives "Back to sign in" */}
+        <form onSubmit={handleSubmit} className={mfaToken ? 'hidden' : 'space-y-6'}>
           <div className="space-y-2">
             <label className="text-sm font-medium text-gray-700">Email</label>
             <div className="relative">
@@ -279,6 +400,11 @@ export function LoginPage() {
                 onChange={(e) => setPassword(e.target.value)}
               />
             </div>
+            <div className="text-right">
+              <Link to="/forgot-password" className="text-xs font-medium text-blue-600 hover:underline">
+                Forgot password?
+              </Link>
+            </div>
           </div>
 
           {error && (
@@ -328,6 +454,25 @@ export function LoginPage() {
                   Sign in with Google
                 </Button>
               )}
+              {ssoProviders.map((provider) => (
+                <Button
+                  key={provider.id}
+                  type="button"
+                  variant="secondary"
+                  className="w-full h-11 max-w-[320px]"
+                  disabled={!provider.authorization_endpoint}
+                  onClick={() => {
+                    setError('');
+                    try {
+                      startOidcSignIn(provider);
+                    } catch (err: any) {
+                      setError(err?.message || `${provider.name} sign-in failed`);
+                    }
+                  }}
+                >
+                  Sign in with {provider.name}
+                </Button>
+              ))}
             </div>
           </div>
         </form>
@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router';
+import { Card } from '../components/UI';
+import { useAuth } from '../context/AuthContext';
+import type { OidcProvider } from '../services/api';
+
+const PENDING_SIGN_IN_KEY = 'oidcPendingSignIn';
+
+type PendingSignIn = { providerId: string; state: string; nonce: string };
+
+const randomToken = () => {
+  const bytes = new Uint8Array(16);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const getOidcRedirectUri = () => `${window.location.origin}/login/oidc`;
+
+// Sends the browser to the provider; the ID token comes back in the URL fragment of /login/oidc
+export function startOidcSignIn(provider: OidcProvider) {
+  if (!provider.authorization_endpoint) {
+    throw new Error(`${provider.name} sign-in is currently unavailable.`);
+  }
+
+  const pending: PendingSignIn = { providerId: provider.id, state: randomToken(), nonce: randomToken() };
+  sessionStorage.setItem(PENDING_SIGN_IN_KEY, JSON.stringify(pending));
+
+  const url = new URL(provider.authorization_endpoint);
+  url.searchParams.set('client_id', provider.client_id);
+  url.searchParams.set('response_type', 'id_token');
+  url.searchParams.set('response_mode', 'fragment');
+  url.searchParams.set('scope', provider.scope);
+  url.searchParams.set('redirect_uri', getOidcRedirectUri());
+  url.searchParams.set('state', pending.state);
+  url.searchParams.set('nonce', pending.nonce);
+  window.location.assign(url.toString());
+}
+
+const readPendingSignIn = (): PendingSignIn | null => {
+  try {
+    return JSON.parse(sessionStorage.getItem(PENDING_SIGN_IN_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export function OidcCallbackPage() {
+  const { loginWithOidc } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // The token is single-use, so StrictMode's second effect run must not post it again
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const pending = readPendingSignIn();
+    sessionStorage.removeItem(PENDING_SIGN_IN_KEY);
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const providerError = params.get('error_description') || params.get('error');
+    const idToken = params.get('id_token');
+
+    if (providerError) {
+      setError(providerError);
+      return;
+    }
+    if (!pending || !idToken || params.get('state') !== pending.state) {
+      setError('This sign-in response could not be matched to a sign-in attempt. Please try again.');
+      return;
+    }
+
+    loginWithOidc(pending.providerId, idToken, pending.nonce).then((result) => {
+      if (result.mfaToken) {
+        navigate('/login', { replace: true, state: { mfaToken: result.mfaToken } });
+      } else if (result.success) {
+        navigate(result.requiresPasswordChange || result.requiresMfaSetup ? '/settings' : '/', { replace: true });
+      } else {
+        setError(result.error || 'Single sign-on failed');
+      }
+    });
+  }, [loginWithOidc, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 bg-[radial-gradient(155%_105%_at_15%_0%,#fbfdff_0%,#e6f1ff_32%,#c7ddff_76%,#d1d3ff_100%)]">
+      <Card className="w-full max-w-md p-8 rounded-[28px] shadow-2xl bg-white/95 text-center">
+        {error ? (
+          <>
+            <div className="p-3 rounded-md bg-red-50 border border-red-100 text-xs text-red-600 font-bold">{error}</div>
+            <Link to="/login" className="mt-6 inline-block text-xs font-medium text-blue-600 hover:underline">
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">Completing sign-in...</p>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { ReactNode, useState } from 'react';
+import { Link, useSearchParams } from 'react-router';
+import { Lock, Mail } from 'lucide-react';
+import { Button, Input, Card } from '../components/UI';
+import { apiService } from '../services/api';
+import { PasswordRequirements, getPasswordPolicyError, usePasswordPolicy } from '../components/PasswordRequirements';
+
+const ResetLayout = ({ title, subtitle, children }: { title: string; subtitle: string; children: ReactNode }) => (
+  <div className="min-h-screen flex items-center justify-center p-4 bg-[radial-gradient(155%_105%_at_15%_0%,#fbfdff_0%,#e6f1ff_32%,#c7ddff_76%,#d1d3ff_100%)]">
+    <Card className="w-full max-w-md p-8 rounded-[28px] shadow-2xl bg-white/95">
+      <div className="text-center mb-8">
+        <h1 className="text-3xl font-black text-gray-900 tracking-tight">{title}</h1>
+        <p className="text-gray-500 mt-2 text-sm">{subtitle}</p>
+      </div>
+      {children}
+      <div className="mt-6 text-center">
+        <Link to="/login" className="text-xs font-medium text-blue-600 hover:underline">
+          Back to sign in
+        </Link>
+      </div>
+    </Card>
+  </div>
+);
+
+const Message = ({ tone, children }: { tone: 'error' | 'success'; children: ReactNode }) => (
+  <div
+    className={tone === 'error'
+      ? 'p-3 rounded-md bg-red-50 border border-red-100 text-xs text-red-600 font-bold'
+      : 'p-3 rounded-md bg-green-50 border border-green-100 text-sm text-green-700'}
+  >
+    {children}
+  </div>
+);
+
+export function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email.trim()) {
+      setError('Enter the email address for your account');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await apiService.auth.forgotPassword(email.trim());
+      setSentMessage(response.message || 'If an account exists for that email, a password reset link has been sent.');
+    } catch (err: any) {
+      setError(err?.message || 'Could not send the reset link');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ResetLayout title="Forgot Password" subtitle="We will email you a link to choose a new password.">
+      {sentMessage ? (
+        <Message tone="success">{sentMessage}</Message>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-700">Email</label>
+            <div className="relative">
+              <Mail className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <Input
+                type="email"
+                className="pl-10 h-12 border-gray-200"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="email"
+                autoFocus
+              />
+            </div>
+          </div>
+
+          {error && <Message tone="error">{error}</Message>}
+
+          <Button type="submit" className="w-full h-12 text-base font-bold bg-blue-600 hover:bg-blue-700" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send Reset Link'}
+          </Button>
+        </form>
+      )}
+    </ResetLayout>
+  );
+}
+
+export function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const passwordPolicy = usePasswordPolicy();
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  const validate = () => {
+    if (!newPassword || !confirmPassword) {
+      return 'Both password fields are required.';
+    }
+
+    if (newPassword !== confirmPassword) {
+      return 'New password and confirmation do not match.';
+    }
+
+    return getPasswordPolicyError(passwordPolicy, newPassword);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await apiService.auth.resetPassword({ token, newPassword });
+      setNewPassword('');
+      setConfirmPassword('');
+      setDone(true);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to reset password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <ResetLayout title="Reset Password" subtitle="This page needs the link from your reset email.">
+        <Message tone="error">
+          The reset link is incomplete. <Link to="/forgot-password" className="underline">Request a new link</Link>.
+        </Message>
+      </ResetLayout>
+    );
+  }
+
+  return (
+    <ResetLayout title="Reset Password" subtitle="Choose a new password for your account.">
+      {done ? (
+        <Message tone="success">
+          Your password has been updated and every signed-in device has been signed out.{' '}
+          <Link to="/login" className="font-medium underline">Sign in</Link> with your new password.
+        </Message>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-700">New Password</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <Input
+                type="password"
+                className="pl-10 h-12 border-gray-200"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                autoComplete="new-password"
+                autoFocus
+              />
+            </div>
+            <PasswordRequirements policy={passwordPolicy} password={newPassword} />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-700">Confirm New Password</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <Input
+                type="password"
+                className="pl-10 h-12 border-gray-200"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                autoComplete="new-password"
+              />
+            </div>
+          </div>
+
+          {error && (
+            <Message tone="error">
+              {error}{' '}
+              {error.includes('reset link') && (
+                <Link to="/forgot-password" className="underline">Request a new link</Link>
+              )}
+            </Message>
+          )}
+
+          <Button type="submit" className="w-full h-12 text-base font-bold bg-blue-600 hover:bg-blue-700" disabled={submitting}>
+            {submitting ? 'Updating...' : 'Set New Password'}
+          </Button>
+        </form>
+      )}
+    </ResetLayout>
+  );
+}
@@ -1,9 +1,11 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Card, Table, Button, Input, Badge, RefreshButton } from '../components/UI';
-import { Search, Filter, UserPlus, Pencil, Trash2, ChevronDown, RefreshCcw, Calendar, X, FileDown } from 'lucide-react';
+import { Search, Filter, UserPlus, Pencil, Trash2, ChevronDown, RefreshCcw, Calendar, X, FileDown, Clock } from 'lucide-react';
 import { useNavigate } from 'react-router';
 import { apiService } from '../services/api';
+import type { AssignmentInput, AssignmentRole, ExpiringAssignment, PatientDuplicateCandidate } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { PatientDuplicateWarning, getDuplicateCandidates } from '../components/PatientDuplicateWarning';
 
 type PatientRecord = {
   id: number;
@@ -40,6 +42,11 @@ type DirectoryFilters = {
   registrationDate: string;
 };
 
+type AssignmentWindow = {
+  starts_at: string;
+  ends_at: string;
+};
+
 type MultiSelectOption = {
   id: number | string;
   name: string;
@@ -61,6 +68,27 @@ const initialForm = {
 
 const PHONE_REGEX = /^\d{10}$/;
 
+// Matches the backend ASSIGNMENT_EXPIRY_WARNING_DAYS default
+const EXPIRY_WARNING_DAYS = 14;
+const EMPTY_WINDOW: AssignmentWindow = { starts_at: '', ends_at: '' };
+
+const windowKey = (role: AssignmentRole, userId: string | number) => `${role}:${userId}`;
+
+const toDateValue = (value?: string | null) => (value ? String(value).slice(0, 10) : '');
+
+const getTodayDateValue = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Whole days left until the end of the given day
+const daysUntil = (dateValue: string) => {
+  const end = new Date(`${dateValue.slice(0, 10)}T23:59:59`);
+  return Math.max(0, Math.floor((end.getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+};
+
+const formatAssignmentRole = (role: string) => role.replace(/_/g, ' ').toLowerCase();
+
 const calculateAgeFromDob = (dobValue: string) => {
   if (!dobValue) return '';
   const dob = new Date(dobValue);
@@ -280,9 +308,14 @@ export function PatientListPage() {
 
   const [createForm, setCreateForm] = useState(initialForm);
   const [editForm, setEditForm] = useState(initialForm);
+  // Set after the server flags a possible duplicate; saving again confirms it is a different person
+  const [duplicateCandidates, setDuplicateCandidates] = useState<PatientDuplicateCandidate[] | null>(null);
   const [assignOrthodontistIds, setAssignOrthodontistIds] = useState<string[]>([]);
   const [assignSurgeonIds, setAssignSurgeonIds] = useState<string[]>([]);
   const [assignStudentIds, setAssignStudentIds] = useState<string[]>([]);
+  const [assignWindows, setAssignWindows] = useState<Record<string, AssignmentWindow>>({});
+  const [loadedWindows, setLoadedWindows] = useState<Record<string, AssignmentWindow>>({});
+  const [expiringAssignments, setExpiringAssignments] = useState<ExpiringAssignment[]>([]);
 
   const navigate = useNavigate();
   const { user } = useAuth();
@@ -296,6 +329,7 @@ export function PatientListPage() {
   const canFilterByAssignedOrthodontist = ['ADMIN', 'RECEPTION', 'DENTAL_SURGEON', 'STUDENT', 'NURSE'].includes(user?.role || '');
   const canExportAssignedPatientRecord = ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(user?.role || '');
   const canShowAssignAction = canAssignCareTeam;
+  const canSeeExpiringAssignments = ['ADMIN', 'RECEPTION', 'ORTHODONTIST', 'DENTAL_SURGEON'].includes(user?.role || '');
 
   const loadPatients = async (
     search = '',
@@ -358,6 +392,16 @@ export function PatientListPage() {
     }
   };
 
+  const loadExpiringAssignments = async () => {
+    if (!canSeeExpiringAssignments) return;
+    try {
+      const response = await apiService.patients.getExpiringAssignments();
+      setExpiringAssignments(response.data || []);
+    } catch {
+      setExpiringAssignments([]);
+    }
+  };
+
   const loadPatientCounts = async () => {
     try {
       const statsResponse = await apiService.patients.getStats();
@@ -384,6 +428,7 @@ export function PatientListPage() {
     loadOrthodontists();
     loadAssignableStaff();
     loadPatientCounts();
+    loadExpiringAssignments();
   }, [user?.role]);
 
   useEffect(() => {
@@ -464,6 +509,16 @@ export function PatientListPage() {
     return () => window.clearTimeout(handle);
   }, [searchTerm, adminDeletedFilter, activeFilters, createOpen, editOpen, assignOpen]);
 
+  useEffect(() => {
+    setDuplicateCandidates(null);
+  }, [createForm, editForm, createOpen, editOpen]);
+
+  const openExistingPatient = (patientId: number) => {
+    setCreateOpen(false);
+    closeEditModal();
+    navigate(`/patients/${patientId}`);
+  };
+
   const handleCreate = async (e: React.FormEvent) => {
     e.preventDefault();
     if (!isCreatePhoneValid) {
@@ -483,7 +538,8 @@ export function PatientListPage() {
         phone: createPhone || undefined,
         email: createForm.email || undefined,
         address: createForm.address || undefined,
-        province: createForm.province || undefined
+        province: createForm.province || undefined,
+        ...(duplicateCandidates && { confirm_not_duplicate: true })
       };
 
       const created = await apiService.patients.create(createPayload);
@@ -494,6 +550,11 @@ export function PatientListPage() {
       await loadPatients(searchTerm);
       await loadPatientCounts();
     } catch (err: any) {
+      const candidates = getDuplicateCandidates(err);
+      if (candidates) {
+        setDuplicateCandidates(candidates);
+        return;
+      }
       setError(err?.message || 'Failed to create patient');
     } finally {
       setSaving(false);
@@ -570,13 +631,19 @@ export function PatientListPage() {
         phone: editPhone || undefined,
         email: editForm.email || undefined,
         address: editForm.address || undefined,
-        province: editForm.province || undefined
+        province: editForm.province || undefined,
+        ...(duplicateCandidates && { confirm_not_duplicate: true })
       });
       closeEditModal();
       setSelectedPatientId(null);
       await loadPatients(searchTerm);
       await loadPatientCounts();
     } catch (err: any) {
+      const candidates = getDuplicateCandidates(err);
+      if (candidates) {
+        setDuplicateCandidates(candidates);
+        return;
+      }
       setError(err?.message || 'Failed to update patient');
     } finally {
       setSaving(false);
@@ -589,11 +656,19 @@ export function PatientListPage() {
     setAssignOrthodontistIds([]);
     setAssignSurgeonIds([]);
     setAssignStudentIds([]);
+    setAssignWindows({});
+    setLoadedWindows({});
     setAssignOpen(true);
 
     try {
       const response = await apiService.patients.getAssignments(String(patientId));
       const assignments = response.data || [];
+      const windows = Object.fromEntries(assignments.map((entry: any) => [
+        windowKey(entry.assignment_role, entry.user_id),
+        { starts_at: toDateValue(entry.starts_at), ends_at: toDateValue(entry.ends_at) }
+      ]));
+      setAssignWindows(windows);
+      setLoadedWindows(windows);
       const orthodontistIds = assignments
         .filter((entry: any) => entry.assignment_role === 'ORTHODONTIST')
         .map((entry: any) => String(entry.user_id));
@@ -622,18 +697,31 @@ export function PatientListPage() {
     e.preventDefault();
     if (!selectedPatientId) return;
 
+    // Dates are only sent when they differ from what was loaded, so untouched windows stay as they are
+    const withWindow = (assignment_role: AssignmentRole, id: string): AssignmentInput => {
+      const key = windowKey(assignment_role, id);
+      const current = assignWindows[key] || EMPTY_WINDOW;
+      const loaded = loadedWindows[key] || EMPTY_WINDOW;
+      const changed = current.starts_at !== loaded.starts_at || current.ends_at !== loaded.ends_at;
+      return {
+        user_id: Number(id),
+        assignment_role,
+        ...(changed && { starts_at: current.starts_at || null, ends_at: current.ends_at || null })
+      };
+    };
+
     const assignments = canOrthoAssignCareTeam
       ? [
-          ...assignSurgeonIds.map((id) => ({ user_id: Number(id), assignment_role: 'DENTAL_SURGEON' as const })),
-          ...assignStudentIds.map((id) => ({ user_id: Number(id), assignment_role: 'STUDENT' as const }))
+          ...assignSurgeonIds.map((id) => withWindow('DENTAL_SURGEON', id)),
+          ...assignStudentIds.map((id) => withWindow('STUDENT', id))
         ]
       : canSurgeonAssignStudents
         ? [
-            ...assignStudentIds.map((id) => ({ user_id: Number(id), assignment_role: 'STUDENT' as const }))
+            ...assignStudentIds.map((id) => withWindow('STUDENT', id))
           ]
       : [
-          ...assignOrthodontistIds.map((id) => ({ user_id: Number(id), assignment_role: 'ORTHODONTIST' as const })),
-          ...assignSurgeonIds.map((id) => ({ user_id: Number(id), assignment_role: 'DENTAL_SURGEON' as const }))
+          ...assignOrthodontistIds.map((id) => withWindow('ORTHODONTIST', id)),
+          ...assignSurgeonIds.map((id) => withWindow('DENTAL_SURGEON', id))
         ];
     setSaving(true);
     setError(null);
@@ -646,6 +734,7 @@ export function PatientListPage() {
       setAssignStudentIds([]);
       await loadPatients(searchTerm);
       await loadPatientCounts();
+      await loadExpiringAssignments();
     } catch (err: any) {
       const rawMessage = String(err?.message || '');
       if (rawMessage.toLowerCase().includes('validation failed')) {
@@ -667,6 +756,32 @@ export function PatientListPage() {
     [assignableStaff]
   );
 
+  const selectedAssignmentMembers = useMemo(() => {
+    const selections: Array<[AssignmentRole, string[], StaffMember[]]> = canOrthoAssignCareTeam
+      ? [['DENTAL_SURGEON', assignSurgeonIds, assignableSurgeons], ['STUDENT', assignStudentIds, assignableStudents]]
+      : canSurgeonAssignStudents
+        ? [['STUDENT', assignStudentIds, assignableStudents]]
+        : [['ORTHODONTIST', assignOrthodontistIds, orthodontists], ['DENTAL_SURGEON', assignSurgeonIds, assignableSurgeons]];
+    return selections.flatMap(([role, ids, options]) => ids.map((id) => ({
+      key: windowKey(role, id),
+      role,
+      name: options.find((option) => String(option.id) === id)?.name || `User ${id}`
+    })));
+  }, [
+    canOrthoAssignCareTeam,
+    canSurgeonAssignStudents,
+    assignOrthodontistIds,
+    assignSurgeonIds,
+    assignStudentIds,
+    orthodontists,
+    assignableSurgeons,
+    assignableStudents
+  ]);
+
+  const updateAssignWindow = (key: string, field: keyof AssignmentWindow, value: string) => {
+    setAssignWindows((current) => ({ ...current, [key]: { ...(current[key] || EMPTY_WINDOW), [field]: value } }));
+  };
+
   const openConfirmDialog = (config: {
     title: string;
     message: string;
@@ -847,6 +962,47 @@ export function PatientListPage() {
         </div>
       )}
 
+      {expiringAssignments.length > 0 && (
+        <Card className="border-amber-200">
+          <div className="flex items-center gap-2 border-b border-amber-100 bg-amber-50/60 px-4 py-3">
+            <Clock className="h-4 w-4 text-amber-600" />
+            <h3 className="text-sm font-semibold text-gray-900">Assignments Ending Soon</h3>
+            <span className="text-xs text-gray-500">Next {EXPIRY_WARNING_DAYS} days</span>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {expiringAssignments.map((entry) => {
+              const remaining = daysUntil(entry.ends_at);
+              return (
+                <div key={entry.id} className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 text-sm">
+                  <div className="min-w-0">
+                    <span className="font-medium text-gray-900">{entry.user_name}</span>
+                    <span className="ml-1 text-xs text-gray-500">{formatAssignmentRole(entry.assignment_role)}</span>
+                    <span className="mx-2 text-gray-300">·</span>
+                    <button
+                      type="button"
+                      className="text-blue-600 hover:underline"
+                      onClick={() => navigate(`/patients/${entry.patient_id}`)}
+                    >
+                      {entry.first_name} {entry.last_name} ({entry.patient_code})
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant={remaining <= 2 ? 'error' : 'warning'}>
+                      {remaining === 0 ? 'Ends today' : `Ends in ${remaining} day${remaining === 1 ? '' : 's'}`}
+                    </Badge>
+                    {canShowAssignAction && (
+                      <Button variant="ghost" size="sm" onClick={() => openAssignModal(entry.patient_id)}>
+                        Manage
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+      )}
+
       <Card>
         <div className="p-4 border-b border-gray-100 flex flex-col sm:flex-row gap-4 justify-between bg-gray-50/50">
           <div className="relative flex-1 max-w-sm">
@@ -1250,12 +1406,16 @@ export function PatientListPage() {
                 </div>
               </div>
 
+              {duplicateCandidates && (
+                <PatientDuplicateWarning candidates={duplicateCandidates} onOpen={openExistingPatient} />
+              )}
+
               <div className="flex justify-end gap-2 pt-2">
                 <Button type="button" variant="secondary" onClick={() => setCreateOpen(false)} disabled={saving}>
                   Cancel
                 </Button>
                 <Button type="submit" disabled={saving || !isCreatePhoneValid}>
-                  {saving ? 'Saving...' : 'Create Patient'}
+                  {saving ? 'Saving...' : duplicateCandidates ? 'Create Anyway' : 'Create Patient'}
                 </Button>
               </div>
             </form>
@@ -1410,12 +1570,16 @@ export function PatientListPage() {
                 </div>
               </div>
 
+              {duplicateCandidates && (
+                <PatientDuplicateWarning candidates={duplicateCandidates} onOpen={openExistingPatient} />
+              )}
+
               <div className="flex justify-end gap-2 pt-2">
                 <Button type="button" variant="secondary" onClick={closeEditModal} disabled={saving}>
                   Cancel
                 </Button>
                 <Button type="submit" disabled={saving || !isEditPhoneValid}>
-                  {saving ? 'Saving...' : 'Update Patient'}
+                  {saving ? 'Saving...' : duplicateCandidates ? 'Update Anyway' : 'Update Patient'}
                 </Button>
               </div>
             </form>
@@ -1495,6 +1659,56 @@ export function PatientListPage() {
                 )}
               </div>
 
+              {selectedAssignmentMembers.length > 0 && (
+                <div className="space-y-3 rounded-xl border border-gray-200 p-4 sm:p-6">
+                  <div>
+                    <h4 className="text-sm font-semibold text-gray-900">Access Dates</h4>
+                    <p className="text-xs text-gray-500">
+                      Leave blank for access without a start or end date. Access stops automatically after the end date.
+                    </p>
+                  </div>
+                  {selectedAssignmentMembers.map((member) => {
+                    const range = assignWindows[member.key] || EMPTY_WINDOW;
+                    // Reception cannot change dates on an existing clinician assignment without a new approval
+                    const locked = user?.role === 'RECEPTION' && Boolean(loadedWindows[member.key]);
+                    const today = getTodayDateValue();
+                    const remaining = range.ends_at ? daysUntil(range.ends_at) : null;
+                    return (
+                      <div key={member.key} className="grid grid-cols-1 items-center gap-2 sm:grid-cols-[1fr_10rem_10rem]">
+                        <div className="min-w-0 text-sm">
+                          <span className="font-medium text-gray-900">{member.name}</span>
+                          <span className="ml-1 text-xs text-gray-500">{formatAssignmentRole(member.role)}</span>
+                          {range.starts_at > today && (
+                            <Badge variant="blue" className="ml-2">Starts {range.starts_at}</Badge>
+                          )}
+                          {remaining !== null && range.ends_at >= today && remaining <= EXPIRY_WARNING_DAYS && (
+                            <Badge variant="warning" className="ml-2">
+                              {remaining === 0 ? 'Ends today' : `Ends in ${remaining} day${remaining === 1 ? '' : 's'}`}
+                            </Badge>
+                          )}
+                        </div>
+                        <Input
+                          type="date"
+                          aria-label={`Access start for ${member.name}`}
+                          value={range.starts_at}
+                          max={range.ends_at || undefined}
+                          onChange={(e) => updateAssignWindow(member.key, 'starts_at', e.target.value)}
+                          disabled={locked || saving}
+                        />
+                        <Input
+                          type="date"
+                          aria-label={`Access end for ${member.name}`}
+                          value={range.ends_at}
+                          min={range.starts_at > today ? range.starts_at : today}
+                          onChange={(e) => updateAssignWindow(member.key, 'ends_at', e.target.value)}
+                          disabled={locked || saving}
+                        />
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
               <div className="flex flex-col-reverse gap-2 pt-2 sm:flex-row sm:justify-end">
                 <Button type="button" variant="secondary" className="w-full sm:w-auto" onClick={() => setAssignOpen(false)} disabled={saving}>
                   Cancel
@@ -1,14 +1,23 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useParams, useNavigate } from 'react-router';
 import { Card, Badge, Button, Table, Input, RefreshButton } from '../components/UI';
-import { ArrowLeft, User, Calendar, FileText, Grid, Upload, Plus, Trash2, RotateCcw, Receipt, Pencil, X, Package } from 'lucide-react';
+import { ArrowLeft, User, Calendar, FileText, Grid, Upload, Plus, Trash2, RotateCcw, Receipt, Pencil, X, Package, ClipboardCheck, History } from 'lucide-react';
 import { DentalChart } from '../components/DentalChart';
 import { DocumentPortal } from '../components/DocumentPortal';
+import { BREAK_GLASS_ROLES, BreakGlassBanner, BreakGlassRequestForm } from '../components/BreakGlass';
+import { CONSENT_RECORDING_ROLES, PatientConsents } from '../components/PatientConsents';
+import { GUARDIAN_MANAGING_ROLES, PatientGuardians } from '../components/PatientGuardians';
+import { PatientDataExports } from '../components/PatientDataExports';
+import { TeachingCaseCreator } from '../components/TeachingCaseCreator';
+import { PatientStatusTimeline } from '../components/PatientStatusTimeline';
+import { PatientTimeline } from '../components/PatientTimeline';
+import { PatientHistoryRevisions } from '../components/PatientHistoryRevisions';
 import { useAuth } from '../context/AuthContext';
 import { apiService } from '../services/api';
+import type { BreakGlassGrant, BreakGlassPolicy, PatientTimelineItemType } from '../services/api';
 import { toast } from 'sonner';
 
-type TabId = 'overview' | 'visits' | 'history' | 'chart' | 'documents' | 'diagnosis' | 'notes' | 'materials' | 'payments';
+type TabId = 'overview' | 'timeline' | 'visits' | 'history' | 'chart' | 'documents' | 'diagnosis' | 'notes' | 'materials' | 'payments' | 'consents';
 
 const canEditMedical = (role?: string) => ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(role || '');
 const canCreateNotes = (role?: string) => ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(role || '');
@@ -27,6 +36,8 @@ const canDeletePaymentRecords = (role?: string) => role === 'ADMIN';
 const canReadPatientMaterials = (role?: string) => ['ADMIN', 'NURSE', 'ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(role || '');
 const canManagePatientMaterials = (role?: string) => ['ORTHODONTIST', 'DENTAL_SURGEON', 'STUDENT'].includes(role || '');
 const canDeletePatientMaterials = (role?: string) => role === 'ADMIN';
+const canExportPatientData = (role?: string) => role === 'ADMIN';
+const canCreateTeachingCase = (role?: string) => role === 'ORTHODONTIST' || role === 'DENTAL_SURGEON';
 
 const normalizePaymentAmountInput = (value: string) => {
   const trimmed = value.trim();
@@ -41,6 +52,16 @@ type PaymentFormErrors = Partial<Record<
   string
 >>;
 
+// Profile tab that lists each kind of timeline item
+const TIMELINE_ITEM_TABS: Partial<Record<PatientTimelineItemType, TabId>> = {
+  VISIT: 'visits',
+  CLINICAL_NOTE: 'notes',
+  DOCUMENT: 'documents',
+  CHART_VERSION: 'chart',
+  PAYMENT: 'payments',
+  MATERIAL: 'materials'
+};
+
 type TabConfig = {
   id: TabId;
   label: string;
@@ -63,14 +84,25 @@ export function PatientProfilePage() {
   const [historyAuto, setHistoryAuto] = useState<any>(null);
   const [historyData, setHistoryData] = useState<Record<string, any>>({});
   const [historyMeta, setHistoryMeta] = useState<any>(null);
+  const [breakGlassGrant, setBreakGlassGrant] = useState<BreakGlassGrant | null>(null);
+  const [breakGlassPolicy, setBreakGlassPolicy] = useState<BreakGlassPolicy | null>(null);
+  const [breakGlassOffered, setBreakGlassOffered] = useState(false);
 
   const patientId = String(id || '');
+  const canBreakGlass = BREAK_GLASS_ROLES.includes(user?.role || '');
 
   const loadPatient = async () => {
     if (!patientId) return;
     setLoading(true);
     setError(null);
+    setBreakGlassOffered(false);
+    const breakGlassStatus = canBreakGlass
+      ? apiService.breakGlass.getPatientStatus(patientId).catch(() => null)
+      : Promise.resolve(null);
     try {
+      const statusResponse = await breakGlassStatus;
+      setBreakGlassGrant(statusResponse?.data?.active_grant || null);
+      setBreakGlassPolicy(statusResponse?.data?.policy || null);
       const patientResponse = await apiService.patients.getById(patientId);
       const [visitResponse, noteResponse, historyResponse] = await Promise.allSettled([
         apiService.visits.getPatientVisits(patientId, { page: 1, limit: 100 }),
@@ -94,6 +126,7 @@ export function PatientProfilePage() {
       }
     } catch (err: any) {
       setError(err?.message || 'Failed to load patient profile');
+      setBreakGlassOffered(canBreakGlass && err?.code === 'PATIENT_NOT_ASSIGNED');
       setPatient(null);
       setAssignments([]);
       setVisits([]);
@@ -112,6 +145,7 @@ export function PatientProfilePage() {
 
   const tabs = useMemo<TabConfig[]>(() => ([
     { id: 'overview', label: 'Overview', icon: User, canView: () => true },
+    { id: 'timeline', label: 'Timeline', icon: History, canView: () => true },
     { id: 'visits', label: 'Visits', icon: Calendar, canView: () => true },
     { id: 'history', label: 'Patient History', icon: FileText, canView: canReadPatientHistory },
     { id: 'chart', label: 'Dental Chart', icon: Grid, canView: canReadDentalChart },
@@ -120,6 +154,7 @@ export function PatientProfilePage() {
     { id: 'notes', label: 'Treatment Plans & Notes', icon: FileText, canView: canReadTreatmentNotes },
     { id: 'materials', label: 'Materials Used', icon: Package, canView: canReadPatientMaterials },
     { id: 'payments', label: 'Payment Records', icon: Receipt, canView: canReadPaymentRecords },
+    { id: 'consents', label: 'Consents', icon: ClipboardCheck, canView: () => true },
   ]), []);
 
   const visibleTabs = useMemo(
@@ -170,12 +205,36 @@ export function PatientProfilePage() {
         <div className="rounded-lg border border-red-200 bg-red-50 p-4 text-red-700 text-sm">
           {error || 'Patient not found'}
         </div>
+        {breakGlassOffered && (
+          <div className="max-w-xl">
+            <BreakGlassRequestForm
+              patientId={Number(patientId)}
+              policy={breakGlassPolicy}
+              onGranted={() => {
+                toast.warning('Emergency access granted. Administrators have been notified.');
+                loadPatient();
+              }}
+            />
+          </div>
+        )}
       </div>
     );
   }
 
+  const endBreakGlass = async () => {
+    if (!breakGlassGrant) return;
+    try {
+      await apiService.breakGlass.end(breakGlassGrant.id);
+      toast.success('Emergency access ended');
+      navigate('/patients');
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to end emergency access');
+    }
+  };
+
   return (
     <div className="space-y-6">
+      {breakGlassGrant && <BreakGlassBanner grant={breakGlassGrant} onEnd={endBreakGlass} />}
       <div className="flex items-center gap-4">
         <Button variant="ghost" size="icon" onClick={() => navigate('/patients')} className="p-2">
           <ArrowLeft className="w-5 h-5" />
@@ -219,6 +278,39 @@ export function PatientProfilePage() {
             onChanged={loadPatient}
           />
         )}
+        {activeTab === 'overview' && (
+          <div className="mt-6">
+            <PatientStatusTimeline patientId={patientId} onChanged={loadPatient} />
+          </div>
+        )}
+        {activeTab === 'overview' && (
+          <div className="mt-6">
+            <PatientGuardians
+              patientId={patientId}
+              canManage={GUARDIAN_MANAGING_ROLES.includes(user?.role || '')}
+              isMinor={typeof patient.age === 'number' && patient.age < 18}
+            />
+          </div>
+        )}
+        {activeTab === 'overview' && canExportPatientData(user?.role) && (
+          <div className="mt-6">
+            <PatientDataExports patientId={patientId} />
+          </div>
+        )}
+        {activeTab === 'overview' && canCreateTeachingCase(user?.role) && (
+          <div className="mt-6">
+            <TeachingCaseCreator patientId={patientId} />
+          </div>
+        )}
+        {activeTab === 'timeline' && (
+          <PatientTimeline
+            patientId={patientId}
+            onOpen={(type) => {
+              const tabId = TIMELINE_ITEM_TABS[type];
+              return tabId && visibleTabs.some((tab) => tab.id === tabId) ? () => setActiveTab(tabId) : null;
+            }}
+          />
+        )}
         {activeTab === 'visits' && <VisitsTab visits={visits} role={user?.role} onChanged={loadPatient} />}
         {activeTab === 'history' && (
           canReadPatientHistory(user?.role)
@@ -287,6 +379,9 @@ export function PatientProfilePage() {
             ? <PatientMaterialUsageTab patientId={patientId} role={user?.role} />
             : <AccessDeniedSection />
         )}
+        {activeTab === 'consents' && (
+          <PatientConsents patientId={patientId} canRecord={CONSENT_RECORDING_ROLES.includes(user?.role || '')} />
+        )}
       </div>
     </div>
   );
@@ -1005,6 +1100,7 @@ function HistoryTab({
               <option value="FUNCTIONAL">Functional</option>
               <option value="FIXED">Fixed</option>
             </select>
+            <p className="text-xs text-gray-500">Saving adds the patient to the orthodontists' treatment waiting list, ranked by the priority below.</p>
           </div>
           <div className="space-y-1 md:col-span-2">
             <label className="text-xs font-semibold text-gray-600">Take Up Treatment</label>
@@ -1066,6 +1162,13 @@ function HistoryTab({
           </Button>
         </div>
       )}
+
+      <PatientHistoryRevisions
+        patientId={patientId}
+        canRestore={canEdit}
+        refreshKey={metadata?.revision_number}
+        onRestored={onSaved}
+      />
     </div>
   );
 }
@@ -18,6 +18,9 @@ import {
   Line,
 } from 'recharts';
 import { apiService } from '../services/api';
+import type { StatusDurationReport, WaitingListReport } from '../services/api';
+import { PATIENT_STATUS_LABELS } from '../components/PatientStatusTimeline';
+import { WAITING_LIST_PRIORITY_LABELS, WAITING_LIST_TREATMENT_LABELS } from './WaitingListPage';
 
 type ReportPeriod = '24h' | '7d' | '30d' | '3m' | '6m' | '12m';
 type AlertType = 'all' | 'critical' | 'low_stock' | 'out_of_stock';
@@ -397,6 +400,8 @@ export function ReportsPage() {
   const [patient, setPatient] = useState<any>(null);
   const [visits, setVisits] = useState<any>(null);
   const [inventory, setInventory] = useState<any>(null);
+  const [phaseDurations, setPhaseDurations] = useState<StatusDurationReport | null>(null);
+  const [waitingList, setWaitingList] = useState<WaitingListReport | null>(null);
   const [period, setPeriod] = useState<ReportPeriod>('30d');
   const [alertType, setAlertType] = useState<AlertType>('all');
   const [selectedMetric, setSelectedMetric] = useState<SummaryMetric | null>(null);
@@ -409,20 +414,26 @@ export function ReportsPage() {
     setLoading(true);
     setError(null);
 
-    const [p, v, i] = await Promise.allSettled([
+    const [p, v, i, d, w] = await Promise.allSettled([
       apiService.reports.patientStatus({ group_by: 'status', ...dateRange }),
       apiService.reports.visitSummary({ group_by: getVisitGroupBy(period), ...dateRange }),
       apiService.reports.inventoryAlerts(alertType),
+      apiService.reports.statusDurations(dateRange),
+      apiService.reports.waitingList(dateRange),
     ]);
 
     setPatient(p.status === 'fulfilled' ? (p.value.data || null) : null);
     setVisits(v.status === 'fulfilled' ? (v.value.data || null) : null);
     setInventory(i.status === 'fulfilled' ? (i.value.data || null) : null);
+    setPhaseDurations(d.status === 'fulfilled' ? (d.value.data || null) : null);
+    setWaitingList(w.status === 'fulfilled' ? (w.value.data || null) : null);
 
     const failedLabels: string[] = [];
     if (p.status === 'rejected') failedLabels.push('patient status');
     if (v.status === 'rejected') failedLabels.push('visit summary');
     if (i.status === 'rejected') failedLabels.push('inventory alerts');
+    if (d.status === 'rejected') failedLabels.push('time in each phase');
+    if (w.status === 'rejected') failedLabels.push('waiting list');
     if (failedLabels.length > 0) setError(`Some report sections failed to load: ${failedLabels.join(', ')}`);
 
     setLoading(false);
@@ -1021,6 +1032,112 @@ export function ReportsPage() {
         </div>
       </Card>
 
+      <Card className="p-6">
+        <div className="mb-4">
+          <h4 className="font-bold text-slate-900">Time in Each Phase</h4>
+          <p className="text-sm text-slate-500">Days patients spent in each status, for status changes made in the selected period.</p>
+        </div>
+        <div className="mb-4 grid gap-3 md:grid-cols-2">
+          {(phaseDurations?.lead_times || []).map((leadTime) => (
+            <div key={leadTime.key} className="rounded-lg border border-slate-100 px-3 py-3">
+              <p className="text-sm font-semibold text-slate-900">
+                {PATIENT_STATUS_LABELS[leadTime.from_status]} to {PATIENT_STATUS_LABELS[leadTime.to_status].toLowerCase()}
+              </p>
+              <p className="mt-1 text-xs text-slate-500">
+                {leadTime.count > 0
+                  ? `Average ${leadTime.average_days} days | Median ${leadTime.median_days} days | ${leadTime.count} patients`
+                  : 'No patients made this move in the period.'}
+              </p>
+            </div>
+          ))}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-left text-sm">
+            <thead className="border-b border-slate-100 text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="py-3 pr-4">Phase</th>
+                <th className="py-3 pr-4">Finished stays</th>
+                <th className="py-3 pr-4">Average days</th>
+                <th className="py-3 pr-4">Median days</th>
+                <th className="py-3 pr-4">Still in phase</th>
+                <th className="py-3 pr-4">Average days so far</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {(phaseDurations?.phases || []).map((phase) => (
+                <tr key={phase.status}>
+                  <td className="py-3 pr-4 font-medium text-slate-900">{PATIENT_STATUS_LABELS[phase.status]}</td>
+                  <td className="py-3 pr-4 text-slate-700">{phase.completed.count}</td>
+                  <td className="py-3 pr-4 text-slate-700">{phase.completed.average_days ?? '-'}</td>
+                  <td className="py-3 pr-4 text-slate-700">{phase.completed.median_days ?? '-'}</td>
+                  <td className="py-3 pr-4 text-slate-700">{phase.ongoing.count}</td>
+                  <td className="py-3 pr-4 text-slate-700">{phase.ongoing.average_days ?? '-'}</td>
+                </tr>
+              ))}
+              {!phaseDurations && !loading && (
+                <tr><td colSpan={6} className="py-4 text-sm text-slate-500">No status history data.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Card className="p-6">
+        <div className="mb-4">
+          <h4 className="font-bold text-slate-900">Treatment Waiting List</h4>
+          <p className="text-sm text-slate-500">Patients waiting now, and entries added, taken off and removed in the selected period.</p>
+        </div>
+        <div className="mb-4 grid gap-3 md:grid-cols-4">
+          <div className="rounded-lg border border-slate-100 px-3 py-3">
+            <p className="text-xs text-slate-500">Waiting now</p>
+            <p className="text-lg font-semibold text-slate-900">{waitingList?.overview.waiting_count ?? '-'}</p>
+            <p className="text-xs text-slate-500">
+              Average {waitingList?.overview.average_days_waiting ?? '-'} days | Longest {waitingList?.overview.longest_days_waiting ?? '-'} days
+            </p>
+          </div>
+          <div className="rounded-lg border border-slate-100 px-3 py-3">
+            <p className="text-xs text-slate-500">Added</p>
+            <p className="text-lg font-semibold text-slate-900">{waitingList?.overview.added_count ?? '-'}</p>
+          </div>
+          <div className="rounded-lg border border-slate-100 px-3 py-3">
+            <p className="text-xs text-slate-500">Taken off for treatment</p>
+            <p className="text-lg font-semibold text-slate-900">{waitingList?.overview.taken_off_count ?? '-'}</p>
+            <p className="text-xs text-slate-500">Average wait {waitingList?.overview.average_days_to_treatment ?? '-'} days</p>
+          </div>
+          <div className="rounded-lg border border-slate-100 px-3 py-3">
+            <p className="text-xs text-slate-500">Removed without treatment</p>
+            <p className="text-lg font-semibold text-slate-900">{waitingList?.overview.removed_count ?? '-'}</p>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-left text-sm">
+            <thead className="border-b border-slate-100 text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="py-3 pr-4">Priority</th>
+                <th className="py-3 pr-4">Treatment</th>
+                <th className="py-3 pr-4">Waiting</th>
+                <th className="py-3 pr-4">Average days</th>
+                <th className="py-3 pr-4">Longest days</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {(waitingList?.breakdown || []).map((row) => (
+                <tr key={`${row.priority}-${row.treatment_type}`}>
+                  <td className="py-3 pr-4 font-medium text-slate-900">{WAITING_LIST_PRIORITY_LABELS[row.priority]}</td>
+                  <td className="py-3 pr-4 text-slate-700">{WAITING_LIST_TREATMENT_LABELS[row.treatment_type]}</td>
+                  <td className="py-3 pr-4 text-slate-700">{row.waiting_count}</td>
+                  <td className="py-3 pr-4 text-slate-700">{Math.round(Number(row.average_days_waiting) * 10) / 10}</td>
+                  <td className="py-3 pr-4 text-slate-700">{row.longest_days_waiting}</td>
+                </tr>
+              ))}
+              {waitingList && waitingList.breakdown.length === 0 && (
+                <tr><td colSpan={5} className="py-4 text-sm text-slate-500">Nobody is waiting.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
       <div className="grid grid-cols-1 gap-6 xl:grid-cols-2">
         <Card className="p-6">
           <h4 className="font-bold text-slate-900">Provider Workload</h4>
@@ -13,7 +13,10 @@ type PendingRequest = {
   last_name?: string;
   target_role: 'ORTHODONTIST' | 'DENTAL_SURGEON';
   action_type: 'ASSIGN' | 'REMOVE';
+  starts_at?: string | null;
+  ends_at?: string | null;
   requested_by_name?: string;
+  on_behalf_of_name?: string | null;
   created_at?: string;
 };
 
@@ -138,6 +141,15 @@ export function RequestApprovalsPage() {
                     <Badge variant={isAssign ? 'success' : 'error'}>
                       {isAssign ? 'Assignment Request' : 'Removal Request'}
                     </Badge>
+                    {req.on_behalf_of_name && (
+                      <Badge variant="blue">On behalf of {req.on_behalf_of_name}</Badge>
+                    )}
+                    {isAssign && (req.starts_at || req.ends_at) && (
+                      <Badge variant="warning">
+                        {req.starts_at ? `From ${req.starts_at.slice(0, 10)}` : 'From approval'}
+                        {req.ends_at ? ` until ${req.ends_at.slice(0, 10)}` : ', no end date'}
+                      </Badge>
+                    )}
                   </div>
                 </div>
 
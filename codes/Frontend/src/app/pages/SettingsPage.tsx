@@ -1,12 +1,321 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router';
-import { Card, Button, Input } from '../components/UI';
-import { apiService } from '../services/api';
+import { Card, Button, Input, Badge } from '../components/UI';
+import { apiService, MfaEnrollment, MfaStatus, UserSession } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { SessionList } from '../components/SessionList';
+import { PasswordRequirements, getPasswordPolicyError, usePasswordPolicy } from '../components/PasswordRequirements';
+
+function SessionsCard() {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+  const [revokingOthers, setRevokingOthers] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await apiService.auth.getSessions();
+      if (response.success && response.data) {
+        setSessions(response.data.sessions);
+      }
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session: UserSession) => {
+    setError(null);
+    setRevokingId(session.id);
+    try {
+      await apiService.auth.revokeSession(session.id);
+      if (session.current) {
+        await logout();
+        navigate('/login', { replace: true });
+        return;
+      }
+      await loadSessions();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to sign out session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setError(null);
+    setRevokingOthers(true);
+    try {
+      await apiService.auth.revokeOtherSessions();
+      await loadSessions();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to sign out other sessions');
+    } finally {
+      setRevokingOthers(false);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <Card className="p-8 mt-6">
+      <div className="flex items-center justify-between gap-4 mb-2">
+        <h2 className="text-2xl font-bold">Active Sessions</h2>
+        {hasOtherSessions && (
+          <Button type="button" variant="secondary" size="sm" onClick={handleRevokeOthers} disabled={revokingOthers}>
+            {revokingOthers ? 'Signing out...' : 'Sign out other sessions'}
+          </Button>
+        )}
+      </div>
+      <p className="text-gray-500 mb-6">Devices currently signed in to your account.</p>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading sessions...</p>
+      ) : (
+        <SessionList sessions={sessions} onRevoke={handleRevoke} revokingId={revokingId} />
+      )}
+    </Card>
+  );
+}
+
+function MfaSettingsCard() {
+  const { user, refreshProfile } = useAuth();
+  const [status, setStatus] = useState<MfaStatus | null>(null);
+  const [enrollment, setEnrollment] = useState<MfaEnrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState<'idle' | 'regenerate' | 'disable'>('idle');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadStatus = async () => {
+    try {
+      const response = await apiService.auth.getMfaStatus();
+      if (response.success && response.data) {
+        setStatus(response.data);
+      }
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load MFA status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setMode('idle');
+    setError(null);
+  };
+
+  const runAction = async (action: () => Promise<void>) => {
+    setError(null);
+    setBusy(true);
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err?.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => runAction(async () => {
+    setRecoveryCodes(null);
+    const response = await apiService.auth.setupMfa();
+    if (response.success && response.data) {
+      setEnrollment(response.data);
+      setCode('');
+    }
+  });
+
+  const confirmSetup = () => runAction(async () => {
+    const response = await apiService.auth.enableMfa(code.trim());
+    if (response.success && response.data) {
+      setRecoveryCodes(response.data.recovery_codes);
+      setEnrollment(null);
+      resetForm();
+      await loadStatus();
+      if (user?.mfa_setup_required) {
+        await refreshProfile();
+      }
+    }
+  });
+
+  const regenerateCodes = () => runAction(async () => {
+    const response = await apiService.auth.regenerateRecoveryCodes(code.trim());
+    if (response.success && response.data) {
+      setRecoveryCodes(response.data.recovery_codes);
+      resetForm();
+      await loadStatus();
+    }
+  });
+
+  const disable = () => runAction(async () => {
+    await apiService.auth.disableMfa({ password, code: code.trim() });
+    setRecoveryCodes(null);
+    resetForm();
+    await loadStatus();
+  });
+
+  return (
+    <Card className="p-8 mt-6">
+      <div className="flex items-center justify-between gap-4 mb-2">
+        <h2 className="text-2xl font-bold">Two-Factor Authentication</h2>
+        {status && (
+          <Badge variant={status.enabled ? 'success' : status.required ? 'warning' : 'neutral'}>
+            {status.enabled ? 'Enabled' : status.required ? 'Required' : 'Off'}
+          </Badge>
+        )}
+      </div>
+      <p className="text-gray-500 mb-6">
+        {user?.mfa_setup_required
+          ? 'Your role requires an authenticator app. Set it up before continuing.'
+          : 'Use an authenticator app to add a one-time code to your sign-in.'}
+      </p>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-6 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3">
+          <p className="text-sm font-semibold text-amber-800 mb-2">
+            Save these recovery codes now. Each works once and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {status && !status.enabled && !enrollment && (
+        <Button type="button" onClick={startSetup} disabled={busy}>
+          {busy ? 'Preparing...' : 'Set Up Authenticator'}
+        </Button>
+      )}
+
+      {enrollment && (
+        <div className="space-y-4">
+          <div className="flex flex-col items-center gap-3 sm:flex-row sm:items-start">
+            <img src={enrollment.qr_code_data_url} alt="Authenticator QR code" className="h-44 w-44 rounded-lg border border-gray-200" />
+            <div className="text-sm text-gray-600">
+              <p className="mb-2">Scan the QR code with your authenticator app, or enter this secret manually:</p>
+              <code className="block break-all rounded bg-gray-100 px-3 py-2 font-mono text-gray-900">{enrollment.secret}</code>
+            </div>
+          </div>
+          <div>
+            <label htmlFor="mfa-setup-code" className="block text-sm font-medium text-gray-700 mb-1">Verification Code</label>
+            <Input
+              id="mfa-setup-code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="6-digit code"
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button type="button" onClick={confirmSetup} disabled={busy || code.trim().length !== 6}>
+              {busy ? 'Confirming...' : 'Confirm'}
+            </Button>
+            <Button type="button" variant="secondary" onClick={() => { setEnrollment(null); resetForm(); }} disabled={busy}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {status?.enabled && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {status.recovery_codes_remaining} unused recovery code{status.recovery_codes_remaining === 1 ? '' : 's'} remaining.
+          </p>
+
+          {mode === 'idle' ? (
+            <div className="flex flex-wrap gap-2">
+              <Button type="button" variant="secondary" onClick={() => setMode('regenerate')}>
+                Regenerate Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button type="button" variant="danger" onClick={() => setMode('disable')}>
+                  Disable
+                </Button>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {mode === 'disable' && (
+                <div>
+                  <label htmlFor="mfa-disable-password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                  <Input
+                    id="mfa-disable-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                  />
+                </div>
+              )}
+              <div>
+                <label htmlFor="mfa-action-code" className="block text-sm font-medium text-gray-700 mb-1">Authenticator Code</label>
+                <Input
+                  id="mfa-action-code"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="6-digit code"
+                />
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  variant={mode === 'disable' ? 'danger' : 'primary'}
+                  onClick={mode === 'disable' ? disable : regenerateCodes}
+                  disabled={busy || code.trim().length !== 6 || (mode === 'disable' && !password)}
+                >
+                  {busy ? 'Working...' : mode === 'disable' ? 'Disable MFA' : 'Generate New Codes'}
+                </Button>
+                <Button type="button" variant="secondary" onClick={resetForm} disabled={busy}>
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
 
 export function SettingsPage() {
   const navigate = useNavigate();
   const { logout, user } = useAuth();
+  const passwordPolicy = usePasswordPolicy();
 
   const [currentPassword, setCurrentPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
@@ -28,12 +337,7 @@ export function SettingsPage() {
       return 'New password must be different from current password.';
     }
 
-    const strongPassword = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
-    if (!strongPassword.test(newPassword)) {
-      return 'New password must be at least 8 characters with uppercase, lowercase, and number.';
-    }
-
-    return null;
+    return getPasswordPolicyError(passwordPolicy, newPassword);
   };
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -76,7 +380,7 @@ export function SettingsPage() {
         <h2 className="text-2xl font-bold mb-2">Settings</h2>
         <p className="text-gray-500 mb-6">
           {user?.must_change_password
-            ? 'You must change your temporary password before continuing.'
+            ? 'You must change your password before continuing.'
             : 'Change your account password.'}
         </p>
 
@@ -115,6 +419,9 @@ export function SettingsPage() {
               placeholder="Enter new password"
               autoComplete="new-password"
             />
+            <div className="mt-2">
+              <PasswordRequirements policy={passwordPolicy} password={newPassword} />
+            </div>
           </div>
 
           <div>
@@ -136,6 +443,9 @@ export function SettingsPage() {
           </div>
         </form>
       </Card>
+
+      {!user?.must_change_password && <MfaSettingsCard />}
+      {!user?.must_change_password && !user?.mfa_setup_required && <SessionsCard />}
     </div>
   );
 }
@@ -0,0 +1,437 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { ArrowLeft, Download, Library, Trash2, Upload } from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from '../components/UI';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import type { TeachingCase, TeachingCaseSummary, TeachingSection } from '../services/api';
+
+export const TEACHING_SECTION_LABELS: Record<TeachingSection, string> = {
+  HISTORY: 'History',
+  CHART_VERSIONS: 'Chart versions',
+  RADIOGRAPHS: 'Radiographs',
+  PROGRESS_NOTES: 'Progress notes'
+};
+
+// Students only read the library; supervisors import, download and remove cases
+const SUPERVISOR_ROLES = ['ORTHODONTIST', 'DENTAL_SURGEON'];
+
+const formatLabel = (value: string) =>
+  value.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, (first) => first.toUpperCase());
+
+function HistoryValue({ value }: { value: any }) {
+  if (value === null || value === undefined || value === '') return <span className="text-gray-400">-</span>;
+  if (typeof value === 'boolean') return <>{value ? 'Yes' : 'No'}</>;
+  if (Array.isArray(value)) {
+    return <>{value.map((item) => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join(', ')}</>;
+  }
+  if (typeof value === 'object') {
+    return (
+      <dl className="space-y-1">
+        {Object.entries(value).map(([key, nested]) => (
+          <div key={key} className="flex gap-2">
+            <dt className="text-gray-500">{formatLabel(key)}:</dt>
+            <dd><HistoryValue value={nested} /></dd>
+          </div>
+        ))}
+      </dl>
+    );
+  }
+  return <>{String(value)}</>;
+}
+
+function TeachingImage({ caseId, file }: { caseId: number; file: TeachingCase['files'][number] }) {
+  const [url, setUrl] = useState('');
+
+  useEffect(() => {
+    let objectUrl = '';
+    apiService.teachingLibrary.getImageUrl(caseId, file.id)
+      .then((value) => {
+        objectUrl = value;
+        setUrl(value);
+      })
+      .catch(() => setUrl(''));
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [caseId, file.id]);
+
+  return (
+    <figure className="space-y-1">
+      <div className="flex h-48 items-center justify-center overflow-hidden rounded-md border border-gray-100 bg-gray-900">
+        {url ? <img src={url} alt={file.description || file.document_type} className="max-h-48 object-contain" /> : (
+          <span className="text-xs text-gray-400">Loading...</span>
+        )}
+      </div>
+      <figcaption className="text-xs text-gray-500">
+        {file.description || file.document_type}{file.taken_at && ` · ${file.taken_at.slice(0, 10)}`}
+      </figcaption>
+    </figure>
+  );
+}
+
+function TeachingCaseDetail({ caseId, canManage, onBack, onRemoved }: {
+  caseId: number;
+  canManage: boolean;
+  onBack: () => void;
+  onRemoved: () => void;
+}) {
+  const [teachingCase, setTeachingCase] = useState<TeachingCase | null>(null);
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+  const [confirmRemove, setConfirmRemove] = useState(false);
+  const [removing, setRemoving] = useState(false);
+
+  useEffect(() => {
+    setTeachingCase(null);
+    setError('');
+    apiService.teachingLibrary.getCase(caseId)
+      .then((response) => setTeachingCase(response.data || null))
+      .catch((err: any) => setError(err?.message || 'Failed to load the teaching case'));
+  }, [caseId]);
+
+  const handleDownload = async () => {
+    if (!teachingCase) return;
+    setDownloading(true);
+    try {
+      await apiService.teachingLibrary.downloadPackage(teachingCase);
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to download the package');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setRemoving(true);
+    try {
+      const response = await apiService.teachingLibrary.remove(caseId);
+      toast.success(response.message || 'Removed from the teaching library');
+      onRemoved();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to remove the case');
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <Button variant="ghost" size="sm" onClick={onBack}>
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to the library
+        </Button>
+        {teachingCase && canManage && (
+          <div className="flex gap-2">
+            <Button size="sm" variant="secondary" onClick={handleDownload} disabled={downloading}>
+              <Download className="w-4 h-4 mr-1" />
+              {downloading ? 'Preparing...' : 'Download Package'}
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setConfirmRemove(!confirmRemove)}>
+              <Trash2 className="w-4 h-4 mr-1" />
+              Remove
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      {confirmRemove && (
+        <Card className="p-4 flex flex-wrap items-center justify-between gap-3">
+          <p className="text-sm text-gray-700">Students will no longer see this case. Packages already downloaded are not affected.</p>
+          <div className="flex gap-2">
+            <Button size="sm" variant="danger" onClick={handleRemove} disabled={removing}>
+              {removing ? 'Removing...' : 'Remove Case'}
+            </Button>
+            <Button size="sm" variant="secondary" onClick={() => setConfirmRemove(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      {teachingCase && (
+        <>
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">{teachingCase.title}</h2>
+            <p className="text-sm text-gray-500">
+              {teachingCase.pseudonym}
+              {teachingCase.gender && ` · ${formatLabel(teachingCase.gender.toLowerCase())}`}
+              {teachingCase.age_years !== null && ` · ${teachingCase.age_years} years`}
+              {' · '}{teachingCase.source === 'IMPORT' ? 'Imported' : 'Added'} {teachingCase.created_at.slice(0, 10)}
+            </p>
+            {teachingCase.description && <p className="mt-2 text-sm text-gray-700">{teachingCase.description}</p>}
+            <p className="mt-2 text-xs text-gray-500">
+              Identifiers are pseudonymised and every date in the case is shifted by the same hidden offset, so the
+              intervals between visits are real but the calendar dates are not.
+            </p>
+          </div>
+
+          {teachingCase.history && (
+            <Card className="p-5 space-y-3">
+              <h3 className="font-semibold text-gray-900">History</h3>
+              <dl className="grid gap-3 text-sm md:grid-cols-2">
+                {Object.entries(teachingCase.history).map(([key, value]) => (
+                  <div key={key}>
+                    <dt className="text-xs font-semibold uppercase text-gray-500">{formatLabel(key)}</dt>
+                    <dd className="text-gray-900"><HistoryValue value={value} /></dd>
+                  </div>
+                ))}
+              </dl>
+            </Card>
+          )}
+
+          {teachingCase.chart_versions.length > 0 && (
+            <Card className="p-5 space-y-4">
+              <h3 className="font-semibold text-gray-900">Chart Versions</h3>
+              {teachingCase.chart_versions.map((version, index) => (
+                <div key={index} className="space-y-2">
+                  <div className="text-sm font-medium text-gray-900">
+                    {version.label}
+                    {version.created_at && <span className="ml-2 text-xs text-gray-500">{version.created_at.slice(0, 10)}</span>}
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-100 text-left text-xs uppercase text-gray-500">
+                          <th className="py-2 pr-3">Tooth</th>
+                          <th className="py-2 pr-3">Status</th>
+                          <th className="py-2 pr-3">Pathology</th>
+                          <th className="py-2 pr-3">Treatment</th>
+                          <th className="py-2">Date</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {version.entries.map((entry, entryIndex) => (
+                          <tr key={entryIndex} className="border-b border-gray-50">
+                            <td className="py-2 pr-3 font-medium">{entry.tooth_code}</td>
+                            <td className="py-2 pr-3">{entry.status}</td>
+                            <td className="py-2 pr-3">{entry.pathology || '-'}</td>
+                            <td className="py-2 pr-3">{entry.treatment || '-'}</td>
+                            <td className="py-2">{entry.event_date?.slice(0, 10) || '-'}</td>
+                          </tr>
+                        ))}
+                        {version.entries.length === 0 && (
+                          <tr>
+                            <td colSpan={5} className="py-3 text-center text-gray-500">No teeth charted in this version.</td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ))}
+            </Card>
+          )}
+
+          {teachingCase.files.length > 0 && (
+            <Card className="p-5 space-y-3">
+              <h3 className="font-semibold text-gray-900">Radiographs</h3>
+              <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                {teachingCase.files.map((file) => (
+                  <TeachingImage key={file.id} caseId={teachingCase.id} file={file} />
+                ))}
+              </div>
+            </Card>
+          )}
+
+          {teachingCase.progress_notes.length > 0 && (
+            <Card className="p-5 space-y-3">
+              <h3 className="font-semibold text-gray-900">Progress Notes</h3>
+              <ul className="space-y-3">
+                {teachingCase.progress_notes.map((note, index) => (
+                  <li key={index} className="rounded-md border border-gray-100 p-3 text-sm">
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                      <Badge variant={note.source === 'CASE_PROGRESS' ? 'blue' : 'neutral'}>{formatLabel(note.note_type.toLowerCase())}</Badge>
+                      {note.author_role && <span>{formatLabel(note.author_role.toLowerCase())}</span>}
+                      {note.written_at && <span>{note.written_at.slice(0, 10)}</span>}
+                    </div>
+                    {note.title && <div className="mt-2 font-medium text-gray-900">{note.title}</div>}
+                    {note.text && <p className="mt-1 whitespace-pre-line text-gray-700">{note.text}</p>}
+                    {note.plan_procedure && <p className="mt-1 text-gray-700">Planned: {note.plan_procedure}</p>}
+                    {note.outcome_notes && <p className="mt-1 text-gray-700">Outcome: {note.outcome_notes}</p>}
+                    {note.evaluation && <p className="mt-1 text-gray-700">Evaluation: {note.evaluation}</p>}
+                    {note.recommendations && <p className="mt-1 text-gray-700">Recommendations: {note.recommendations}</p>}
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export function TeachingLibraryPage() {
+  const { user } = useAuth();
+  const canManage = SUPERVISOR_ROLES.includes(user?.role || '');
+  const [cases, setCases] = useState<TeachingCaseSummary[]>([]);
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [importing, setImporting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadCases = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.teachingLibrary.getCases(search.trim() || undefined);
+      setCases(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load the teaching library');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCases();
+  }, []);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    loadCases();
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    setImporting(true);
+    try {
+      const response = await apiService.teachingLibrary.importPackage(file);
+      toast.success(response.message || 'Package imported');
+      setFile(null);
+      loadCases();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to import the package');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (selectedId !== null) {
+    return (
+      <TeachingCaseDetail
+        caseId={selectedId}
+        canManage={canManage}
+        onBack={() => setSelectedId(null)}
+        onRemoved={() => {
+          setSelectedId(null);
+          loadCases();
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Teaching Library</h2>
+          <p className="text-sm text-gray-500">
+            Anonymised cases from patients who agreed to teaching use. Names, contact details and real dates are
+            removed, so the cases can be studied without being assigned to the patient.
+          </p>
+        </div>
+        <RefreshButton onClick={loadCases} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      {canManage && (
+        <Card className="p-5 space-y-3">
+          <h3 className="font-semibold text-gray-900">Import a Teaching Package</h3>
+          <div className="flex flex-col gap-3 md:flex-row md:items-center">
+            <input
+              type="file"
+              accept=".zip"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              className="text-sm text-gray-700"
+            />
+            <Button onClick={handleImport} disabled={!file || importing}>
+              <Upload className="w-4 h-4 mr-1" />
+              {importing ? 'Importing...' : 'Import Package'}
+            </Button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Packages are downloaded from a case in this or another library. Checksums are verified and image metadata
+            is removed again on import.
+          </p>
+        </Card>
+      )}
+
+      <Card className="p-5 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Library className="h-5 w-5 text-blue-600 shrink-0" />
+            <h3 className="font-semibold text-gray-900">{cases.length} {cases.length === 1 ? 'case' : 'cases'}</h3>
+          </div>
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              maxLength={100}
+              placeholder="Search title, description or case code"
+              className="w-72"
+            />
+            <Button type="submit" size="sm" variant="secondary">Search</Button>
+          </form>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-left text-xs uppercase text-gray-500">
+                <th className="py-2 pr-3">Case</th>
+                <th className="py-2 pr-3">Patient</th>
+                <th className="py-2 pr-3">Contents</th>
+                <th className="py-2 pr-3">Added</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {cases.map((teachingCase) => (
+                <tr key={teachingCase.id} className="border-b border-gray-50 align-top">
+                  <td className="py-3 pr-3">
+                    <div className="font-medium text-gray-900">{teachingCase.title}</div>
+                    <div className="text-xs text-gray-500">{teachingCase.pseudonym}</div>
+                  </td>
+                  <td className="py-3 pr-3">
+                    {teachingCase.gender ? formatLabel(teachingCase.gender.toLowerCase()) : '-'}
+                    {teachingCase.age_years !== null && <div className="text-xs text-gray-500">{teachingCase.age_years} years</div>}
+                  </td>
+                  <td className="py-3 pr-3">
+                    <div className="flex flex-wrap gap-1">
+                      {teachingCase.sections.map((section) => (
+                        <Badge key={section} variant="neutral">{TEACHING_SECTION_LABELS[section]}</Badge>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="py-3 pr-3">
+                    {teachingCase.created_at.slice(0, 10)}
+                    <div className="text-xs text-gray-500">
+                      {teachingCase.source === 'IMPORT' ? 'Imported' : 'From a patient'}
+                      {teachingCase.created_by_name && ` by ${teachingCase.created_by_name}`}
+                    </div>
+                  </td>
+                  <td className="py-3">
+                    <div className="flex justify-end">
+                      <Button size="sm" variant="secondary" onClick={() => setSelectedId(teachingCase.id)}>Open</Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {!loading && cases.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="py-6 text-center text-gray-500">No teaching cases yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { toast } from 'sonner';
+import { ListOrdered } from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from '../components/UI';
+import { apiService } from '../services/api';
+import type { WaitingListEntry, WaitingListPriority, WaitingListTreatmentType } from '../services/api';
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const WAITING_LIST_TREATMENT_LABELS: Record<WaitingListTreatmentType, string> = {
+  REMOVABLE: 'Removable',
+  FUNCTIONAL: 'Functional',
+  FIXED: 'Fixed'
+};
+
+export const WAITING_LIST_PRIORITY_LABELS: Record<WaitingListPriority, string> = {
+  URGENT: 'Urgent',
+  SEVERE_MALOCCLUSION: 'Severe malocclusion',
+  ROUTINE: 'Routine'
+};
+
+const PRIORITY_VARIANTS: Record<WaitingListPriority, 'error' | 'warning' | 'neutral'> = {
+  URGENT: 'error',
+  SEVERE_MALOCCLUSION: 'warning',
+  ROUTINE: 'neutral'
+};
+
+type PendingAction = { entry: WaitingListEntry; kind: 'take-off' | 'remove' };
+
+export function WaitingListPage() {
+  const [entries, setEntries] = useState<WaitingListEntry[]>([]);
+  const [treatmentType, setTreatmentType] = useState<WaitingListTreatmentType | ''>('');
+  const [students, setStudents] = useState<Array<{ id: number; name: string; email: string }>>([]);
+  const [pending, setPending] = useState<PendingAction | null>(null);
+  const [studentId, setStudentId] = useState('');
+  const [notes, setNotes] = useState('');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadEntries = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.waitingList.getList(treatmentType || undefined);
+      setEntries(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load the waiting list');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadStudents = async () => {
+    try {
+      const response = await apiService.patients.getAssignableStaff(['STUDENT']);
+      setStudents(response.data || []);
+    } catch {
+      setStudents([]);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, [treatmentType]);
+
+  useEffect(() => {
+    loadStudents();
+  }, []);
+
+  const openAction = (entry: WaitingListEntry, kind: PendingAction['kind']) => {
+    setPending(pending?.entry.id === entry.id && pending.kind === kind ? null : { entry, kind });
+    setStudentId('');
+    setNotes('');
+    setReason('');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!pending) return;
+    setSubmitting(true);
+    try {
+      const response = pending.kind === 'take-off'
+        ? await apiService.waitingList.takeOff(pending.entry.id, {
+          ...(studentId && { student_id: Number(studentId) }),
+          ...(notes.trim() && { notes: notes.trim() })
+        })
+        : await apiService.waitingList.remove(pending.entry.id, { reason: reason.trim() });
+      toast.success(response.message || 'Waiting list updated');
+      setPending(null);
+      loadEntries();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to update the waiting list');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Waiting List</h2>
+          <p className="text-sm text-gray-500">
+            Patients placed on the list by the consultant decision, urgent cases first, then severe malocclusion, then
+            routine, each in the order they were added. Taking a patient off assigns them to you and, with a student,
+            opens the student's case.
+          </p>
+        </div>
+        <RefreshButton onClick={loadEntries} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <Card className="p-5 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <ListOrdered className="h-5 w-5 text-blue-600 shrink-0" />
+            <h3 className="font-semibold text-gray-900">{entries.length} waiting</h3>
+          </div>
+          <div className="w-56">
+            <select
+              className={SELECT_CLASS}
+              value={treatmentType}
+              onChange={(e) => setTreatmentType(e.target.value as WaitingListTreatmentType | '')}
+            >
+              <option value="">All treatment types</option>
+              {Object.entries(WAITING_LIST_TREATMENT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-100 text-left text-xs uppercase text-gray-500">
+                <th className="py-2 pr-3">#</th>
+                <th className="py-2 pr-3">Patient</th>
+                <th className="py-2 pr-3">Treatment</th>
+                <th className="py-2 pr-3">Priority</th>
+                <th className="py-2 pr-3">Added</th>
+                <th className="py-2 pr-3">Waiting</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id} className="border-b border-gray-50 align-top">
+                  <td className="py-3 pr-3 font-semibold text-gray-900">{entry.position}</td>
+                  <td className="py-3 pr-3">
+                    <Link to={`/patients/${entry.patient_id}`} className="font-medium text-blue-600 hover:underline">
+                      {entry.first_name} {entry.last_name}
+                    </Link>
+                    <div className="text-xs text-gray-500">
+                      {entry.patient_code}{entry.age !== null && ` · ${entry.age} years`}
+                    </div>
+                  </td>
+                  <td className="py-3 pr-3">{WAITING_LIST_TREATMENT_LABELS[entry.treatment_type]}</td>
+                  <td className="py-3 pr-3">
+                    <Badge variant={PRIORITY_VARIANTS[entry.priority]}>{WAITING_LIST_PRIORITY_LABELS[entry.priority]}</Badge>
+                  </td>
+                  <td className="py-3 pr-3">
+                    {entry.added_on}
+                    {entry.added_by_name && <div className="text-xs text-gray-500">by {entry.added_by_name}</div>}
+                  </td>
+                  <td className="py-3 pr-3">{entry.days_waiting === 1 ? '1 day' : `${entry.days_waiting} days`}</td>
+                  <td className="py-3">
+                    <div className="flex justify-end gap-2">
+                      <Button size="sm" onClick={() => openAction(entry, 'take-off')}>Take Off</Button>
+                      <Button size="sm" variant="ghost" onClick={() => openAction(entry, 'remove')}>Remove</Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {!loading && entries.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="py-6 text-center text-gray-500">Nobody is waiting.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {pending && (
+        <Card className="p-5">
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <h3 className="font-semibold text-gray-900">
+              {pending.kind === 'take-off' ? 'Take off the list' : 'Remove from the list'}: {pending.entry.first_name} {pending.entry.last_name}
+            </h3>
+            {pending.kind === 'take-off' ? (
+              <>
+                <p className="text-sm text-gray-500">
+                  The patient is assigned to you{pending.entry.patient_status === 'CONSULTATION' && ' and moves to active treatment'}.
+                  Choose a student to assign them and open the student's case now, or leave it for later.
+                </p>
+                <select className={SELECT_CLASS} value={studentId} onChange={(e) => setStudentId(e.target.value)}>
+                  <option value="">No student yet</option>
+                  {students.map((student) => (
+                    <option key={student.id} value={student.id}>{student.name} ({student.email})</option>
+                  ))}
+                </select>
+                <Input value={notes} onChange={(e) => setNotes(e.target.value)} maxLength={500} placeholder="Notes (optional)" />
+              </>
+            ) : (
+              <>
+                <p className="text-sm text-gray-500">The patient leaves the list without being assigned.</p>
+                <Input
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  maxLength={500}
+                  placeholder="Why the patient is leaving the list"
+                />
+              </>
+            )}
+            <div className="flex gap-2">
+              <Button
+                type="submit"
+                size="sm"
+                variant={pending.kind === 'take-off' ? 'primary' : 'danger'}
+                disabled={submitting || (pending.kind === 'remove' && reason.trim().length < 3)}
+              >
+                {submitting ? 'Saving...' : pending.kind === 'take-off' ? 'Take Off List' : 'Remove From List'}
+              </Button>
+              <Button type="button" size="sm" variant="secondary" onClick={() => setPending(null)}>Cancel</Button>
+            </div>
+          </form>
+        </Card>
+      )}
+    </div>
+  );
+}
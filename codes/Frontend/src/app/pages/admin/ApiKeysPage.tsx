@@ -0,0 +1,346 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Copy } from 'lucide-react';
+import { Card, Button, Input, Badge, Table, RefreshButton } from '../../components/UI';
+import { apiService } from '../../services/api';
+import type { ApiKey, ApiKeyScopeOptions, ApiKeyScopes, ServiceAccount } from '../../services/api';
+
+const ROLE_OPTIONS = ['RECEPTION', 'NURSE', 'STUDENT', 'DENTAL_SURGEON', 'ORTHODONTIST', 'ADMIN'];
+const PERMISSION_LABELS: Record<string, string> = { C: 'Create', R: 'Read', U: 'Update', D: 'Delete', A: 'Approve' };
+const SELECT_CLASS = 'h-10 rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatTimestamp = (value: string | null) => {
+  if (!value) return '-';
+  const parsed = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+};
+
+const describeScopes = (scopes: ApiKeyScopes) =>
+  Object.entries(scopes)
+    .map(([objectType, permissions]) => `${objectType}: ${permissions.join('')}`)
+    .join(', ');
+
+const statusVariant = (status: ApiKey['status']) => {
+  if (status === 'ACTIVE') return 'success';
+  if (status === 'EXPIRED') return 'warning';
+  return 'neutral';
+};
+
+export function ApiKeysPage() {
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [serviceAccounts, setServiceAccounts] = useState<ServiceAccount[]>([]);
+  const [scopeOptions, setScopeOptions] = useState<ApiKeyScopeOptions | null>(null);
+  const [includeRevoked, setIncludeRevoked] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [issuedKey, setIssuedKey] = useState<{ name: string; key: string } | null>(null);
+
+  const [accountName, setAccountName] = useState('');
+  const [accountRole, setAccountRole] = useState('RECEPTION');
+  const [accountDepartment, setAccountDepartment] = useState('');
+
+  const [keyAccountId, setKeyAccountId] = useState('');
+  const [keyName, setKeyName] = useState('');
+  const [keyExpiry, setKeyExpiry] = useState('');
+  const [keyScopes, setKeyScopes] = useState<ApiKeyScopes>({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadAll = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [keysResponse, accountsResponse, optionsResponse] = await Promise.all([
+        apiService.apiKeys.list(includeRevoked),
+        apiService.apiKeys.getServiceAccounts(),
+        scopeOptions ? Promise.resolve(null) : apiService.apiKeys.getScopeOptions()
+      ]);
+      setApiKeys(keysResponse.data || []);
+      setServiceAccounts(accountsResponse.data || []);
+      if (optionsResponse?.data) setScopeOptions(optionsResponse.data);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAll();
+  }, [includeRevoked]);
+
+  const selectedAccount = serviceAccounts.find((account) => String(account.id) === keyAccountId) || null;
+
+  // Only permissions the service account's role already has can be granted to its keys
+  const grantable = useMemo(() => {
+    if (!scopeOptions || !selectedAccount) return [];
+    const rolePermissions = scopeOptions.role_permissions[selectedAccount.role] || {};
+    return scopeOptions.object_types
+      .map((objectType) => ({ objectType, permissions: rolePermissions[objectType] || [] }))
+      .filter((row) => row.permissions.length > 0);
+  }, [scopeOptions, selectedAccount]);
+
+  const toggleScope = (objectType: string, permission: string) => {
+    setKeyScopes((current) => {
+      const existing = current[objectType] || [];
+      const next = existing.includes(permission)
+        ? existing.filter((value) => value !== permission)
+        : [...existing, permission];
+      const updated = { ...current };
+      if (next.length > 0) {
+        updated[objectType] = next;
+      } else {
+        delete updated[objectType];
+      }
+      return updated;
+    });
+  };
+
+  const runAction = async (action: () => Promise<void>) => {
+    setError('');
+    setNotice('');
+    setSubmitting(true);
+    try {
+      await action();
+      await loadAll();
+    } catch (err: any) {
+      setError(err?.message || 'Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCreateAccount = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!accountName.trim()) {
+      setError('Enter a name for the service account');
+      return;
+    }
+    runAction(async () => {
+      const response = await apiService.apiKeys.createServiceAccount({
+        name: accountName.trim(),
+        role: accountRole,
+        ...(accountDepartment.trim() ? { department: accountDepartment.trim() } : {})
+      });
+      setAccountName('');
+      setAccountDepartment('');
+      if (response.data) setKeyAccountId(String(response.data.id));
+      setNotice(response.message || 'Service account created');
+    });
+  };
+
+  const handleCreateKey = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selectedAccount) {
+      setError('Choose a service account');
+      return;
+    }
+    if (!keyName.trim()) {
+      setError('Enter a name for the key');
+      return;
+    }
+    if (Object.keys(keyScopes).length === 0) {
+      setError('Select at least one scope');
+      return;
+    }
+    runAction(async () => {
+      const response = await apiService.apiKeys.create({
+        service_account_id: selectedAccount.id,
+        name: keyName.trim(),
+        scopes: keyScopes,
+        expires_at: keyExpiry ? new Date(keyExpiry).toISOString() : null
+      });
+      if (response.data) setIssuedKey({ name: keyName.trim(), key: response.data.key });
+      setKeyName('');
+      setKeyExpiry('');
+      setKeyScopes({});
+    });
+  };
+
+  const handleRotate = (apiKey: ApiKey) => {
+    const answer = window.prompt(
+      `Rotate "${apiKey.name}"? Enter how many minutes the old key should keep working (0 stops it now).`,
+      '0'
+    );
+    if (answer === null) return;
+    const graceMinutes = Math.max(0, Math.min(1440, Number.parseInt(answer, 10) || 0));
+    runAction(async () => {
+      const response = await apiService.apiKeys.rotate(apiKey.id, graceMinutes);
+      if (response.data) setIssuedKey({ name: apiKey.name, key: response.data.key });
+      setNotice(response.message || 'API key rotated');
+    });
+  };
+
+  const handleRevoke = (apiKey: ApiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Integrations using it will stop working immediately.`)) return;
+    runAction(async () => {
+      const response = await apiService.apiKeys.revoke(apiKey.id);
+      setNotice(response.message || 'API key revoked');
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">API Keys</h2>
+          <p className="text-sm text-gray-500">Scoped keys for integrations. Every call made with a key is recorded in the audit log under its service account.</p>
+        </div>
+        <RefreshButton onClick={loadAll} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+      {notice && <div className="rounded-lg border border-green-200 bg-green-50 p-3 text-sm text-green-700">{notice}</div>}
+
+      {issuedKey && (
+        <Card className="p-4 border-amber-200 bg-amber-50 space-y-2">
+          <p className="text-sm font-semibold text-amber-900">New key for "{issuedKey.name}". Copy it now; it will not be shown again.</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all rounded bg-white px-3 py-2 text-xs text-gray-900 border border-amber-200">{issuedKey.key}</code>
+            <Button variant="secondary" size="icon" onClick={() => navigator.clipboard?.writeText(issuedKey.key)} aria-label="Copy API key">
+              <Copy className="h-4 w-4" />
+            </Button>
+          </div>
+          <p className="text-xs text-amber-800">Send it in the <code>X-API-Key</code> header.</p>
+          <Button variant="secondary" size="sm" onClick={() => setIssuedKey(null)}>Done</Button>
+        </Card>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <Card className="p-5">
+          <h3 className="font-semibold text-gray-900 mb-4">New Service Account</h3>
+          <form onSubmit={handleCreateAccount} className="space-y-3">
+            <Input value={accountName} onChange={(e) => setAccountName(e.target.value)} placeholder="Name, e.g. Lab reporting" />
+            <div className="grid grid-cols-2 gap-3">
+              <select className={SELECT_CLASS} value={accountRole} onChange={(e) => setAccountRole(e.target.value)}>
+                {ROLE_OPTIONS.map((role) => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <Input value={accountDepartment} onChange={(e) => setAccountDepartment(e.target.value)} placeholder="Department (optional)" />
+            </div>
+            <p className="text-xs text-gray-500">The role caps what its keys can be granted. Service accounts cannot sign in to the portal.</p>
+            <Button type="submit" disabled={submitting}>Create Service Account</Button>
+          </form>
+
+          <div className="mt-5 space-y-2">
+            {serviceAccounts.map((account) => (
+              <div key={account.id} className="flex items-center justify-between rounded-md border border-gray-100 px-3 py-2">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{account.name}</div>
+                  <div className="text-xs text-gray-500">{account.role}{account.department ? ` · ${account.department}` : ''}</div>
+                </div>
+                <Badge variant={account.active_keys > 0 ? 'blue' : 'neutral'}>{account.active_keys} active keys</Badge>
+              </div>
+            ))}
+            {serviceAccounts.length === 0 && <p className="text-sm text-gray-500">No service accounts yet.</p>}
+          </div>
+        </Card>
+
+        <Card className="p-5">
+          <h3 className="font-semibold text-gray-900 mb-4">Issue API Key</h3>
+          <form onSubmit={handleCreateKey} className="space-y-3">
+            <select
+              className={`${SELECT_CLASS} w-full`}
+              value={keyAccountId}
+              onChange={(e) => {
+                setKeyAccountId(e.target.value);
+                setKeyScopes({});
+              }}
+            >
+              <option value="">Choose a service account</option>
+              {serviceAccounts.map((account) => (
+                <option key={account.id} value={account.id}>{account.name} ({account.role})</option>
+              ))}
+            </select>
+            <Input value={keyName} onChange={(e) => setKeyName(e.target.value)} placeholder="Key name, e.g. Nightly export" />
+            <div className="space-y-1">
+              <label className="text-xs font-medium text-gray-600">Expires (optional)</label>
+              <Input type="datetime-local" value={keyExpiry} onChange={(e) => setKeyExpiry(e.target.value)} />
+            </div>
+
+            {selectedAccount && (
+              <div className="rounded-md border border-gray-100">
+                {grantable.map(({ objectType, permissions }) => (
+                  <div key={objectType} className="flex flex-wrap items-center justify-between gap-2 border-b border-gray-50 px-3 py-2 last:border-b-0">
+                    <span className="text-xs font-medium text-gray-700">{objectType}</span>
+                    <div className="flex flex-wrap gap-3">
+                      {permissions.map((permission) => (
+                        <label key={permission} className="flex items-center gap-1 text-xs text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={(keyScopes[objectType] || []).includes(permission)}
+                            onChange={() => toggleScope(objectType, permission)}
+                          />
+                          {PERMISSION_LABELS[permission] || permission}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                {grantable.length === 0 && <p className="px-3 py-2 text-xs text-gray-500">This role has no grantable permissions.</p>}
+              </div>
+            )}
+
+            <Button type="submit" disabled={submitting || !selectedAccount}>Issue Key</Button>
+          </form>
+        </Card>
+      </div>
+
+      <Card>
+        <div className="flex items-center justify-between border-b border-gray-100 px-4 py-3">
+          <h3 className="font-semibold text-gray-900">Keys</h3>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input type="checkbox" checked={includeRevoked} onChange={(e) => setIncludeRevoked(e.target.checked)} />
+            Show revoked
+          </label>
+        </div>
+        <Table>
+          <thead>
+            <tr className="border-b border-gray-100 bg-gray-50">
+              <th className="px-4 py-3 font-semibold text-gray-700">Key</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Service Account</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Scopes</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Expires</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Last Used</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiKeys.map((apiKey) => (
+              <tr key={apiKey.id} className="border-b border-gray-50">
+                <td className="px-4 py-3">
+                  <div className="text-sm font-medium text-gray-900">{apiKey.name}</div>
+                  <div className="text-xs text-gray-500 font-mono">{apiKey.key_prefix}…</div>
+                  <Badge variant={statusVariant(apiKey.status)} className="mt-1">{apiKey.status}</Badge>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  {apiKey.service_account.name}
+                  <div className="text-xs text-gray-500">{apiKey.service_account.role}</div>
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-600 max-w-xs">{describeScopes(apiKey.scopes)}</td>
+                <td className="px-4 py-3 text-xs text-gray-600 whitespace-nowrap">{apiKey.expires_at ? formatTimestamp(apiKey.expires_at) : 'Never'}</td>
+                <td className="px-4 py-3 text-xs text-gray-600 whitespace-nowrap">
+                  {formatTimestamp(apiKey.last_used_at)}
+                  {apiKey.last_used_ip && <div className="text-gray-400">{apiKey.last_used_ip}</div>}
+                </td>
+                <td className="px-4 py-3">
+                  {apiKey.status === 'ACTIVE' && (
+                    <div className="flex gap-2">
+                      <Button variant="secondary" size="sm" disabled={submitting} onClick={() => handleRotate(apiKey)}>Rotate</Button>
+                      <Button variant="danger" size="sm" disabled={submitting} onClick={() => handleRevoke(apiKey)}>Revoke</Button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {apiKeys.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500">No API keys.</td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </Card>
+    </div>
+  );
+}
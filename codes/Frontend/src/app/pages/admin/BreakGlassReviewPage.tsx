@@ -0,0 +1,165 @@
+import { useEffect, useState } from 'react';
+import { Badge, Button, Card, RefreshButton, Table } from '../../components/UI';
+import { formatBreakGlassTime } from '../../components/BreakGlass';
+import { apiService } from '../../services/api';
+import type { BreakGlassEvent } from '../../services/api';
+
+type ReviewFilter = 'PENDING' | 'REVIEWED' | 'ALL';
+
+const FILTERS: { id: ReviewFilter; label: string }[] = [
+  { id: 'PENDING', label: 'Awaiting Review' },
+  { id: 'REVIEWED', label: 'Reviewed' },
+  { id: 'ALL', label: 'All' },
+];
+
+const PAGE_SIZE = 20;
+
+export function BreakGlassReviewPage() {
+  const [filter, setFilter] = useState<ReviewFilter>('PENDING');
+  const [events, setEvents] = useState<BreakGlassEvent[]>([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadEvents = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.breakGlass.getReviews({ status: filter, page, limit: PAGE_SIZE });
+      setEvents(response.data?.events || []);
+      setPages(Math.max(response.data?.pagination.pages || 1, 1));
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load emergency access reviews');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEvents();
+  }, [filter, page]);
+
+  const handleAcknowledge = async (event: BreakGlassEvent) => {
+    const note = window.prompt(
+      `Acknowledge ${event.user_name}'s emergency access to ${event.first_name} ${event.last_name}? Add a review note (optional).`,
+      ''
+    );
+    if (note === null) return;
+
+    setSubmitting(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await apiService.breakGlass.acknowledge(event.id, note.trim());
+      setNotice(response.message || 'Emergency access acknowledged');
+      window.dispatchEvent(new CustomEvent('break-glass-reviews-updated'));
+      await loadEvents();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to acknowledge emergency access');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Break-Glass Reviews</h2>
+          <p className="text-sm text-gray-500">
+            Emergency access to unassigned patients. Check each reason and the requests made under it, then acknowledge.
+          </p>
+        </div>
+        <RefreshButton onClick={loadEvents} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+      {notice && <div className="rounded-lg border border-green-200 bg-green-50 p-3 text-sm text-green-700">{notice}</div>}
+
+      <div className="flex gap-2">
+        {FILTERS.map((option) => (
+          <Button
+            key={option.id}
+            variant={filter === option.id ? 'primary' : 'secondary'}
+            size="sm"
+            onClick={() => {
+              setFilter(option.id);
+              setPage(1);
+            }}
+          >
+            {option.label}
+          </Button>
+        ))}
+      </div>
+
+      <Card>
+        <Table>
+          <thead>
+            <tr className="border-b border-gray-100 bg-gray-50">
+              <th className="px-4 py-3 font-semibold text-gray-700">Clinician</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Patient</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Reason</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Window</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Requests</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Review</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={event.id} className="border-b border-gray-50 align-top">
+                <td className="px-4 py-3 text-sm text-gray-900">
+                  {event.user_name}
+                  <div className="text-xs text-gray-500">{event.user_role.replace(/_/g, ' ')}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-900">
+                  {event.first_name} {event.last_name}
+                  <div className="text-xs text-gray-500">{event.patient_code}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700 max-w-sm">
+                  <Badge variant={event.access_level === 'WRITE' ? 'warning' : 'neutral'} className="mb-1">
+                    {event.access_level === 'WRITE' ? 'Read/Write' : 'Read'}
+                  </Badge>
+                  <div className="whitespace-pre-wrap">{event.reason}</div>
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-600 whitespace-nowrap">
+                  {formatBreakGlassTime(event.granted_at)}
+                  <div className="text-gray-400">to {formatBreakGlassTime(event.ended_at || event.expires_at)}</div>
+                  {event.is_active && <Badge variant="error" className="mt-1">Active</Badge>}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">{event.request_count}</td>
+                <td className="px-4 py-3 text-xs text-gray-600">
+                  {event.reviewed_at ? (
+                    <>
+                      <div className="text-gray-900">{event.reviewed_by_name || 'Administrator'}</div>
+                      <div>{formatBreakGlassTime(event.reviewed_at)}</div>
+                      {event.review_note && <div className="mt-1 text-gray-500">{event.review_note}</div>}
+                    </>
+                  ) : (
+                    <Button size="sm" disabled={submitting} onClick={() => handleAcknowledge(event)}>Acknowledge</Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {events.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500">
+                  {filter === 'PENDING' ? 'Nothing awaiting review.' : 'No emergency access recorded.'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+        {pages > 1 && (
+          <div className="flex items-center justify-end gap-2 border-t border-gray-100 px-4 py-3">
+            <Button variant="secondary" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</Button>
+            <span className="text-xs text-gray-500">Page {page} of {pages}</span>
+            <Button variant="secondary" size="sm" disabled={page >= pages} onClick={() => setPage(page + 1)}>Next</Button>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Badge, Button, Card, Input, RefreshButton } from '../../components/UI';
+import { apiService } from '../../services/api';
+import type { ConsentTemplate, ConsentType } from '../../services/api';
+
+const formatTimestamp = (value: string | null) => {
+  if (!value) return '-';
+  const parsed = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+};
+
+export function ConsentFormsPage() {
+  const [templates, setTemplates] = useState<ConsentTemplate[]>([]);
+  const [editing, setEditing] = useState<ConsentType | null>(null);
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [versions, setVersions] = useState<ConsentTemplate[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiService.consents.getTemplates();
+      setTemplates(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load consent forms');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const startEditing = async (template: ConsentTemplate) => {
+    setEditing(template.consent_type);
+    setTitle(template.title);
+    setBody(template.body);
+    setVersions([]);
+    try {
+      const response = await apiService.consents.getTemplateVersions(template.consent_type);
+      setVersions(response.data || []);
+    } catch {
+      setVersions([]);
+    }
+  };
+
+  const handlePublish = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!editing) return;
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await apiService.consents.publishTemplate({ consent_type: editing, title: title.trim(), body: body.trim() });
+      toast.success(response.message || 'Consent wording published');
+      setEditing(null);
+      loadTemplates();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to publish the consent wording');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const current = templates.find((template) => template.consent_type === editing);
+  const unchanged = Boolean(current && current.title === title.trim() && current.body === body.trim());
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Consent Forms</h2>
+          <p className="text-sm text-gray-500">
+            Wording patients sign for each consent. Publishing a change creates a new version; consents already signed stay
+            linked to the version the patient saw and are flagged for re-signing.
+          </p>
+        </div>
+        <RefreshButton onClick={loadTemplates} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
+        {templates.map((template) => (
+          <Card key={template.consent_type} className="p-5 space-y-2">
+            <div className="flex items-start justify-between gap-2">
+              <h3 className="font-semibold text-gray-900">{template.title}</h3>
+              <Badge variant="blue">v{template.version}</Badge>
+            </div>
+            <p className="whitespace-pre-line text-sm text-gray-700">{template.body}</p>
+            <p className="text-xs text-gray-500">
+              Published {formatTimestamp(template.created_at)}{template.created_by_name && ` by ${template.created_by_name}`}
+            </p>
+            <Button size="sm" variant="secondary" onClick={() => startEditing(template)}>Edit Wording</Button>
+          </Card>
+        ))}
+      </div>
+
+      {editing && (
+        <Card className="p-5">
+          <h3 className="font-semibold text-gray-900 mb-3">New version of {current?.title}</h3>
+          <form onSubmit={handlePublish} className="space-y-3">
+            <Input value={title} onChange={(e) => setTitle(e.target.value)} maxLength={255} placeholder="Title" />
+            <textarea
+              className="min-h-40 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              maxLength={10000}
+            />
+            <div className="flex gap-2">
+              <Button type="submit" disabled={submitting || unchanged || title.trim().length < 3 || body.trim().length < 20}>
+                {submitting ? 'Publishing...' : 'Publish New Version'}
+              </Button>
+              <Button type="button" variant="secondary" onClick={() => setEditing(null)} disabled={submitting}>Cancel</Button>
+            </div>
+          </form>
+          {versions.length > 1 && (
+            <div className="mt-5 space-y-2">
+              <h4 className="text-sm font-semibold text-gray-700">Earlier versions</h4>
+              {versions.slice(1).map((version) => (
+                <details key={version.id} className="rounded-md border border-gray-100 px-3 py-2 text-sm">
+                  <summary className="cursor-pointer text-gray-700">
+                    v{version.version} · {version.title} · {formatTimestamp(version.created_at)}
+                  </summary>
+                  <p className="mt-2 whitespace-pre-line text-gray-600">{version.body}</p>
+                </details>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
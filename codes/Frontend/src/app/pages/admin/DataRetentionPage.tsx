@@ -0,0 +1,356 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Badge, Button, Card, Input, RefreshButton, Table } from '../../components/UI';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+import type {
+  RetentionBasis,
+  RetentionDueRecord,
+  RetentionPolicy,
+  RetentionPurge,
+  RetentionPurgeStatus,
+  RetentionRecordType
+} from '../../services/api';
+
+const SELECT_CLASS = 'h-10 w-full rounded-md border border-gray-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const RECORD_TYPE_LABELS: Record<RetentionRecordType, string> = {
+  INACTIVE_PATIENT: 'Inactive patient record',
+  TRASHED_DOCUMENT: 'Document in the trash'
+};
+
+const BASIS_LABELS: Record<RetentionBasis, string> = {
+  LAST_ACTIVITY: 'Years after the last activity',
+  ADULTHOOD: 'Years after the 18th birthday or the last activity, whichever is later'
+};
+
+const STATUS_VARIANTS: Record<RetentionPurgeStatus, 'neutral' | 'blue' | 'success' | 'error' | 'warning'> = {
+  PENDING: 'warning',
+  RUNNING: 'blue',
+  PURGED: 'success',
+  REJECTED: 'neutral',
+  FAILED: 'error'
+};
+
+type PendingAction = { purge: RetentionPurge; kind: 'approve' | 'reject' };
+
+export function DataRetentionPage() {
+  const { user } = useAuth();
+  const [policies, setPolicies] = useState<RetentionPolicy[]>([]);
+  const [dueRecords, setDueRecords] = useState<RetentionDueRecord[]>([]);
+  const [purges, setPurges] = useState<RetentionPurge[]>([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [requesting, setRequesting] = useState<RetentionDueRecord | null>(null);
+  const [reason, setReason] = useState('');
+  const [pending, setPending] = useState<PendingAction | null>(null);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [savingPolicies, setSavingPolicies] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadAll = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [policyResponse, dueResponse, purgeResponse] = await Promise.all([
+        apiService.retention.getPolicies(),
+        apiService.retention.getDue(),
+        apiService.retention.getPurges(showHistory ? undefined : 'OPEN')
+      ]);
+      setPolicies(policyResponse.data || []);
+      setDueRecords(dueResponse.data || []);
+      setPurges(purgeResponse.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load data retention');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAll();
+  }, [showHistory]);
+
+  const changePolicy = (recordType: RetentionRecordType, changes: Partial<RetentionPolicy>) => {
+    setPolicies(policies.map((policy) => (policy.record_type === recordType ? { ...policy, ...changes } : policy)));
+  };
+
+  const handleSavePolicies = async () => {
+    setSavingPolicies(true);
+    try {
+      const response = await apiService.retention.updatePolicies(policies);
+      toast.success(response.message || 'Retention policies updated');
+      loadAll();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to update retention policies');
+    } finally {
+      setSavingPolicies(false);
+    }
+  };
+
+  const handleRequest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!requesting) return;
+    setSubmitting(true);
+    try {
+      const response = await apiService.retention.requestPurge({
+        record_type: requesting.record_type,
+        record_id: requesting.record_id,
+        ...(reason.trim() && { reason: reason.trim() })
+      });
+      toast.success(response.message || 'Purge requested');
+      setRequesting(null);
+      setReason('');
+      loadAll();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to request the purge');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReview = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!pending) return;
+    setSubmitting(true);
+    try {
+      const response = pending.kind === 'approve'
+        ? await apiService.retention.approve(pending.purge.id, note.trim() || undefined)
+        : await apiService.retention.reject(pending.purge.id, note.trim());
+      toast.success(response.message || 'Purge request updated');
+      setPending(null);
+      setNote('');
+      loadAll();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to update the purge request');
+      loadAll();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Data Retention</h2>
+          <p className="text-sm text-gray-500">
+            Records past their retention period can be purged for good, including their stored files. One administrator
+            requests a purge and a different administrator approves it. A tombstone with the patient code is kept.
+          </p>
+        </div>
+        <RefreshButton onClick={loadAll} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <Card className="p-5 space-y-4">
+        <h3 className="font-semibold text-gray-900">Retention Policies</h3>
+        <div className="grid gap-4 md:grid-cols-2">
+          {policies.map((policy) => (
+            <div key={policy.record_type} className="space-y-2">
+              <div className="text-sm font-medium text-gray-900">{RECORD_TYPE_LABELS[policy.record_type]}</div>
+              <div className="flex gap-2">
+                <div className="w-28">
+                  <Input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={policy.retention_years}
+                    onChange={(e) => changePolicy(policy.record_type, { retention_years: Number(e.target.value) || 0 })}
+                  />
+                </div>
+                <select
+                  className={SELECT_CLASS}
+                  value={policy.count_from}
+                  onChange={(e) => changePolicy(policy.record_type, { count_from: e.target.value as RetentionBasis })}
+                >
+                  {Object.entries(BASIS_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {policy.retention_years === 0 && <p className="text-xs text-gray-500">Never purged.</p>}
+            </div>
+          ))}
+        </div>
+        <Button size="sm" onClick={handleSavePolicies} disabled={savingPolicies || policies.length === 0}>
+          {savingPolicies ? 'Saving...' : 'Save Policies'}
+        </Button>
+      </Card>
+
+      <Card>
+        <div className="p-4 border-b border-gray-100">
+          <h3 className="font-semibold text-gray-900">Due for Purge ({dueRecords.length})</h3>
+        </div>
+        <Table>
+          <thead>
+            <tr className="border-b border-gray-100 bg-gray-50">
+              <th className="px-4 py-3 font-semibold text-gray-700">Record</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Patient</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Last Activity</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Due</th>
+              <th className="px-4 py-3 font-semibold text-gray-700" />
+            </tr>
+          </thead>
+          <tbody>
+            {dueRecords.map((record) => (
+              <tr key={`${record.record_type}:${record.record_id}`} className="border-b border-gray-50 align-top">
+                <td className="px-4 py-3 text-sm text-gray-900">
+                  {RECORD_TYPE_LABELS[record.record_type]}
+                  <div className="text-xs text-gray-500">{record.description}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-900">
+                  {record.patient_name}
+                  <div className="text-xs text-gray-500">{record.patient_code}</div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">{record.last_activity_at.slice(0, 10)}</td>
+                <td className="px-4 py-3 text-sm text-gray-700">{record.due_on}</td>
+                <td className="px-4 py-3 text-right">
+                  {record.purge_request ? (
+                    <Badge variant={STATUS_VARIANTS[record.purge_request.status]}>
+                      {record.purge_request.status === 'FAILED' ? 'Purge failed' : 'Awaiting approval'}
+                    </Badge>
+                  ) : (
+                    <Button size="sm" variant="secondary" onClick={() => setRequesting(record)}>Request Purge</Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!loading && dueRecords.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-sm text-gray-500">No records are due for purge.</td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </Card>
+
+      {requesting && (
+        <Card className="p-5">
+          <form onSubmit={handleRequest} className="space-y-3">
+            <h3 className="font-semibold text-gray-900">
+              Request purge: {RECORD_TYPE_LABELS[requesting.record_type].toLowerCase()} of {requesting.patient_name} ({requesting.patient_code})
+            </h3>
+            <p className="text-sm text-gray-500">
+              {requesting.record_type === 'INACTIVE_PATIENT'
+                ? 'The whole patient record is deleted, with every visit, note, chart, payment and document, and the stored files.'
+                : 'The document and its stored file are deleted.'}
+              {' '}Another administrator must approve before anything is deleted.
+            </p>
+            <Input value={reason} onChange={(e) => setReason(e.target.value)} maxLength={500} placeholder="Notes for the approver (optional)" />
+            <div className="flex gap-2">
+              <Button type="submit" size="sm" variant="danger" disabled={submitting}>
+                {submitting ? 'Saving...' : 'Request Purge'}
+              </Button>
+              <Button type="button" size="sm" variant="secondary" onClick={() => setRequesting(null)}>Cancel</Button>
+            </div>
+          </form>
+        </Card>
+      )}
+
+      <Card>
+        <div className="p-4 border-b border-gray-100 flex items-center justify-between gap-3">
+          <h3 className="font-semibold text-gray-900">{showHistory ? 'All Purge Requests' : 'Awaiting Approval'}</h3>
+          <Button size="sm" variant="secondary" onClick={() => setShowHistory(!showHistory)}>
+            {showHistory ? 'Show Awaiting Approval' : 'Show History'}
+          </Button>
+        </div>
+        <Table>
+          <thead>
+            <tr className="border-b border-gray-100 bg-gray-50">
+              <th className="px-4 py-3 font-semibold text-gray-700">Record</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Requested</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Status</th>
+              <th className="px-4 py-3 font-semibold text-gray-700">Review</th>
+            </tr>
+          </thead>
+          <tbody>
+            {purges.map((purge) => (
+              <tr key={purge.id} className="border-b border-gray-50 align-top">
+                <td className="px-4 py-3 text-sm text-gray-900">
+                  {RECORD_TYPE_LABELS[purge.record_type]}
+                  <div className="text-xs text-gray-500">
+                    {purge.patient_name ? `${purge.patient_name} · ` : ''}{purge.patient_code} · due {purge.due_on}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-600">
+                  <div className="text-gray-900">{purge.requested_by_name || 'Administrator'}</div>
+                  <div>{purge.created_at.slice(0, 16)}</div>
+                  {purge.reason && <div className="mt-1 text-gray-500">{purge.reason}</div>}
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-600">
+                  <Badge variant={STATUS_VARIANTS[purge.status]}>{purge.status}</Badge>
+                  {purge.error_message && <div className="mt-1 text-red-600">{purge.error_message}</div>}
+                  {purge.summary && (
+                    <div className="mt-1 text-gray-500">
+                      {Object.entries(purge.summary).map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`).join(', ')}
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-600">
+                  {purge.status === 'PENDING' || purge.status === 'FAILED' ? (
+                    <div className="flex gap-2">
+                      {purge.requested_by !== user?.id && (
+                        <Button size="sm" variant="danger" onClick={() => setPending({ purge, kind: 'approve' })}>
+                          {purge.status === 'FAILED' ? 'Retry' : 'Approve'}
+                        </Button>
+                      )}
+                      <Button size="sm" variant="ghost" onClick={() => setPending({ purge, kind: 'reject' })}>Reject</Button>
+                    </div>
+                  ) : purge.reviewed_at && (
+                    <>
+                      <div className="text-gray-900">{purge.reviewed_by_name || 'Administrator'}</div>
+                      <div>{purge.reviewed_at.slice(0, 16)}</div>
+                      {purge.review_note && <div className="mt-1 text-gray-500">{purge.review_note}</div>}
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!loading && purges.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500">
+                  {showHistory ? 'No purges requested yet.' : 'Nothing awaiting approval.'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </Card>
+
+      {pending && (
+        <Card className="p-5">
+          <form onSubmit={handleReview} className="space-y-3">
+            <h3 className="font-semibold text-gray-900">
+              {pending.kind === 'approve' ? 'Approve purge' : 'Reject purge'}: {pending.purge.patient_code}
+            </h3>
+            <p className="text-sm text-gray-500">
+              {pending.kind === 'approve'
+                ? 'The record is checked again against the policy and then deleted for good. This cannot be undone.'
+                : 'The record is kept and stays on the due list.'}
+            </p>
+            <Input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={500}
+              placeholder={pending.kind === 'approve' ? 'Review note (optional)' : 'Why the record should be kept'}
+            />
+            <div className="flex gap-2">
+              <Button
+                type="submit"
+                size="sm"
+                variant={pending.kind === 'approve' ? 'danger' : 'primary'}
+                disabled={submitting || (pending.kind === 'reject' && note.trim().length < 3)}
+              >
+                {submitting ? 'Saving...' : pending.kind === 'approve' ? 'Purge Permanently' : 'Reject Purge'}
+              </Button>
+              <Button type="button" size="sm" variant="secondary" onClick={() => setPending(null)}>Cancel</Button>
+            </div>
+          </form>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,356 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Badge, Button, Card, RefreshButton, Table } from '../../components/UI';
+import { apiService } from '../../services/api';
+import type { PatientImport, PatientImportRow, PatientImportStatus } from '../../services/api';
+
+const SELECT_CLASS = 'h-9 rounded-md border border-gray-200 bg-white px-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const IMPORT_FIELD_LABELS: Record<string, string> = {
+  first_name: 'First name',
+  last_name: 'Last name',
+  date_of_birth: 'Date of birth',
+  age: 'Age',
+  gender: 'Gender',
+  phone: 'Phone',
+  email: 'Email',
+  address: 'Address',
+  province: 'Province',
+  registration_date: 'Registration date',
+  emergency_contact_name: 'Emergency contact name',
+  emergency_contact_phone: 'Emergency contact phone',
+  nhi_verified: 'NHI verified',
+  status: 'Status'
+};
+
+const IMPORT_STATUS_BADGES: Record<PatientImportStatus, { label: string; variant: 'neutral' | 'success' | 'warning' | 'blue' }> = {
+  VALIDATED: { label: 'Validated', variant: 'blue' },
+  PARTIAL: { label: 'Partly imported', variant: 'warning' },
+  COMMITTED: { label: 'Imported', variant: 'success' },
+  ROLLED_BACK: { label: 'Rolled back', variant: 'neutral' }
+};
+
+const ROW_STATUS_BADGES: Record<PatientImportRow['status'], { label: string; variant: 'success' | 'warning' | 'error' }> = {
+  VALID: { label: 'Ready', variant: 'success' },
+  DUPLICATE: { label: 'Possible duplicate', variant: 'warning' },
+  INVALID: { label: 'Invalid', variant: 'error' }
+};
+
+const formatTimestamp = (value: string | null) => {
+  if (!value) return '-';
+  const parsed = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+};
+
+const mappingFromImport = (importRecord: PatientImport) =>
+  Object.fromEntries(importRecord.headers.map((header, index) => [header, importRecord.column_map[index] || null]));
+
+function ReportRowIssues({ row }: { row: PatientImportRow }) {
+  return (
+    <div className="space-y-1 text-xs">
+      {row.errors.map((error) => (
+        <div key={`${error.field}-${error.message}`} className="text-red-700">{error.message}</div>
+      ))}
+      {row.duplicates.map((duplicate) => (
+        <div key={duplicate.patient_id} className="text-amber-700">
+          Matches {duplicate.patient_code} {duplicate.first_name} {duplicate.last_name}
+          {duplicate.date_of_birth && ` (born ${duplicate.date_of_birth.slice(0, 10)})`}
+        </div>
+      ))}
+      {row.file_duplicate_of && (
+        <div className="text-amber-700">Looks like the same person as row {row.file_duplicate_of}</div>
+      )}
+    </div>
+  );
+}
+
+export function PatientImportPage() {
+  const [file, setFile] = useState<File | null>(null);
+  const [current, setCurrent] = useState<PatientImport | null>(null);
+  const [mapping, setMapping] = useState<Record<string, string | null>>({});
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [rowFilter, setRowFilter] = useState<'ALL' | PatientImportRow['status']>('ALL');
+  const [imports, setImports] = useState<PatientImport[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [validating, setValidating] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadImports = async () => {
+    setLoading(true);
+    try {
+      const response = await apiService.patientImports.list();
+      setImports(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load imports');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadImports();
+  }, []);
+
+  const showImport = (importRecord: PatientImport) => {
+    setCurrent(importRecord);
+    setMapping(mappingFromImport(importRecord));
+    setIncludeDuplicates(false);
+    setRowFilter('ALL');
+  };
+
+  // Without a mapping the server matches column headings to fields itself
+  const handleValidate = async (columnMap?: Record<string, string | null>) => {
+    if (!file) return;
+    setValidating(true);
+    setError('');
+    try {
+      const response = await apiService.patientImports.dryRun(file, columnMap);
+      if (response.data) showImport(response.data);
+      loadImports();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to validate the file');
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleOpen = async (id: number) => {
+    setError('');
+    try {
+      const response = await apiService.patientImports.get(id);
+      if (response.data) showImport(response.data);
+      setFile(null);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load the import');
+    }
+  };
+
+  const handleCommit = async () => {
+    if (!current) return;
+    setCommitting(true);
+    setError('');
+    try {
+      const response = await apiService.patientImports.commit(current.id, includeDuplicates);
+      if (response.data) showImport(response.data);
+      if (response.data?.status === 'PARTIAL') {
+        toast.warning(response.message || 'Some rows could not be imported');
+      } else {
+        toast.success(response.message || 'Patients imported');
+      }
+      loadImports();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to import the patients');
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const handleRollback = async (importRecord: PatientImport) => {
+    if (!window.confirm(
+      `Remove the ${importRecord.imported_rows} patients created from ${importRecord.file_name}? Patients who already have visits, notes or other records are kept.`
+    )) return;
+
+    setError('');
+    try {
+      const response = await apiService.patientImports.rollback(importRecord.id);
+      toast.success(response.message || 'Import rolled back');
+      if (current?.id === importRecord.id) handleOpen(importRecord.id);
+      loadImports();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to roll back the import');
+    }
+  };
+
+  const canCommit = current && (current.status === 'VALIDATED' || current.status === 'PARTIAL');
+  // Rows a commit would create now; after a partial import, rows already created are skipped
+  const toImport = (current?.report || []).filter((row) =>
+    !row.patient_code && (row.status === 'VALID' || (includeDuplicates && row.status === 'DUPLICATE'))).length;
+  const reportRows = (current?.report || []).filter((row) => rowFilter === 'ALL' || row.status === rowFilter);
+  const mappingChanged = current
+    ? current.headers.some((header, index) => (mapping[header] || null) !== (current.column_map[index] || null))
+    : false;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Import Patients</h2>
+          <p className="text-sm text-gray-500">
+            Upload a CSV or XLSX file with one patient per row. Every row is checked first; nothing is created until you import.
+          </p>
+        </div>
+        <RefreshButton onClick={loadImports} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <Card className="p-5">
+        <div className="flex flex-col gap-3 md:flex-row md:items-center">
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="text-sm text-gray-700"
+          />
+          <Button onClick={() => handleValidate()} disabled={!file || validating}>
+            {validating ? 'Checking...' : 'Check File'}
+          </Button>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          The first row must hold column headings. First name, last name, gender, and date of birth or age are required.
+        </p>
+      </Card>
+
+      {current && (
+        <div className="space-y-4">
+          <Card className="p-5 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h3 className="font-semibold text-gray-900">{current.file_name}</h3>
+                <p className="text-xs text-gray-500">
+                  Checked {formatTimestamp(current.created_at)}{current.created_by_name && ` by ${current.created_by_name}`}
+                </p>
+              </div>
+              <Badge variant={IMPORT_STATUS_BADGES[current.status].variant}>{IMPORT_STATUS_BADGES[current.status].label}</Badge>
+            </div>
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+              <span>{current.total_rows} rows</span>
+              <span className="text-green-700">{current.valid_rows} ready</span>
+              <span className="text-amber-700">{current.duplicate_rows} possible duplicates</span>
+              <span className="text-red-700">{current.invalid_rows} invalid</span>
+              {current.imported_rows > 0 && <span>{current.imported_rows} imported</span>}
+            </div>
+            {current.error_message && <p className="text-sm text-amber-700">{current.error_message}</p>}
+
+            {canCommit && (
+              <div className="flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={includeDuplicates}
+                    onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                    disabled={current.duplicate_rows === 0}
+                  />
+                  Also import possible duplicates
+                </label>
+                <Button onClick={handleCommit} disabled={committing || toImport === 0}>
+                  {committing ? 'Importing...' : `Import ${toImport} Patients`}
+                </Button>
+              </div>
+            )}
+          </Card>
+
+          {file && current.status === 'VALIDATED' && (
+            <Card className="p-5 space-y-3">
+              <h3 className="font-semibold text-gray-900">Columns</h3>
+              <div className="grid grid-cols-1 gap-2 md:grid-cols-2">
+                {current.headers.map((header) => (
+                  <label key={header} className="flex items-center justify-between gap-3 text-sm text-gray-700">
+                    <span className="truncate">{header}</span>
+                    <select
+                      className={SELECT_CLASS}
+                      value={mapping[header] || ''}
+                      onChange={(e) => setMapping((previous) => ({ ...previous, [header]: e.target.value || null }))}
+                    >
+                      <option value="">Do not import</option>
+                      {Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => (
+                        <option key={field} value={field}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <Button variant="secondary" onClick={() => handleValidate(mapping)} disabled={validating || !mappingChanged}>
+                Check Again With These Columns
+              </Button>
+            </Card>
+          )}
+
+          <Card>
+            <div className="flex gap-2 border-b border-gray-100 p-3">
+              {(['ALL', 'VALID', 'DUPLICATE', 'INVALID'] as const).map((filter) => (
+                <Button
+                  key={filter}
+                  size="sm"
+                  variant={rowFilter === filter ? 'primary' : 'ghost'}
+                  onClick={() => setRowFilter(filter)}
+                >
+                  {filter === 'ALL' ? 'All rows' : ROW_STATUS_BADGES[filter].label}
+                </Button>
+              ))}
+            </div>
+            <Table>
+              <thead>
+                <tr className="border-b border-gray-100 bg-gray-50">
+                  <th className="px-4 py-3 font-semibold text-gray-700">Row</th>
+                  <th className="px-4 py-3 font-semibold text-gray-700">Patient</th>
+                  <th className="px-4 py-3 font-semibold text-gray-700">Check</th>
+                  <th className="px-4 py-3 font-semibold text-gray-700">Issues</th>
+                  <th className="px-4 py-3 font-semibold text-gray-700">Imported As</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reportRows.map((row) => (
+                  <tr key={row.row_number} className="border-b border-gray-50 align-top">
+                    <td className="px-4 py-3 text-gray-500">{row.row_number}</td>
+                    <td className="px-4 py-3 text-gray-900">
+                      {[row.first_name, row.last_name].filter(Boolean).join(' ') || '-'}
+                      {row.data?.date_of_birth && (
+                        <div className="text-xs text-gray-500">Born {row.data.date_of_birth}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <Badge variant={ROW_STATUS_BADGES[row.status].variant}>{ROW_STATUS_BADGES[row.status].label}</Badge>
+                    </td>
+                    <td className="px-4 py-3"><ReportRowIssues row={row} /></td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {row.patient_code
+                        ? `${row.patient_code}${row.import_status === 'ROLLED_BACK' ? ' (removed)' : row.import_status === 'KEPT' ? ' (kept)' : ''}`
+                        : '-'}
+                    </td>
+                  </tr>
+                ))}
+                {reportRows.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-6 text-center text-gray-500">No rows to show.</td>
+                  </tr>
+                )}
+              </tbody>
+            </Table>
+          </Card>
+        </div>
+      )}
+
+      <Card className="p-5">
+        <h3 className="font-semibold text-gray-900 mb-3">Import History</h3>
+        <div className="space-y-2">
+          {imports.map((importRecord) => (
+            <div key={importRecord.id} className="flex items-center justify-between gap-3 rounded-md border border-gray-100 px-3 py-2 text-sm">
+              <div className="min-w-0">
+                <div className="font-medium text-gray-900">
+                  {importRecord.file_name}
+                  <Badge variant={IMPORT_STATUS_BADGES[importRecord.status].variant} className="ml-2">
+                    {IMPORT_STATUS_BADGES[importRecord.status].label}
+                  </Badge>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatTimestamp(importRecord.created_at)}{importRecord.created_by_name && ` by ${importRecord.created_by_name}`}
+                  {' · '}{importRecord.total_rows} rows, {importRecord.imported_rows} imported
+                  {importRecord.rolled_back_at && ` · rolled back ${formatTimestamp(importRecord.rolled_back_at)}`}
+                </div>
+              </div>
+              <div className="flex shrink-0 gap-2">
+                <Button size="sm" variant="secondary" onClick={() => handleOpen(importRecord.id)}>View</Button>
+                {(importRecord.status === 'COMMITTED' || importRecord.status === 'PARTIAL') && (
+                  <Button size="sm" variant="danger" onClick={() => handleRollback(importRecord)}>Roll Back</Button>
+                )}
+              </div>
+            </div>
+          ))}
+          {imports.length === 0 && <p className="text-sm text-gray-500">No imports yet.</p>}
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { ArrowRight } from 'lucide-react';
+import { Badge, Button, Card, Input, RefreshButton } from '../../components/UI';
+import { apiService } from '../../services/api';
+import type { PatientMerge, PatientMergePreview, PatientMergeSide } from '../../services/api';
+
+const MATCH_LABELS: Record<string, string> = {
+  NAME: 'similar name',
+  DATE_OF_BIRTH: 'same birth date',
+  BIRTH_YEAR: 'same birth year',
+  PHONE: 'same phone',
+  EMAIL: 'same email'
+};
+
+const formatTimestamp = (value: string | null) => {
+  if (!value) return '-';
+  const parsed = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+};
+
+function PatientSummary({ title, patient }: { title: string; patient: PatientMergeSide }) {
+  const rows: Array<[string, string | null]> = [
+    ['Birth date', patient.date_of_birth ? patient.date_of_birth.slice(0, 10) : null],
+    ['Gender', patient.gender],
+    ['Phone', patient.phone],
+    ['Email', patient.email],
+    ['Address', patient.address],
+    ['Registered', formatTimestamp(patient.created_at)]
+  ];
+
+  return (
+    <Card className="p-4 space-y-2">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="text-xs font-semibold uppercase text-gray-500">{title}</p>
+          <h3 className="font-semibold text-gray-900">{patient.first_name} {patient.last_name}</h3>
+          <p className="text-xs text-gray-500">{patient.patient_code}</p>
+        </div>
+        {patient.deleted_at && <Badge variant="neutral">Inactive</Badge>}
+      </div>
+      <dl className="grid grid-cols-3 gap-x-2 gap-y-1 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="contents">
+            <dt className="text-gray-500">{label}</dt>
+            <dd className="col-span-2 text-gray-900">{value || '-'}</dd>
+          </div>
+        ))}
+      </dl>
+    </Card>
+  );
+}
+
+export function PatientMergePage() {
+  const [survivorCode, setSurvivorCode] = useState('');
+  const [duplicateCode, setDuplicateCode] = useState('');
+  const [preview, setPreview] = useState<PatientMergePreview | null>(null);
+  const [reason, setReason] = useState('');
+  const [merges, setMerges] = useState<PatientMerge[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadMerges = async () => {
+    setLoading(true);
+    try {
+      const response = await apiService.patientMerges.list();
+      setMerges(response.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load merge history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMerges();
+  }, []);
+
+  const handleCompare = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setComparing(true);
+    setError('');
+    setPreview(null);
+    try {
+      const response = await apiService.patientMerges.preview(survivorCode.trim(), duplicateCode.trim());
+      setPreview(response.data || null);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to compare the patients');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (!preview) return;
+    const { survivor, duplicate } = preview;
+    if (!window.confirm(
+      `Move every record of ${duplicate.patient_code} into ${survivor.patient_code} and make ${duplicate.patient_code} inactive? This cannot be undone.`
+    )) return;
+
+    setMerging(true);
+    setError('');
+    try {
+      const response = await apiService.patientMerges.merge({
+        survivor_patient_id: survivor.id,
+        duplicate_patient_id: duplicate.id,
+        ...(reason.trim() && { reason: reason.trim() })
+      });
+      toast.success(response.message || 'Patients merged');
+      setPreview(null);
+      setSurvivorCode('');
+      setDuplicateCode('');
+      setReason('');
+      loadMerges();
+    } catch (err: any) {
+      setError(err?.message || 'Failed to merge the patients');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const recordsToMove = preview ? preview.records.filter((entry) => entry.count > 0) : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Merge Patients</h2>
+          <p className="text-sm text-gray-500">
+            Move the visits, notes, documents, chart, payments, materials, assignments, cases, and queue history of a duplicate
+            registration into the record to keep. The duplicate becomes inactive.
+          </p>
+        </div>
+        <RefreshButton onClick={loadMerges} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+      <Card className="p-5">
+        <form onSubmit={handleCompare} className="grid grid-cols-1 gap-3 md:grid-cols-[1fr_auto_1fr_auto] md:items-end">
+          <label className="text-xs text-gray-500">
+            Duplicate patient code
+            <Input value={duplicateCode} onChange={(e) => setDuplicateCode(e.target.value)} maxLength={20} placeholder="Record to merge away" />
+          </label>
+          <ArrowRight className="hidden md:block h-5 w-5 mb-2.5 text-gray-400" />
+          <label className="text-xs text-gray-500">
+            Patient code to keep
+            <Input value={survivorCode} onChange={(e) => setSurvivorCode(e.target.value)} maxLength={20} placeholder="Surviving record" />
+          </label>
+          <Button type="submit" disabled={comparing || !survivorCode.trim() || !duplicateCode.trim()}>
+            {comparing ? 'Comparing...' : 'Compare'}
+          </Button>
+        </form>
+      </Card>
+
+      {preview && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <PatientSummary title="Duplicate" patient={preview.duplicate} />
+            <PatientSummary title="Keep" patient={preview.survivor} />
+          </div>
+
+          <Card className="p-5 space-y-4">
+            <div className="text-sm">
+              {preview.match ? (
+                <span className="text-gray-700">
+                  Match score {preview.match.score}: {preview.match.matched_on.map((match) => MATCH_LABELS[match]).join(', ') || 'similar details'}.
+                </span>
+              ) : (
+                <span className="text-amber-700">These records do not look alike. Check that they are the same person before merging.</span>
+              )}
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Records to move</h4>
+              {recordsToMove.length > 0 ? (
+                <ul className="grid grid-cols-1 gap-1 text-sm text-gray-700 sm:grid-cols-2">
+                  {recordsToMove.map((entry) => (
+                    <li key={entry.table}>{entry.label}: {entry.count}</li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">The duplicate has no records besides its registration.</p>
+              )}
+              <p className="mt-2 text-xs text-gray-500">
+                Where the kept record already has the same tooth charted, the same assignment, or its own history form, the
+                duplicate's entry stays with the inactive duplicate and is listed in the merge record.
+              </p>
+            </div>
+            <Input value={reason} onChange={(e) => setReason(e.target.value)} maxLength={500} placeholder="Reason (optional)" />
+            <div className="flex gap-2">
+              <Button variant="danger" onClick={handleMerge} disabled={merging}>
+                {merging ? 'Merging...' : `Merge ${preview.duplicate.patient_code} into ${preview.survivor.patient_code}`}
+              </Button>
+              <Button variant="secondary" onClick={() => setPreview(null)} disabled={merging}>Cancel</Button>
+            </div>
+          </Card>
+        </div>
+      )}
+
+      <Card className="p-5">
+        <h3 className="font-semibold text-gray-900 mb-3">Merge History</h3>
+        <div className="space-y-2">
+          {merges.map((merge) => {
+            const moved = Object.values(merge.moved_rows).reduce((sum, count) => sum + count, 0);
+            const retained = Object.values(merge.retained_rows).reduce((sum, ids) => sum + ids.length, 0);
+            return (
+              <div key={merge.id} className="rounded-md border border-gray-100 px-3 py-2 text-sm">
+                <div className="font-medium text-gray-900">
+                  {merge.duplicate_patient_code} {merge.duplicate_first_name} {merge.duplicate_last_name}
+                  <ArrowRight className="mx-2 inline h-4 w-4 text-gray-400" />
+                  {merge.survivor_patient_code} {merge.survivor_first_name} {merge.survivor_last_name}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatTimestamp(merge.created_at)}{merge.merged_by_name && ` by ${merge.merged_by_name}`} · {moved} records moved
+                  {retained > 0 && `, ${retained} kept with the duplicate`}
+                  {merge.reason && ` · ${merge.reason}`}
+                </div>
+              </div>
+            );
+          })}
+          {merges.length === 0 && <p className="text-sm text-gray-500">No patients have been merged.</p>}
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Badge, Button, Card, Input, RefreshButton, Table, cn } from '../../components/UI';
+import { apiService } from '../../services/api';
+import type { PermissionMatrix, PermissionMatrixState, PermissionMatrixVersion } from '../../services/api';
+
+const PERMISSION_LABELS: Record<string, string> = { C: 'Create', R: 'Read', U: 'Update', D: 'Delete', A: 'Approve' };
+
+const formatTimestamp = (value: string | null) => {
+  if (!value) return '-';
+  const parsed = new Date(value.includes('T') ? value : value.replace(' ', 'T'));
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+};
+
+const formatLabel = (value: string) => value.replace(/_/g, ' ');
+
+const cellKey = (permissions: string[] = []) => [...permissions].sort().join('');
+
+export function PermissionMatrixPage() {
+  const [state, setState] = useState<PermissionMatrixState | null>(null);
+  const [draft, setDraft] = useState<PermissionMatrix>({});
+  const [versions, setVersions] = useState<PermissionMatrixVersion[]>([]);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadAll = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [matrixResponse, versionsResponse] = await Promise.all([
+        apiService.permissions.getMatrix(),
+        apiService.permissions.getVersions()
+      ]);
+      if (matrixResponse.data) {
+        setState(matrixResponse.data);
+        setDraft(matrixResponse.data.matrix);
+      }
+      setVersions(versionsResponse.data || []);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load the permission matrix');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAll();
+  }, []);
+
+  const permissionCodes = state ? Object.values(state.permissions) : [];
+
+  const changedCells = useMemo(() => {
+    if (!state) return 0;
+    return state.roles.reduce((count, role) => count + state.object_types.filter(
+      (objectType) => cellKey(draft[role]?.[objectType]) !== cellKey(state.matrix[role]?.[objectType])
+    ).length, 0);
+  }, [state, draft]);
+
+  const togglePermission = (role: string, objectType: string, permission: string) => {
+    setDraft((current) => {
+      const existing = current[role]?.[objectType] || [];
+      const next = existing.includes(permission)
+        ? existing.filter((entry) => entry !== permission)
+        : permissionCodes.filter((code) => code === permission || existing.includes(code));
+      return { ...current, [role]: { ...current[role], [objectType]: next } };
+    });
+  };
+
+  const applyResult = async (message: string) => {
+    setNotice(message);
+    setNote('');
+    await loadAll();
+  };
+
+  const handleSave = async () => {
+    if (!state) return;
+    setSubmitting(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await apiService.permissions.update({
+        version: state.version,
+        matrix: draft,
+        ...(note.trim() && { note: note.trim() })
+      });
+      await applyResult(response.message || 'Permission matrix saved');
+    } catch (err: any) {
+      setError(err?.message || 'Failed to save the permission matrix');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRestore = async (entry: PermissionMatrixVersion) => {
+    if (!state) return;
+    if (!window.confirm(`Restore version ${entry.version}? It is saved as a new version and applies to every user immediately.`)) {
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await apiService.permissions.restore(entry.version, state.version);
+      await applyResult(response.message || `Version ${entry.version} restored`);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to restore this version');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Permission Matrix</h2>
+          <p className="text-sm text-gray-500">
+            What each role may create, read, update, delete, and approve. Saved changes apply to every user within a minute, without a restart.
+          </p>
+        </div>
+        <RefreshButton onClick={loadAll} loading={loading} />
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+      {notice && <div className="rounded-lg border border-green-200 bg-green-50 p-3 text-sm text-green-700">{notice}</div>}
+
+      {state && (
+        <Card>
+          <div className="flex flex-wrap items-center justify-between gap-2 border-b border-gray-100 px-4 py-3 text-xs text-gray-500">
+            <span>
+              Live version <span className="font-semibold text-gray-900">{state.version}</span>
+              {state.created_at && <> saved {formatTimestamp(state.created_at)}{state.changed_by_name && ` by ${state.changed_by_name}`}</>}
+            </span>
+            <span>{Object.entries(PERMISSION_LABELS).map(([code, label]) => `${code} ${label}`).join(' · ')}</span>
+          </div>
+          <Table>
+            <thead>
+              <tr className="border-b border-gray-100 bg-gray-50">
+                <th className="px-4 py-3 font-semibold text-gray-700">Object type</th>
+                {state.roles.map((role) => (
+                  <th key={role} className="px-3 py-3 font-semibold text-gray-700 whitespace-nowrap">{formatLabel(role)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {state.object_types.map((objectType) => (
+                <tr key={objectType} className="border-b border-gray-50">
+                  <td className="px-4 py-2 text-xs font-medium text-gray-900 whitespace-nowrap">{formatLabel(objectType)}</td>
+                  {state.roles.map((role) => {
+                    const granted = draft[role]?.[objectType] || [];
+                    const changed = cellKey(granted) !== cellKey(state.matrix[role]?.[objectType]);
+                    return (
+                      <td key={role} className={cn('px-3 py-2', changed && 'bg-amber-50')}>
+                        <div className="flex gap-1">
+                          {permissionCodes.map((code) => (
+                            <button
+                              key={code}
+                              type="button"
+                              title={`${PERMISSION_LABELS[code] || code} ${formatLabel(objectType)} for ${formatLabel(role)}`}
+                              onClick={() => togglePermission(role, objectType, code)}
+                              className={cn(
+                                'h-7 w-7 rounded text-xs font-semibold transition-colors',
+                                granted.includes(code)
+                                  ? 'bg-blue-600 text-white hover:bg-blue-700'
+                                  : 'bg-gray-100 text-gray-400 hover:bg-gray-200'
+                              )}
+                            >
+                              {code}
+                            </button>
+                          ))}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <div className="flex flex-wrap items-center gap-3 border-t border-gray-100 px-4 py-3">
+            <Input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={500}
+              placeholder="Reason for this change (optional)"
+              className="max-w-md"
+            />
+            <span className="text-xs text-gray-500">
+              {changedCells === 0 ? 'No unsaved changes' : `${changedCells} cell${changedCells === 1 ? '' : 's'} changed`}
+            </span>
+            <div className="ml-auto flex gap-2">
+              <Button variant="secondary" size="sm" disabled={changedCells === 0 || submitting} onClick={() => setDraft(state.matrix)}>
+                Discard
+              </Button>
+              <Button size="sm" disabled={changedCells === 0 || submitting} onClick={handleSave}>
+                {submitting ? 'Saving...' : `Save as Version ${state.version + 1}`}
+              </Button>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      <Card className="p-5">
+        <h3 className="font-semibold text-gray-900 mb-4">History</h3>
+        <div className="space-y-2">
+          {versions.map((entry) => (
+            <div key={entry.version} className="flex items-start justify-between gap-3 rounded-md border border-gray-100 px-3 py-2">
+              <div className="min-w-0 space-y-1">
+                <div className="text-sm font-medium text-gray-900">
+                  Version {entry.version}
+                  {entry.version === state?.version && <Badge variant="success" className="ml-2">Live</Badge>}
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    {formatTimestamp(entry.created_at)} by {entry.changed_by_name || 'System'}
+                  </span>
+                </div>
+                {entry.note && <div className="text-xs text-gray-600">{entry.note}</div>}
+                <div className="flex flex-wrap gap-1">
+                  {entry.changes.map((change) => (
+                    <Badge key={`${change.role}-${change.object_type}`} variant="neutral">
+                      {formatLabel(change.role)} · {formatLabel(change.object_type)}
+                      {change.added.length > 0 && ` +${change.added.join('')}`}
+                      {change.removed.length > 0 && ` -${change.removed.join('')}`}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+              {state && entry.version !== state.version && (
+                <Button variant="ghost" size="sm" disabled={submitting} onClick={() => handleRestore(entry)}>Restore</Button>
+              )}
+            </div>
+          ))}
+          {versions.length === 0 && <p className="text-sm text-gray-500">No saved versions yet.</p>}
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -35,12 +35,17 @@ import {
   CheckCircle as CheckCircleIcon,
   DeleteForever as DeleteForeverIcon,
   VpnKey as VpnKeyIcon,
+  PhonelinkLock as PhonelinkLockIcon,
+  Devices as DevicesIcon,
+  LockOpen as LockOpenIcon,
+  Visibility as VisibilityIcon,
   Close as CloseIcon
 } from '@mui/icons-material';
 import { apiService } from '../../services/api';
-import { CreateUserForm } from '../../services/api';
+import { CreateUserForm, UserSession } from '../../services/api';
+import { SessionList } from '../../components/SessionList';
 import { useAuth } from '../../context/AuthContext';
-import { Navigate } from 'react-router';
+import { Navigate, useNavigate } from 'react-router';
 
 export interface User {
   id: string;
@@ -49,6 +54,10 @@ export interface User {
   role: string;
   department: string;
   status: string;
+  mfa_enabled?: boolean | number;
+  failed_login_attempts?: number;
+  locked_until?: string | null;
+  is_locked?: boolean | number;
   created_at: string;
   updated_at: string;
 }
@@ -70,7 +79,8 @@ const initialUserFormData: CreateUserForm = {
 };
 
 const UserManagement: React.FC = () => {
-  const { user } = useAuth();
+  const { user, startImpersonation } = useAuth();
+  const navigate = useNavigate();
   
   // Redirect non-admin users
   if (user?.role !== 'ADMIN') {
@@ -87,6 +97,10 @@ const UserManagement: React.FC = () => {
   const [selectedUser, setSelectedUser] = useState<User | null>(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' as 'success' | 'error' });
   const [creatingUser, setCreatingUser] = useState(false);
+  const [sessionsUser, setSessionsUser] = useState<User | null>(null);
+  const [userSessions, setUserSessions] = useState<UserSession[]>([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revokingSessionId, setRevokingSessionId] = useState<string | null>(null);
   const [createProgressStep, setCreateProgressStep] = useState(0);
   const [confirmDialog, setConfirmDialog] = useState<{
     open: boolean;
@@ -435,6 +449,121 @@ const UserManagement: React.FC = () => {
     });
   };
 
+  const handleResetMfa = async (targetUser: User) => {
+    openConfirmDialog({
+      title: 'Reset MFA',
+      message: `Remove the authenticator and recovery codes for ${targetUser.email}? Their sessions will be signed out and they will need to enroll again.`,
+      confirmText: 'Reset MFA',
+      severity: 'warning',
+      onConfirm: async () => {
+        try {
+          const response = await apiService.users.resetMfa(targetUser.id);
+          if (response.success) {
+            setSnackbar({ open: true, message: response.message || 'MFA reset successfully', severity: 'success' });
+            loadUsers();
+          } else {
+            setSnackbar({ open: true, message: response.message || 'Failed to reset MFA', severity: 'error' });
+          }
+        } catch (err: any) {
+          setSnackbar({ open: true, message: err.response?.data?.message || err.message || 'Failed to reset MFA', severity: 'error' });
+        }
+      }
+    });
+  };
+
+  const handleUnlockUser = async (targetUser: User) => {
+    openConfirmDialog({
+      title: 'Unlock Account',
+      message: `Clear the failed sign-in lockout for ${targetUser.email}? They will be able to sign in immediately.`,
+      confirmText: 'Unlock',
+      severity: 'warning',
+      onConfirm: async () => {
+        try {
+          const response = await apiService.users.unlock(targetUser.id);
+          if (response.success) {
+            setSnackbar({ open: true, message: response.message || 'Account unlocked', severity: 'success' });
+            loadUsers();
+          } else {
+            setSnackbar({ open: true, message: response.message || 'Failed to unlock account', severity: 'error' });
+          }
+        } catch (err: any) {
+          setSnackbar({ open: true, message: err.response?.data?.message || err.message || 'Failed to unlock account', severity: 'error' });
+        }
+      }
+    });
+  };
+
+  const handleViewAsUser = async (targetUser: User) => {
+    const reason = window.prompt(
+      `View the app as ${targetUser.name} (read-only)? The session is time-limited and audited. Why do you need to view as this user?`,
+      ''
+    );
+    if (reason === null) return;
+    if (reason.trim().length < 5) {
+      setSnackbar({ open: true, message: 'Give a reason of at least 5 characters', severity: 'error' });
+      return;
+    }
+
+    try {
+      await startImpersonation(Number(targetUser.id), reason.trim());
+      navigate('/');
+    } catch (err: any) {
+      setSnackbar({ open: true, message: err.message || 'Failed to start view-as session', severity: 'error' });
+    }
+  };
+
+  const loadUserSessions = async (targetUser: User) => {
+    setSessionsLoading(true);
+    try {
+      const response = await apiService.users.getSessions(targetUser.id);
+      setUserSessions(response.success && response.data ? response.data.sessions : []);
+    } catch (err: any) {
+      setSnackbar({ open: true, message: err.message || 'Failed to load sessions', severity: 'error' });
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const openSessionsDialog = (targetUser: User) => {
+    setSessionsUser(targetUser);
+    setUserSessions([]);
+    loadUserSessions(targetUser);
+  };
+
+  const handleRevokeUserSession = async (session: UserSession) => {
+    if (!sessionsUser) return;
+    setRevokingSessionId(session.id);
+    try {
+      await apiService.users.revokeSession(sessionsUser.id, session.id);
+      setSnackbar({ open: true, message: 'Session signed out', severity: 'success' });
+      await loadUserSessions(sessionsUser);
+    } catch (err: any) {
+      setSnackbar({ open: true, message: err.message || 'Failed to sign out session', severity: 'error' });
+    } finally {
+      setRevokingSessionId(null);
+    }
+  };
+
+  const handleRevokeAllUserSessions = async () => {
+    if (!sessionsUser) return;
+    const targetUser = sessionsUser;
+    openConfirmDialog({
+      title: 'Sign Out All Sessions',
+      message: `Sign ${targetUser.email} out of every device?`,
+      confirmText: 'Sign Out All',
+      severity: 'warning',
+      onConfirm: async () => {
+        try {
+          const response = await apiService.users.revokeAllSessions(targetUser.id);
+          setSnackbar({ open: true, message: response.message || 'All sessions signed out', severity: 'success' });
+          await loadUserSessions(targetUser);
+        } catch (err: any) {
+          setSnackbar({ open: true, message: err.message || 'Failed to sign out sessions', severity: 'error' });
+        }
+      }
+    });
+  };
+
   const handlePermanentDeleteUser = async (targetUser: User) => {
     if (targetUser.status !== 'INACTIVE') {
       setSnackbar({ open: true, message: 'Deactivate the user first before permanent delete', severity: 'error' });
@@ -749,6 +878,15 @@ const UserManagement: React.FC = () => {
                       style={{ backgroundColor: getStatusColor(user.status), color: 'white' }}
                       sx={{ fontWeight: 700, borderRadius: '999px', px: 0.5, minWidth: 76 }}
                     />
+                    {Boolean(user.is_locked) && (
+                      <Chip
+                        label="LOCKED"
+                        size="small"
+                        title={user.locked_until ? `Locked until ${user.locked_until}` : undefined}
+                        style={{ backgroundColor: '#b45309', color: 'white' }}
+                        sx={{ fontWeight: 700, borderRadius: '999px', px: 0.5, ml: 0.75 }}
+                      />
+                    )}
                   </TableCell>
                   <TableCell sx={{ color: '#334155', fontWeight: 500 }}>
                     {formatDateDDMMYYYY(user.created_at)}
@@ -798,6 +936,67 @@ const UserManagement: React.FC = () => {
                         Reset Password
                       </Button>
                     )}
+                    {user.status !== 'INACTIVE' && (
+                      <Button
+                        size="small"
+                        variant="contained"
+                        startIcon={<DevicesIcon />}
+                        onClick={() => openSessionsDialog(user)}
+                        sx={{
+                          ...actionTileSx,
+                          backgroundColor: '#475569',
+                          '&:hover': { backgroundColor: '#334155' }
+                        }}
+                      >
+                        Sessions
+                      </Button>
+                    )}
+                    {user.status === 'ACTIVE' && user.role !== 'ADMIN' && (
+                      <Button
+                        size="small"
+                        variant="contained"
+                        startIcon={<VisibilityIcon />}
+                        onClick={() => handleViewAsUser(user)}
+                        sx={{
+                          ...actionTileSx,
+                          backgroundColor: '#a16207',
+                          '&:hover': { backgroundColor: '#854d0e' }
+                        }}
+                      >
+                        View As
+                      </Button>
+                    )}
+                    {user.status !== 'INACTIVE' && Boolean(user.mfa_enabled) && (
+                      <Button
+                        size="small"
+                        variant="contained"
+                        startIcon={<PhonelinkLockIcon />}
+                        onClick={() => handleResetMfa(user)}
+                        sx={{
+                          ...actionTileSx,
+                          minWidth: '150px',
+                          backgroundColor: '#0f766e',
+                          '&:hover': { backgroundColor: '#115e59' }
+                        }}
+                      >
+                        Reset MFA
+                      </Button>
+                    )}
+                    {user.status !== 'INACTIVE' && Boolean(user.is_locked) && (
+                      <Button
+                        size="small"
+                        variant="contained"
+                        startIcon={<LockOpenIcon />}
+                        onClick={() => handleUnlockUser(user)}
+                        sx={{
+                          ...actionTileSx,
+                          backgroundColor: '#b45309',
+                          '&:hover': { backgroundColor: '#92400e' }
+                        }}
+                      >
+                        Unlock
+                      </Button>
+                    )}
                     {user.status !== 'INACTIVE' && (
                       <Button
                         size="small"
@@ -981,6 +1180,66 @@ const UserManagement: React.FC = () => {
         </DialogActions>
       </Dialog>
 
+      {/* User Sessions Dialog */}
+      <Dialog
+        open={Boolean(sessionsUser)}
+        onClose={() => setSessionsUser(null)}
+        maxWidth="sm"
+        fullWidth
+        PaperProps={{
+          sx: {
+            borderRadius: '24px',
+            overflow: 'hidden',
+            boxShadow: '0 30px 80px rgba(15, 23, 42, 0.22)'
+          }
+        }}
+      >
+        <DialogTitle sx={{ fontWeight: 800, color: '#0f172a', borderBottom: '1px solid #e2e8f0', backgroundColor: '#f8fafc', px: 4, py: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Box>Sessions · {sessionsUser?.name}</Box>
+            <IconButton
+              onClick={() => setSessionsUser(null)}
+              sx={{
+                width: 40,
+                height: 40,
+                border: '1px solid #fecaca',
+                bgcolor: '#fef2f2',
+                color: '#dc2626',
+                '&:hover': { bgcolor: '#fee2e2', borderColor: '#fca5a5' },
+                '&:active': { bgcolor: '#fecaca' }
+              }}
+            >
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        </DialogTitle>
+        <DialogContent sx={{ px: 4, py: 3 }}>
+          <Box sx={{ pt: 2 }}>
+            {sessionsLoading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                <CircularProgress size={24} />
+              </Box>
+            ) : (
+              <SessionList sessions={userSessions} onRevoke={handleRevokeUserSession} revokingId={revokingSessionId} />
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ px: 4, py: 3, pt: 0, gap: 1.5 }}>
+          <Button onClick={() => setSessionsUser(null)} variant="outlined" sx={{ borderRadius: '14px', textTransform: 'none', fontWeight: 700, px: 3, py: 1.2 }}>
+            Close
+          </Button>
+          <Button
+            onClick={handleRevokeAllUserSessions}
+            variant="contained"
+            color="error"
+            disabled={sessionsLoading || userSessions.length === 0}
+            sx={{ borderRadius: '14px', textTransform: 'none', fontWeight: 800, px: 3.5, py: 1.2 }}
+          >
+            Sign Out All
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Edit User Dialog */}
       <Dialog
         open={editDialogOpen}
@@ -33,6 +33,8 @@ export interface LoginResponse {
     role: string;
     department: string;
     must_change_password?: boolean;
+    mfa_enabled?: boolean;
+    mfa_setup_required?: boolean;
   };
   tokens: {
     accessToken: string;
@@ -41,6 +43,25 @@ export interface LoginResponse {
   };
 }
 
+// Returned instead of LoginResponse when the account has MFA enabled
+export interface MfaChallengeResponse {
+  mfa_required: true;
+  mfa_token: string;
+}
+
+export interface MfaStatus {
+  enabled: boolean;
+  required: boolean;
+  enrolled_at: string | null;
+  recovery_codes_remaining: number;
+}
+
+export interface MfaEnrollment {
+  secret: string;
+  otpauth_url: string;
+  qr_code_data_url: string;
+}
+
 export interface User {
   id: number;
   name: string;
@@ -48,6 +69,652 @@ export interface User {
   role: string;
   department: string;
   must_change_password?: boolean;
+  mfa_enabled?: boolean;
+  mfa_setup_required?: boolean;
+  impersonated_by?: ImpersonatedBy;
+}
+
+// Present on the profile while an administrator is viewing the app as this user
+export interface ImpersonatedBy {
+  id: number;
+  name: string;
+  email: string;
+  impersonation_id: number;
+  expires_at: string;
+}
+
+export interface OidcProvider {
+  id: string;
+  name: string;
+  client_id: string;
+  authorization_endpoint: string | null;
+  scope: string;
+}
+
+export interface PasswordPolicy {
+  min_length: number;
+  max_length: number;
+  require_uppercase: boolean;
+  require_lowercase: boolean;
+  require_number: boolean;
+  require_symbol: boolean;
+  block_common: boolean;
+  history_count: number;
+  max_age_days: number;
+}
+
+export type ApiKeyScopes = Record<string, string[]>;
+
+export interface ServiceAccount {
+  id: number;
+  name: string;
+  email: string;
+  role: string;
+  department: string | null;
+  status: string;
+  created_at: string;
+  active_keys: number;
+}
+
+export interface ApiKey {
+  id: number;
+  name: string;
+  key_prefix: string;
+  scopes: ApiKeyScopes;
+  service_account: { id: number; name: string; role: string; status: string };
+  expires_at: string | null;
+  last_used_at: string | null;
+  last_used_ip: string | null;
+  rotated_from_id: number | null;
+  created_by_name: string | null;
+  created_at: string;
+  revoked_at: string | null;
+  status: 'ACTIVE' | 'EXPIRED' | 'REVOKED';
+}
+
+export interface ApiKeyScopeOptions {
+  object_types: string[];
+  permissions: Record<string, string>;
+  role_permissions: Record<string, ApiKeyScopes>;
+}
+
+export type PermissionMatrix = Record<string, ApiKeyScopes>;
+
+export interface PermissionMatrixState {
+  version: number;
+  matrix: PermissionMatrix;
+  note: string | null;
+  changed_by_name: string | null;
+  created_at: string | null;
+  roles: string[];
+  object_types: string[];
+  permissions: Record<string, string>;
+}
+
+export type AssignmentRole = 'ORTHODONTIST' | 'DENTAL_SURGEON' | 'NURSE' | 'STUDENT';
+
+// Dates are YYYY-MM-DD; leaving both out keeps an existing assignment's window unchanged
+export interface AssignmentInput {
+  user_id: number;
+  assignment_role: AssignmentRole;
+  starts_at?: string | null;
+  ends_at?: string | null;
+}
+
+export interface ExpiringAssignment {
+  id: number;
+  patient_id: number;
+  user_id: number;
+  assignment_role: AssignmentRole;
+  starts_at: string | null;
+  ends_at: string;
+  user_name: string;
+  patient_code: string;
+  first_name: string;
+  last_name: string;
+}
+
+export type DelegationStatus = 'SCHEDULED' | 'ACTIVE' | 'ENDED' | 'CANCELLED';
+
+export interface Delegation {
+  id: number;
+  delegator_id: number;
+  delegate_id: number;
+  assignment_role: 'ORTHODONTIST' | 'DENTAL_SURGEON';
+  all_patients: boolean;
+  starts_at: string;
+  ends_at: string;
+  reason: string | null;
+  created_by: number | null;
+  created_by_name: string | null;
+  cancelled_at: string | null;
+  cancelled_by_name: string | null;
+  created_at: string;
+  delegator_name: string;
+  delegate_name: string;
+  patient_count: number;
+  status: DelegationStatus;
+  patients?: Array<{ patient_id: number; assignment_id: number | null; patient_code: string; first_name: string; last_name: string }>;
+}
+
+export interface DelegationOptions {
+  clinicians: Array<{ id: number; name: string; email: string; role: string }>;
+  delegates: Array<{ id: number; name: string; email: string; role: string }>;
+  patients: Array<{ id: number; patient_code: string; first_name: string; last_name: string }>;
+}
+
+export type ConsentType = 'PHOTOGRAPHY' | 'TEACHING' | 'STUDENT_CARE';
+export type ConsentSignerRelationship = 'SELF' | 'PARENT' | 'GUARDIAN' | 'OTHER';
+
+export interface ConsentTemplate {
+  id: number;
+  consent_type: ConsentType;
+  version: number;
+  title: string;
+  body: string;
+  created_by: number | null;
+  created_by_name: string | null;
+  created_at: string;
+}
+
+export interface PatientConsent {
+  id: number;
+  patient_id: number;
+  consent_type: ConsentType;
+  template_id: number;
+  template_version: number;
+  template_title: string;
+  status: 'SIGNED' | 'WITHDRAWN';
+  signed_at: string;
+  signed_by_name: string;
+  signed_by_relationship: ConsentSignerRelationship;
+  // Set when a guardian on file signed
+  guardian_id: number | null;
+  guardian_relationship: GuardianRelationship | null;
+  recorded_by_name: string | null;
+  withdrawn_at: string | null;
+  withdrawal_reason: string | null;
+  withdrawn_recorded_by_name: string | null;
+  created_at: string;
+}
+
+export type GuardianRelationship = 'MOTHER' | 'FATHER' | 'LEGAL_GUARDIAN' | 'GRANDPARENT' | 'SIBLING' | 'OTHER';
+export type GuardianCommunicationPreference = 'EMAIL' | 'PHONE' | 'SMS' | 'NONE';
+
+export interface PatientGuardian {
+  id: number;
+  patient_id: number;
+  // Left out for roles that may not see the patient's emergency contact
+  full_name?: string;
+  relationship: GuardianRelationship;
+  phone?: string | null;
+  email: string | null;
+  address: string | null;
+  // Can sign consents on the patient's behalf
+  is_consent_giver: boolean;
+  // Receives appointment reminders while the patient is a minor
+  is_responsible: boolean;
+  communication_preference: GuardianCommunicationPreference;
+  notes: string | null;
+  created_by_name: string | null;
+  updated_by_name: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface PatientGuardianInput {
+  full_name: string;
+  relationship: GuardianRelationship;
+  phone?: string | null;
+  email?: string | null;
+  address?: string | null;
+  is_consent_giver?: boolean;
+  is_responsible?: boolean;
+  communication_preference?: GuardianCommunicationPreference;
+  notes?: string | null;
+}
+
+export type PatientStatus = 'CONSULTATION' | 'ACTIVE' | 'MAINTENANCE' | 'COMPLETED';
+
+export interface PatientStatusTransition {
+  status: PatientStatus;
+  reason_required: boolean;
+}
+
+export interface PatientStatusHistoryEntry {
+  id: number;
+  from_status: PatientStatus | null;
+  to_status: PatientStatus;
+  reason: string | null;
+  changed_at: string;
+  ended_at: string | null;
+  days_in_status: number;
+  changed_by: number | null;
+  changed_by_name: string | null;
+}
+
+export interface PatientStatusHistory {
+  current_status: PatientStatus;
+  allowed_transitions: PatientStatusTransition[];
+  timeline: PatientStatusHistoryEntry[];
+}
+
+export interface DaySummary {
+  count: number;
+  average_days: number | null;
+  median_days: number | null;
+}
+
+export interface StatusDurationReport {
+  phases: Array<{ status: PatientStatus; completed: DaySummary; ongoing: DaySummary }>;
+  lead_times: Array<DaySummary & { key: string; from_status: PatientStatus; to_status: PatientStatus }>;
+}
+
+export type PatientTimelineItemType =
+  | 'VISIT'
+  | 'CLINICAL_NOTE'
+  | 'DOCUMENT'
+  | 'CHART_VERSION'
+  | 'PAYMENT'
+  | 'MATERIAL'
+  | 'CASE_PROGRESS'
+  | 'ASSIGNMENT'
+  | 'STATUS_CHANGE';
+
+export interface PatientTimelineItem {
+  item_type: PatientTimelineItemType;
+  item_id: number;
+  occurred_at: string;
+  title: string;
+  summary: string | null;
+  status: string | null;
+  actor_name: string | null;
+  actor_role: string | null;
+}
+
+export interface PatientTimeline extends PaginatedResponse<PatientTimelineItem> {
+  // Item types the requester may read for this patient
+  available_types: PatientTimelineItemType[];
+}
+
+export type WaitingListTreatmentType = 'REMOVABLE' | 'FUNCTIONAL' | 'FIXED';
+
+export type WaitingListPriority = 'URGENT' | 'SEVERE_MALOCCLUSION' | 'ROUTINE';
+
+export interface WaitingListEntry {
+  id: number;
+  patient_id: number;
+  treatment_type: WaitingListTreatmentType;
+  priority: WaitingListPriority;
+  status: 'WAITING' | 'TAKEN_OFF' | 'REMOVED';
+  added_on: string;
+  days_waiting: number;
+  // Rank in the whole list, before any treatment type filter
+  position?: number;
+  patient_code: string;
+  first_name: string;
+  last_name: string;
+  age: number | null;
+  patient_status: PatientStatus;
+  added_by_name: string | null;
+  closed_at: string | null;
+  closed_by_name: string | null;
+  close_reason: string | null;
+  orthodontist_name: string | null;
+  case_id: number | null;
+}
+
+export interface WaitingListReport {
+  overview: {
+    waiting_count: number;
+    average_days_waiting: number | null;
+    longest_days_waiting: number | null;
+    added_count: number;
+    taken_off_count: number;
+    average_days_to_treatment: number | null;
+    removed_count: number;
+  };
+  breakdown: Array<{
+    treatment_type: WaitingListTreatmentType;
+    priority: WaitingListPriority;
+    waiting_count: number;
+    average_days_waiting: number;
+    longest_days_waiting: number;
+  }>;
+}
+
+export interface PatientHistoryRevision {
+  id: number;
+  revision_number: number;
+  restored_from_revision: number | null;
+  created_by: number;
+  created_by_name: string | null;
+  created_by_role: string | null;
+  created_at: string;
+  // Fields changed from the revision before; only in the revision list
+  changed_fields?: string[];
+}
+
+export interface PatientHistoryChange {
+  field: string;
+  change: 'ADDED' | 'REMOVED' | 'CHANGED';
+  from: any;
+  to: any;
+}
+
+export interface PatientHistoryDiff {
+  from: Pick<PatientHistoryRevision, 'revision_number' | 'created_by_name' | 'created_at'>;
+  to: Pick<PatientHistoryRevision, 'revision_number' | 'created_by_name' | 'created_at'>;
+  changes: PatientHistoryChange[];
+}
+
+export type TeachingSection = 'HISTORY' | 'CHART_VERSIONS' | 'RADIOGRAPHS' | 'PROGRESS_NOTES';
+
+export interface TeachingCaseSummary {
+  id: number;
+  pseudonym: string;
+  title: string;
+  description: string | null;
+  source: 'PATIENT' | 'IMPORT';
+  gender: string | null;
+  age_years: number | null;
+  sections: TeachingSection[];
+  image_count: number;
+  chart_version_count: number;
+  progress_note_count: number;
+  created_by: number | null;
+  created_by_name: string | null;
+  created_at: string;
+}
+
+export interface TeachingCase extends TeachingCaseSummary {
+  history: Record<string, any> | null;
+  chart_versions: Array<{
+    label: string;
+    created_at: string | null;
+    entries: Array<{
+      tooth_code: string;
+      dentition: string | null;
+      status: string;
+      pathology: string | null;
+      treatment: string | null;
+      event_date: string | null;
+    }>;
+  }>;
+  progress_notes: Array<{
+    source: 'CLINICAL_NOTE' | 'CASE_PROGRESS';
+    note_type: string;
+    author_role: string | null;
+    written_at: string | null;
+    title: string | null;
+    text: string | null;
+    plan_procedure?: string | null;
+    execution_status?: string | null;
+    outcome_notes?: string | null;
+    progress_percentage?: number | null;
+    evaluation?: string | null;
+    recommendations?: string | null;
+  }>;
+  files: Array<{
+    id: number;
+    archive_path: string;
+    document_type: string;
+    mime_type: string;
+    file_size: number;
+    description: string | null;
+    taken_at: string | null;
+  }>;
+  // Files left out when the case was made, e.g. radiographs that are not JPEG or PNG
+  skipped?: Array<{ type: string; reason: string }>;
+}
+
+export type PatientDataExportPurpose = 'ACCESS_REQUEST' | 'TRANSFER' | 'OTHER';
+
+export interface PatientDataExport {
+  id: number;
+  patient_id: number;
+  purpose: PatientDataExportPurpose;
+  notes: string | null;
+  status: 'QUEUED' | 'RUNNING' | 'READY' | 'FAILED' | 'EXPIRED';
+  file_name: string | null;
+  file_size: number | null;
+  sha256: string | null;
+  error_message: string | null;
+  requested_by: number | null;
+  requested_by_name: string | null;
+  started_at: string | null;
+  completed_at: string | null;
+  expires_at: string | null;
+  download_count: number;
+  created_at: string;
+}
+
+export interface PatientConsentSummary {
+  consent_type: ConsentType;
+  title: string;
+  status: 'SIGNED' | 'WITHDRAWN' | 'MISSING';
+  current_version: number;
+  // Signed against an older version of the wording
+  outdated: boolean;
+  consent: PatientConsent | null;
+}
+
+export type PatientDuplicateMatch = 'NAME' | 'DATE_OF_BIRTH' | 'BIRTH_YEAR' | 'PHONE' | 'EMAIL';
+
+// Sent with a POSSIBLE_DUPLICATE error when creating or updating a patient
+export interface PatientDuplicateCandidate {
+  id: number;
+  patient_code: string;
+  first_name: string;
+  last_name: string;
+  date_of_birth: string | null;
+  gender: 'MALE' | 'FEMALE' | 'OTHER';
+  phone: string | null;
+  email: string | null;
+  created_at: string;
+  score: number;
+  confidence: 'HIGH' | 'POSSIBLE';
+  matched_on: PatientDuplicateMatch[];
+}
+
+export interface PatientMergeSide {
+  id: number;
+  patient_code: string;
+  first_name: string;
+  last_name: string;
+  date_of_birth: string | null;
+  gender: 'MALE' | 'FEMALE' | 'OTHER';
+  phone: string | null;
+  email: string | null;
+  address: string | null;
+  status: string;
+  created_at: string;
+  deleted_at: string | null;
+}
+
+export interface PatientMergePreview {
+  survivor: PatientMergeSide;
+  duplicate: PatientMergeSide;
+  match: { score: number; confidence: 'HIGH' | 'POSSIBLE'; matched_on: PatientDuplicateMatch[] } | null;
+  records: Array<{ table: string; label: string; count: number }>;
+}
+
+export type RetentionRecordType = 'INACTIVE_PATIENT' | 'TRASHED_DOCUMENT';
+export type RetentionBasis = 'LAST_ACTIVITY' | 'ADULTHOOD';
+export type RetentionPurgeStatus = 'PENDING' | 'RUNNING' | 'PURGED' | 'REJECTED' | 'FAILED';
+
+export interface RetentionPolicy {
+  record_type: RetentionRecordType;
+  retention_years: number;
+  count_from: RetentionBasis;
+}
+
+export interface RetentionDueRecord {
+  record_type: RetentionRecordType;
+  record_id: number;
+  patient_id: number;
+  patient_code: string;
+  patient_name: string;
+  description: string;
+  last_activity_at: string;
+  due_on: string;
+  purge_request: { id: number; status: RetentionPurgeStatus } | null;
+}
+
+export interface RetentionPurge {
+  id: number;
+  record_type: RetentionRecordType;
+  record_id: number;
+  patient_id: number;
+  patient_code: string;
+  // Only while the record still exists
+  patient_name: string | null;
+  due_on: string;
+  reason: string | null;
+  status: RetentionPurgeStatus;
+  requested_by: number | null;
+  requested_by_name: string | null;
+  created_at: string;
+  reviewed_by: number | null;
+  reviewed_by_name: string | null;
+  reviewed_at: string | null;
+  review_note: string | null;
+  summary: Record<string, string | number> | null;
+  error_message: string | null;
+  purged_at: string | null;
+}
+
+export interface PatientMerge {
+  id: number;
+  survivor_patient_id: number | null;
+  duplicate_patient_id: number | null;
+  survivor_patient_code: string;
+  duplicate_patient_code: string;
+  survivor_first_name: string | null;
+  survivor_last_name: string | null;
+  duplicate_first_name: string | null;
+  duplicate_last_name: string | null;
+  reason: string | null;
+  moved_rows: Record<string, number>;
+  // Rows left on the duplicate because the survivor already had an equivalent
+  retained_rows: Record<string, number[]>;
+  merged_by: number | null;
+  merged_by_name: string | null;
+  created_at: string;
+}
+
+export type PatientImportStatus = 'VALIDATED' | 'PARTIAL' | 'COMMITTED' | 'ROLLED_BACK';
+
+export interface PatientImportRow {
+  // Spreadsheet row number; the heading row is 1
+  row_number: number;
+  status: 'VALID' | 'INVALID' | 'DUPLICATE';
+  first_name: string | null;
+  last_name: string | null;
+  data: Record<string, string | null> | null;
+  errors: Array<{ field: string; message: string }>;
+  duplicates: Array<{
+    patient_id: number;
+    patient_code: string;
+    first_name: string;
+    last_name: string;
+    date_of_birth: string | null;
+    score: number;
+    matched_on: PatientDuplicateMatch[];
+  }>;
+  // Earlier row of the same file that looks like the same person
+  file_duplicate_of: number | null;
+  patient_id?: number | null;
+  patient_code?: string;
+  import_status?: 'IMPORTED' | 'ROLLED_BACK' | 'KEPT';
+}
+
+export interface PatientImport {
+  id: number;
+  file_name: string;
+  file_type: 'CSV' | 'XLSX';
+  status: PatientImportStatus;
+  headers: string[];
+  // Patient field for each column, or null when the column is ignored
+  column_map: Array<string | null>;
+  total_rows: number;
+  valid_rows: number;
+  invalid_rows: number;
+  duplicate_rows: number;
+  imported_rows: number;
+  error_message: string | null;
+  created_by_name: string | null;
+  committed_by_name: string | null;
+  committed_at: string | null;
+  rolled_back_by_name: string | null;
+  rolled_back_at: string | null;
+  created_at: string;
+  report?: PatientImportRow[];
+}
+
+export interface PermissionMatrixChange {
+  role: string;
+  object_type: string;
+  added: string[];
+  removed: string[];
+}
+
+export interface PermissionMatrixVersion {
+  version: number;
+  note: string | null;
+  changed_by_name: string | null;
+  created_at: string;
+  changes: PermissionMatrixChange[];
+}
+
+export interface BreakGlassPolicy {
+  defaultMinutes: number;
+  maxMinutes: number;
+}
+
+export interface BreakGlassGrant {
+  id: number;
+  patient_id: number;
+  access_level: 'READ' | 'WRITE';
+  reason: string;
+  granted_at: string;
+  expires_at: string;
+  remaining_seconds?: number;
+  patient_code?: string;
+  first_name?: string;
+  last_name?: string;
+}
+
+export interface BreakGlassEvent {
+  id: number;
+  patient_id: number;
+  user_id: number;
+  user_name: string;
+  user_role: string;
+  patient_code: string;
+  first_name: string;
+  last_name: string;
+  access_level: 'READ' | 'WRITE';
+  reason: string;
+  ip_address: string | null;
+  granted_at: string;
+  expires_at: string;
+  ended_at: string | null;
+  is_active: boolean;
+  request_count: number;
+  reviewed_at: string | null;
+  reviewed_by_name: string | null;
+  review_note: string | null;
+}
+
+export interface UserSession {
+  id: string;
+  user_agent: string | null;
+  ip_address: string | null;
+  signed_in_at: string;
+  last_used_at: string;
+  expires_at: string;
+  current: boolean;
 }
 
 export interface CreateUserForm {
@@ -63,6 +730,8 @@ class ApiClient {
   private baseURL: string;
   private accessToken: string | null = null;
   private refreshToken: string | null = null;
+  // Per-tab, so viewing as another user never leaks into the administrator's other tabs
+  private impersonationToken: string | null = sessionStorage.getItem('impersonationToken');
   private refreshPromise: Promise<boolean> | null = null;
 
   constructor() {
@@ -88,12 +757,14 @@ class ApiClient {
     this.refreshToken = null;
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
+    this.setImpersonationToken(null);
   }
 
   private shouldAttemptTokenRefresh(endpoint: string): boolean {
     const authEndpointsWithoutRefresh = new Set<string>([
       API_ENDPOINTS.AUTH.LOGIN,
       API_ENDPOINTS.AUTH.GOOGLE,
+      API_ENDPOINTS.AUTH.MFA_VERIFY,
       API_ENDPOINTS.AUTH.REFRESH,
       API_ENDPOINTS.AUTH.LOGOUT,
     ]);
@@ -144,6 +815,12 @@ class ApiClient {
         Authorization: `Bearer ${this.accessToken}`,
       };
     }
+    if (this.impersonationToken) {
+      config.headers = {
+        ...config.headers,
+        'X-Impersonate-Token': this.impersonationToken,
+      };
+    }
 
     try {
       const response = await this.fetchWithTimeout(url, config);
@@ -170,9 +847,16 @@ class ApiClient {
         }
       }
 
+      // The view-as-user session expired or was ended elsewhere; return to the administrator's own view
+      if (data.code === 'IMPERSONATION_ENDED' && this.impersonationToken) {
+        this.setImpersonationToken(null);
+        window.location.assign('/admin/users');
+      }
+
       // Handle other HTTP errors
       if (!response.ok) {
-        throw new Error(data.message || ERROR_MESSAGES.SERVER_ERROR);
+        // Keep the server's error code and details so callers can react to specific denials
+        throw Object.assign(new Error(data.message || ERROR_MESSAGES.SERVER_ERROR), { code: data.code, data: data.data });
       }
 
       return data;
@@ -200,6 +884,7 @@ class ApiClient {
   }
 
   private async performRefreshAccessToken(): Promise<boolean> {
+    const usedRefreshToken = this.refreshToken;
     try {
       const response = await this.fetchWithTimeout(`${this.baseURL}${API_ENDPOINTS.AUTH.REFRESH}`, {
         method: 'POST',
@@ -207,7 +892,7 @@ class ApiClient {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          refreshToken: this.refreshToken,
+          refreshToken: usedRefreshToken,
         }),
       });
 
@@ -224,6 +909,14 @@ class ApiClient {
     } catch (error) {
       console.error('Token refresh failed:', error);
     }
+
+    // Refresh tokens are single-use; another tab may have rotated ours moments ago
+    const storedRefreshToken = localStorage.getItem('refreshToken');
+    if (storedRefreshToken && storedRefreshToken !== usedRefreshToken) {
+      this.loadTokensFromStorage();
+      return true;
+    }
+
     this.clearTokensFromStorage();
     return false;
   }
@@ -274,6 +967,9 @@ class ApiClient {
       if (this.accessToken) {
         xhr.setRequestHeader('Authorization', `Bearer ${this.accessToken}`);
       }
+      if (this.impersonationToken) {
+        xhr.setRequestHeader('X-Impersonate-Token', this.impersonationToken);
+      }
 
       xhr.upload.onprogress = (event) => {
         if (!onProgress) return;
@@ -321,11 +1017,23 @@ class ApiClient {
     this.clearTokensFromStorage();
   }
 
+  setImpersonationToken(token: string | null) {
+    this.impersonationToken = token;
+    if (token) {
+      sessionStorage.setItem('impersonationToken', token);
+    } else {
+      sessionStorage.removeItem('impersonationToken');
+    }
+  }
+
   async downloadFile(endpoint: string): Promise<{ blob: Blob; filename: string | null }> {
-    const headers: HeadersInit = {};
+    const headers: Record<string, string> = {};
     if (this.accessToken) {
       headers.Authorization = `Bearer ${this.accessToken}`;
     }
+    if (this.impersonationToken) {
+      headers['X-Impersonate-Token'] = this.impersonationToken;
+    }
 
     const response = await fetch(`${this.baseURL}${endpoint}`, {
       method: 'GET',
@@ -351,20 +1059,31 @@ export const apiService = {
   // Authentication
   auth: {
     login: async (credentials: LoginRequest) => {
-      const response = await apiClient.post<LoginResponse>(API_ENDPOINTS.AUTH.LOGIN, credentials);
-      if (response.success && response.data?.tokens) {
+      const response = await apiClient.post<LoginResponse | MfaChallengeResponse>(API_ENDPOINTS.AUTH.LOGIN, credentials);
+      if (response.success && response.data && 'tokens' in response.data) {
         apiClient.setTokens(response.data.tokens.accessToken, response.data.tokens.refreshToken);
       }
       return response;
     },
 
     loginWithGoogle: async (idToken: string) => {
-      const response = await apiClient.post<LoginResponse>(API_ENDPOINTS.AUTH.GOOGLE, { idToken });
-      if (response.success && response.data?.tokens) {
+      const response = await apiClient.post<LoginResponse | MfaChallengeResponse>(API_ENDPOINTS.AUTH.GOOGLE, { idToken });
+      if (response.success && response.data && 'tokens' in response.data) {
+        apiClient.setTokens(response.data.tokens.accessToken, response.data.tokens.refreshToken);
+      }
+      return response;
+    },
+
+    loginWithOidc: async (providerId: string, data: { idToken: string; nonce: string }) => {
+      const response = await apiClient.post<LoginResponse | MfaChallengeResponse>(API_ENDPOINTS.AUTH.OIDC_LOGIN(providerId), data);
+      if (response.success && response.data && 'tokens' in response.data) {
         apiClient.setTokens(response.data.tokens.accessToken, response.data.tokens.refreshToken);
       }
       return response;
     },
+
+    getOidcProviders: () =>
+      apiClient.get<OidcProvider[]>(API_ENDPOINTS.AUTH.OIDC_PROVIDERS),
     
     logout: async () => {
       const refreshToken = apiClient.getRefreshToken();
@@ -384,6 +1103,47 @@ export const apiService = {
     
     changePassword: (data: { currentPassword: string; newPassword: string }) =>
       apiClient.put(API_ENDPOINTS.AUTH.CHANGE_PASSWORD, data),
+
+    forgotPassword: (email: string) =>
+      apiClient.post(API_ENDPOINTS.AUTH.FORGOT_PASSWORD, { email }),
+
+    resetPassword: (data: { token: string; newPassword: string }) =>
+      apiClient.post(API_ENDPOINTS.AUTH.RESET_PASSWORD, data),
+
+    getPasswordPolicy: () =>
+      apiClient.get<PasswordPolicy>(API_ENDPOINTS.AUTH.PASSWORD_POLICY),
+
+    getSessions: () =>
+      apiClient.get<{ sessions: UserSession[] }>(API_ENDPOINTS.AUTH.SESSIONS),
+
+    revokeSession: (sessionId: string) =>
+      apiClient.delete(API_ENDPOINTS.AUTH.SESSION(sessionId)),
+
+    revokeOtherSessions: () =>
+      apiClient.post<{ revoked_count: number }>(API_ENDPOINTS.AUTH.SESSIONS_REVOKE_OTHERS),
+
+    verifyMfa: async (data: { mfaToken: string; code?: string; recoveryCode?: string }) => {
+      const response = await apiClient.post<LoginResponse>(API_ENDPOINTS.AUTH.MFA_VERIFY, data);
+      if (response.success && response.data?.tokens) {
+        apiClient.setTokens(response.data.tokens.accessToken, response.data.tokens.refreshToken);
+      }
+      return response;
+    },
+
+    getMfaStatus: () =>
+      apiClient.get<MfaStatus>(API_ENDPOINTS.AUTH.MFA_STATUS),
+
+    setupMfa: () =>
+      apiClient.post<MfaEnrollment>(API_ENDPOINTS.AUTH.MFA_SETUP),
+
+    enableMfa: (code: string) =>
+      apiClient.post<{ recovery_codes: string[] }>(API_ENDPOINTS.AUTH.MFA_ENABLE, { code }),
+
+    disableMfa: (data: { password: string; code: string }) =>
+      apiClient.post(API_ENDPOINTS.AUTH.MFA_DISABLE, data),
+
+    regenerateRecoveryCodes: (code: string) =>
+      apiClient.post<{ recovery_codes: string[] }>(API_ENDPOINTS.AUTH.MFA_RECOVERY_CODES, { code }),
   },
 
   // Users
@@ -414,6 +1174,21 @@ export const apiService = {
     resetPassword: (id: string) =>
       apiClient.post<any>(API_ENDPOINTS.USERS.RESET_PASSWORD(id)),
 
+    resetMfa: (id: string) =>
+      apiClient.post<any>(API_ENDPOINTS.USERS.RESET_MFA(id)),
+
+    unlock: (id: string) =>
+      apiClient.post<any>(API_ENDPOINTS.USERS.UNLOCK(id)),
+
+    getSessions: (id: string) =>
+      apiClient.get<{ sessions: UserSession[] }>(API_ENDPOINTS.USERS.SESSIONS(id)),
+
+    revokeSession: (id: string, sessionId: string) =>
+      apiClient.delete<any>(API_ENDPOINTS.USERS.SESSION(id, sessionId)),
+
+    revokeAllSessions: (id: string) =>
+      apiClient.delete<any>(API_ENDPOINTS.USERS.SESSIONS(id)),
+
     delete: (id: string, permanent = false) =>
       apiClient.delete<any>(`${API_ENDPOINTS.USERS.DELETE(id)}${permanent ? '?permanent=true' : ''}`),
 
@@ -464,6 +1239,29 @@ export const apiService = {
     
     update: (id: string, data: any) => 
       apiClient.put(API_ENDPOINTS.PATIENTS.UPDATE(id), data),
+
+    getStatusHistory: (id: string) =>
+      apiClient.get<PatientStatusHistory>(API_ENDPOINTS.PATIENTS.STATUS_HISTORY(id)),
+
+    getTimeline: (id: string, params?: {
+      types?: PatientTimelineItemType[];
+      start_date?: string;
+      end_date?: string;
+      page?: number;
+      limit?: number;
+    }) => {
+      const query = new URLSearchParams();
+      if (params?.types?.length) query.append('types', params.types.join(','));
+      if (params?.start_date) query.append('start_date', params.start_date);
+      if (params?.end_date) query.append('end_date', params.end_date);
+      if (params?.page) query.append('page', String(params.page));
+      if (params?.limit) query.append('limit', String(params.limit));
+      const queryString = query.toString();
+      return apiClient.get<PatientTimeline>(`${API_ENDPOINTS.PATIENTS.TIMELINE(id)}${queryString ? `?${queryString}` : ''}`);
+    },
+
+    changeStatus: (id: string, data: { status: PatientStatus; status_reason?: string }) =>
+      apiClient.put(API_ENDPOINTS.PATIENTS.UPDATE(id), data),
     
     delete: (id: string, permanent = false) => 
       apiClient.delete(`${API_ENDPOINTS.PATIENTS.DELETE(id)}${permanent ? '?permanent=true' : ''}`),
@@ -489,18 +1287,23 @@ export const apiService = {
     getAssignments: (id: string) =>
       apiClient.get<any[]>(API_ENDPOINTS.PATIENTS.ASSIGNMENTS(id)),
 
+    getExpiringAssignments: (days?: number) =>
+      apiClient.get<ExpiringAssignment[]>(
+        `${API_ENDPOINTS.PATIENTS.ASSIGNMENTS_EXPIRING}${days ? `?days=${days}` : ''}`
+      ),
+
     getPendingAssignmentRequests: () =>
       apiClient.get<any[]>(API_ENDPOINTS.PATIENTS.ASSIGNMENT_REQUESTS_PENDING),
 
     respondToAssignmentRequest: (requestId: string, decision: 'APPROVE' | 'REJECT') =>
       apiClient.post<any>(API_ENDPOINTS.PATIENTS.ASSIGNMENT_REQUEST_RESPOND(requestId), { decision }),
 
-    assign: (id: string, data: { user_id: number; assignment_role: 'ORTHODONTIST' | 'DENTAL_SURGEON' | 'NURSE' | 'STUDENT' }) =>
+    assign: (id: string, data: AssignmentInput) =>
       apiClient.post(API_ENDPOINTS.PATIENTS.ASSIGNMENTS(id), data),
 
     bulkAssign: (
       id: string,
-      assignments: Array<{ user_id: number; assignment_role: 'ORTHODONTIST' | 'DENTAL_SURGEON' | 'NURSE' | 'STUDENT' }>,
+      assignments: AssignmentInput[],
       sync = false
     ) =>
       apiClient.post(API_ENDPOINTS.PATIENTS.ASSIGNMENTS(id), { assignments, sync }),
@@ -511,6 +1314,17 @@ export const apiService = {
     updateHistory: (id: string, history: Record<string, any>) =>
       apiClient.put<any>(API_ENDPOINTS.PATIENTS.HISTORY(id), { history }),
 
+    getHistoryRevisions: (id: string) =>
+      apiClient.get<PatientHistoryRevision[]>(API_ENDPOINTS.PATIENTS.HISTORY_REVISIONS(id)),
+
+    getHistoryDiff: (id: string, from: number, to?: number) =>
+      apiClient.get<PatientHistoryDiff>(
+        `${API_ENDPOINTS.PATIENTS.HISTORY_DIFF(id)}?from=${from}${to ? `&to=${to}` : ''}`
+      ),
+
+    restoreHistoryRevision: (id: string, revision: number) =>
+      apiClient.post<any>(API_ENDPOINTS.PATIENTS.HISTORY_RESTORE(id, revision)),
+
     downloadPatientRecordExport: async (id: string) => {
       const { blob, filename } = await apiClient.downloadFile(API_ENDPOINTS.PATIENTS.RECORD_EXPORT(id));
       const url = URL.createObjectURL(blob);
@@ -957,6 +1771,299 @@ export const apiService = {
     },
   },
 
+  apiKeys: {
+    list: (includeRevoked = false) =>
+      apiClient.get<ApiKey[]>(`${API_ENDPOINTS.API_KEYS.LIST}${includeRevoked ? '?include_revoked=true' : ''}`),
+
+    getScopeOptions: () =>
+      apiClient.get<ApiKeyScopeOptions>(API_ENDPOINTS.API_KEYS.SCOPE_OPTIONS),
+
+    getServiceAccounts: () =>
+      apiClient.get<ServiceAccount[]>(API_ENDPOINTS.API_KEYS.SERVICE_ACCOUNTS),
+
+    createServiceAccount: (data: { name: string; role: string; department?: string }) =>
+      apiClient.post<ServiceAccount>(API_ENDPOINTS.API_KEYS.SERVICE_ACCOUNTS, data),
+
+    create: (data: { service_account_id: number; name: string; scopes: ApiKeyScopes; expires_at?: string | null }) =>
+      apiClient.post<{ api_key: ApiKey; key: string }>(API_ENDPOINTS.API_KEYS.LIST, data),
+
+    rotate: (id: number, graceMinutes = 0) =>
+      apiClient.post<{ api_key: ApiKey; key: string }>(API_ENDPOINTS.API_KEYS.ROTATE(id), { grace_minutes: graceMinutes }),
+
+    revoke: (id: number) =>
+      apiClient.delete<any>(API_ENDPOINTS.API_KEYS.REVOKE(id)),
+  },
+
+  permissions: {
+    getMatrix: () =>
+      apiClient.get<PermissionMatrixState>(API_ENDPOINTS.PERMISSIONS.MATRIX),
+
+    update: (data: { version: number; matrix: PermissionMatrix; note?: string }) =>
+      apiClient.put<{ version: number; matrix: PermissionMatrix; changes: PermissionMatrixChange[] }>(API_ENDPOINTS.PERMISSIONS.MATRIX, data),
+
+    getVersions: () =>
+      apiClient.get<PermissionMatrixVersion[]>(API_ENDPOINTS.PERMISSIONS.VERSIONS),
+
+    restore: (version: number, currentVersion: number) =>
+      apiClient.post<{ version: number; matrix: PermissionMatrix; changes: PermissionMatrixChange[] }>(API_ENDPOINTS.PERMISSIONS.RESTORE(version), { version: currentVersion }),
+  },
+
+  delegations: {
+    getOptions: (delegatorId?: number) =>
+      apiClient.get<DelegationOptions>(
+        `${API_ENDPOINTS.DELEGATIONS.OPTIONS}${delegatorId ? `?delegator_id=${delegatorId}` : ''}`
+      ),
+
+    getList: () =>
+      apiClient.get<Delegation[]>(API_ENDPOINTS.DELEGATIONS.LIST),
+
+    getById: (id: number) =>
+      apiClient.get<Delegation>(API_ENDPOINTS.DELEGATIONS.DETAIL(id)),
+
+    create: (data: {
+      delegator_id?: number;
+      delegate_id: number;
+      starts_at?: string;
+      ends_at: string;
+      patient_ids?: number[];
+      reason?: string;
+    }) =>
+      apiClient.post<Delegation>(API_ENDPOINTS.DELEGATIONS.LIST, data),
+
+    cancel: (id: number) =>
+      apiClient.post<Delegation>(API_ENDPOINTS.DELEGATIONS.CANCEL(id)),
+  },
+
+  consents: {
+    getTemplates: () =>
+      apiClient.get<ConsentTemplate[]>(API_ENDPOINTS.CONSENTS.TEMPLATES),
+
+    getTemplateVersions: (consentType: ConsentType) =>
+      apiClient.get<ConsentTemplate[]>(API_ENDPOINTS.CONSENTS.TEMPLATE_VERSIONS(consentType)),
+
+    publishTemplate: (data: { consent_type: ConsentType; title: string; body: string }) =>
+      apiClient.post<ConsentTemplate>(API_ENDPOINTS.CONSENTS.TEMPLATES, data),
+
+    getForPatient: (patientId: string | number) =>
+      apiClient.get<{ summary: PatientConsentSummary[]; history: PatientConsent[] }>(API_ENDPOINTS.CONSENTS.PATIENT(patientId)),
+
+    record: (patientId: string | number, data: {
+      consent_type: ConsentType;
+      signed_at?: string;
+      signed_by_name?: string;
+      signed_by_relationship?: ConsentSignerRelationship;
+      guardian_id?: number;
+    }) =>
+      apiClient.post<PatientConsent>(API_ENDPOINTS.CONSENTS.PATIENT(patientId), data),
+
+    withdraw: (id: number, data: { withdrawn_at?: string; reason?: string }) =>
+      apiClient.post<PatientConsent>(API_ENDPOINTS.CONSENTS.WITHDRAW(id), data),
+  },
+
+  guardians: {
+    getForPatient: (patientId: string | number) =>
+      apiClient.get<PatientGuardian[]>(API_ENDPOINTS.GUARDIANS.PATIENT(patientId)),
+
+    create: (patientId: string | number, data: PatientGuardianInput) =>
+      apiClient.post<PatientGuardian>(API_ENDPOINTS.GUARDIANS.PATIENT(patientId), data),
+
+    update: (id: number, data: Partial<PatientGuardianInput>) =>
+      apiClient.put<PatientGuardian>(API_ENDPOINTS.GUARDIANS.DETAIL(id), data),
+
+    delete: (id: number) =>
+      apiClient.delete(API_ENDPOINTS.GUARDIANS.DETAIL(id)),
+  },
+
+  retention: {
+    getPolicies: () =>
+      apiClient.get<RetentionPolicy[]>(API_ENDPOINTS.RETENTION.POLICIES),
+
+    updatePolicies: (policies: RetentionPolicy[]) =>
+      apiClient.put<RetentionPolicy[]>(API_ENDPOINTS.RETENTION.POLICIES, { policies }),
+
+    getDue: () =>
+      apiClient.get<RetentionDueRecord[]>(API_ENDPOINTS.RETENTION.DUE),
+
+    getPurges: (status?: 'OPEN' | RetentionPurgeStatus) =>
+      apiClient.get<RetentionPurge[]>(`${API_ENDPOINTS.RETENTION.PURGES}${status ? `?status=${status}` : ''}`),
+
+    requestPurge: (data: { record_type: RetentionRecordType; record_id: number; reason?: string }) =>
+      apiClient.post<RetentionPurge>(API_ENDPOINTS.RETENTION.PURGES, data),
+
+    approve: (id: number, note?: string) =>
+      apiClient.post<RetentionPurge>(API_ENDPOINTS.RETENTION.APPROVE(id), { note }),
+
+    reject: (id: number, note: string) =>
+      apiClient.post<RetentionPurge>(API_ENDPOINTS.RETENTION.REJECT(id), { note }),
+  },
+
+  patientMerges: {
+    list: () =>
+      apiClient.get<PatientMerge[]>(API_ENDPOINTS.PATIENT_MERGES.LIST),
+
+    preview: (survivorCode: string, duplicateCode: string) => {
+      const query = new URLSearchParams({ survivor_code: survivorCode, duplicate_code: duplicateCode });
+      return apiClient.get<PatientMergePreview>(`${API_ENDPOINTS.PATIENT_MERGES.PREVIEW}?${query.toString()}`);
+    },
+
+    merge: (data: { survivor_patient_id: number; duplicate_patient_id: number; reason?: string }) =>
+      apiClient.post<{ id: number; moved_rows: Record<string, number>; retained_rows: Record<string, number[]> }>(
+        API_ENDPOINTS.PATIENT_MERGES.LIST,
+        data
+      ),
+  },
+
+  patientImports: {
+    list: () =>
+      apiClient.get<PatientImport[]>(API_ENDPOINTS.PATIENT_IMPORTS.LIST),
+
+    get: (id: number) =>
+      apiClient.get<PatientImport>(API_ENDPOINTS.PATIENT_IMPORTS.DETAIL(id)),
+
+    // columnMap maps column headings to patient fields; omitted, headings are matched automatically
+    dryRun: (file: File, columnMap?: Record<string, string | null>) =>
+      apiClient.uploadFile(
+        API_ENDPOINTS.PATIENT_IMPORTS.DRY_RUN,
+        file,
+        columnMap ? { column_map: JSON.stringify(columnMap) } : undefined
+      ) as Promise<ApiResponse<PatientImport>>,
+
+    commit: (id: number, includeDuplicates = false) =>
+      apiClient.post<PatientImport>(API_ENDPOINTS.PATIENT_IMPORTS.COMMIT(id), { include_duplicates: includeDuplicates }),
+
+    rollback: (id: number) =>
+      apiClient.post<{ removed: Array<{ row_number: number; patient_code: string }>; kept: Array<{ row_number: number; patient_code: string }> }>(
+        API_ENDPOINTS.PATIENT_IMPORTS.ROLLBACK(id)
+      ),
+  },
+
+  patientExports: {
+    getForPatient: (patientId: string) =>
+      apiClient.get<PatientDataExport[]>(API_ENDPOINTS.PATIENT_EXPORTS.PATIENT(patientId)),
+
+    request: (patientId: string, data: { purpose: PatientDataExportPurpose; notes?: string }) =>
+      apiClient.post<PatientDataExport>(API_ENDPOINTS.PATIENT_EXPORTS.PATIENT(patientId), data),
+
+    download: async (dataExport: PatientDataExport) => {
+      const { blob, filename } = await apiClient.downloadFile(API_ENDPOINTS.PATIENT_EXPORTS.DOWNLOAD(dataExport.id));
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || dataExport.file_name || `patient-export-${dataExport.id}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    },
+  },
+
+  teachingLibrary: {
+    getCases: (search?: string) =>
+      apiClient.get<TeachingCaseSummary[]>(
+        `${API_ENDPOINTS.TEACHING_LIBRARY.LIST}${search ? `?search=${encodeURIComponent(search)}` : ''}`
+      ),
+
+    getCase: (id: number) =>
+      apiClient.get<TeachingCase>(API_ENDPOINTS.TEACHING_LIBRARY.DETAIL(id)),
+
+    // Images need the auth header, so they are fetched and shown through an object URL
+    getImageUrl: async (id: number, fileId: number) => {
+      const { blob } = await apiClient.downloadFile(API_ENDPOINTS.TEACHING_LIBRARY.IMAGE(id, fileId));
+      return URL.createObjectURL(blob);
+    },
+
+    createFromPatient: (patientId: string, data: { title: string; description?: string; sections: TeachingSection[] }) =>
+      apiClient.post<TeachingCase>(API_ENDPOINTS.TEACHING_LIBRARY.FROM_PATIENT(patientId), data),
+
+    importPackage: (file: File) =>
+      apiClient.uploadFile(API_ENDPOINTS.TEACHING_LIBRARY.IMPORT, file) as Promise<ApiResponse<TeachingCase>>,
+
+    downloadPackage: async (teachingCase: TeachingCaseSummary) => {
+      const { blob, filename } = await apiClient.downloadFile(API_ENDPOINTS.TEACHING_LIBRARY.PACKAGE(teachingCase.id));
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `teaching-case-${teachingCase.pseudonym}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    },
+
+    remove: (id: number) =>
+      apiClient.delete(API_ENDPOINTS.TEACHING_LIBRARY.DETAIL(id)),
+  },
+
+  waitingList: {
+    getList: (treatmentType?: WaitingListTreatmentType) =>
+      apiClient.get<WaitingListEntry[]>(
+        `${API_ENDPOINTS.WAITING_LIST.LIST}${treatmentType ? `?treatment_type=${treatmentType}` : ''}`
+      ),
+
+    takeOff: (id: number, data: { student_id?: number; notes?: string }) =>
+      apiClient.post<WaitingListEntry>(API_ENDPOINTS.WAITING_LIST.TAKE_OFF(id), data),
+
+    remove: (id: number, data: { reason: string }) =>
+      apiClient.post<WaitingListEntry>(API_ENDPOINTS.WAITING_LIST.REMOVE(id), data),
+  },
+
+  impersonation: {
+    start: async (userId: number, reason: string) => {
+      const response = await apiClient.post<{ token: string; session: { id: number; expires_at: string }; user: { id: number; name: string; role: string } }>(
+        API_ENDPOINTS.IMPERSONATION.START,
+        { user_id: userId, reason }
+      );
+      if (response.success && response.data?.token) {
+        apiClient.setImpersonationToken(response.data.token);
+      }
+      return response;
+    },
+
+    // Sent as the administrator: the view-as token is dropped before the call
+    end: async (sessionId: number) => {
+      apiClient.setImpersonationToken(null);
+      return apiClient.post<any>(API_ENDPOINTS.IMPERSONATION.END(sessionId), {});
+    },
+  },
+
+  breakGlass: {
+    getPatientStatus: (patientId: string | number) =>
+      apiClient.get<{ available: boolean; active_grant: BreakGlassGrant | null; policy: BreakGlassPolicy }>(
+        API_ENDPOINTS.BREAK_GLASS.PATIENT_STATUS(patientId)
+      ),
+
+    getMine: () =>
+      apiClient.get<{ grants: BreakGlassGrant[]; policy: BreakGlassPolicy }>(API_ENDPOINTS.BREAK_GLASS.MINE),
+
+    request: (data: {
+      patient_id?: number;
+      patient_code?: string;
+      reason: string;
+      access_level: 'READ' | 'WRITE';
+      duration_minutes?: number;
+    }) => apiClient.post<BreakGlassGrant>(API_ENDPOINTS.BREAK_GLASS.REQUEST, data),
+
+    end: (id: number) =>
+      apiClient.delete<any>(API_ENDPOINTS.BREAK_GLASS.END(id)),
+
+    getReviews: (params?: { status?: 'PENDING' | 'REVIEWED' | 'ALL'; page?: number; limit?: number }) => {
+      const query = new URLSearchParams();
+      if (params?.status) query.append('status', params.status);
+      if (params?.page) query.append('page', String(params.page));
+      if (params?.limit) query.append('limit', String(params.limit));
+      const queryString = query.toString();
+      return apiClient.get<{ events: BreakGlassEvent[]; pagination: { page: number; limit: number; total: number; pages: number } }>(
+        `${API_ENDPOINTS.BREAK_GLASS.REVIEWS}${queryString ? `?${queryString}` : ''}`
+      );
+    },
+
+    getPendingCount: () =>
+      apiClient.get<{ pending: number }>(API_ENDPOINTS.BREAK_GLASS.PENDING_COUNT),
+
+    acknowledge: (id: number, note?: string) =>
+      apiClient.post<any>(API_ENDPOINTS.BREAK_GLASS.ACKNOWLEDGE(id), { note: note || null }),
+  },
+
   reports: {
     dashboard: (period?: 'week' | 'month' | 'quarter' | 'year') =>
       apiClient.get<any>(`${API_ENDPOINTS.REPORTS.DASHBOARD}${period ? `?period=${period}` : ''}`),
@@ -976,6 +2083,20 @@ export const apiService = {
       const queryString = query.toString();
       return apiClient.get<any>(`${API_ENDPOINTS.REPORTS.VISIT_SUMMARY}${queryString ? `?${queryString}` : ''}`);
     },
+    statusDurations: (params?: { start_date?: string; end_date?: string }) => {
+      const query = new URLSearchParams();
+      if (params?.start_date) query.append('start_date', params.start_date);
+      if (params?.end_date) query.append('end_date', params.end_date);
+      const queryString = query.toString();
+      return apiClient.get<StatusDurationReport>(`${API_ENDPOINTS.REPORTS.STATUS_DURATIONS}${queryString ? `?${queryString}` : ''}`);
+    },
+    waitingList: (params?: { start_date?: string; end_date?: string }) => {
+      const query = new URLSearchParams();
+      if (params?.start_date) query.append('start_date', params.start_date);
+      if (params?.end_date) query.append('end_date', params.end_date);
+      const queryString = query.toString();
+      return apiClient.get<WaitingListReport>(`${API_ENDPOINTS.REPORTS.WAITING_LIST}${queryString ? `?${queryString}` : ''}`);
+    },
     inventoryAlerts: (alert_type?: string) =>
       apiClient.get<any>(`${API_ENDPOINTS.REPORTS.INVENTORY_ALERTS}${alert_type ? `?alert_type=${alert_type}` : ''}`),
     summaryPatients: (params: {
@@ -1015,6 +2136,14 @@ export const apiService = {
       const queryString = query.toString();
       return apiClient.get<any>(`${API_ENDPOINTS.REPORTS.AUDIT_LOGS}${queryString ? `?${queryString}` : ''}`);
     },
+    failedLogins: (params?: { start_date?: string | undefined; end_date?: string | undefined; limit?: number }) => {
+      const query = new URLSearchParams();
+      if (params?.start_date) query.append('start_date', params.start_date);
+      if (params?.end_date) query.append('end_date', params.end_date);
+      if (params?.limit) query.append('limit', String(params.limit));
+      const queryString = query.toString();
+      return apiClient.get<any>(`${API_ENDPOINTS.REPORTS.FAILED_LOGINS}${queryString ? `?${queryString}` : ''}`);
+    },
   },
 };
 